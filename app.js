@@ -2,65 +2,680 @@
 
 /**
  * STORAGE STRUCTURE:
- * localStorage keys:
- * - 'threeWheel_items': Array of wheel objects {id, model, year, vehicleNumber, color, chassisNumber, engineNumber, notes, purchasePrice, addedDate}
- * - 'threeWheel_sales': Array of sale objects {id, wheelId, saleDate, sellingPrice, paymentMethod, buyerName, buyerAddress, buyerNIC, buyerPhone, saleNotes}
- * 
- * Admin toggle state stored in localStorage as 'threeWheel_adminToggle' (boolean)
- * Current sale for bill generation stored in 'threeWheel_currentSale' (object)
+ * IndexedDB database 'threeWheelShop', one object store per collection (keyPath 'id'):
+ * - 'wheels' (indexes: vehicleNumber): wheel objects {id, makeId, modelId, model, variant, fuelType, year, vehicleNumber, color, chassisNumber, engineNumber,
+ *   mileage, conditionGrade, ownerCount, registrationExpiry, insuranceExpiry, notes, purchasePrice, askingPrice, floorPrice, addedDate, acquisitionType, supplier, tradeInSaleId, expenses, deletedAt, deletedBy}
+ *   makeId/modelId link to the vehicle catalogue ('' for wheels entered before it that could not be matched);
+ *   model is the name shown everywhere, e.g. "TVS King"; variant is a catalogue variant name or ''; fuelType is a key of FUEL_TYPES or '' if unknown
+ *   mileage (km) and ownerCount (previous owners) are null when unknown; conditionGrade is a key of CONDITION_GRADES or ''
+ *   registrationExpiry/insuranceExpiry: YYYY-MM-DD, or '' when unknown
+ *   askingPrice/floorPrice: price the owner asks and the lowest they accept without approval, or null when not set
+ *   acquisitionType: 'Purchase' or 'Trade-in'; tradeInSaleId links a trade-in to the sale it was taken against
+ *   supplier: {name, phone, nic, address} of whoever we bought the wheel from
+ *   expenses: Array of cost lines {id, date, category, description, amount}; landed cost = purchasePrice + expenses
+ * - 'sales': sale objects {id, wheelId, customerId, saleDate, sellingPrice, paymentMethod, buyerName, buyerAddress, buyerNIC, buyerPhone, saleNotes, finance, payments, balanceDueDate, tradeInWheelId, soldByUserId, soldByName, priceApproval, invoiceNumber, taxLines, transfer, reversal, deletedAt, deletedBy}
+ *   finance is null unless paymentMethod is 'Finance (Leasing)':
+ *   {company, downPayment, amountFinanced, termMonths, annualRate, agreementNumber, schedule, settlement}
+ *   schedule: Array of {installmentNumber, dueDate, amount, principal, interest, balance}
+ *   settlement: null until the finance company pays the balance, then {date, amount}
+ *   payments: Array of buyer payments {id, date, amount, method, reference}, where method is 'Cash', 'Bank Transfer', 'Cheque' or 'Trade-in'
+ *   tradeInWheelId: wheel taken from the buyer as part payment, or null
+ *   balanceDueDate: date the buyer's remaining balance is due (YYYY-MM-DD), or '' when paid in full
+ *   Buyer fields are kept on the sale as they were at the time of sale; customerId links to the directory.
+ *   soldByUserId/soldByName record the logged-in user who entered the sale (null/'' for sales made before accounts existed).
+ *   priceApproval: null unless the wheel was sold below its floor price or at a loss, then {reasons, approvedByUserId, approvedByName, approvedAt}
+ *   where reasons lists 'floor' and/or 'loss'
+ *   invoiceNumber: number from the invoice series, assigned when the sale is recorded ('' for sales made before invoicing)
+ *   taxLines: Array of {label, rate} taxes included in the selling price, as configured when the sale was recorded
+ *   transfer: registration transfer to the buyer {status, completedDate, reference, recordedBy},
+ *   status 'pending' until the registering authority has transferred the vehicle, then 'completed';
+ *   'untracked' for sales recorded before transfers were tracked, which never show as pending
+ *   reversal: null unless the sale was undone, then {type, date, refundAmount, reason, recordedBy}
+ *   with type 'void' (never happened), 'return' or 'buy-back' (wheel taken back, refundAmount paid to the buyer)
+ * - 'customers': customer objects {id, nic, nicKey, name, address, phone, mergedNICs, createdDate, lastSeenDate}
+ *   nicKey is the normalised NIC used for lookups; mergedNICs holds nicKeys of duplicates merged into this record
+ * - 'attachments': photos and scanned documents {id, ownerType, ownerId, category, fileName, mimeType, size, data, thumbnail, width, height, onBill, addedAt, addedBy}
+ *   ownerType 'wheel' or 'sale'; category is a key of ATTACHMENT_CATEGORIES; data is a data URL (photos are scaled down and stored as JPEG)
+ *   thumbnail: small JPEG data URL ('' for PDFs); width/height in pixels (0 for PDFs)
+ *   onBill: true for the one photo of a wheel printed on its bill
+ *   Attachments are included in backups but not synced, as they are too large for the sync server.
+ * - 'auditLog': append-only history {id, timestamp, userId, userName, action, entityType, entityId, label, before, after, details}
+ *   action: 'create', 'update' or 'delete' for single records ('wheel', 'sale' or 'customer');
+ *   'import', 'merge', 'reset', 'migrate' or 'sync' for bulk changes and 'settings' for settings changes (entityType 'data', with a details summary)
+ *   before/after: the whole record for creates and deletes, only the changed fields for updates
+ *   Entries are only ever added, never changed or removed.
+ * - 'meta': key/value pairs {key, value}
+ *   'currentSale' (sale object for bill generation),
+ *   'users' (Array of {id, name, username, role, credentialType, salt, credentialHash, active, createdDate}; local to this browser, not backed up or synced),
+ *   'migratedFromLocalStorage' (boolean, set once the old threeWheel_* localStorage keys have been imported),
+ *   'schemaVersion' (number), 'lastMergeAt' (ISO timestamp, on this machine's clock, of the last merge import),
+ *   'mergeBase' ({"<collection>:<id>": [updatedAt, ...]} the versions of each record both machines had at its last merge),
+ *   'importLog' (Array of {date, fileName, mode, summary, conflicts} describing past imports)
+ *   'syncConfig' {enabled, url, token}, 'syncDeviceId' (string), 'syncCursor' (last server sequence number pulled),
+ *   'syncQueue' (Array of {collection, id, deleted, queuedAt} local changes not yet pushed), 'lastSyncAt' (ISO timestamp),
+ *   'syncVersions' ({"<collection>:<id>": seq} the server sequence number of the version of each record this device last saw)
+ *   'settings' shop settings (business profile, logo, formats, invoice numbering, bill layout; see DEFAULT_SETTINGS), included in backups
+ *   'catalogue' vehicle makes and models (see DEFAULT_CATALOGUE), included in backups
+ *
+ * Every wheel, sale and customer carries updatedAt (ISO timestamp), set automatically when a save changes it.
+ * Deleting a wheel or sale only sets deletedAt (ISO timestamp) and deletedBy (user name), moving it to the recycle bin;
+ * it is removed for good only when purged from there.
+ *
+ * All collections are read into memory once at start-up, so load functions are synchronous and cheap.
+ * Loaded records are the cached ones, frozen; editRecord() swaps one for a copy that can be changed and saved.
+ * Save functions update memory immediately and write only the changed records to IndexedDB in the background.
+ * If IndexedDB is unavailable the same collections are kept in the legacy localStorage keys instead.
  */
 
 // ==================== STORAGE FUNCTIONS ====================
 
+const DB_NAME = 'threeWheelShop';
+const DB_VERSION = 5;
+
+/**
+ * Object stores of the record collections
+ * legacyKey is the localStorage key the collection used before IndexedDB; indexes are the fields indexed in IndexedDB
+ */
+const COLLECTIONS = {
+    wheels: { legacyKey: 'threeWheel_items', indexes: ['vehicleNumber'] },
+    sales: { legacyKey: 'threeWheel_sales', indexes: ['wheelId', 'saleDate', 'buyerNIC', 'customerId'] },
+    customers: { legacyKey: 'threeWheel_customers', indexes: ['nicKey'] }
+};
+
+/**
+ * In-memory indexes over the cached collections, used for lookups instead of scanning a whole collection
+ * Each function returns the keys a record is filed under; empty keys are left out.
+ */
+const RECORD_INDEXES = {
+    wheels: {
+        vehicleNumber: wheel => [getIdentifierKey(wheel.vehicleNumber)],
+        chassisNumber: wheel => [getIdentifierKey(wheel.chassisNumber)],
+        engineNumber: wheel => [getIdentifierKey(wheel.engineNumber)]
+    },
+    sales: {
+        wheelId: sale => [sale.wheelId],
+        customerId: sale => [sale.customerId]
+    },
+    customers: {
+        nicKey: customer => [customer.nicKey],
+        mergedNICs: customer => customer.mergedNICs || []
+    }
+};
+
+const LEGACY_META_KEYS = {
+    currentSale: 'threeWheel_currentSale',
+    settings: 'threeWheel_settings'
+};
+
+// Audit log object store, and the localStorage key used for it when IndexedDB is unavailable
+const AUDIT_STORE = 'auditLog';
+const AUDIT_LOG_STORAGE_KEY = 'threeWheel_auditLog';
+
+// Attachment object store, and the localStorage key used for it when IndexedDB is unavailable
+const ATTACHMENT_STORE = 'attachments';
+const ATTACHMENT_STORAGE_KEY = 'threeWheel_attachments';
+
+// Old localStorage keys that are no longer used and are removed on migration
+const OBSOLETE_LEGACY_KEYS = ['threeWheel_adminToggle'];
+
+// In-memory copy of every collection, filled by initStorage()
+const dataCache = { wheels: [], sales: [], customers: [], auditLog: [], meta: {} };
+
+// Serialised form of each record as last written, used to skip unchanged records on save
+const persistedRecords = { wheels: new Map(), sales: new Map(), customers: new Map() };
+
+// In-memory indexes by collection, with the cached array they were built from; a save replaces that array, so they are rebuilt on next use
+const builtIndexes = {};
+
+// Collections whose last localStorage write failed; the next save writes the whole collection again
+const unsavedCollections = new Set();
+
+// Attachments by ID, filled by initStorage(); kept apart from dataCache so their large data URLs are held once and never diffed
+const attachmentCache = new Map();
+
+let database = null;
+
+/**
+ * Open (and create or upgrade) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            [...Object.keys(COLLECTIONS), ATTACHMENT_STORE, AUDIT_STORE].forEach(storeName => {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, { keyPath: 'id' });
+                }
+            });
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            // Add indexes missing from stores created by earlier versions
+            Object.entries(COLLECTIONS).forEach(([storeName, config]) => {
+                const store = request.transaction.objectStore(storeName);
+                config.indexes
+                    .filter(field => !store.indexNames.contains(field))
+                    .forEach(field => store.createIndex(field, field, { unique: false }));
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read every record from an object store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} All records in key order
+ */
+function readAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+        const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a write transaction against one or more object stores
+ * @param {string|Array} storeNames - Store name(s)
+ * @param {Function} work - Receives the transaction and queues requests on it
+ * @returns {Promise} Resolves when the transaction commits
+ */
+function writeTransaction(storeNames, work) {
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeNames, 'readwrite');
+        work(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Report a failed background write
+ * @param {Error} error - Error from IndexedDB
+ */
+function handleStorageError(error) {
+    console.error('Storage error:', error);
+    showAlert('Could not save data to browser storage. Please export a JSON backup before closing the app.');
+}
+
+/**
+ * Load all data into memory; must finish before anything renders
+ * Imports the old localStorage keys into IndexedDB the first time it runs.
+ * @returns {Promise} Resolves when the cache is ready
+ */
+async function initStorage() {
+    if (!window.indexedDB) {
+        loadLegacyStorage();
+        return;
+    }
+
+    try {
+        database = await openDatabase();
+    } catch (error) {
+        console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        loadLegacyStorage();
+        return;
+    }
+
+    for (const storeName of Object.keys(COLLECTIONS)) {
+        dataCache[storeName] = (await readAllRecords(storeName)).map(freezeRecord);
+        persistedRecords[storeName] = new Map(dataCache[storeName].map(record => [record.id, JSON.stringify(record)]));
+    }
+    (await readAllRecords(ATTACHMENT_STORE)).forEach(attachment => attachmentCache.set(attachment.id, attachment));
+    dataCache.auditLog = await readAllRecords(AUDIT_STORE);
+    (await readAllRecords('meta')).forEach(entry => {
+        dataCache.meta[entry.key] = entry.value;
+    });
+
+    if (!dataCache.meta.migratedFromLocalStorage) {
+        await migrateFromLocalStorage();
+    }
+}
+
+/**
+ * One-time copy of the threeWheel_* localStorage keys into IndexedDB
+ * The old keys are removed only after the copy has committed.
+ */
+async function migrateFromLocalStorage() {
+    Object.entries(COLLECTIONS).forEach(([storeName, config]) => {
+        const data = localStorage.getItem(config.legacyKey);
+        if (data && dataCache[storeName].length === 0) {
+            dataCache[storeName] = JSON.parse(data).map(freezeRecord);
+        }
+    });
+    Object.entries(LEGACY_META_KEYS).forEach(([key, legacyKey]) => {
+        const data = localStorage.getItem(legacyKey);
+        if (data !== null && dataCache.meta[key] === undefined) {
+            dataCache.meta[key] = JSON.parse(data);
+        }
+    });
+    const attachments = localStorage.getItem(ATTACHMENT_STORAGE_KEY);
+    const legacyAttachments = attachments && attachmentCache.size === 0 ? JSON.parse(attachments) : [];
+    legacyAttachments.forEach(attachment => attachmentCache.set(attachment.id, attachment));
+    dataCache.meta.migratedFromLocalStorage = true;
+
+    await Promise.all([
+        ...Object.keys(COLLECTIONS).map(storeName => persistCollection(storeName)),
+        ...Object.keys(dataCache.meta).map(key => persistMeta(key)),
+        writeTransaction(ATTACHMENT_STORE, tx => {
+            const store = tx.objectStore(ATTACHMENT_STORE);
+            legacyAttachments.forEach(attachment => store.put(attachment));
+        })
+    ]);
+
+    Object.values(COLLECTIONS).forEach(config => localStorage.removeItem(config.legacyKey));
+    localStorage.removeItem(ATTACHMENT_STORAGE_KEY);
+    Object.values(LEGACY_META_KEYS).forEach(legacyKey => localStorage.removeItem(legacyKey));
+    OBSOLETE_LEGACY_KEYS.forEach(legacyKey => localStorage.removeItem(legacyKey));
+}
+
+/**
+ * Fill the cache from localStorage when IndexedDB cannot be used
+ */
+function loadLegacyStorage() {
+    Object.entries(COLLECTIONS).forEach(([storeName, config]) => {
+        const data = localStorage.getItem(config.legacyKey);
+        dataCache[storeName] = data ? JSON.parse(data).map(freezeRecord) : [];
+        persistedRecords[storeName] = new Map(dataCache[storeName].map(record => [record.id, JSON.stringify(record)]));
+    });
+    const attachments = localStorage.getItem(ATTACHMENT_STORAGE_KEY);
+    (attachments ? JSON.parse(attachments) : []).forEach(attachment => attachmentCache.set(attachment.id, attachment));
+    const auditLog = localStorage.getItem(AUDIT_LOG_STORAGE_KEY);
+    dataCache.auditLog = auditLog ? JSON.parse(auditLog) : [];
+    Object.entries(LEGACY_META_KEYS).forEach(([key, legacyKey]) => {
+        const data = localStorage.getItem(legacyKey);
+        if (data !== null) {
+            dataCache.meta[key] = JSON.parse(data);
+        }
+    });
+}
+
+/**
+ * Write a collection's changed and removed records to storage
+ * @param {string} storeName - Collection name
+ * @param {Array} [candidates] - Records that may have changed (defaults to the whole collection)
+ * @returns {Promise} Resolves when the write commits
+ */
+function persistCollection(storeName, candidates = dataCache[storeName]) {
+    if (unsavedCollections.has(storeName)) {
+        candidates = dataCache[storeName];
+    }
+    const records = dataCache[storeName];
+    const previous = persistedRecords[storeName];
+    const keptIds = new Set(records.map(record => record.id));
+    const next = new Map([...previous].filter(([id]) => keptIds.has(id)));
+    const changed = [];
+
+    candidates.forEach(record => {
+        const json = JSON.stringify(record);
+        next.set(record.id, json);
+        if (previous.get(record.id) !== json) {
+            changed.push(record);
+        }
+    });
+    const removedIds = [...previous.keys()].filter(id => !keptIds.has(id));
+    persistedRecords[storeName] = next;
+
+    if (changed.length === 0 && removedIds.length === 0 && !unsavedCollections.has(storeName)) {
+        return Promise.resolve();
+    }
+
+    if (!database) {
+        try {
+            localStorage.setItem(COLLECTIONS[storeName].legacyKey, JSON.stringify(records));
+        } catch (error) {
+            // Keep the last stored state, so the next save writes these changes again
+            persistedRecords[storeName] = previous;
+            unsavedCollections.add(storeName);
+            return Promise.reject(error);
+        }
+        unsavedCollections.delete(storeName);
+        return Promise.resolve();
+    }
+
+    return writeTransaction(storeName, tx => {
+        const store = tx.objectStore(storeName);
+        changed.forEach(record => store.put(record));
+        removedIds.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Add entries to the audit log
+ * Uses add() rather than put(), so an existing entry can never be overwritten.
+ * @param {Array} entries - Audit entries
+ */
+function appendAuditEntries(entries) {
+    dataCache.auditLog.push(...entries);
+
+    if (!database) {
+        try {
+            localStorage.setItem(AUDIT_LOG_STORAGE_KEY, JSON.stringify(dataCache.auditLog));
+        } catch (error) {
+            handleStorageError(error);
+        }
+        return;
+    }
+
+    writeTransaction(AUDIT_STORE, tx => {
+        const store = tx.objectStore(AUDIT_STORE);
+        entries.forEach(entry => store.add(entry));
+    }).catch(handleStorageError);
+}
+
+/**
+ * Write a single meta value to storage
+ * @param {string} key - Meta key
+ * @returns {Promise} Resolves when the write commits
+ */
+function persistMeta(key) {
+    const value = dataCache.meta[key];
+
+    if (!database) {
+        if (LEGACY_META_KEYS[key]) {
+            try {
+                if (value === undefined) {
+                    localStorage.removeItem(LEGACY_META_KEYS[key]);
+                } else {
+                    localStorage.setItem(LEGACY_META_KEYS[key], JSON.stringify(value));
+                }
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        return Promise.resolve();
+    }
+
+    return writeTransaction('meta', tx => {
+        const store = tx.objectStore('meta');
+        if (value === undefined) {
+            store.delete(key);
+        } else {
+            store.put({ key, value });
+        }
+    });
+}
+
+/**
+ * Set updatedAt on new records and on records whose content changed since they were last saved
+ * A record that arrives with a different updatedAt (e.g. from a backup or migration) keeps it.
+ * @param {string} storeName - Collection name
+ * @param {Array} records - Records that may have changed
+ */
+function stampUpdatedRecords(storeName, records) {
+    const now = new Date().toISOString();
+    const previous = persistedRecords[storeName];
+
+    records.forEach(record => {
+        const previousJson = previous.get(record.id);
+        if (previousJson === undefined) {
+            record.updatedAt = record.updatedAt || now;
+        } else if (previousJson !== JSON.stringify(record) && JSON.parse(previousJson).updatedAt === record.updatedAt) {
+            record.updatedAt = now;
+        }
+    });
+}
+
+/**
+ * Replace a collection in memory and persist it in the background
+ * Only records that are not the cached ones are compared with what was stored.
+ * @param {string} storeName - Collection name
+ * @param {Array} records - Full array of records
+ */
+function saveCollection(storeName, records) {
+    const cached = new Set(dataCache[storeName]);
+    const candidates = records.filter(record => !cached.has(record));
+    const keptIds = new Set(records.map(record => record.id));
+
+    stampUpdatedRecords(storeName, candidates);
+    queueSyncChanges(storeName, candidates, keptIds);
+    recordAuditChanges(storeName, candidates, keptIds);
+    dataCache[storeName] = records.map(freezeRecord);
+    persistCollection(storeName, candidates).catch(handleStorageError);
+}
+
+/**
+ * Freeze a record and everything in it, so a loaded record cannot be changed behind the cache's back
+ * @param {Object} record - Plain record
+ * @returns {Object} The same record, frozen
+ */
+function freezeRecord(record) {
+    if (record && typeof record === 'object' && !Object.isFrozen(record)) {
+        Object.values(record).forEach(freezeRecord);
+        Object.freeze(record);
+    }
+    return record;
+}
+
+/**
+ * Swap a loaded record for a copy that can be changed, in place in its array
+ * @param {Array} records - Array from a load function
+ * @param {string} id - Record ID
+ * @returns {Object|undefined} The copy, or undefined if the array has no such record
+ */
+function editRecord(records, id) {
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return undefined;
+    if (Object.isFrozen(records[index])) {
+        records[index] = JSON.parse(JSON.stringify(records[index]));
+    }
+    return records[index];
+}
+
+/**
+ * Find cached records through an in-memory index
+ * The index is built on first use after the collection last changed, so repeated lookups do not scan the collection.
+ * @param {string} storeName - Collection name
+ * @param {string} indexName - Index name in RECORD_INDEXES
+ * @param {string} key - Key to look up
+ * @returns {Array} Matching records, frozen as from the load functions
+ */
+function findIndexedRecords(storeName, indexName, key) {
+    if (!builtIndexes[storeName] || builtIndexes[storeName].records !== dataCache[storeName]) {
+        builtIndexes[storeName] = { records: dataCache[storeName], indexes: {} };
+    }
+    const built = builtIndexes[storeName];
+    if (!built.indexes[indexName]) {
+        const index = new Map();
+        built.records.forEach(record => {
+            RECORD_INDEXES[storeName][indexName](record).filter(Boolean).forEach(recordKey => {
+                if (!index.has(recordKey)) index.set(recordKey, []);
+                index.get(recordKey).push(record);
+            });
+        });
+        built.indexes[indexName] = index;
+    }
+    return key ? [...(built.indexes[indexName].get(key) || [])] : [];
+}
+
+/**
+ * Find the active sale of a wheel
+ * @param {string} wheelId - Wheel ID
+ * @returns {Object|undefined} The wheel's sale that is neither voided nor in the recycle bin
+ */
+function findActiveSale(wheelId) {
+    return findIndexedRecords('sales', 'wheelId', wheelId).find(isActiveSale);
+}
+
 /**
- * Load wheels from localStorage
+ * Load wheels
+ * The records are frozen; change one through editRecord() and save the array.
  * @returns {Array} Array of wheel objects
  */
 function loadWheels() {
-    const data = localStorage.getItem('threeWheel_items');
-    return data ? JSON.parse(data) : [];
+    return dataCache.wheels.slice();
 }
 
 /**
- * Save wheels to localStorage
+ * Save wheels
  * @param {Array} wheels - Array of wheel objects
  */
 function saveWheels(wheels) {
-    localStorage.setItem('threeWheel_items', JSON.stringify(wheels));
+    saveCollection('wheels', wheels);
 }
 
 /**
- * Load sales from localStorage
+ * Load sales
+ * The records are frozen; change one through editRecord() and save the array.
  * @returns {Array} Array of sale objects
  */
 function loadSales() {
-    const data = localStorage.getItem('threeWheel_sales');
-    return data ? JSON.parse(data) : [];
+    return dataCache.sales.slice();
 }
 
 /**
- * Save sales to localStorage
+ * Save sales
  * @param {Array} sales - Array of sale objects
  */
 function saveSales(sales) {
-    localStorage.setItem('threeWheel_sales', JSON.stringify(sales));
+    saveCollection('sales', sales);
+}
+
+/**
+ * Load customers
+ * The records are frozen; change one through editRecord() and save the array.
+ * @returns {Array} Array of customer objects
+ */
+function loadCustomers() {
+    return dataCache.customers.slice();
+}
+
+/**
+ * Save customers
+ * @param {Array} customers - Array of customer objects
+ */
+function saveCustomers(customers) {
+    saveCollection('customers', customers);
+}
+
+/**
+ * Load photo and document attachments
+ * Returns copies; save after changing them.
+ * @returns {Array} Array of attachment objects
+ */
+function loadAttachments() {
+    return [...attachmentCache.values()].map(attachment => ({ ...attachment }));
+}
+
+/**
+ * Add or replace attachments and remove others, writing only those records
+ * If the write fails the cache is put back as it was and the error is reported.
+ * @param {Array} attachments - Attachment objects to add or replace
+ * @param {Array} removedIds - IDs of attachments to remove
+ * @returns {Promise<boolean>} True once stored, false if storage failed
+ */
+function saveAttachments(attachments, removedIds = []) {
+    const ids = [...attachments.map(attachment => attachment.id), ...removedIds];
+    const previous = new Map(ids.map(id => [id, attachmentCache.get(id)]));
+    attachments.forEach(attachment => attachmentCache.set(attachment.id, { ...attachment }));
+    removedIds.forEach(id => attachmentCache.delete(id));
+
+    const rollBack = error => {
+        previous.forEach((attachment, id) => {
+            if (attachment) {
+                attachmentCache.set(id, attachment);
+            } else {
+                attachmentCache.delete(id);
+            }
+        });
+        handleStorageError(error);
+        return false;
+    };
+
+    if (!database) {
+        try {
+            localStorage.setItem(ATTACHMENT_STORAGE_KEY, JSON.stringify([...attachmentCache.values()]));
+        } catch (error) {
+            return Promise.resolve(rollBack(error));
+        }
+        return Promise.resolve(true);
+    }
+
+    return writeTransaction(ATTACHMENT_STORE, tx => {
+        const store = tx.objectStore(ATTACHMENT_STORE);
+        attachments.forEach(attachment => store.put(attachment));
+        removedIds.forEach(id => store.delete(id));
+    }).then(() => true, rollBack);
+}
+
+/**
+ * Replace every attachment
+ * @param {Array} attachments - Attachment objects to keep
+ * @returns {Promise<boolean>} True once stored, false if storage failed
+ */
+function replaceAttachments(attachments) {
+    const keptIds = new Set(attachments.map(attachment => attachment.id));
+    return saveAttachments(attachments, [...attachmentCache.keys()].filter(id => !keptIds.has(id)));
+}
+
+/**
+ * Get a meta value
+ * @param {string} key - Meta key
+ * @returns {*} Stored value, or undefined
+ */
+function loadMeta(key) {
+    return dataCache.meta[key];
+}
+
+/**
+ * Set a meta value (undefined removes it)
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ */
+function saveMeta(key, value) {
+    if (value === undefined) {
+        delete dataCache.meta[key];
+    } else {
+        dataCache.meta[key] = value;
+    }
+    persistMeta(key).catch(handleStorageError);
+}
+
+/**
+ * Load the audit log
+ * @returns {Array} Audit entries in the order they were added
+ */
+function loadAuditLog() {
+    return dataCache.auditLog.slice();
+}
+
+/**
+ * Load local user accounts
+ * @returns {Array} Array of user objects
+ */
+function loadUsers() {
+    return (loadMeta('users') || []).slice();
+}
+
+/**
+ * Save local user accounts
+ * @param {Array} users - Array of user objects
+ */
+function saveUsers(users) {
+    saveMeta('users', users);
 }
 
 /**
- * Get admin toggle state from localStorage
- * @returns {boolean} Admin toggle state
+ * Get the sale currently selected for bill generation
+ * @returns {Object|null} Sale object
  */
-function getAdminToggle() {
-    const state = localStorage.getItem('threeWheel_adminToggle');
-    return state === 'true';
+function loadCurrentSale() {
+    return loadMeta('currentSale') || null;
 }
 
 /**
- * Save admin toggle state to localStorage
- * @param {boolean} state - Admin toggle state
+ * Select a sale for bill generation
+ * @param {Object} sale - Sale object
  */
-function saveAdminToggle(state) {
-    localStorage.setItem('threeWheel_adminToggle', state.toString());
+function saveCurrentSale(sale) {
+    saveMeta('currentSale', sale);
 }
 
 /**
@@ -71,51 +686,126 @@ function seedDemoData() {
     const wheels = [
         {
             id: 'wheel_' + Date.now() + '_1',
+            makeId: 'make_bajaj',
+            modelId: 'model_bajaj_auto_rickshaw',
             model: 'Bajaj Auto Rickshaw',
+            variant: '',
+            fuelType: 'cng',
             year: 2022,
             vehicleNumber: 'ABC-1234',
             color: 'Red',
             chassisNumber: 'CH123456789',
             engineNumber: 'EN987654321',
+            mileage: 18500,
+            conditionGrade: 'B',
+            ownerCount: 1,
+            registrationExpiry: '2025-01-14',
+            insuranceExpiry: '2024-12-31',
             notes: 'Good condition, low mileage',
             purchasePrice: 85000,
-            addedDate: '2024-01-15'
+            askingPrice: 98000,
+            floorPrice: 92000,
+            addedDate: '2024-01-15',
+            acquisitionType: 'Purchase',
+            supplier: { name: 'Rashid Traders', phone: '0321-5550101', nic: '', address: 'Saddar, Karachi' },
+            tradeInSaleId: null,
+            expenses: [
+                { id: 'expense_' + Date.now() + '_1', date: '2024-01-18', category: 'Repairs', description: 'Brake shoes and clutch cable', amount: 3500 },
+                { id: 'expense_' + Date.now() + '_2', date: '2024-01-25', category: 'Registration Transfer', description: 'Transfer fee', amount: 1500 }
+            ],
+            deletedAt: null,
+            deletedBy: ''
         },
         {
             id: 'wheel_' + Date.now() + '_2',
+            makeId: 'make_mahindra',
+            modelId: 'model_mahindra_alfa',
             model: 'Mahindra Alfa',
+            variant: 'Passenger',
+            fuelType: 'diesel',
             year: 2023,
             vehicleNumber: 'XYZ-5678',
             color: 'Blue',
             chassisNumber: 'CH987654321',
             engineNumber: 'EN123456789',
+            mileage: 2400,
+            conditionGrade: 'A',
+            ownerCount: 1,
+            registrationExpiry: '2028-02-09',
+            insuranceExpiry: '2025-02-09',
             notes: 'New model, excellent condition',
             purchasePrice: 92000,
-            addedDate: '2024-02-10'
+            askingPrice: 108000,
+            floorPrice: 100000,
+            addedDate: '2024-02-10',
+            acquisitionType: 'Purchase',
+            supplier: { name: 'Mahindra Dealer', phone: '', nic: '', address: '' },
+            tradeInSaleId: null,
+            expenses: [
+                { id: 'expense_' + Date.now() + '_3', date: '2024-03-15', category: 'Commission', description: 'Agent commission', amount: 2000 }
+            ],
+            deletedAt: null,
+            deletedBy: ''
         },
         {
             id: 'wheel_' + Date.now() + '_3',
+            makeId: 'make_piaggio',
+            modelId: 'model_piaggio_ape',
             model: 'Piaggio Ape',
+            variant: 'City',
+            fuelType: 'petrol',
             year: 2021,
             vehicleNumber: 'DEF-9012',
             color: 'White',
             chassisNumber: 'CH456789123',
             engineNumber: 'EN789123456',
+            mileage: 46200,
+            conditionGrade: 'C',
+            ownerCount: 2,
+            registrationExpiry: '2024-06-30',
+            insuranceExpiry: '',
             notes: 'Used, needs minor repairs',
             purchasePrice: 75000,
-            addedDate: '2024-03-05'
+            askingPrice: 92000,
+            floorPrice: 84000,
+            addedDate: '2024-03-05',
+            acquisitionType: 'Purchase',
+            supplier: { name: 'Imran Siddiqui', phone: '0333-4445566', nic: '42201-5556667-3', address: 'Gulshan, Karachi' },
+            tradeInSaleId: null,
+            expenses: [
+                { id: 'expense_' + Date.now() + '_4', date: '2024-03-10', category: 'Painting', description: 'Full respray', amount: 6000 }
+            ],
+            deletedAt: null,
+            deletedBy: ''
         },
         {
             id: 'wheel_' + Date.now() + '_4',
+            makeId: 'make_tvs',
+            modelId: 'model_tvs_king',
             model: 'TVS King',
+            variant: 'Deluxe',
+            fuelType: 'petrol',
             year: 2023,
             vehicleNumber: 'GHI-3456',
             color: 'Black',
             chassisNumber: 'CH789123456',
             engineNumber: 'EN456789123',
+            mileage: 120,
+            conditionGrade: 'A',
+            ownerCount: 0,
+            registrationExpiry: '2028-03-19',
+            insuranceExpiry: '2025-03-19',
             notes: 'Brand new, showroom condition',
             purchasePrice: 98000,
-            addedDate: '2024-03-20'
+            askingPrice: 112000,
+            floorPrice: 104000,
+            addedDate: '2024-03-20',
+            acquisitionType: 'Purchase',
+            supplier: { name: 'TVS Dealer', phone: '', nic: '', address: '' },
+            tradeInSaleId: null,
+            expenses: [],
+            deletedAt: null,
+            deletedBy: ''
         }
     ];
 
@@ -130,7 +820,23 @@ function seedDemoData() {
             buyerAddress: '123 Main Street, Karachi',
             buyerNIC: '42101-1234567-1',
             buyerPhone: '0300-1234567',
-            saleNotes: 'Sold to regular customer'
+            saleNotes: 'Sold to regular customer',
+            finance: null,
+            payments: [
+                { id: 'payment_' + Date.now() + '_1', date: '2024-02-01', amount: 60000, method: 'Cash', reference: '' },
+                { id: 'payment_' + Date.now() + '_2', date: '2024-02-20', amount: 35000, method: 'Bank Transfer', reference: 'TRF-88213' }
+            ],
+            balanceDueDate: '2024-03-01',
+            tradeInWheelId: null,
+            soldByUserId: null,
+            soldByName: '',
+            priceApproval: null,
+            invoiceNumber: 'INV-00001',
+            taxLines: [],
+            transfer: { status: 'completed', completedDate: '2024-02-20', reference: 'MT-2024-1187', recordedBy: '' },
+            reversal: null,
+            deletedAt: null,
+            deletedBy: ''
         },
         {
             id: 'sale_' + Date.now() + '_2',
@@ -142,12 +848,40 @@ function seedDemoData() {
             buyerAddress: '456 Park Avenue, Lahore',
             buyerNIC: '35202-9876543-2',
             buyerPhone: '0312-9876543',
-            saleNotes: 'Quick sale, finance approved'
+            saleNotes: 'Quick sale, finance approved',
+            finance: buildFinanceDetails({
+                company: 'City Leasing Ltd',
+                downPayment: 30000,
+                termMonths: 24,
+                annualRate: 18,
+                agreementNumber: 'CL-2024-0315'
+            }, 105000, '2024-03-15'),
+            payments: [
+                { id: 'payment_' + Date.now() + '_3', date: '2024-03-15', amount: 20000, method: 'Cash', reference: '' }
+            ],
+            balanceDueDate: '2024-04-15',
+            tradeInWheelId: null,
+            soldByUserId: null,
+            soldByName: '',
+            priceApproval: null,
+            invoiceNumber: 'INV-00002',
+            taxLines: [],
+            transfer: { status: 'pending', completedDate: '', reference: '', recordedBy: '' },
+            reversal: null,
+            deletedAt: null,
+            deletedBy: ''
         }
     ];
 
+    const customers = [];
+    sales.forEach(sale => {
+        sale.customerId = upsertCustomer(customers, sale, sale.saleDate).id;
+    });
+
     saveWheels(wheels);
     saveSales(sales);
+    saveCustomers(customers);
+    saveMeta('schemaVersion', SCHEMA_VERSION);
 }
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -161,23 +895,139 @@ function generateId(prefix = 'item') {
 }
 
 /**
- * Format currency
+ * Escape text for use inside HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format currency with the currency symbol and locale from the settings
  * @param {number} amount - Amount to format
  * @returns {string} Formatted currency string
  */
 function formatCurrency(amount) {
-    return 'Rs. ' + amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const { currencySymbol, locale } = getSettings();
+    const number = amount.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return currencySymbol ? `${currencySymbol} ${number}` : number;
 }
 
 /**
- * Format date for display
- * @param {string} dateString - Date string
+ * Format date for display using the date format from the settings
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} [dateFormat] - Format to use instead of the saved one, e.g. 'DD/MM/YYYY'
  * @returns {string} Formatted date
  */
-function formatDate(dateString) {
+function formatDate(dateString, dateFormat) {
     if (!dateString) return '';
-    const date = new Date(dateString + 'T00:00:00');
-    return date.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+    const settings = getSettings();
+    const [year, month, day] = dateString.slice(0, 10).split('-');
+    const monthName = style => new Date(`${year}-${month}-${day}T00:00:00`).toLocaleDateString(settings.locale, { month: style });
+    const parts = {
+        YYYY: () => year,
+        MMMM: () => monthName('long'),
+        MMM: () => monthName('short'),
+        MM: () => month,
+        DD: () => day,
+        D: () => String(Number(day))
+    };
+    return (dateFormat || settings.dateFormat).replace(/YYYY|MMMM|MMM|MM|DD|D/g, token => parts[token]());
+}
+
+/**
+ * Round an amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} months - Number of months to add
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+function addMonths(dateString, months) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    const result = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+    return result.toISOString().split('T')[0];
+}
+
+/**
+ * Count the days from one date to another
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {number} Whole days, negative if toDate is earlier
+ */
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Reduce text to a form that matches however it was typed
+ * Case, spaces and separators are ignored, so "abc 1234" finds "ABC-1234".
+ * @param {*} value - Text to normalise
+ * @returns {string} Lowercase text without spaces, hyphens, slashes or dots
+ */
+function normalizeSearchText(value) {
+    return String(value === null || value === undefined ? '' : value).toLowerCase().replace(/[\s\-/.]+/g, '');
+}
+
+/**
+ * Check whether every word of a search query appears in any of the given fields
+ * @param {Array} fields - Values to search in
+ * @param {string} query - Search box text
+ * @returns {boolean} True if the record matches (always true for an empty query)
+ */
+function matchesSearch(fields, query) {
+    const haystack = fields.map(normalizeSearchText).join('|');
+    return query.split(/\s+/).map(normalizeSearchText).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Cut a list into pages
+ * @param {Array} items - Full list
+ * @param {number} page - Requested page (1-based); clamped to the pages that exist
+ * @param {number} pageSize - Items per page
+ * @returns {Object} {items, page, pageCount, total, first, last} where first/last are 1-based positions shown
+ */
+function paginate(items, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const start = (current - 1) * pageSize;
+    const pageItems = items.slice(start, start + pageSize);
+    return {
+        items: pageItems,
+        page: current,
+        pageCount,
+        total: items.length,
+        first: pageItems.length > 0 ? start + 1 : 0,
+        last: start + pageItems.length
+    };
+}
+
+/**
+ * Render previous/next page controls for a list
+ * @param {string} list - Key of listPages
+ * @param {Object} pageInfo - Result of paginate()
+ * @returns {string} HTML, empty when everything fits on one page
+ */
+function renderPagination(list, pageInfo) {
+    if (pageInfo.pageCount <= 1) return '';
+    return `
+        <button type="button" class="secondary" onclick="goToListPage('${list}', ${pageInfo.page - 1})" ${pageInfo.page === 1 ? 'disabled' : ''}>&laquo; Previous</button>
+        <span>Page ${pageInfo.page} of ${pageInfo.pageCount}</span>
+        <button type="button" class="secondary" onclick="goToListPage('${list}', ${pageInfo.page + 1})" ${pageInfo.page === pageInfo.pageCount ? 'disabled' : ''}>Next &raquo;</button>
+    `;
 }
 
 /**
@@ -206,812 +1056,9822 @@ function showAlert(message) {
     alert(message);
 }
 
-// ==================== WHEEL MANAGEMENT ====================
+// ==================== VEHICLE CATALOGUE ====================
 
-let editingWheelId = null;
+const FUEL_TYPES = {
+    petrol: 'Petrol',
+    diesel: 'Diesel',
+    cng: 'CNG',
+    lpg: 'LPG',
+    electric: 'Electric'
+};
+
+const CONDITION_GRADES = {
+    A: 'A - Excellent',
+    B: 'B - Good',
+    C: 'C - Fair',
+    D: 'D - Needs work'
+};
+
+// Registration or insurance expiring within this many days is flagged in the inventory and reports
+const EXPIRY_WARNING_DAYS = 30;
 
 /**
- * Get available wheels (not sold)
- * @returns {Array} Array of available wheel objects
+ * Makes and models offered until the owner edits the catalogue
+ * Makes: {id, name, models}; models: {id, name, variants (Array of names), fuelTypes (keys of FUEL_TYPES)}
  */
-function getAvailableWheels() {
-    const wheels = loadWheels();
-    const sales = loadSales();
-    const soldWheelIds = new Set(sales.map(sale => sale.wheelId));
-    return wheels.filter(wheel => !soldWheelIds.has(wheel.id));
-}
+const DEFAULT_CATALOGUE = [
+    {
+        id: 'make_bajaj',
+        name: 'Bajaj',
+        models: [
+            { id: 'model_bajaj_auto_rickshaw', name: 'Auto Rickshaw', variants: [], fuelTypes: ['petrol', 'cng', 'lpg'] },
+            { id: 'model_bajaj_re', name: 'RE', variants: ['Compact 2S', 'Compact 4S'], fuelTypes: ['petrol', 'cng', 'lpg', 'diesel'] },
+            { id: 'model_bajaj_maxima', name: 'Maxima', variants: ['Cargo', 'Passenger'], fuelTypes: ['diesel', 'cng'] }
+        ]
+    },
+    {
+        id: 'make_mahindra',
+        name: 'Mahindra',
+        models: [
+            { id: 'model_mahindra_alfa', name: 'Alfa', variants: ['Load', 'Passenger'], fuelTypes: ['diesel'] },
+            { id: 'model_mahindra_treo', name: 'Treo', variants: [], fuelTypes: ['electric'] }
+        ]
+    },
+    {
+        id: 'make_piaggio',
+        name: 'Piaggio',
+        models: [
+            { id: 'model_piaggio_ape', name: 'Ape', variants: ['City', 'Xtra LDX'], fuelTypes: ['petrol', 'diesel', 'cng', 'lpg'] }
+        ]
+    },
+    {
+        id: 'make_tvs',
+        name: 'TVS',
+        models: [
+            { id: 'model_tvs_king', name: 'King', variants: ['Deluxe', 'Duramax'], fuelTypes: ['petrol', 'cng', 'lpg'] }
+        ]
+    }
+];
+
+// Catalogue model being edited in the catalogue form, or null when adding
+let editingCatalogueModelId = null;
 
 /**
- * Get sold wheel IDs
- * @returns {Set} Set of sold wheel IDs
+ * Get the vehicle catalogue
+ * @returns {Array} Makes with their models
  */
-function getSoldWheelIds() {
-    const sales = loadSales();
-    return new Set(sales.map(sale => sale.wheelId));
+function getCatalogue() {
+    return JSON.parse(JSON.stringify(loadMeta('catalogue') || DEFAULT_CATALOGUE));
 }
 
 /**
- * Render wheels list
+ * Save the vehicle catalogue
+ * @param {Array} catalogue - Makes with their models
  */
-function renderWheels() {
-    const wheels = loadWheels();
-    const container = document.getElementById('wheelsContainer');
-    const soldIds = getSoldWheelIds();
+function saveCatalogue(catalogue) {
+    saveMeta('catalogue', catalogue);
+}
 
-    if (wheels.length === 0) {
-        container.innerHTML = '<div class="empty-state">No wheels in inventory</div>';
-        return;
-    }
+/**
+ * Find a model and its make in the catalogue
+ * @param {Array} catalogue - Makes with their models
+ * @param {string} modelId - Catalogue model ID
+ * @returns {Object|null} {make, model}
+ */
+function findCatalogueModel(catalogue, modelId) {
+    const make = catalogue.find(m => m.models.some(model => model.id === modelId));
+    return make ? { make, model: make.models.find(model => model.id === modelId) } : null;
+}
 
-    container.innerHTML = wheels.map(wheel => {
-        const isSold = soldIds.has(wheel.id);
-        return `
-            <div class="wheel-item ${isSold ? 'sold' : ''}">
-                <div class="wheel-info">
-                    <strong>${wheel.model}</strong>
-                    <div>Year: ${wheel.year} | Color: ${wheel.color || 'N/A'} | Vehicle No: ${wheel.vehicleNumber || 'N/A'}</div>
-                    <div>Chassis: ${wheel.chassisNumber || 'N/A'} | Engine: ${wheel.engineNumber || 'N/A'}</div>
-                    <div>Added: ${formatDate(wheel.addedDate)}</div>
-                    ${wheel.notes ? `<div>Notes: ${wheel.notes}</div>` : ''}
-                    ${isSold ? '<div style="color: #e74c3c; font-weight: bold;">SOLD</div>' : ''}
-                </div>
-                <div class="wheel-actions">
-                    ${!isSold ? `<button onclick="editWheel('${wheel.id}')" class="secondary">Edit</button>` : ''}
-                    <button onclick="deleteWheel('${wheel.id}')" class="danger">Delete</button>
-                </div>
-            </div>
-        `;
-    }).join('');
+/**
+ * Find the catalogue model a free-text model name refers to, e.g. "bajaj re" or "TVS King Deluxe"
+ * The text must start with the make and contain the model name as whole words.
+ * @param {Array} catalogue - Makes with their models
+ * @param {string} text - Model name as typed before the catalogue existed
+ * @returns {Object|null} {make, model, variant} where variant is a catalogue variant named in the text, or ''
+ */
+function matchCatalogueModel(catalogue, text) {
+    const tidy = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const words = tidy(text);
+    const make = catalogue.find(m => `${words} `.startsWith(`${tidy(m.name)} `));
+    if (!make) return null;
+
+    const rest = ` ${words.slice(tidy(make.name).length).trim()} `;
+    // Longest name first, so "Ape City" is not taken for "Ape"
+    const model = [...make.models]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(m => rest.includes(` ${tidy(m.name)} `));
+    if (!model) return null;
+
+    const variant = model.variants.find(v => rest.includes(` ${tidy(v)} `)) || '';
+    return { make, model, variant };
 }
 
 /**
- * Reset wheel form
+ * Name shown for a catalogue model, and stored as the wheel's model
+ * @param {Object} make - Catalogue make
+ * @param {Object} model - Catalogue model
+ * @returns {string} e.g. "TVS King"
  */
-function resetWheelForm() {
-    document.getElementById('wheelForm').reset();
-    document.getElementById('wheelId').value = '';
-    document.getElementById('saveWheelBtn').textContent = 'Add Wheel';
-    document.getElementById('cancelWheelBtn').style.display = 'none';
-    editingWheelId = null;
+function getCatalogueModelName(make, model) {
+    return `${make.name} ${model.name}`;
 }
 
 /**
- * Edit wheel
- * @param {string} wheelId - Wheel ID to edit
+ * Describe a wheel's make, model and variant
+ * @param {Object} wheel - Wheel object
+ * @returns {string} e.g. "TVS King Deluxe (Petrol)"
  */
-function editWheel(wheelId) {
-    const wheels = loadWheels();
-    const wheel = wheels.find(w => w.id === wheelId);
-    
-    if (!wheel) {
-        showAlert('Wheel not found');
-        return;
-    }
+function getWheelDescription(wheel) {
+    const name = [wheel.model, wheel.variant].filter(Boolean).join(' ');
+    return wheel.fuelType ? `${name} (${FUEL_TYPES[wheel.fuelType]})` : name;
+}
 
-    editingWheelId = wheelId;
-    document.getElementById('wheelId').value = wheelId;
-    document.getElementById('model').value = wheel.model;
-    document.getElementById('year').value = wheel.year;
-    document.getElementById('vehicleNumber').value = wheel.vehicleNumber || '';
-    document.getElementById('color').value = wheel.color || '';
-    document.getElementById('chassisNumber').value = wheel.chassisNumber || '';
-    document.getElementById('engineNumber').value = wheel.engineNumber || '';
-    document.getElementById('purchasePrice').value = wheel.purchasePrice;
-    document.getElementById('notes').value = wheel.notes || '';
-    document.getElementById('saveWheelBtn').textContent = 'Update Wheel';
-    document.getElementById('cancelWheelBtn').style.display = 'inline-block';
-    
-    // Scroll to form
-    document.querySelector('.wheel-management').scrollIntoView({ behavior: 'smooth', block: 'start' });
+/**
+ * Format an odometer reading with the locale from the settings
+ * @param {number|null} mileage - Kilometres, or null if not recorded
+ * @returns {string} e.g. "45,000 km", or '' if not recorded
+ */
+function formatMileage(mileage) {
+    if (mileage === null || mileage === undefined) return '';
+    return `${mileage.toLocaleString(getSettings().locale)} km`;
 }
 
 /**
- * Delete wheel
- * @param {string} wheelId - Wheel ID to delete
+ * Describe how soon a registration or insurance date runs out
+ * @param {string} date - Expiry date (YYYY-MM-DD), or ''
+ * @returns {Object|null} {status, label} with status 'expired' or 'soon', or null if not due within EXPIRY_WARNING_DAYS
  */
-function deleteWheel(wheelId) {
-    if (!confirmAction('Are you sure you want to delete this wheel? This action cannot be undone.')) {
-        return;
-    }
+function getExpiryStatus(date) {
+    if (!date) return null;
+    const days = daysBetween(getTodayDate(), date);
+    if (days < 0) return { status: 'expired', label: `expired ${formatDate(date)}` };
+    if (days <= EXPIRY_WARNING_DAYS) return { status: 'soon', label: `expires ${formatDate(date)}` };
+    return null;
+}
 
-    const wheels = loadWheels();
-    const sales = loadSales();
-    
-    // Check if wheel has been sold
-    const hasSale = sales.some(sale => sale.wheelId === wheelId);
-    if (hasSale) {
-        if (!confirmAction('This wheel has been sold. Deleting it will also remove the sale record. Continue?')) {
-            return;
-        }
-        // Remove associated sales
-        const filteredSales = sales.filter(sale => sale.wheelId !== wheelId);
-        saveSales(filteredSales);
-    }
+/**
+ * Fill a make dropdown from the catalogue and cascade to its model, variant and fuel dropdowns
+ * @param {string} prefix - Element ID prefix: 'wheel' for the wheel form, 'tradeIn' for the trade-in fields
+ * @param {Object} selected - {makeId, modelId, variant, fuelType} to select
+ */
+function fillCatalogueSelects(prefix, selected = {}) {
+    const catalogue = getCatalogue();
+    const match = findCatalogueModel(catalogue, selected.modelId);
+    const makeSelect = document.getElementById(`${prefix}Make`);
 
-    const filteredWheels = wheels.filter(w => w.id !== wheelId);
-    saveWheels(filteredWheels);
-    
-    renderWheels();
-    renderSales();
-    updateWheelSelect();
-    renderReport();
-    showAlert('Wheel deleted successfully');
+    makeSelect.innerHTML = '<option value="">Select make</option>' + catalogue.map(make => `
+        <option value="${make.id}">${escapeHTML(make.name)}</option>
+    `).join('');
+    makeSelect.value = match ? match.make.id : (selected.makeId || '');
+    updateCatalogueModelOptions(prefix, selected);
 }
 
 /**
- * Handle wheel form submission
+ * Offer the models of the chosen make
+ * @param {string} prefix - Element ID prefix
+ * @param {Object} selected - {modelId, variant, fuelType} to select
  */
-function handleWheelSubmit(e) {
-    e.preventDefault();
-
-    const wheelId = document.getElementById('wheelId').value;
-    const model = document.getElementById('model').value.trim();
-    const year = parseInt(document.getElementById('year').value);
-    const vehicleNumber = document.getElementById('vehicleNumber').value.trim();
-    const color = document.getElementById('color').value.trim();
-    const chassisNumber = document.getElementById('chassisNumber').value.trim();
-    const engineNumber = document.getElementById('engineNumber').value.trim();
-    const purchasePrice = parseFloat(document.getElementById('purchasePrice').value);
-    const notes = document.getElementById('notes').value.trim();
+function updateCatalogueModelOptions(prefix, selected = {}) {
+    const make = getCatalogue().find(m => m.id === document.getElementById(`${prefix}Make`).value);
+    const modelSelect = document.getElementById(`${prefix}Model`);
 
-    // Validation
-    if (!model) {
-        showAlert('Model is required');
-        return;
-    }
+    modelSelect.innerHTML = '<option value="">Select model</option>' + (make ? make.models : []).map(model => `
+        <option value="${model.id}">${escapeHTML(model.name)}</option>
+    `).join('');
+    modelSelect.value = selected.modelId && make && make.models.some(m => m.id === selected.modelId) ? selected.modelId : '';
+    updateCatalogueVariantOptions(prefix, selected);
+}
 
-    if (isNaN(year) || year < 1900 || year > 2100) {
-        showAlert('Please enter a valid year');
-        return;
-    }
+/**
+ * Offer the variants and fuel types of the chosen model
+ * A wheel's saved variant or fuel type stays selectable even if the catalogue no longer lists it.
+ * @param {string} prefix - Element ID prefix
+ * @param {Object} selected - {variant, fuelType} to select
+ */
+function updateCatalogueVariantOptions(prefix, selected = {}) {
+    const match = findCatalogueModel(getCatalogue(), document.getElementById(`${prefix}Model`).value);
+    const variants = match ? [...match.model.variants] : [];
+    const fuelTypes = match ? [...match.model.fuelTypes] : Object.keys(FUEL_TYPES);
+    if (selected.variant && !variants.includes(selected.variant)) variants.push(selected.variant);
+    if (selected.fuelType && !fuelTypes.includes(selected.fuelType)) fuelTypes.push(selected.fuelType);
 
-    if (!vehicleNumber) {
-        showAlert('Vehicle Number is required');
-        return;
-    }
+    const variantSelect = document.getElementById(`${prefix}Variant`);
+    variantSelect.innerHTML = '<option value="">Standard</option>' + variants.map(variant => `
+        <option value="${escapeHTML(variant)}">${escapeHTML(variant)}</option>
+    `).join('');
+    variantSelect.value = selected.variant || '';
 
-    if (!color) {
-        showAlert('Color is required');
-        return;
-    }
+    const fuelSelect = document.getElementById(`${prefix}FuelType`);
+    fuelSelect.innerHTML = fuelTypes.map(key => `<option value="${key}">${FUEL_TYPES[key]}</option>`).join('');
+    fuelSelect.value = selected.fuelType || fuelTypes[0] || '';
+}
 
-    if (!chassisNumber) {
-        showAlert('Chassis Number is required');
-        return;
-    }
+/**
+ * Read the make, model, variant and fuel type chosen in a form
+ * @param {string} prefix - Element ID prefix
+ * @returns {Object|null} {makeId, modelId, model, variant, fuelType}, or null if no model is chosen
+ */
+function readCatalogueChoice(prefix) {
+    const match = findCatalogueModel(getCatalogue(), document.getElementById(`${prefix}Model`).value);
+    if (!match) return null;
+    return {
+        makeId: match.make.id,
+        modelId: match.model.id,
+        model: getCatalogueModelName(match.make, match.model),
+        variant: document.getElementById(`${prefix}Variant`).value,
+        fuelType: document.getElementById(`${prefix}FuelType`).value
+    };
+}
 
-    if (!engineNumber) {
-        showAlert('Engine Number is required');
-        return;
-    }
+/**
+ * Fill the make filters of the inventory list and the sales report, keeping the current choice
+ */
+function fillMakeFilters() {
+    const options = '<option value="">All</option>' + getCatalogue().map(make => `
+        <option value="${make.id}">${escapeHTML(make.name)}</option>
+    `).join('');
+    ['inventoryMake', 'reportMake'].forEach(id => {
+        const select = document.getElementById(id);
+        const current = select.value;
+        select.innerHTML = options;
+        select.value = [...select.options].some(option => option.value === current) ? current : '';
+    });
+}
 
-    if (isNaN(purchasePrice) || purchasePrice <= 0) {
-        showAlert('Purchase price must be greater than 0');
-        return;
-    }
+/**
+ * Refresh every make and model dropdown after the catalogue changes
+ */
+function renderCatalogueChoices() {
+    fillCatalogueSelects('wheel');
+    fillCatalogueSelects('tradeIn');
+    fillMakeFilters();
+}
 
+/**
+ * Render the catalogue editor in the settings page
+ */
+function renderCatalogue() {
+    const catalogue = getCatalogue();
     const wheels = loadWheels();
+    const tbody = document.getElementById('catalogueBody');
 
-    if (wheelId && editingWheelId) {
-        // Update existing wheel
-        const index = wheels.findIndex(w => w.id === wheelId);
-        if (index !== -1) {
-            wheels[index] = {
-                ...wheels[index],
-                model,
-                year,
-                vehicleNumber,
-                color,
-                chassisNumber,
-                engineNumber,
-                purchasePrice,
-                notes
-            };
-            saveWheels(wheels);
-            showAlert('Wheel updated successfully');
-        }
+    const rows = catalogue.flatMap(make => make.models.map(model => ({ make, model })));
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px; color: #999;">No models in the catalogue</td></tr>';
     } else {
-        // Add new wheel
-        const newWheel = {
-            id: generateId('wheel'),
-            model,
-            year,
-            vehicleNumber,
-            color,
-            chassisNumber,
-            engineNumber,
-            notes,
-            purchasePrice,
-            addedDate: getTodayDate()
-        };
-        wheels.push(newWheel);
-        saveWheels(wheels);
-        showAlert('Wheel added successfully');
+        tbody.innerHTML = rows.map(({ make, model }) => `
+            <tr>
+                <td>${escapeHTML(make.name)}</td>
+                <td>${escapeHTML(model.name)}</td>
+                <td>${model.variants.map(escapeHTML).join(', ') || '-'}</td>
+                <td>${model.fuelTypes.map(key => FUEL_TYPES[key]).join(', ')}</td>
+                <td>${wheels.filter(wheel => wheel.modelId === model.id).length}</td>
+                <td>
+                    <button type="button" onclick="editCatalogueModel('${model.id}')" class="secondary">Edit</button>
+                    <button type="button" onclick="removeCatalogueModel('${model.id}')" class="danger">Remove</button>
+                </td>
+            </tr>
+        `).join('');
     }
 
-    resetWheelForm();
-    renderWheels();
-    updateWheelSelect();
+    document.getElementById('catalogueMakeList').innerHTML = catalogue.map(make => `<option value="${escapeHTML(make.name)}">`).join('');
+    document.getElementById('catalogueFuelTypes').innerHTML = Object.entries(FUEL_TYPES).map(([key, label]) => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${key}">
+            ${label}
+        </label>
+    `).join('');
+    resetCatalogueForm();
 }
 
-// ==================== SALES MANAGEMENT ====================
-
 /**
- * Update wheel select dropdown with available wheels
+ * Clear the catalogue form back to adding a new model
  */
-function updateWheelSelect() {
-    const availableWheels = getAvailableWheels();
-    const select = document.getElementById('wheelSelect');
-    
-    select.innerHTML = '<option value="">-- Select a wheel --</option>';
-    
-    availableWheels.forEach(wheel => {
-        const option = document.createElement('option');
-        option.value = wheel.id;
-        option.textContent = `${wheel.model} (${wheel.year}) - ${wheel.color || 'N/A'} - ${wheel.vehicleNumber || 'N/A'}`;
-        select.appendChild(option);
-    });
+function resetCatalogueForm() {
+    editingCatalogueModelId = null;
+    document.getElementById('catalogueForm').reset();
+    document.getElementById('saveCatalogueBtn').textContent = 'Add Model';
+    document.getElementById('cancelCatalogueBtn').style.display = 'none';
 }
 
 /**
- * Render sales list
+ * Load a catalogue model into the form for editing
+ * @param {string} modelId - Catalogue model ID
  */
-function renderSales() {
-    const sales = loadSales();
-    const wheels = loadWheels();
-    const container = document.getElementById('salesContainer');
-
-    if (sales.length === 0) {
-        container.innerHTML = '<div class="empty-state">No sales recorded</div>';
+function editCatalogueModel(modelId) {
+    const match = findCatalogueModel(getCatalogue(), modelId);
+    if (!match) {
+        showAlert('Model not found');
         return;
     }
 
-    // Sort by date (newest first)
-    const sortedSales = [...sales].sort((a, b) => new Date(b.saleDate) - new Date(a.saleDate));
-
-    container.innerHTML = sortedSales.map(sale => {
-        const wheel = wheels.find(w => w.id === sale.wheelId);
-        const wheelName = wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel';
-        
-        return `
-            <div class="sale-item">
-                <div class="sale-info">
-                    <strong>${wheelName}</strong>
-                    <div>Buyer: ${sale.buyerName || 'N/A'} | Payment: ${sale.paymentMethod || 'N/A'}</div>
-                    <div>Sale Date: ${formatDate(sale.saleDate)} | Price: ${formatCurrency(sale.sellingPrice)}</div>
-                    ${sale.saleNotes ? `<div>Notes: ${sale.saleNotes}</div>` : ''}
-                    <button onclick="generateBill('${sale.id}')" class="bill-btn" style="margin-top: 10px;">Generate Bill</button>
-                </div>
-            </div>
-        `;
-    }).join('');
+    editingCatalogueModelId = modelId;
+    document.getElementById('catalogueMake').value = match.make.name;
+    document.getElementById('catalogueModel').value = match.model.name;
+    document.getElementById('catalogueVariants').value = match.model.variants.join(', ');
+    document.querySelectorAll('#catalogueFuelTypes input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = match.model.fuelTypes.includes(checkbox.value);
+    });
+    document.getElementById('saveCatalogueBtn').textContent = 'Update Model';
+    document.getElementById('cancelCatalogueBtn').style.display = 'inline-block';
 }
 
 /**
- * Handle sale form submission
+ * Add or update a catalogue model
+ * Renaming a make or model also renames the wheels that use it, so lists and reports stay consistent.
+ * @param {Event} e - Form submit event
  */
-function handleSaleSubmit(e) {
+function handleCatalogueSubmit(e) {
     e.preventDefault();
 
-    const wheelId = document.getElementById('wheelSelect').value;
-    const sellingPrice = parseFloat(document.getElementById('sellingPrice').value);
-    const paymentMethod = document.getElementById('paymentMethod').value;
-    const buyerName = document.getElementById('buyerName').value.trim();
-    const buyerAddress = document.getElementById('buyerAddress').value.trim();
-    const buyerNIC = document.getElementById('buyerNIC').value.trim();
-    const buyerPhone = document.getElementById('buyerPhone').value.trim();
-    const saleDate = document.getElementById('saleDate').value;
-    const saleNotes = document.getElementById('saleNotes').value.trim();
-
-    // Validation
-    if (!wheelId) {
-        showAlert('Please select a wheel');
+    if (!requirePermission('manageSettings')) {
         return;
     }
 
-    if (isNaN(sellingPrice) || sellingPrice <= 0) {
-        showAlert('Selling price must be greater than 0');
+    const makeName = document.getElementById('catalogueMake').value.trim().replace(/\s+/g, ' ');
+    const modelName = document.getElementById('catalogueModel').value.trim().replace(/\s+/g, ' ');
+    const variants = [...new Set(document.getElementById('catalogueVariants').value.split(',').map(v => v.trim()).filter(Boolean))];
+    const fuelTypes = [...document.querySelectorAll('#catalogueFuelTypes input[type="checkbox"]')]
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+
+    if (!makeName || !modelName) {
+        showAlert('Make and model are required');
         return;
     }
 
-    if (!paymentMethod) {
-        showAlert('Payment method is required');
+    if (fuelTypes.length === 0) {
+        showAlert('Please tick at least one fuel type');
         return;
     }
 
-    if (!buyerName) {
-        showAlert('Buyer name is required');
-        return;
+    const catalogue = getCatalogue();
+    const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+    let make = catalogue.find(m => sameName(m.name, makeName));
+    if (!make) {
+        make = { id: generateId('make'), name: makeName, models: [] };
+        catalogue.push(make);
     }
+    // Fixes the capitalisation of an existing make
+    make.name = makeName;
 
-    if (!buyerAddress) {
-        showAlert('Buyer address is required');
+    if (make.models.some(m => sameName(m.name, modelName) && m.id !== editingCatalogueModelId)) {
+        showAlert(`${makeName} ${modelName} is already in the catalogue`);
         return;
     }
 
-    if (!buyerNIC) {
-        showAlert('Buyer NIC number is required');
+    let model;
+    if (editingCatalogueModelId) {
+        const previous = findCatalogueModel(catalogue, editingCatalogueModelId);
+        if (!previous) {
+            showAlert('Model not found');
+            return;
+        }
+        model = previous.model;
+        if (previous.make !== make) {
+            previous.make.models = previous.make.models.filter(m => m.id !== model.id);
+            make.models.push(model);
+        }
+    } else {
+        model = { id: generateId('model') };
+        make.models.push(model);
+    }
+    Object.assign(model, { name: modelName, variants, fuelTypes });
+
+    // A make left without models is dropped
+    const cleaned = catalogue.filter(m => m.models.length > 0);
+    saveCatalogue(cleaned);
+
+    const wheels = loadWheels();
+    const renamed = wheels.filter(wheel => wheel.modelId === model.id &&
+        (wheel.makeId !== make.id || wheel.model !== getCatalogueModelName(make, model)));
+    if (renamed.length > 0) {
+        renamed.forEach(wheel => {
+            Object.assign(editRecord(wheels, wheel.id), { makeId: make.id, model: getCatalogueModelName(make, model) });
+        });
+        saveWheels(wheels);
+    }
+
+    logAuditEvent('settings', 'Vehicle catalogue', `${editingCatalogueModelId ? 'Updated' : 'Added'} ${getCatalogueModelName(make, model)}${renamed.length > 0 ? `; ${renamed.length} wheel(s) renamed` : ''}`);
+
+    renderCatalogue();
+    renderCatalogueChoices();
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderReport();
+}
+
+/**
+ * Remove a model from the catalogue; models still used by a wheel are kept
+ * @param {string} modelId - Catalogue model ID
+ */
+function removeCatalogueModel(modelId) {
+    if (!requirePermission('manageSettings')) {
         return;
     }
 
-    if (!buyerPhone) {
-        showAlert('Buyer phone number is required');
+    const catalogue = getCatalogue();
+    const match = findCatalogueModel(catalogue, modelId);
+    if (!match) {
+        showAlert('Model not found');
         return;
     }
 
-    if (!saleDate) {
-        showAlert('Sale date is required');
+    const inUse = loadWheels().filter(wheel => wheel.modelId === modelId).length;
+    if (inUse > 0) {
+        showAlert(`${getCatalogueModelName(match.make, match.model)} is used by ${inUse} wheel(s), including sold and deleted ones, and cannot be removed`);
         return;
     }
 
-    // Check if wheel is already sold
-    const sales = loadSales();
-    const alreadySold = sales.some(sale => sale.wheelId === wheelId);
-    if (alreadySold) {
-        showAlert('This wheel has already been sold');
+    if (!confirmAction(`Remove ${getCatalogueModelName(match.make, match.model)} from the catalogue?`)) {
         return;
     }
 
-    // Create sale record
-    const newSale = {
-        id: generateId('sale'),
-        wheelId,
-        saleDate,
-        sellingPrice,
-        paymentMethod,
-        buyerName,
-        buyerAddress,
-        buyerNIC,
-        buyerPhone,
-        saleNotes
-    };
-
-    sales.push(newSale);
-    saveSales(sales);
+    match.make.models = match.make.models.filter(m => m.id !== modelId);
+    saveCatalogue(catalogue.filter(m => m.models.length > 0));
+    logAuditEvent('settings', 'Vehicle catalogue', `Removed ${getCatalogueModelName(match.make, match.model)}`);
 
-    // Store current sale for bill generation
-    localStorage.setItem('threeWheel_currentSale', JSON.stringify(newSale));
-    
-    showAlert('Sale recorded successfully');
-    
-    // Reset form
-    document.getElementById('saleForm').reset();
-    document.getElementById('saleDate').value = getTodayDate();
-    
-    // Show bill section
-    document.getElementById('billSection').style.display = 'block';
-    
-    renderSales();
-    renderWheels();
-    updateWheelSelect();
-    renderReport();
+    renderCatalogue();
+    renderCatalogueChoices();
 }
 
-// ==================== REPORTS ====================
-
-let currentReportData = [];
-
 /**
- * Render sales report
+ * Check a catalogue read from a backup
+ * @param {*} catalogue - Parsed catalogue
+ * @returns {boolean} True if usable
  */
-function renderReport() {
-    const sales = loadSales();
-    const wheels = loadWheels();
-    const fromDate = document.getElementById('reportFromDate').value;
-    const toDate = document.getElementById('reportToDate').value;
-    const showPurchasePrice = getAdminToggle();
-
-    // Filter sales by date range
-    let filteredSales = sales;
-    
-    if (fromDate) {
-        filteredSales = filteredSales.filter(sale => sale.saleDate >= fromDate);
-    }
-    
-    if (toDate) {
-        filteredSales = filteredSales.filter(sale => sale.saleDate <= toDate);
-    }
+function isValidCatalogue(catalogue) {
+    return Array.isArray(catalogue) && catalogue.every(make =>
+        make && isNonEmptyString(make.id) && isNonEmptyString(make.name) && Array.isArray(make.models) &&
+        make.models.every(model =>
+            model && isNonEmptyString(model.id) && isNonEmptyString(model.name) &&
+            Array.isArray(model.variants) && model.variants.every(isNonEmptyString) &&
+            Array.isArray(model.fuelTypes) && model.fuelTypes.length > 0 && model.fuelTypes.every(key => Boolean(FUEL_TYPES[key]))));
+}
 
-    // Enrich sales with wheel data
-    currentReportData = filteredSales.map(sale => {
-        const wheel = wheels.find(w => w.id === sale.wheelId);
-        return {
-            ...sale,
-            wheel: wheel || null,
-            model: wheel ? wheel.model : 'Unknown',
-            purchasePrice: wheel ? wheel.purchasePrice : 0,
-            profit: wheel ? sale.sellingPrice - wheel.purchasePrice : sale.sellingPrice
-        };
+/**
+ * Add the makes and models of another catalogue that this one does not have, matched by id
+ * @param {Array} catalogue - Catalogue on this machine
+ * @param {Array} incoming - Catalogue from a backup
+ * @returns {Array} Combined catalogue
+ */
+function mergeCatalogues(catalogue, incoming) {
+    const merged = JSON.parse(JSON.stringify(catalogue));
+    incoming.forEach(incomingMake => {
+        const make = merged.find(m => m.id === incomingMake.id);
+        if (!make) {
+            merged.push(JSON.parse(JSON.stringify(incomingMake)));
+            return;
+        }
+        incomingMake.models
+            .filter(model => !findCatalogueModel(merged, model.id))
+            .forEach(model => make.models.push(JSON.parse(JSON.stringify(model))));
     });
+    return merged;
+}
 
-    // Render table
-    const tbody = document.getElementById('reportTableBody');
-    const tfoot = document.getElementById('reportTableFooter');
-    const purchasePriceCol = document.querySelector('.purchase-price-col');
-
-    // Toggle purchase price column visibility
-    if (showPurchasePrice) {
-        purchasePriceCol.style.display = '';
-    } else {
-        purchasePriceCol.style.display = 'none';
-    }
-
-    if (currentReportData.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; padding: 20px; color: #999;">No sales found for the selected date range</td></tr>';
-        tfoot.innerHTML = '';
-        return;
-    }
+// ==================== VEHICLE & NIC NUMBERS ====================
 
-    // Render table rows
-    tbody.innerHTML = currentReportData.map(item => {
-        return `
-            <tr>
-                <td>${item.model}</td>
-                <td>${formatCurrency(item.sellingPrice)}</td>
-                ${showPurchasePrice ? `<td>${formatCurrency(item.purchasePrice)}</td>` : ''}
-                <td style="color: ${item.profit >= 0 ? '#27ae60' : '#e74c3c'}; font-weight: 600;">
-                    ${formatCurrency(item.profit)}
-                </td>
-            </tr>
-        `;
-    }).join('');
+// Separators allowed in identifiers and format masks; they are ignored when numbers are compared
+const IDENTIFIER_SEPARATORS = /[\s\-/.]/;
 
-    // Calculate summary totals
-    const count = currentReportData.length;
-    const totalRevenue = currentReportData.reduce((sum, item) => sum + item.sellingPrice, 0);
-    const totalCost = currentReportData.reduce((sum, item) => sum + item.purchasePrice, 0);
-    const totalProfit = totalRevenue - totalCost;
+// Vehicle identifiers that must not be shared by two wheels
+const WHEEL_IDENTIFIER_FIELDS = {
+    vehicleNumber: 'Vehicle number',
+    chassisNumber: 'Chassis number',
+    engineNumber: 'Engine number'
+};
 
-    // Render summary footer
-    tfoot.innerHTML = `
-        <tr>
-            <td><strong>Summary</strong></td>
-            <td><strong>${formatCurrency(totalRevenue)}</strong></td>
-            ${showPurchasePrice ? `<td><strong>${formatCurrency(totalCost)}</strong></td>` : ''}
-            <td style="color: ${totalProfit >= 0 ? '#27ae60' : '#e74c3c'};">
-                <strong>${formatCurrency(totalProfit)}</strong>
-            </td>
-        </tr>
-        <tr>
-            <td><strong>Count: ${count}</strong></td>
-            <td colspan="${showPurchasePrice ? '3' : '2'}"></td>
-        </tr>
-    `;
+/**
+ * Tidy a vehicle, chassis, engine or NIC number for storage
+ * @param {string} value - Number as typed
+ * @returns {string} Uppercase, single spaces, no spaces around separators and no separators at either end
+ */
+function normalizeIdentifier(value) {
+    return String(value || '')
+        .toUpperCase()
+        .replace(/\s*([-/.])\s*/g, '$1')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-/.]+|[\s\-/.]+$/g, '');
 }
 
 /**
- * Filter report by date range
+ * Get the key two numbers are compared by, so "abc 1234" and "ABC-1234" count as the same
+ * @param {string} value - Number in any format
+ * @returns {string} Uppercase number without separators
  */
-function filterReport() {
-    renderReport();
+function getIdentifierKey(value) {
+    return [...String(value || '').toUpperCase()].filter(ch => !IDENTIFIER_SEPARATORS.test(ch)).join('');
 }
 
 /**
- * Export report to CSV
+ * Fit a number to the first format mask it matches
+ * In a mask, A stands for any letter and 9 for any digit; separators are copied and any other character must match exactly.
+ * @param {string} value - Number as typed
+ * @param {Array} masks - Format masks such as 'AAA-9999'; an empty list accepts any format
+ * @returns {string|null} The number laid out like the matching mask (just tidied when there are no masks), or null if no mask fits
  */
-function exportToCSV() {
-    if (currentReportData.length === 0) {
-        showAlert('No data to export');
-        return;
-    }
-
-    const showPurchasePrice = getAdminToggle();
-    
-    // CSV headers
-    let headers = ['Model', 'Selling Price', 'Sale Date'];
-    if (showPurchasePrice) {
-        headers.splice(2, 0, 'Purchase Price');
-    }
-    headers.push('Profit');
+function applyFormatMasks(value, masks) {
+    if (masks.length === 0) return normalizeIdentifier(value);
 
-    // Build CSV content
-    let csvContent = headers.join(',') + '\n';
-
-    currentReportData.forEach(item => {
-        let row = [
-            `"${item.model}"`,
-            item.sellingPrice,
-            item.saleDate
-        ];
-        
-        if (showPurchasePrice) {
-            row.splice(2, 0, item.purchasePrice);
-        }
-        
-        row.push(item.profit);
-        csvContent += row.join(',') + '\n';
+    const key = getIdentifierKey(value);
+    const fits = (maskChar, ch) => maskChar === 'A' ? /[A-Z]/.test(ch) : maskChar === '9' ? /[0-9]/.test(ch) : maskChar === ch;
+    const mask = masks.find(candidate => {
+        const maskKey = getIdentifierKey(candidate);
+        return maskKey.length === key.length && [...maskKey].every((maskChar, i) => fits(maskChar, key[i]));
     });
+    if (!mask) return null;
 
-    // Add summary row
-    const count = currentReportData.length;
-    const totalRevenue = currentReportData.reduce((sum, item) => sum + item.sellingPrice, 0);
-    const totalCost = currentReportData.reduce((sum, item) => sum + item.purchasePrice, 0);
-    const totalProfit = totalRevenue - totalCost;
-
-    csvContent += '\n';
-    csvContent += 'Summary\n';
-    csvContent += `Count,${count}\n`;
-    csvContent += `Total Revenue,${totalRevenue}\n`;
-    if (showPurchasePrice) {
-        csvContent += `Total Cost,${totalCost}\n`;
-    }
-    csvContent += `Total Profit,${totalProfit}\n`;
+    let position = 0;
+    return [...mask.toUpperCase()].map(ch => IDENTIFIER_SEPARATORS.test(ch) ? ch : key[position++]).join('');
+}
 
-    // Create download link
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `sales-report-${getTodayDate()}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showAlert('Report exported to CSV successfully');
+/**
+ * Check a format mask typed in the settings
+ * @param {string} mask - Format mask
+ * @returns {boolean} True if it only uses letters, digits and separators
+ */
+function isValidFormatMask(mask) {
+    return typeof mask === 'string' && /^[A-Z0-9\s\-/.]+$/.test(mask) && getIdentifierKey(mask).length > 0;
 }
 
-// ==================== ADMIN TOGGLE ====================
+/**
+ * Read format masks from a settings textarea, one per line
+ * @param {string} text - Textarea value
+ * @returns {Array} Uppercase masks
+ */
+function parseFormatMasks(text) {
+    return text.split('\n').map(line => line.trim().toUpperCase()).filter(Boolean);
+}
 
 /**
- * Handle admin toggle change
+ * Tidy a NIC number and check it against the NIC formats in the settings
+ * @param {string} nic - NIC as typed
+ * @returns {string|null} Formatted NIC, or null if it does not match any format
  */
-function handleAdminToggle() {
-    const toggle = document.getElementById('adminToggle');
-    saveAdminToggle(toggle.checked);
-    renderReport();
+function formatNIC(nic) {
+    return applyFormatMasks(nic, getSettings().nicFormats);
 }
 
-// ==================== BACKUP & RESTORE ====================
+/**
+ * Describe where a wheel is, for duplicate number messages
+ * @param {Object} wheel - Wheel object
+ * @returns {Object} {inStock, label} e.g. "TVS King (2015), sold to Ahmed Khan on 1 Feb 2024"
+ */
+function describeWheelForDuplicates(wheel) {
+    const name = `${wheel.model} (${wheel.year})`;
+    if (wheel.deletedAt) {
+        return { inStock: false, label: `${name}, in the recycle bin` };
+    }
+    const sale = findActiveSale(wheel.id);
+    if (sale) {
+        return { inStock: false, label: `${name}, sold to ${sale.buyerName} on ${formatDate(sale.saleDate)}` };
+    }
+    return { inStock: true, label: `${name}, in stock` };
+}
 
 /**
- * Export all data to JSON
+ * Tidy a vehicle's numbers and look for other wheels with the same ones
+ * A number shared with a wheel in stock blocks the save. One shared with a sold or deleted wheel
+ * may be the same vehicle coming back to the shop, so it is returned for the user to confirm.
+ * @param {Object} fields - {vehicleNumber, chassisNumber, engineNumber} as typed
+ * @param {string|null} wheelId - Wheel being edited, left out of the comparison
+ * @returns {Object} {values, error, duplicates} with the tidied numbers, a blocking message or null, and messages to confirm
  */
-function exportToJSON() {
-    const data = {
-        wheels: loadWheels(),
-        sales: loadSales(),
-        exportDate: new Date().toISOString()
+function checkWheelIdentifiers(fields, wheelId) {
+    const settings = getSettings();
+    const values = {
+        vehicleNumber: applyFormatMasks(fields.vehicleNumber, settings.vehicleNumberFormats),
+        chassisNumber: normalizeIdentifier(fields.chassisNumber),
+        engineNumber: normalizeIdentifier(fields.engineNumber)
     };
 
-    const jsonString = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `three-wheeler-backup-${getTodayDate()}.json`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showAlert('Data exported to JSON successfully');
+    if (values.vehicleNumber === null) {
+        return {
+            values,
+            error: `Vehicle number ${fields.vehicleNumber} does not match the formats in Shop Settings (${settings.vehicleNumberFormats.join(', ')})`,
+            duplicates: []
+        };
+    }
+
+    const duplicates = [];
+    let error = null;
+
+    // Looked up through the identifier indexes, so checking every row of an import does not scan the inventory per row
+    Object.entries(WHEEL_IDENTIFIER_FIELDS).forEach(([field, label]) => {
+        findIndexedRecords('wheels', field, getIdentifierKey(values[field]))
+            .filter(wheel => wheel.id !== wheelId)
+            .forEach(wheel => {
+                const match = describeWheelForDuplicates(wheel);
+                const message = `${label} ${values[field]} is already used by ${match.label}`;
+                if (match.inStock) {
+                    error = error || message;
+                } else {
+                    duplicates.push(message);
+                }
+            });
+    });
+
+    return { values, error, duplicates };
 }
 
 /**
- * Import data from JSON
+ * Ask the user about numbers shared with sold or deleted wheels
+ * @param {Array} duplicates - Messages from checkWheelIdentifiers()
+ * @returns {boolean} True if there are none or the user confirms this is the same vehicle back again
  */
-function importFromJSON() {
-    const input = document.getElementById('importFileInput');
-    input.click();
+function confirmDuplicateIdentifiers(duplicates) {
+    if (duplicates.length === 0) return true;
+    return confirmAction(`${duplicates.join('\n')}\n\nSave anyway? Only do this if it is the same vehicle coming back to the shop.`);
 }
 
 /**
- * Handle file import
+ * Find problems in the stored data: wheels sharing numbers, numbers that break the format rules, untidy values
+ * and wheels outside the vehicle catalogue
+ * @param {Object} data - {wheels, sales, customers}
+ * @param {Object} settings - Shop settings with the format rules
+ * @param {Array} catalogue - Vehicle catalogue
+ * @returns {Array} Issues {severity, record, problem}, severity 'error' or 'warning'
  */
-function handleFileImport(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function buildDataQualityReport(data, settings, catalogue) {
+    const issues = [];
+    const wheelLabel = wheel => `Wheel: ${wheel.model} (${wheel.year}) ${wheel.vehicleNumber || ''}`.trim();
+    const describe = wheel => describeWheelForDuplicates(wheel);
 
-    const reader = new FileReader();
-    reader.onload = function(event) {
-        try {
-            const data = JSON.parse(event.target.result);
-            
-            if (!confirmAction('This will replace all current data. Are you sure?')) {
-                return;
-            }
+    // Shared numbers; two wheels in stock with the same number cannot both be real
+    Object.entries(WHEEL_IDENTIFIER_FIELDS).forEach(([field, label]) => {
+        const groups = new Map();
+        data.wheels.forEach(wheel => {
+            const key = getIdentifierKey(wheel[field]);
+            if (!key) return;
+            groups.set(key, [...(groups.get(key) || []), wheel]);
+        });
+        groups.forEach(wheels => {
+            if (wheels.length < 2) return;
+            const inStock = wheels.filter(wheel => describe(wheel).inStock).length;
+            issues.push({
+                severity: inStock > 1 ? 'error' : 'warning',
+                record: `${label} ${wheels[0][field]}`,
+                problem: `Used by ${wheels.length} wheels: ${wheels.map(wheel => describe(wheel).label).join('; ')}`
+            });
+        });
+    });
 
-            if (data.wheels && Array.isArray(data.wheels)) {
-                saveWheels(data.wheels);
+    data.wheels.forEach(wheel => {
+        Object.entries(WHEEL_IDENTIFIER_FIELDS).forEach(([field, label]) => {
+            if (!wheel[field]) {
+                issues.push({ severity: 'warning', record: wheelLabel(wheel), problem: `${label} is missing` });
+            } else if (wheel[field] !== normalizeIdentifier(wheel[field])) {
+                issues.push({ severity: 'warning', record: wheelLabel(wheel), problem: `${label} "${wheel[field]}" is not in standard form` });
             }
+        });
+        if (wheel.vehicleNumber && applyFormatMasks(wheel.vehicleNumber, settings.vehicleNumberFormats) === null) {
+            issues.push({ severity: 'error', record: wheelLabel(wheel), problem: `Vehicle number ${wheel.vehicleNumber} does not match the vehicle number formats` });
+        }
+        if (wheel.supplier && wheel.supplier.nic && applyFormatMasks(wheel.supplier.nic, settings.nicFormats) === null) {
+            issues.push({ severity: 'error', record: wheelLabel(wheel), problem: `Supplier NIC ${wheel.supplier.nic} does not match the NIC formats` });
+        }
+        if (!wheel.deletedAt && !findCatalogueModel(catalogue, wheel.modelId)) {
+            issues.push({ severity: 'warning', record: wheelLabel(wheel), problem: 'Model is not linked to the vehicle catalogue' });
+        }
+    });
 
-            if (data.sales && Array.isArray(data.sales)) {
-                saveSales(data.sales);
-            }
+    data.sales.filter(sale => !sale.deletedAt).forEach(sale => {
+        if (sale.buyerNIC && applyFormatMasks(sale.buyerNIC, settings.nicFormats) === null) {
+            issues.push({ severity: 'error', record: `Sale: ${sale.buyerName}, ${formatDate(sale.saleDate)}`, problem: `Buyer NIC ${sale.buyerNIC} does not match the NIC formats` });
+        }
+    });
 
-            showAlert('Data imported successfully');
-            
-            // Refresh all displays
-            renderWheels();
-            renderSales();
-            updateWheelSelect();
-            renderReport();
-        } catch (error) {
-            showAlert('Error importing file. Please check the file format.');
-            console.error('Import error:', error);
+    findDuplicateInvoiceNumbers(data.sales).forEach(({ invoiceNumber, sales }) => {
+        issues.push({
+            severity: 'error',
+            record: `Invoice ${invoiceNumber}`,
+            problem: `Used by ${sales.length} sales: ${sales.map(sale => `${sale.buyerName}, ${formatDate(sale.saleDate)}`).join('; ')}`
+        });
+    });
+
+    data.customers.forEach(customer => {
+        if (customer.nic !== normalizeIdentifier(customer.nic)) {
+            issues.push({ severity: 'warning', record: `Customer: ${customer.name}`, problem: `NIC "${customer.nic}" is not in standard form` });
+        } else if (applyFormatMasks(customer.nic, settings.nicFormats) === null) {
+            issues.push({ severity: 'error', record: `Customer: ${customer.name}`, problem: `NIC ${customer.nic} does not match the NIC formats` });
         }
-    };
-    reader.readAsText(file);
-    
-    // Reset input
-    e.target.value = '';
+    });
+
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
 }
 
 /**
- * Reset to demo data
+ * Run the data quality check and show its findings
  */
-function resetDemoData() {
-    if (!confirmAction('This will delete all current data and restore demo data. Are you sure?')) {
+function renderDataQualityReport() {
+    if (!requirePermission('manageData')) {
         return;
     }
 
-    localStorage.removeItem('threeWheel_items');
-    localStorage.removeItem('threeWheel_sales');
-    
-    seedDemoData();
-    
-    showAlert('Demo data restored successfully');
-    
-    // Refresh all displays
-    renderWheels();
-    renderSales();
-    updateWheelSelect();
-    renderReport();
+    const issues = buildDataQualityReport({ wheels: loadWheels(), sales: loadSales(), customers: loadCustomers() }, getSettings(), getCatalogue());
+    const container = document.getElementById('dataQualityContainer');
+
+    if (issues.length === 0) {
+        container.innerHTML = '<div class="empty-state">No problems found</div>';
+        return;
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    container.innerHTML = `
+        <div class="audit-count">${issues.length} problem(s) found: ${errorCount} error(s), ${issues.length - errorCount} warning(s)</div>
+        <table>
+            <thead>
+                <tr>
+                    <th>Severity</th>
+                    <th>Record</th>
+                    <th>Problem</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${issues.map(issue => `
+                    <tr class="quality-${issue.severity}">
+                        <td>${issue.severity === 'error' ? 'Error' : 'Warning'}</td>
+                        <td>${escapeHTML(issue.record)}</td>
+                        <td>${escapeHTML(issue.problem)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
-// ==================== PDF BILL GENERATION ====================
+// ==================== WHEEL MANAGEMENT ====================
+
+let editingWheelId = null;
+
+// Page shown in each paginated list; filters going back to page 1 when they change
+const listPages = { inventory: 1, sales: 1 };
+
+// Inventory sort orders offered in the sort dropdown
+const WHEEL_SORTS = {
+    addedDesc: (a, b) => b.addedDate.localeCompare(a.addedDate),
+    addedAsc: (a, b) => a.addedDate.localeCompare(b.addedDate),
+    model: (a, b) => a.model.localeCompare(b.model) || b.year - a.year,
+    yearDesc: (a, b) => b.year - a.year,
+    yearAsc: (a, b) => a.year - b.year,
+    costDesc: (a, b) => getLandedCost(b) - getLandedCost(a),
+    costAsc: (a, b) => getLandedCost(a) - getLandedCost(b)
+};
 
 /**
- * Generate bill for a sale
- * @param {string} saleId - Sale ID to generate bill for
+ * Get available wheels (in stock: not deleted and not in an active sale)
+ * @returns {Array} Array of available wheel objects
  */
-function generateBill(saleId) {
-    const sales = loadSales();
+function getAvailableWheels() {
     const wheels = loadWheels();
-    const sale = sales.find(s => s.id === saleId);
-    
-    if (!sale) {
-        showAlert('Sale not found');
-        return;
-    }
-    
-    const wheel = wheels.find(w => w.id === sale.wheelId);
-    if (!wheel) {
-        showAlert('Wheel information not found');
-        return;
-    }
-    
-    // Store current sale for bill generation
-    localStorage.setItem('threeWheel_currentSale', JSON.stringify(sale));
-    
-    // Show bill section
-    document.getElementById('billSection').style.display = 'block';
-    document.getElementById('billSection').scrollIntoView({ behavior: 'smooth' });
+    const soldWheelIds = getSoldWheelIds();
+    return wheels.filter(wheel => !wheel.deletedAt && !soldWheelIds.has(wheel.id));
 }
 
 /**
- * Download bill as PDF
+ * Get sold wheel IDs
+ * Wheels from voided, returned or deleted sales are back in stock and not included.
+ * @returns {Set} Set of sold wheel IDs
  */
-function downloadBillPDF() {
-    const saleData = localStorage.getItem('threeWheel_currentSale');
-    if (!saleData) {
-        showAlert('No sale selected for bill generation');
+function getSoldWheelIds() {
+    const sales = loadSales();
+    return new Set(sales.filter(isActiveSale).map(sale => sale.wheelId));
+}
+
+/**
+ * Show a page of a paginated list
+ * @param {string} list - 'inventory' or 'sales'
+ * @param {number} page - Page number (1-based)
+ */
+function goToListPage(list, page) {
+    listPages[list] = page;
+    if (list === 'inventory') {
+        renderWheels();
+    } else {
+        renderSales();
+    }
+}
+
+/**
+ * Read a number from a filter input
+ * @param {string} id - Input element ID
+ * @returns {number|null} The number, or null if the box is empty
+ */
+function readNumberFilter(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Filter and sort wheels using the inventory search box and filters
+ * Cost filters and cost sorting only apply to roles that may see purchase prices.
+ * @param {Array} wheels - Wheels not in the recycle bin
+ * @param {Set} soldIds - IDs of wheels in an active sale
+ * @param {Array} sales - All sale objects, to search wheels by their buyer
+ * @returns {Array} Matching wheels in display order
+ */
+function filterWheels(wheels, soldIds, sales) {
+    const showCosts = hasPermission('viewCosts');
+    const search = document.getElementById('inventorySearch').value.trim();
+    const status = document.getElementById('inventoryStatus').value;
+    const makeId = document.getElementById('inventoryMake').value;
+    const yearFrom = readNumberFilter('inventoryYearFrom');
+    const yearTo = readNumberFilter('inventoryYearTo');
+    const minCost = showCosts ? readNumberFilter('inventoryMinCost') : null;
+    const maxCost = showCosts ? readNumberFilter('inventoryMaxCost') : null;
+    const sortKey = document.getElementById('inventorySort').value;
+    const sort = WHEEL_SORTS[sortKey] && (showCosts || !sortKey.startsWith('cost')) ? WHEEL_SORTS[sortKey] : WHEEL_SORTS.addedDesc;
+    const buyerByWheel = new Map(sales.filter(isActiveSale).map(sale => [sale.wheelId, sale]));
+
+    return wheels
+        .filter(wheel => !status || (status === 'sold') === soldIds.has(wheel.id))
+        .filter(wheel => !makeId || wheel.makeId === makeId)
+        .filter(wheel => yearFrom === null || wheel.year >= yearFrom)
+        .filter(wheel => yearTo === null || wheel.year <= yearTo)
+        .filter(wheel => minCost === null || getLandedCost(wheel) >= minCost)
+        .filter(wheel => maxCost === null || getLandedCost(wheel) <= maxCost)
+        .filter(wheel => {
+            const sale = buyerByWheel.get(wheel.id) || {};
+            return matchesSearch([wheel.model, wheel.variant, FUEL_TYPES[wheel.fuelType], wheel.vehicleNumber, wheel.chassisNumber, wheel.engineNumber, wheel.color,
+                sale.buyerName, sale.buyerNIC, sale.buyerPhone], search);
+        })
+        .sort(sort);
+}
+
+/**
+ * Render wheels list
+ * Shows one page of the wheels matching the inventory search and filters.
+ */
+function renderWheels() {
+    const allWheels = loadWheels().filter(wheel => !wheel.deletedAt);
+    const container = document.getElementById('wheelsContainer');
+    const soldIds = getSoldWheelIds();
+    const showCosts = hasPermission('viewCosts');
+    const countLabel = document.getElementById('inventoryCount');
+    const pagination = document.getElementById('inventoryPagination');
+
+    if (allWheels.length === 0) {
+        container.innerHTML = '<div class="empty-state">No wheels in inventory</div>';
+        countLabel.textContent = '';
+        pagination.innerHTML = '';
         return;
     }
-    
-    const sale = JSON.parse(saleData);
+
+    const matches = filterWheels(allWheels, soldIds, loadSales());
+    const pageInfo = paginate(matches, listPages.inventory, parseInt(document.getElementById('inventoryPageSize').value, 10));
+    listPages.inventory = pageInfo.page;
+    const wheels = pageInfo.items;
+    const attachments = loadAttachments();
+
+    countLabel.textContent = `Showing ${pageInfo.first}-${pageInfo.last} of ${matches.length} wheels${matches.length < allWheels.length ? ` (filtered from ${allWheels.length})` : ''}`;
+    pagination.innerHTML = renderPagination('inventory', pageInfo);
+
+    if (wheels.length === 0) {
+        container.innerHTML = '<div class="empty-state">No wheels match the search and filters</div>';
+        return;
+    }
+
+    container.innerHTML = wheels.map(wheel => {
+        const isSold = soldIds.has(wheel.id);
+        const wheelAttachments = getAttachments('wheel', wheel.id, attachments);
+        return `
+            <div class="wheel-item ${isSold ? 'sold' : ''}">
+                <div class="wheel-info">
+                    <strong>${getWheelDescription(wheel)}</strong>
+                    <div>Year: ${wheel.year} | Color: ${wheel.color || 'N/A'} | Vehicle No: ${wheel.vehicleNumber || 'N/A'}</div>
+                    <div>Chassis: ${wheel.chassisNumber || 'N/A'} | Engine: ${wheel.engineNumber || 'N/A'}</div>
+                    <div>Mileage: ${formatMileage(wheel.mileage) || 'N/A'} | Condition: ${CONDITION_GRADES[wheel.conditionGrade] || 'N/A'} | Previous Owners: ${wheel.ownerCount === null || wheel.ownerCount === undefined ? 'N/A' : wheel.ownerCount}</div>
+                    <div>Registration: ${renderExpiryDate(wheel.registrationExpiry)} | Insurance: ${renderExpiryDate(wheel.insuranceExpiry)}</div>
+                    <div>Added: ${formatDate(wheel.addedDate)}${wheel.acquisitionType === 'Trade-in' ? ' | Trade-in' : ''}${wheel.supplier && wheel.supplier.name ? ` | From: ${wheel.supplier.name}` : ''}</div>
+                    ${renderWheelPrices(wheel)}
+                    ${showCosts ? `<div>Purchase: ${formatCurrency(wheel.purchasePrice)} | Expenses: ${formatCurrency(getTotalExpenses(wheel))} | Landed Cost: ${formatCurrency(getLandedCost(wheel))}</div>` : ''}
+                    ${wheel.notes ? `<div>Notes: ${wheel.notes}</div>` : ''}
+                    ${isSold ? '<div style="color: #e74c3c; font-weight: bold;">SOLD</div>' : ''}
+                    ${renderWheelThumbnails(wheelAttachments)}
+                </div>
+                <div class="wheel-actions">
+                    ${!isSold && hasPermission('editWheels') ? `<button onclick="editWheel('${wheel.id}')" class="secondary">Edit</button>` : ''}
+                    ${showCosts ? `<button onclick="viewCostLedger('${wheel.id}')">Costs</button>` : ''}
+                    <button onclick="viewAttachments('wheel', '${wheel.id}')">Photos (${wheelAttachments.length})</button>
+                    ${hasPermission('deleteWheels') ? `<button onclick="deleteWheel('${wheel.id}')" class="danger">Delete</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show a wheel's asking price, and its floor price to roles that may approve prices below it
+ * @param {Object} wheel - Wheel object
+ * @returns {string} HTML string, empty if no prices are set
+ */
+function renderWheelPrices(wheel) {
+    const prices = [
+        typeof wheel.askingPrice === 'number' ? `Asking: ${formatCurrency(wheel.askingPrice)}` : '',
+        hasPermission('approvePrices') && typeof wheel.floorPrice === 'number' ? `Floor: ${formatCurrency(wheel.floorPrice)}` : ''
+    ].filter(Boolean);
+    return prices.length > 0 ? `<div>${prices.join(' | ')}</div>` : '';
+}
+
+/**
+ * Show a registration or insurance expiry date, flagged if it has run out or runs out soon
+ * @param {string} date - Expiry date (YYYY-MM-DD), or ''
+ * @returns {string} HTML string
+ */
+function renderExpiryDate(date) {
+    if (!date) return 'N/A';
+    const expiry = getExpiryStatus(date);
+    return expiry ? `<span class="expiry-${expiry.status}">${expiry.label}</span>` : formatDate(date);
+}
+
+/**
+ * Reset wheel form
+ */
+function resetWheelForm() {
+    document.getElementById('wheelForm').reset();
+    document.getElementById('wheelId').value = '';
+    document.getElementById('saveWheelBtn').textContent = 'Add Wheel';
+    document.getElementById('cancelWheelBtn').style.display = 'none';
+    editingWheelId = null;
+    fillCatalogueSelects('wheel');
+    updateWheelPriceSuggestion();
+}
+
+/**
+ * Edit wheel
+ * @param {string} wheelId - Wheel ID to edit
+ */
+function editWheel(wheelId) {
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
     const wheels = loadWheels();
-    const wheel = wheels.find(w => w.id === sale.wheelId);
+    const wheel = wheels.find(w => w.id === wheelId);
     
     if (!wheel) {
-        showAlert('Wheel information not found');
+        showAlert('Wheel not found');
         return;
     }
+
+    editingWheelId = wheelId;
+    document.getElementById('wheelId').value = wheelId;
+    fillCatalogueSelects('wheel', wheel);
+    document.getElementById('year').value = wheel.year;
+    document.getElementById('vehicleNumber').value = wheel.vehicleNumber || '';
+    document.getElementById('color').value = wheel.color || '';
+    document.getElementById('chassisNumber').value = wheel.chassisNumber || '';
+    document.getElementById('engineNumber').value = wheel.engineNumber || '';
+    document.getElementById('mileage').value = wheel.mileage === null || wheel.mileage === undefined ? '' : wheel.mileage;
+    document.getElementById('conditionGrade').value = wheel.conditionGrade || '';
+    document.getElementById('ownerCount').value = wheel.ownerCount === null || wheel.ownerCount === undefined ? '' : wheel.ownerCount;
+    document.getElementById('registrationExpiry').value = wheel.registrationExpiry || '';
+    document.getElementById('insuranceExpiry').value = wheel.insuranceExpiry || '';
+    document.getElementById('purchasePrice').value = wheel.purchasePrice;
+    document.getElementById('askingPrice').value = typeof wheel.askingPrice === 'number' ? wheel.askingPrice : '';
+    document.getElementById('floorPrice').value = typeof wheel.floorPrice === 'number' ? wheel.floorPrice : '';
+    document.getElementById('notes').value = wheel.notes || '';
+    const supplier = wheel.supplier || {};
+    document.getElementById('supplierName').value = supplier.name || '';
+    document.getElementById('supplierPhone').value = supplier.phone || '';
+    document.getElementById('supplierNIC').value = supplier.nic || '';
+    document.getElementById('supplierAddress').value = supplier.address || '';
+    document.getElementById('saveWheelBtn').textContent = 'Update Wheel';
+    document.getElementById('cancelWheelBtn').style.display = 'inline-block';
+    updateWheelPriceSuggestion();
     
-    // Check if jsPDF is available
-    if (typeof window.jspdf === 'undefined') {
-        showAlert('PDF library not loaded. Please refresh the page.');
+    // Scroll to form
+    document.querySelector('.wheel-management').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Delete wheel
+ * @param {string} wheelId - Wheel ID to delete
+ */
+function deleteWheel(wheelId) {
+    if (!requirePermission('deleteWheels')) {
+        return;
+    }
+
+    if (!confirmAction('Move this wheel to the recycle bin? It can be restored from Data Management.')) {
+        return;
+    }
+
+    const wheels = loadWheels();
+    const sales = loadSales();
+    const wheel = editRecord(wheels, wheelId);
+
+    if (!wheel) {
+        showAlert('Wheel not found');
         return;
     }
     
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-    
-    // Store name
-    const storeName = 'Afnan Motors';
-    
-    // Header
-    doc.setFontSize(20);
-    doc.setFont(undefined, 'bold');
-    doc.text(storeName, 105, 20, { align: 'center' });
-    
-    doc.setFontSize(12);
-    doc.setFont(undefined, 'normal');
-    doc.text('Billing & Inventory Management', 105, 28, { align: 'center' });
-    doc.text('Sale Receipt', 105, 35, { align: 'center' });
-    
-    // Line separator
-    doc.line(20, 40, 190, 40);
-    
-    let yPos = 50;
-    
-    // Vehicle Information
-    doc.setFontSize(14);
-    doc.setFont(undefined, 'bold');
-    doc.text('Vehicle Information', 20, yPos);
-    yPos += 10;
-    
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Model: ${wheel.model}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Year: ${wheel.year}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Color: ${wheel.color || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Vehicle Number: ${wheel.vehicleNumber || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Chassis Number: ${wheel.chassisNumber || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Engine Number: ${wheel.engineNumber || 'N/A'}`, 20, yPos);
-    yPos += 10;
-    
-    // Buyer Information
-    doc.setFontSize(14);
-    doc.setFont(undefined, 'bold');
-    doc.text('Buyer Information', 20, yPos);
-    yPos += 10;
-    
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Name: ${sale.buyerName || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Address: ${sale.buyerAddress || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`NIC Number: ${sale.buyerNIC || 'N/A'}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Phone: ${sale.buyerPhone || 'N/A'}`, 20, yPos);
-    yPos += 10;
+    // Check if wheel has been sold
+    const sale = findActiveSale(wheelId);
+    if (sale) {
+        if (!requirePermission('deleteSales')) {
+            return;
+        }
+        if (!confirmAction('This wheel has been sold. Its sale will be moved to the recycle bin too. Continue?')) {
+            return;
+        }
+        const deletedSale = editRecord(sales, sale.id);
+        deletedSale.deletedAt = new Date().toISOString();
+        deletedSale.deletedBy = currentUser ? currentUser.name : '';
+        saveSales(sales);
+    }
+
+    wheel.deletedAt = new Date().toISOString();
+    wheel.deletedBy = currentUser ? currentUser.name : '';
+    saveWheels(wheels);
     
-    // Sale Information
-    doc.setFontSize(14);
-    doc.setFont(undefined, 'bold');
-    doc.text('Sale Information', 20, yPos);
-    yPos += 10;
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    renderReport();
+    renderRecycleBin();
+    showAlert('Wheel moved to the recycle bin');
+}
+
+/**
+ * Handle wheel form submission
+ */
+function handleWheelSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
+    const wheelId = document.getElementById('wheelId').value;
+    const catalogueChoice = readCatalogueChoice('wheel');
+    const year = parseInt(document.getElementById('year').value);
+    const vehicleNumber = document.getElementById('vehicleNumber').value.trim();
+    const color = document.getElementById('color').value.trim();
+    const chassisNumber = document.getElementById('chassisNumber').value.trim();
+    const engineNumber = document.getElementById('engineNumber').value.trim();
+    const mileage = readNumberFilter('mileage');
+    const conditionGrade = document.getElementById('conditionGrade').value;
+    const ownerCount = readNumberFilter('ownerCount');
+    const registrationExpiry = document.getElementById('registrationExpiry').value;
+    const insuranceExpiry = document.getElementById('insuranceExpiry').value;
+    const purchasePrice = parseFloat(document.getElementById('purchasePrice').value);
+    // Only the owner sets prices; other roles leave them as they were
+    const canSetPrices = hasPermission('setPrices');
+    const askingPrice = canSetPrices ? readNumberFilter('askingPrice') : null;
+    const floorPrice = canSetPrices ? readNumberFilter('floorPrice') : null;
+    const notes = document.getElementById('notes').value.trim();
+    const supplier = {
+        name: document.getElementById('supplierName').value.trim(),
+        phone: document.getElementById('supplierPhone').value.trim(),
+        nic: document.getElementById('supplierNIC').value.trim(),
+        address: document.getElementById('supplierAddress').value.trim()
+    };
+
+    // Validation
+    if (!catalogueChoice) {
+        showAlert('Please choose the make and model');
+        return;
+    }
+
+    if (isNaN(year) || year < 1900 || year > 2100) {
+        showAlert('Please enter a valid year');
+        return;
+    }
+
+    if (mileage !== null && (mileage < 0 || !Number.isInteger(mileage))) {
+        showAlert('Mileage must be a whole number of kilometres');
+        return;
+    }
+
+    if (ownerCount !== null && (ownerCount < 0 || !Number.isInteger(ownerCount))) {
+        showAlert('Previous owners must be a whole number');
+        return;
+    }
+
+    if (!vehicleNumber) {
+        showAlert('Vehicle Number is required');
+        return;
+    }
+
+    if (!color) {
+        showAlert('Color is required');
+        return;
+    }
+
+    if (!chassisNumber) {
+        showAlert('Chassis Number is required');
+        return;
+    }
+
+    if (!engineNumber) {
+        showAlert('Engine Number is required');
+        return;
+    }
+
+    if (isNaN(purchasePrice) || purchasePrice <= 0) {
+        showAlert('Purchase price must be greater than 0');
+        return;
+    }
+
+    if ((askingPrice !== null && askingPrice <= 0) || (floorPrice !== null && floorPrice <= 0)) {
+        showAlert('Asking and floor prices must be greater than 0');
+        return;
+    }
+
+    if (askingPrice !== null && floorPrice !== null && floorPrice > askingPrice) {
+        showAlert('Floor price cannot be above the asking price');
+        return;
+    }
+
+    if (supplier.nic) {
+        const supplierNIC = formatNIC(supplier.nic);
+        if (!supplierNIC) {
+            showAlert(`Supplier NIC ${supplier.nic} does not match the NIC formats in Shop Settings`);
+            return;
+        }
+        supplier.nic = supplierNIC;
+    }
+
+    const { values: identifiers, error, duplicates } = checkWheelIdentifiers(
+        { vehicleNumber, chassisNumber, engineNumber },
+        wheelId && editingWheelId ? wheelId : null
+    );
+    if (error) {
+        showAlert(error);
+        return;
+    }
+    if (!confirmDuplicateIdentifiers(duplicates)) {
+        return;
+    }
+
+    const wheels = loadWheels();
+
+    if (wheelId && editingWheelId) {
+        // Update existing wheel
+        const index = wheels.findIndex(w => w.id === wheelId);
+        if (index !== -1) {
+            wheels[index] = {
+                ...wheels[index],
+                ...catalogueChoice,
+                year,
+                vehicleNumber: identifiers.vehicleNumber,
+                color,
+                chassisNumber: identifiers.chassisNumber,
+                engineNumber: identifiers.engineNumber,
+                mileage,
+                conditionGrade,
+                ownerCount,
+                registrationExpiry,
+                insuranceExpiry,
+                purchasePrice,
+                ...(canSetPrices ? { askingPrice, floorPrice } : {}),
+                notes,
+                supplier
+            };
+            saveWheels(wheels);
+            showAlert('Wheel updated successfully');
+        }
+    } else {
+        // Add new wheel
+        const newWheel = {
+            id: generateId('wheel'),
+            ...catalogueChoice,
+            year,
+            vehicleNumber: identifiers.vehicleNumber,
+            color,
+            chassisNumber: identifiers.chassisNumber,
+            engineNumber: identifiers.engineNumber,
+            mileage,
+            conditionGrade,
+            ownerCount,
+            registrationExpiry,
+            insuranceExpiry,
+            notes,
+            purchasePrice,
+            askingPrice,
+            floorPrice,
+            addedDate: getTodayDate(),
+            acquisitionType: 'Purchase',
+            supplier,
+            tradeInSaleId: null,
+            expenses: [],
+            deletedAt: null,
+            deletedBy: ''
+        };
+        wheels.push(newWheel);
+        saveWheels(wheels);
+        showAlert('Wheel added successfully');
+    }
+
+    resetWheelForm();
+    renderWheels();
+    updateWheelSelect();
+}
+
+// ==================== ACQUISITION & COSTS ====================
+
+let currentCostWheelId = null;
+
+/**
+ * Get the total of a wheel's expense lines
+ * @param {Object} wheel - Wheel object
+ * @returns {number} Total expenses
+ */
+function getTotalExpenses(wheel) {
+    return roundCurrency((wheel.expenses || []).reduce((sum, expense) => sum + expense.amount, 0));
+}
+
+/**
+ * Get the total landed cost of a wheel (purchase price plus all expenses)
+ * @param {Object} wheel - Wheel object
+ * @returns {number} Landed cost
+ */
+function getLandedCost(wheel) {
+    return roundCurrency(wheel.purchasePrice + getTotalExpenses(wheel));
+}
+
+/**
+ * Show the cost ledger for a wheel
+ * @param {string} wheelId - Wheel ID
+ */
+function viewCostLedger(wheelId) {
+    if (!requirePermission('viewCosts')) {
+        return;
+    }
+
+    const wheel = loadWheels().find(w => w.id === wheelId);
+
+    if (!wheel) {
+        showAlert('Wheel not found');
+        return;
+    }
+
+    currentCostWheelId = wheelId;
+    renderCostLedger(wheel);
+
+    const section = document.getElementById('costLedgerSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render acquisition details and expense lines for a wheel
+ * @param {Object} wheel - Wheel object
+ */
+function renderCostLedger(wheel) {
+    const supplier = wheel.supplier || {};
+
+    document.getElementById('costLedgerSummary').innerHTML = `
+        <div><strong>${wheel.model} (${wheel.year})</strong> | ${wheel.vehicleNumber || 'N/A'} | ${wheel.acquisitionType || 'Purchase'} on ${formatDate(wheel.addedDate)}</div>
+        <div>Acquired from: ${supplier.name || 'N/A'}${supplier.phone ? ` | ${supplier.phone}` : ''}${supplier.nic ? ` | NIC: ${supplier.nic}` : ''}${supplier.address ? ` | ${supplier.address}` : ''}</div>
+        <div>Purchase Price: ${formatCurrency(wheel.purchasePrice)} | Expenses: ${formatCurrency(getTotalExpenses(wheel))} | Landed Cost: ${formatCurrency(getLandedCost(wheel))}</div>
+    `;
+
+    const tbody = document.getElementById('costLedgerBody');
+    const expenses = [...(wheel.expenses || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+    if (expenses.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 20px; color: #999;">No expenses recorded</td></tr>';
+    } else {
+        tbody.innerHTML = expenses.map(expense => `
+            <tr>
+                <td>${formatDate(expense.date)}</td>
+                <td>${expense.category}</td>
+                <td>${expense.description || '-'}</td>
+                <td>${formatCurrency(expense.amount)}</td>
+                <td><button onclick="deleteExpense('${wheel.id}', '${expense.id}')" class="danger">Delete</button></td>
+            </tr>
+        `).join('');
+    }
+
+    document.getElementById('expenseForm').reset();
+    document.getElementById('expenseDate').value = getTodayDate();
+}
+
+/**
+ * Handle expense form submission
+ */
+function handleExpenseSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
+    if (!currentCostWheelId) {
+        showAlert('No wheel selected');
+        return;
+    }
+
+    const date = document.getElementById('expenseDate').value;
+    const category = document.getElementById('expenseCategory').value;
+    const description = document.getElementById('expenseDescription').value.trim();
+    const amount = parseFloat(document.getElementById('expenseAmount').value);
+
+    if (!date) {
+        showAlert('Expense date is required');
+        return;
+    }
+
+    if (!category) {
+        showAlert('Expense category is required');
+        return;
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        showAlert('Expense amount must be greater than 0');
+        return;
+    }
+
+    const wheels = loadWheels();
+    const wheel = editRecord(wheels, currentCostWheelId);
+
+    if (!wheel) {
+        showAlert('Wheel not found');
+        return;
+    }
+
+    wheel.expenses = wheel.expenses || [];
+    wheel.expenses.push({
+        id: generateId('expense'),
+        date,
+        category,
+        description,
+        amount
+    });
+    saveWheels(wheels);
+
+    showAlert('Expense added successfully');
+
+    renderCostLedger(wheel);
+    renderWheels();
+    renderReport();
+}
+
+/**
+ * Delete an expense line from a wheel
+ * @param {string} wheelId - Wheel ID
+ * @param {string} expenseId - Expense ID
+ */
+function deleteExpense(wheelId, expenseId) {
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
+    if (!confirmAction('Are you sure you want to delete this expense?')) {
+        return;
+    }
+
+    const wheels = loadWheels();
+    const wheel = editRecord(wheels, wheelId);
+
+    if (!wheel) {
+        showAlert('Wheel not found');
+        return;
+    }
+
+    wheel.expenses = (wheel.expenses || []).filter(expense => expense.id !== expenseId);
+    saveWheels(wheels);
+
+    renderCostLedger(wheel);
+    renderWheels();
+    renderReport();
+}
+
+/**
+ * Show or hide the trade-in fields on the sale form
+ */
+function toggleTradeInFields() {
+    const hasTradeIn = document.getElementById('tradeInToggle').checked;
+    document.getElementById('tradeInFields').style.display = hasTradeIn ? 'block' : 'none';
+}
+
+/**
+ * Read trade-in vehicle details from the sale form
+ * @returns {Object} {catalogue, year, vehicleNumber, color, chassisNumber, engineNumber, value}
+ * where catalogue is the chosen make and model from readCatalogueChoice, or null
+ */
+function readTradeInForm() {
+    return {
+        catalogue: readCatalogueChoice('tradeIn'),
+        year: parseInt(document.getElementById('tradeInYear').value),
+        vehicleNumber: document.getElementById('tradeInVehicleNumber').value.trim(),
+        color: document.getElementById('tradeInColor').value.trim(),
+        chassisNumber: document.getElementById('tradeInChassisNumber').value.trim(),
+        engineNumber: document.getElementById('tradeInEngineNumber').value.trim(),
+        value: parseFloat(document.getElementById('tradeInValue').value)
+    };
+}
+
+/**
+ * Validate trade-in details against what the buyer owes us
+ * @param {Object} tradeIn - Trade-in input
+ * @param {number} buyerPayable - Amount payable by the buyer
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTradeInInput(tradeIn, buyerPayable) {
+    if (!tradeIn.catalogue) {
+        return 'Please choose the trade-in make and model';
+    }
+
+    if (isNaN(tradeIn.year) || tradeIn.year < 1900 || tradeIn.year > 2100) {
+        return 'Please enter a valid trade-in year';
+    }
+
+    if (!tradeIn.vehicleNumber) {
+        return 'Trade-in vehicle number is required';
+    }
+
+    if (!tradeIn.color) {
+        return 'Trade-in color is required';
+    }
+
+    if (!tradeIn.chassisNumber) {
+        return 'Trade-in chassis number is required';
+    }
+
+    if (!tradeIn.engineNumber) {
+        return 'Trade-in engine number is required';
+    }
+
+    if (isNaN(tradeIn.value) || tradeIn.value <= 0) {
+        return 'Trade-in allowance must be greater than 0';
+    }
+
+    if (tradeIn.value > buyerPayable) {
+        return `Trade-in allowance cannot exceed ${formatCurrency(buyerPayable)}`;
+    }
+
+    return null;
+}
+
+/**
+ * Build the inventory record for a vehicle taken in trade
+ * The allowance given to the buyer becomes its purchase price.
+ * @param {Object} tradeIn - Validated trade-in input
+ * @param {string} saleId - Sale the trade-in was taken against
+ * @param {Object} buyer - {buyerName, buyerAddress, buyerNIC, buyerPhone}
+ * @param {string} saleDate - Sale date (YYYY-MM-DD)
+ * @returns {Object} New wheel object
+ */
+function createTradeInWheel(tradeIn, saleId, buyer, saleDate) {
+    return {
+        id: generateId('wheel'),
+        ...tradeIn.catalogue,
+        year: tradeIn.year,
+        vehicleNumber: tradeIn.vehicleNumber,
+        color: tradeIn.color,
+        chassisNumber: tradeIn.chassisNumber,
+        engineNumber: tradeIn.engineNumber,
+        // Condition details are filled in later from the wheel form
+        mileage: null,
+        conditionGrade: '',
+        ownerCount: null,
+        registrationExpiry: '',
+        insuranceExpiry: '',
+        notes: `Traded in by ${buyer.buyerName}`,
+        purchasePrice: tradeIn.value,
+        askingPrice: null,
+        floorPrice: null,
+        addedDate: saleDate,
+        acquisitionType: 'Trade-in',
+        supplier: {
+            name: buyer.buyerName,
+            phone: buyer.buyerPhone,
+            nic: buyer.buyerNIC,
+            address: buyer.buyerAddress
+        },
+        tradeInSaleId: saleId,
+        expenses: [],
+        deletedAt: null,
+        deletedBy: ''
+    };
+}
+
+/**
+ * Describe the vehicle taken in trade on a sale
+ * @param {Object} sale - Sale object with tradeInWheelId
+ * @param {Array} wheels - Array of wheel objects
+ * @returns {string} e.g. "TVS King (2015) - ABC-1234, allowance Rs. 40,000.00"
+ */
+function getTradeInLabel(sale, wheels) {
+    const wheel = wheels.find(w => w.id === sale.tradeInWheelId);
+    const payment = (sale.payments || []).find(p => p.method === 'Trade-in');
+    const vehicle = wheel ? `${wheel.model} (${wheel.year}) - ${wheel.vehicleNumber}` : 'Vehicle no longer in inventory';
+    return payment ? `${vehicle}, allowance ${formatCurrency(payment.amount)}` : vehicle;
+}
+
+// ==================== ATTACHMENTS ====================
+
+// What an attachment shows, and whether it belongs to a wheel, a sale or either
+const ATTACHMENT_CATEGORIES = {
+    exterior: { label: 'Exterior photo', owners: ['wheel'] },
+    odometer: { label: 'Odometer photo', owners: ['wheel'] },
+    damage: { label: 'Damage photo', owners: ['wheel'] },
+    registrationBook: { label: 'Registration book', owners: ['wheel'] },
+    nicCopy: { label: 'Buyer NIC copy', owners: ['sale'] },
+    financeApproval: { label: 'Finance approval', owners: ['sale'] },
+    other: { label: 'Other', owners: ['wheel', 'sale'] }
+};
+
+// Photos are scaled down to fit these sizes (pixels) before they are stored
+const PHOTO_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 200;
+
+// PDFs are stored as they are, so keep them small; every attachment is copied into backups
+const ATTACHMENT_MAX_BYTES = 2 * 1024 * 1024;
+
+// Thumbnails shown on each wheel in the inventory list
+const WHEEL_THUMBNAIL_LIMIT = 4;
+
+// Record whose attachments are open in the gallery: {ownerType, ownerId}, or null
+let currentAttachmentOwner = null;
+
+/**
+ * Get the attachments of a wheel or sale, oldest first
+ * @param {string} ownerType - 'wheel' or 'sale'
+ * @param {string} ownerId - Wheel or sale ID
+ * @param {Array} attachments - All attachments
+ * @returns {Array} Matching attachments
+ */
+function getAttachments(ownerType, ownerId, attachments = loadAttachments()) {
+    return attachments
+        .filter(attachment => attachment.ownerType === ownerType && attachment.ownerId === ownerId)
+        .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * Check whether the logged-in user may add or remove attachments on a record
+ * Wheel photos follow the wheel edit permission; anyone who can record a sale can file its documents.
+ * @param {string} ownerType - 'wheel' or 'sale'
+ * @returns {boolean} True if allowed
+ */
+function canEditAttachments(ownerType) {
+    return ownerType === 'wheel' ? hasPermission('editWheels') : currentUser !== null;
+}
+
+/**
+ * Draw an image onto a canvas no larger than a given size and encode it as JPEG
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {number} maxSize - Longest side in pixels
+ * @param {number} quality - JPEG quality between 0 and 1
+ * @returns {Object} {data, width, height}
+ */
+function scaleImage(image, maxSize, quality) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent PNG areas become white rather than black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return { data: canvas.toDataURL('image/jpeg', quality), width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Read a chosen file into the form it is stored in
+ * @param {File} file - Photo or PDF
+ * @returns {Promise<Object>} {data, thumbnail, width, height, mimeType}
+ */
+function readAttachmentFile(file) {
+    return new Promise((resolve, reject) => {
+        const isPDF = file.type === 'application/pdf';
+        if (!isPDF && !file.type.startsWith('image/')) {
+            reject(new Error(`${file.name} is not a photo or a PDF`));
+            return;
+        }
+        if (isPDF && file.size > ATTACHMENT_MAX_BYTES) {
+            reject(new Error(`${file.name} is larger than ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`));
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = event => {
+            if (isPDF) {
+                resolve({ data: event.target.result, thumbnail: '', width: 0, height: 0, mimeType: file.type });
+                return;
+            }
+            const image = new Image();
+            image.onload = () => {
+                const photo = scaleImage(image, PHOTO_MAX_SIZE, 0.85);
+                resolve({
+                    data: photo.data,
+                    thumbnail: scaleImage(image, THUMBNAIL_SIZE, 0.7).data,
+                    width: photo.width,
+                    height: photo.height,
+                    mimeType: 'image/jpeg'
+                });
+            };
+            image.onerror = () => reject(new Error(`Could not read the photo ${file.name}`));
+            image.src = event.target.result;
+        };
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Describe the record an attachment belongs to
+ * @param {string} ownerType - 'wheel' or 'sale'
+ * @param {string} ownerId - Wheel or sale ID
+ * @returns {string} e.g. "TVS King (2015) - ABC-1234" or "Sale to Ahmed Khan on 1 Feb 2024"
+ */
+function getAttachmentOwnerLabel(ownerType, ownerId) {
+    if (ownerType === 'wheel') {
+        const wheel = loadWheels().find(w => w.id === ownerId);
+        return wheel ? `${wheel.model} (${wheel.year}) - ${wheel.vehicleNumber || 'N/A'}` : 'Unknown wheel';
+    }
+    const sale = loadSales().find(s => s.id === ownerId);
+    return sale ? `Sale to ${sale.buyerName} on ${formatDate(sale.saleDate)}${sale.invoiceNumber ? ` (${sale.invoiceNumber})` : ''}` : 'Unknown sale';
+}
+
+/**
+ * Record an added or removed attachment in the audit log against the wheel or sale it belongs to
+ * @param {Object} attachment - Attachment object
+ * @param {boolean} added - True if it was added, false if removed
+ */
+function logAttachmentChange(attachment, added) {
+    const description = `${ATTACHMENT_CATEGORIES[attachment.category].label}: ${attachment.fileName}`;
+    appendAuditEntries([buildAuditEntry({
+        action: 'update',
+        entityType: attachment.ownerType,
+        entityId: attachment.ownerId,
+        label: getAttachmentOwnerLabel(attachment.ownerType, attachment.ownerId),
+        before: { attachment: added ? null : description },
+        after: { attachment: added ? description : null }
+    })]);
+    renderAuditLog();
+}
+
+/**
+ * Small photo previews for a wheel in the inventory list
+ * @param {Array} attachments - The wheel's attachments
+ * @returns {string} HTML, or '' when the wheel has no photos
+ */
+function renderWheelThumbnails(attachments) {
+    const photos = attachments.filter(attachment => attachment.thumbnail).slice(0, WHEEL_THUMBNAIL_LIMIT);
+    if (photos.length === 0) return '';
+
+    return `
+        <div class="wheel-thumbnails">
+            ${photos.map(photo => `
+                <img src="${photo.thumbnail}" alt="${escapeHTML(ATTACHMENT_CATEGORIES[photo.category].label)}" title="${escapeHTML(ATTACHMENT_CATEGORIES[photo.category].label)}" onclick="viewAttachmentFile('${photo.id}')">
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Open the photo and document gallery for a wheel or sale
+ * @param {string} ownerType - 'wheel' or 'sale'
+ * @param {string} ownerId - Wheel or sale ID
+ */
+function viewAttachments(ownerType, ownerId) {
+    if (!currentUser) {
+        showLoginScreen();
+        return;
+    }
+
+    currentAttachmentOwner = { ownerType, ownerId };
+
+    document.getElementById('attachmentCategory').innerHTML = Object.entries(ATTACHMENT_CATEGORIES)
+        .filter(([, category]) => category.owners.includes(ownerType))
+        .map(([key, category]) => `<option value="${key}">${category.label}</option>`)
+        .join('');
+    document.getElementById('attachmentForm').reset();
+    document.getElementById('attachmentForm').style.display = canEditAttachments(ownerType) ? '' : 'none';
+
+    renderAttachmentGallery();
+    closeAttachmentViewer();
+    document.getElementById('attachmentGallery').style.display = 'flex';
+}
+
+/**
+ * Close the gallery
+ */
+function closeAttachments() {
+    currentAttachmentOwner = null;
+    document.getElementById('attachmentGallery').style.display = 'none';
+}
+
+/**
+ * Render the attachments of the record open in the gallery
+ */
+function renderAttachmentGallery() {
+    if (!currentAttachmentOwner) return;
+
+    const { ownerType, ownerId } = currentAttachmentOwner;
+    const attachments = getAttachments(ownerType, ownerId);
+    const canEdit = canEditAttachments(ownerType);
+
+    document.getElementById('attachmentGalleryTitle').textContent = ownerType === 'wheel' ? 'Vehicle Photos & Documents' : 'Sale Documents';
+    document.getElementById('attachmentSummary').innerHTML = `<strong>${escapeHTML(getAttachmentOwnerLabel(ownerType, ownerId))}</strong> | ${attachments.length} file(s)`;
+
+    const grid = document.getElementById('attachmentGrid');
+    if (attachments.length === 0) {
+        grid.innerHTML = '<div class="empty-state">No photos or documents attached</div>';
+        return;
+    }
+
+    grid.innerHTML = attachments.map(attachment => `
+        <div class="attachment-tile${attachment.onBill ? ' on-bill' : ''}">
+            <div class="attachment-preview" onclick="viewAttachmentFile('${attachment.id}')">
+                ${attachment.thumbnail ? `<img src="${attachment.thumbnail}" alt="">` : '<span class="attachment-file-type">PDF</span>'}
+            </div>
+            <div class="attachment-caption">
+                <strong>${ATTACHMENT_CATEGORIES[attachment.category].label}</strong>
+                <div>${escapeHTML(attachment.fileName)}</div>
+                <div>${formatDate(attachment.addedAt.slice(0, 10))}${attachment.addedBy ? ` by ${escapeHTML(attachment.addedBy)}` : ''}</div>
+                ${attachment.onBill ? '<div class="attachment-bill-flag">Printed on bill</div>' : ''}
+            </div>
+            <div class="attachment-actions">
+                <button onclick="viewAttachmentFile('${attachment.id}')">View</button>
+                ${canEdit && ownerType === 'wheel' && attachment.thumbnail ? `<button onclick="toggleBillPhoto('${attachment.id}')" class="secondary">${attachment.onBill ? 'Remove from Bill' : 'Use on Bill'}</button>` : ''}
+                ${canEdit ? `<button onclick="deleteAttachment('${attachment.id}')" class="danger">Remove</button>` : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Handle the attachment upload form
+ * Every chosen file is read before anything is saved, so one unreadable file does not leave the upload half done.
+ * @param {Event} e - Form submit event
+ */
+async function handleAttachmentSubmit(e) {
+    e.preventDefault();
+
+    if (!currentAttachmentOwner) return;
+    const { ownerType, ownerId } = currentAttachmentOwner;
+
+    if (ownerType === 'wheel' && !requirePermission('editWheels')) {
+        return;
+    }
+
+    const category = document.getElementById('attachmentCategory').value;
+    const files = [...document.getElementById('attachmentFiles').files];
+    if (files.length === 0) {
+        showAlert('Please choose one or more photos or PDF files');
+        return;
+    }
+
+    let read;
+    try {
+        read = await Promise.all(files.map(readAttachmentFile));
+    } catch (error) {
+        showAlert(error.message);
+        return;
+    }
+
+    const addedAt = new Date().toISOString();
+    const newAttachments = files.map((file, i) => ({
+        id: generateId('attachment'),
+        ownerType,
+        ownerId,
+        category,
+        fileName: file.name,
+        size: Math.round(read[i].data.length * 3 / 4),
+        ...read[i],
+        onBill: false,
+        addedAt,
+        addedBy: currentUser ? currentUser.name : ''
+    }));
+
+    if (!(await saveAttachments(newAttachments))) {
+        return;
+    }
+    newAttachments.forEach(attachment => logAttachmentChange(attachment, true));
+
+    document.getElementById('attachmentForm').reset();
+    renderAttachmentGallery();
+    renderWheels();
+    renderSales();
+    showAlert(`${newAttachments.length} file(s) attached`);
+}
+
+/**
+ * Remove an attachment for good
+ * @param {string} attachmentId - Attachment ID
+ */
+async function deleteAttachment(attachmentId) {
+    const attachment = loadAttachments().find(a => a.id === attachmentId);
+    if (!attachment) {
+        showAlert('Attachment not found');
+        return;
+    }
+
+    if (attachment.ownerType === 'wheel' && !requirePermission('editWheels')) {
+        return;
+    }
+
+    if (!confirmAction(`Remove ${attachment.fileName}? This cannot be undone.`)) {
+        return;
+    }
+
+    if (!(await saveAttachments([], [attachmentId]))) {
+        return;
+    }
+    logAttachmentChange(attachment, false);
+
+    closeAttachmentViewer();
+    renderAttachmentGallery();
+    renderWheels();
+    renderSales();
+}
+
+/**
+ * Choose the wheel photo printed on its bill, or stop printing it
+ * @param {string} attachmentId - Attachment ID of a wheel photo
+ */
+async function toggleBillPhoto(attachmentId) {
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
+    const attachments = loadAttachments();
+    const attachment = attachments.find(a => a.id === attachmentId);
+    if (!attachment || attachment.ownerType !== 'wheel' || !attachment.thumbnail) {
+        showAlert('Only vehicle photos can be printed on the bill');
+        return;
+    }
+
+    const onBill = !attachment.onBill;
+    const changed = attachments
+        .filter(a => a.ownerType === 'wheel' && a.ownerId === attachment.ownerId && a.onBill !== (onBill && a.id === attachmentId))
+        .map(a => ({ ...a, onBill: onBill && a.id === attachmentId }));
+    await saveAttachments(changed);
+    renderAttachmentGallery();
+}
+
+/**
+ * Get the photo chosen to be printed on a wheel's bill
+ * @param {string} wheelId - Wheel ID
+ * @returns {Object|null} {data, width, height}
+ */
+function getBillPhoto(wheelId) {
+    const photo = getAttachments('wheel', wheelId).find(attachment => attachment.onBill && attachment.thumbnail);
+    return photo ? { data: photo.data, width: photo.width, height: photo.height } : null;
+}
+
+/**
+ * Show an attachment full size; PDFs open in a new tab
+ * @param {string} attachmentId - Attachment ID
+ */
+function viewAttachmentFile(attachmentId) {
+    const attachment = loadAttachments().find(a => a.id === attachmentId);
+    if (!attachment) {
+        showAlert('Attachment not found');
+        return;
+    }
+
+    if (!attachment.thumbnail) {
+        // Browsers block top-level navigation to data URLs, so open the PDF from a blob
+        const bytes = atob(attachment.data.split(',')[1]);
+        const blob = new Blob([Uint8Array.from(bytes, ch => ch.charCodeAt(0))], { type: attachment.mimeType });
+        const url = URL.createObjectURL(blob);
+        window.open(url, '_blank');
+        // Give the new tab time to load the PDF before the blob is released
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        return;
+    }
+
+    if (!currentAttachmentOwner || currentAttachmentOwner.ownerId !== attachment.ownerId) {
+        viewAttachments(attachment.ownerType, attachment.ownerId);
+    }
+    document.getElementById('attachmentViewerImage').src = attachment.data;
+    document.getElementById('attachmentViewerCaption').textContent = `${ATTACHMENT_CATEGORIES[attachment.category].label} - ${attachment.fileName}`;
+    document.getElementById('attachmentViewer').style.display = 'block';
+}
+
+/**
+ * Hide the full-size photo
+ */
+function closeAttachmentViewer() {
+    document.getElementById('attachmentViewer').style.display = 'none';
+    document.getElementById('attachmentViewerImage').src = '';
+}
+
+/**
+ * Drop the attachments of wheels and sales that no longer exist
+ * @param {Array} attachments - Attachments to check
+ * @param {Object} data - {wheels, sales} the attachments must belong to
+ * @returns {Array} Attachments whose wheel or sale exists
+ */
+function keepOwnedAttachments(attachments, data) {
+    const ownerIds = { wheel: new Set(data.wheels.map(w => w.id)), sale: new Set(data.sales.map(s => s.id)) };
+    return attachments.filter(attachment => ownerIds[attachment.ownerType] && ownerIds[attachment.ownerType].has(attachment.ownerId));
+}
+
+/**
+ * Check an attachment read from a backup
+ * @param {Object} attachment - Attachment object
+ * @returns {boolean} True if usable
+ */
+function isValidAttachment(attachment) {
+    return Boolean(attachment) && typeof attachment === 'object' &&
+        isNonEmptyString(attachment.id) &&
+        ['wheel', 'sale'].includes(attachment.ownerType) &&
+        isNonEmptyString(attachment.ownerId) &&
+        Boolean(ATTACHMENT_CATEGORIES[attachment.category]) &&
+        isNonEmptyString(attachment.fileName) &&
+        typeof attachment.data === 'string' && attachment.data.startsWith('data:') &&
+        typeof attachment.thumbnail === 'string' &&
+        isValidDateString(String(attachment.addedAt).slice(0, 10));
+}
+
+// ==================== PRICING ====================
+
+// Why a selling price needed approval; keys are stored in sale.priceApproval.reasons
+const PRICE_APPROVAL_REASONS = {
+    floor: 'below the floor price',
+    loss: 'below the landed cost'
+};
+
+// What happens when a wheel is sold below its floor price or at a loss (settings.priceCheck)
+const PRICE_CHECK_MODES = {
+    warn: 'Warn and ask to confirm',
+    approval: 'Require manager approval'
+};
+
+/**
+ * Find why a selling price needs approval
+ * @param {Object} wheel - Wheel being sold
+ * @param {number} sellingPrice - Price agreed with the buyer
+ * @returns {Array} Keys of PRICE_APPROVAL_REASONS, empty if the price is fine
+ */
+function getPriceApprovalReasons(wheel, sellingPrice) {
+    const reasons = [];
+    if (typeof wheel.floorPrice === 'number' && sellingPrice < wheel.floorPrice) {
+        reasons.push('floor');
+    }
+    if (sellingPrice < getLandedCost(wheel)) {
+        reasons.push('loss');
+    }
+    return reasons;
+}
+
+/**
+ * Explain price problems to the logged-in user
+ * Floor prices and costs are only quoted to roles that may see them.
+ * @param {Object} wheel - Wheel being sold
+ * @param {Array} reasons - Keys of PRICE_APPROVAL_REASONS
+ * @returns {Array} One sentence per reason
+ */
+function describePriceProblems(wheel, reasons) {
+    return reasons.map(reason => {
+        if (reason === 'floor') {
+            return `The price is below the floor price${hasPermission('approvePrices') ? ` of ${formatCurrency(wheel.floorPrice)}` : ''}.`;
+        }
+        return `The price is below the landed cost${hasPermission('viewCosts') ? ` of ${formatCurrency(getLandedCost(wheel))}` : ''}, so the sale makes a loss.`;
+    });
+}
+
+/**
+ * Suggest a price from past sales of the same catalogue model and year
+ * Falls back to the same model in any year when none of that year have been sold.
+ * @param {Object} wheel - {id, modelId, model, year} of the wheel to price
+ * @param {Array} sales - All sale objects
+ * @param {Array} wheels - All wheel objects
+ * @returns {Object|null} {price, low, high, count, sameYear} where price is the median selling price, or null without past sales
+ */
+function getPriceSuggestion(wheel, sales, wheels) {
+    const wheelsById = new Map(wheels.map(w => [w.id, w]));
+    const isSameModel = other => (wheel.modelId ? other.modelId === wheel.modelId : other.model === wheel.model);
+    const sold = sales
+        .filter(isActiveSale)
+        .map(sale => ({ sale, soldWheel: wheelsById.get(sale.wheelId) }))
+        .filter(({ soldWheel }) => soldWheel && soldWheel.id !== wheel.id && isSameModel(soldWheel));
+    const sameYear = sold.filter(({ soldWheel }) => soldWheel.year === wheel.year);
+    const basis = sameYear.length > 0 ? sameYear : sold;
+    if (basis.length === 0) return null;
+
+    const prices = basis.map(({ sale }) => sale.sellingPrice).sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+    return {
+        price: prices.length % 2 === 1 ? prices[middle] : roundCurrency((prices[middle - 1] + prices[middle]) / 2),
+        low: prices[0],
+        high: prices[prices.length - 1],
+        count: prices.length,
+        sameYear: sameYear.length > 0
+    };
+}
+
+/**
+ * Describe a price suggestion
+ * @param {Object} wheel - {model, year} of the wheel to price
+ * @param {Object|null} suggestion - Result of getPriceSuggestion()
+ * @returns {string} e.g. "Rs. 95,000.00 (median of 3 sales of TVS King 2019, Rs. 90,000.00 to Rs. 99,000.00)"
+ */
+function describePriceSuggestion(wheel, suggestion) {
+    if (!suggestion) return `No past sales of ${wheel.model} to compare with`;
+    const basis = suggestion.sameYear ? `${wheel.model} ${wheel.year}` : `${wheel.model} (any year)`;
+    const range = suggestion.count > 1 ? `, ${formatCurrency(suggestion.low)} to ${formatCurrency(suggestion.high)}` : '';
+    return `${formatCurrency(suggestion.price)} (median of ${suggestion.count} sale(s) of ${basis}${range})`;
+}
+
+/**
+ * Show the price suggestion for the make, model and year entered in the wheel form
+ */
+function updateWheelPriceSuggestion() {
+    const hint = document.getElementById('wheelPriceSuggestion');
+    const choice = readCatalogueChoice('wheel');
+    const year = parseInt(document.getElementById('year').value, 10);
+    if (!choice || isNaN(year)) {
+        hint.textContent = 'Choose the make, model and year to see a suggested price.';
+        return;
+    }
+    const wheel = { id: editingWheelId, modelId: choice.modelId, model: choice.model, year };
+    hint.textContent = `Suggested price: ${describePriceSuggestion(wheel, getPriceSuggestion(wheel, loadSales(), loadWheels()))}`;
+}
+
+/**
+ * Show the asking price, floor, suggestion and any price warning for the wheel chosen in the sale form
+ * Also shows the manager approval fields when the entered price needs them.
+ */
+function renderSalePricing() {
+    const hint = document.getElementById('salePricingHint');
+    const approvalFields = document.getElementById('priceApprovalFields');
+    const wheel = loadWheels().find(w => w.id === document.getElementById('wheelSelect').value);
+    if (!wheel) {
+        hint.style.display = 'none';
+        approvalFields.style.display = 'none';
+        return;
+    }
+
+    const sellingPrice = parseFloat(document.getElementById('sellingPrice').value);
+    const reasons = isNaN(sellingPrice) ? [] : getPriceApprovalReasons(wheel, sellingPrice);
+    const needsApprover = reasons.length > 0 && getSettings().priceCheck === 'approval' && !hasPermission('approvePrices');
+    const prices = [
+        `Asking price: ${typeof wheel.askingPrice === 'number' ? formatCurrency(wheel.askingPrice) : 'not set'}`,
+        hasPermission('approvePrices') && typeof wheel.floorPrice === 'number' ? `Floor price: ${formatCurrency(wheel.floorPrice)}` : '',
+        hasPermission('viewCosts') ? `Landed cost: ${formatCurrency(getLandedCost(wheel))}` : ''
+    ].filter(Boolean);
+
+    hint.innerHTML = `
+        <div>${prices.join(' | ')}</div>
+        <div>Suggested price: ${describePriceSuggestion(wheel, getPriceSuggestion(wheel, loadSales(), loadWheels()))}</div>
+        ${reasons.length > 0 ? `<div class="price-warning">${describePriceProblems(wheel, reasons).join(' ')}${needsApprover ? ' A manager must approve this price below.' : ''}</div>` : ''}
+    `;
+    hint.style.display = 'block';
+    approvalFields.style.display = needsApprover ? 'block' : 'none';
+}
+
+/**
+ * Confirm a selling price below the floor price or the landed cost
+ * Depending on the settings, sellers who may not approve prices need a manager's username and PIN or password.
+ * @param {Object} wheel - Wheel being sold
+ * @param {Array} reasons - Keys of PRICE_APPROVAL_REASONS
+ * @returns {Promise<Object|null>} {reasons, approvedByUserId, approvedByName, approvedAt}, or null if not approved
+ */
+async function approveSalePrice(wheel, reasons) {
+    const problems = describePriceProblems(wheel, reasons).join('\n');
+    let approver = currentUser;
+
+    if (getSettings().priceCheck === 'approval' && !hasPermission('approvePrices')) {
+        const username = document.getElementById('approvalUsername').value;
+        const secret = document.getElementById('approvalSecret').value;
+        if (!username.trim() || !secret) {
+            renderSalePricing();
+            showAlert(`${problems}\n\nA manager must approve this price by entering their username and PIN or password under Manager Approval.`);
+            return null;
+        }
+
+        const user = findUserByUsername(loadUsers(), username);
+        try {
+            if (!user || !user.active || !ROLES[user.role].permissions.includes('approvePrices') ||
+                await hashCredential(secret, user.salt) !== user.credentialHash) {
+                showAlert('Manager approval failed: incorrect username, PIN or password, or the account may not approve prices');
+                document.getElementById('approvalSecret').value = '';
+                return null;
+            }
+        } catch (error) {
+            showAlert(error.message);
+            return null;
+        }
+        approver = user;
+    } else if (!confirmAction(`${problems}\n\nRecord the sale at this price?`)) {
+        return null;
+    }
+
+    return { reasons, approvedByUserId: approver.id, approvedByName: approver.name, approvedAt: new Date().toISOString() };
+}
+
+/**
+ * Describe who approved a sale's price and why
+ * @param {Object} sale - Sale object with priceApproval
+ * @returns {string} e.g. "Price below the floor price, approved by Nimal"
+ */
+function getPriceApprovalLabel(sale) {
+    const reasons = sale.priceApproval.reasons.map(reason => PRICE_APPROVAL_REASONS[reason]).join(' and ');
+    return `Price ${reasons}, approved by ${sale.priceApproval.approvedByName}`;
+}
+
+// ==================== SALES MANAGEMENT ====================
+
+// Sales sort orders offered in the sort dropdown; wheelsById gives access to the sold wheel
+const SALE_SORTS = {
+    dateDesc: (a, b) => b.saleDate.localeCompare(a.saleDate),
+    dateAsc: (a, b) => a.saleDate.localeCompare(b.saleDate),
+    priceDesc: (a, b) => b.sellingPrice - a.sellingPrice,
+    priceAsc: (a, b) => a.sellingPrice - b.sellingPrice,
+    buyer: (a, b) => a.buyerName.localeCompare(b.buyerName),
+    model: (a, b, wheelsById) => ((wheelsById.get(a.wheelId) || {}).model || '').localeCompare((wheelsById.get(b.wheelId) || {}).model || '')
+};
+
+// Most wheels listed under the picker at once; typing more narrows the list
+const WHEEL_PICKER_LIMIT = 8;
+
+/**
+ * Describe a wheel in the sale form's wheel picker
+ * @param {Object} wheel - Wheel object
+ * @returns {string} e.g. "TVS King (2015) - Blue - ABC-1234"
+ */
+function getWheelPickerLabel(wheel) {
+    return `${wheel.model} (${wheel.year}) - ${wheel.color || 'N/A'} - ${wheel.vehicleNumber || 'N/A'}`;
+}
+
+/**
+ * Refresh the wheel picker after stock changes
+ * A chosen wheel that is no longer available (sold, deleted) is cleared.
+ */
+function updateWheelSelect() {
+    const selectedId = document.getElementById('wheelSelect').value;
+    if (selectedId && !getAvailableWheels().some(wheel => wheel.id === selectedId)) {
+        clearWheelPicker();
+    }
+    if (document.getElementById('wheelPickerResults').style.display !== 'none') {
+        renderWheelPickerResults();
+    }
+}
+
+/**
+ * List the available wheels matching the picker's search text
+ */
+function renderWheelPickerResults() {
+    const query = document.getElementById('wheelSearch').value.trim();
+    const results = document.getElementById('wheelPickerResults');
+    const matches = getAvailableWheels()
+        .filter(wheel => matchesSearch([wheel.model, wheel.year, wheel.vehicleNumber, wheel.chassisNumber, wheel.engineNumber, wheel.color], query))
+        .sort(WHEEL_SORTS.model);
+
+    results.innerHTML = matches.length === 0
+        ? '<div class="wheel-picker-empty">No available wheel matches</div>'
+        : matches.slice(0, WHEEL_PICKER_LIMIT).map(wheel => `
+            <div class="wheel-picker-option" data-wheel-id="${wheel.id}">
+                <strong>${escapeHTML(getWheelPickerLabel(wheel))}</strong>
+                <span>Chassis: ${escapeHTML(wheel.chassisNumber || 'N/A')} | Engine: ${escapeHTML(wheel.engineNumber || 'N/A')}</span>
+            </div>
+        `).join('') + (matches.length > WHEEL_PICKER_LIMIT ? `<div class="wheel-picker-empty">${matches.length - WHEEL_PICKER_LIMIT} more - keep typing to narrow down</div>` : '');
+    results.style.display = 'block';
+}
+
+/**
+ * Choose a wheel in the sale form
+ * @param {string} wheelId - Wheel ID
+ */
+function selectPickerWheel(wheelId) {
+    const wheel = getAvailableWheels().find(w => w.id === wheelId);
+    if (!wheel) {
+        showAlert('This wheel is no longer available');
+        return;
+    }
+
+    document.getElementById('wheelSelect').value = wheel.id;
+    document.getElementById('wheelSearch').value = getWheelPickerLabel(wheel);
+    document.getElementById('wheelPickerResults').style.display = 'none';
+    if (typeof wheel.askingPrice === 'number') {
+        document.getElementById('sellingPrice').value = wheel.askingPrice;
+        updateAmountFinanced();
+    }
+    renderSalePricing();
+}
+
+/**
+ * Empty the wheel picker
+ */
+function clearWheelPicker() {
+    document.getElementById('wheelSelect').value = '';
+    document.getElementById('wheelSearch').value = '';
+    document.getElementById('wheelPickerResults').style.display = 'none';
+    renderSalePricing();
+}
+
+/**
+ * Keyboard handling for the wheel picker: Enter picks the first match, Escape closes the list
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleWheelPickerKeydown(e) {
+    const results = document.getElementById('wheelPickerResults');
+    if (e.key === 'Escape') {
+        results.style.display = 'none';
+    } else if (e.key === 'Enter' && results.style.display !== 'none') {
+        // Keep Enter from submitting the sale form while choosing
+        e.preventDefault();
+        const first = results.querySelector('.wheel-picker-option');
+        if (first) selectPickerWheel(first.dataset.wheelId);
+    }
+}
+
+/**
+ * Filter and sort sales using the sales search box and filters
+ * @param {Array} sales - Sales not in the recycle bin
+ * @param {Array} wheels - All wheel objects
+ * @returns {Array} Matching sales in display order
+ */
+function filterSales(sales, wheels) {
+    const search = document.getElementById('salesSearch').value.trim();
+    const status = document.getElementById('salesStatus').value;
+    const paymentMethod = document.getElementById('salesPaymentMethod').value;
+    const yearFrom = readNumberFilter('salesYearFrom');
+    const yearTo = readNumberFilter('salesYearTo');
+    const minPrice = readNumberFilter('salesMinPrice');
+    const maxPrice = readNumberFilter('salesMaxPrice');
+    const sort = SALE_SORTS[document.getElementById('salesSort').value] || SALE_SORTS.dateDesc;
+    const wheelsById = new Map(wheels.map(wheel => [wheel.id, wheel]));
+    const statusMatches = {
+        active: isActiveSale,
+        reversed: sale => !isActiveSale(sale),
+        balanceDue: sale => getSaleBalance(sale) > 0,
+        transferPending: sale => isTransferPending(sale)
+    };
+
+    return sales
+        .filter(sale => !status || statusMatches[status](sale))
+        .filter(sale => !paymentMethod || sale.paymentMethod === paymentMethod)
+        .filter(sale => minPrice === null || sale.sellingPrice >= minPrice)
+        .filter(sale => maxPrice === null || sale.sellingPrice <= maxPrice)
+        .filter(sale => {
+            const wheel = wheelsById.get(sale.wheelId) || {};
+            return (yearFrom === null || wheel.year >= yearFrom) &&
+                (yearTo === null || wheel.year <= yearTo) &&
+                matchesSearch([wheel.model, wheel.vehicleNumber, wheel.chassisNumber, wheel.engineNumber, wheel.color,
+                    sale.buyerName, sale.buyerNIC, sale.buyerPhone, sale.invoiceNumber], search);
+        })
+        .sort((a, b) => sort(a, b, wheelsById));
+}
+
+/**
+ * Render sales list
+ * Shows one page of the sales matching the sales search and filters.
+ */
+function renderSales() {
+    const allSales = loadSales().filter(sale => !sale.deletedAt);
+    const wheels = loadWheels();
+    const container = document.getElementById('salesContainer');
+    const countLabel = document.getElementById('salesCount');
+    const pagination = document.getElementById('salesPagination');
+
+    if (allSales.length === 0) {
+        container.innerHTML = '<div class="empty-state">No sales recorded</div>';
+        countLabel.textContent = '';
+        pagination.innerHTML = '';
+        return;
+    }
+
+    const attachments = loadAttachments();
+    const matches = filterSales(allSales, wheels);
+    const pageInfo = paginate(matches, listPages.sales, parseInt(document.getElementById('salesPageSize').value, 10));
+    listPages.sales = pageInfo.page;
+
+    countLabel.textContent = `Showing ${pageInfo.first}-${pageInfo.last} of ${matches.length} sales${matches.length < allSales.length ? ` (filtered from ${allSales.length})` : ''}`;
+    pagination.innerHTML = renderPagination('sales', pageInfo);
+
+    if (pageInfo.items.length === 0) {
+        container.innerHTML = '<div class="empty-state">No sales match the search and filters</div>';
+        return;
+    }
+
+    container.innerHTML = pageInfo.items.map(sale => {
+        const wheel = wheels.find(w => w.id === sale.wheelId);
+        const wheelName = wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel';
+        const balance = getSaleBalance(sale);
+        const overdue = isSaleOverdue(sale);
+        const isActive = isActiveSale(sale);
+        
+        return `
+            <div class="sale-item ${overdue ? 'overdue' : ''} ${isActive ? '' : 'reversed'}">
+                <div class="sale-info">
+                    <strong>${wheelName}</strong>
+                    <div>Buyer: ${sale.buyerName || 'N/A'} | Payment: ${sale.paymentMethod || 'N/A'}${sale.soldByName ? ` | Sold by: ${sale.soldByName}` : ''}</div>
+                    <div>${sale.invoiceNumber ? `Invoice: ${sale.invoiceNumber} | ` : ''}Sale Date: ${formatDate(sale.saleDate)} | Price: ${formatCurrency(sale.sellingPrice)}</div>
+                    <div>Paid: ${formatCurrency(getTotalPaid(sale))} | Balance: ${formatCurrency(balance)}${balance > 0 && sale.balanceDueDate ? ` (due ${formatDate(sale.balanceDueDate)})` : ''}</div>
+                    ${overdue ? '<div style="color: #e74c3c; font-weight: bold;">OVERDUE</div>' : ''}
+                    ${!isActive ? `<div class="reversal-flag">${getReversalLabel(sale)}</div>` : `<div${isTransferPending(sale) ? ' class="transfer-pending"' : ''}>Transfer: ${getTransferLabel(sale)}</div>`}
+                    ${sale.tradeInWheelId ? `<div>Trade-in: ${getTradeInLabel(sale, wheels)}</div>` : ''}
+                    ${sale.finance ? `<div>Finance: ${sale.finance.company} | Financed: ${formatCurrency(sale.finance.amountFinanced)} | Settlement: ${sale.finance.settlement ? `Received ${formatDate(sale.finance.settlement.date)}` : 'Pending'}</div>` : ''}
+                    ${sale.priceApproval ? `<div class="price-warning">${getPriceApprovalLabel(sale)}</div>` : ''}
+                    ${sale.saleNotes ? `<div>Notes: ${sale.saleNotes}</div>` : ''}
+                    <button onclick="generateBill('${sale.id}')" class="bill-btn" style="margin-top: 10px;">Generate Bill</button>
+                    <button onclick="viewPaymentLedger('${sale.id}')" style="margin-top: 10px;">Payments</button>
+                    <button onclick="viewAttachments('sale', '${sale.id}')" style="margin-top: 10px;">Documents (${getAttachments('sale', sale.id, attachments).length})</button>
+                    ${sale.finance ? `<button onclick="viewFinanceSchedule('${sale.id}')" style="margin-top: 10px;">Finance Schedule</button>` : ''}
+                    ${isActive ? `<button onclick="viewTransfer('${sale.id}')" style="margin-top: 10px;">Transfer</button>` : ''}
+                    ${isActive && hasPermission('reverseSales') ? `<button onclick="viewSaleReversal('${sale.id}')" class="secondary" style="margin-top: 10px;">Void / Return</button>` : ''}
+                    ${hasPermission('deleteSales') ? `<button onclick="deleteSale('${sale.id}')" class="danger" style="margin-top: 10px;">Delete</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle sale form submission
+ */
+async function handleSaleSubmit(e) {
+    e.preventDefault();
+
+    if (!currentUser) {
+        showLoginScreen();
+        return;
+    }
+
+    const wheelId = document.getElementById('wheelSelect').value;
+    const sellingPrice = parseFloat(document.getElementById('sellingPrice').value);
+    const paymentMethod = document.getElementById('paymentMethod').value;
+    const buyerName = document.getElementById('buyerName').value.trim();
+    const buyerAddress = document.getElementById('buyerAddress').value.trim();
+    const buyerNICInput = document.getElementById('buyerNIC').value.trim();
+    const buyerPhone = document.getElementById('buyerPhone').value.trim();
+    const saleDate = document.getElementById('saleDate').value;
+    const saleNotes = document.getElementById('saleNotes').value.trim();
+    const isFinanceSale = paymentMethod === FINANCE_PAYMENT_METHOD;
+
+    // Validation
+    if (!wheelId) {
+        showAlert('Please select a wheel');
+        return;
+    }
+
+    if (isNaN(sellingPrice) || sellingPrice <= 0) {
+        showAlert('Selling price must be greater than 0');
+        return;
+    }
+
+    if (!paymentMethod) {
+        showAlert('Payment method is required');
+        return;
+    }
+
+    if (!buyerName) {
+        showAlert('Buyer name is required');
+        return;
+    }
+
+    if (!buyerAddress) {
+        showAlert('Buyer address is required');
+        return;
+    }
+
+    if (!buyerNICInput) {
+        showAlert('Buyer NIC number is required');
+        return;
+    }
+
+    const buyerNIC = formatNIC(buyerNICInput);
+    if (!buyerNIC) {
+        showAlert(`Buyer NIC ${buyerNICInput} does not match the NIC formats in Shop Settings`);
+        return;
+    }
+
+    if (!buyerPhone) {
+        showAlert('Buyer phone number is required');
+        return;
+    }
+
+    if (!saleDate) {
+        showAlert('Sale date is required');
+        return;
+    }
+
+    let finance = null;
+    if (isFinanceSale) {
+        const financeInput = readFinanceForm();
+        const financeError = validateFinanceInput(financeInput, sellingPrice);
+        if (financeError) {
+            showAlert(financeError);
+            return;
+        }
+        finance = buildFinanceDetails(financeInput, sellingPrice, saleDate);
+    }
+
+    // Amount the buyer pays us directly (the finance company pays the rest)
+    const buyerPayable = finance ? finance.downPayment : sellingPrice;
+
+    let tradeIn = null;
+    if (document.getElementById('tradeInToggle').checked) {
+        tradeIn = readTradeInForm();
+        const tradeInError = validateTradeInInput(tradeIn, buyerPayable);
+        if (tradeInError) {
+            showAlert(tradeInError);
+            return;
+        }
+
+        const { values, error, duplicates } = checkWheelIdentifiers(tradeIn, null);
+        if (error) {
+            showAlert(`Trade-in: ${error}`);
+            return;
+        }
+        if (!confirmDuplicateIdentifiers(duplicates)) {
+            return;
+        }
+        tradeIn = { ...tradeIn, ...values };
+    }
+
+    // What is left for the buyer to pay after the trade-in allowance
+    const remainingPayable = roundCurrency(buyerPayable - (tradeIn ? tradeIn.value : 0));
+    const initialPaymentValue = document.getElementById('initialPayment').value;
+    const initialPayment = initialPaymentValue === '' ? remainingPayable : parseFloat(initialPaymentValue);
+    const balanceDueDate = document.getElementById('balanceDueDate').value;
+
+    if (isNaN(initialPayment) || initialPayment < 0) {
+        showAlert('Amount paid now must be 0 or more');
+        return;
+    }
+
+    if (initialPayment > remainingPayable) {
+        showAlert(`Amount paid now cannot exceed ${formatCurrency(remainingPayable)}`);
+        return;
+    }
+
+    if (initialPayment < remainingPayable && !balanceDueDate) {
+        showAlert('Balance due date is required when the sale is not paid in full');
+        return;
+    }
+
+    const payments = initialPayment > 0 ? [createPayment({
+        date: saleDate,
+        amount: initialPayment,
+        method: document.getElementById('initialPaymentType').value,
+        reference: document.getElementById('initialPaymentReference').value.trim()
+    })] : [];
+
+    // A price below the floor or the landed cost has to be confirmed, or approved by a manager
+    const wheel = loadWheels().find(w => w.id === wheelId);
+    if (!wheel) {
+        showAlert('Wheel not found');
+        return;
+    }
+    const approvalReasons = getPriceApprovalReasons(wheel, sellingPrice);
+    let priceApproval = null;
+    if (approvalReasons.length > 0) {
+        priceApproval = await approveSalePrice(wheel, approvalReasons);
+        if (!priceApproval) {
+            return;
+        }
+    }
+
+    // Check if wheel is already sold
+    const sales = loadSales();
+    if (findActiveSale(wheelId)) {
+        showAlert('This wheel has already been sold');
+        return;
+    }
+
+    // Link the sale to the customer directory
+    const customers = loadCustomers();
+    const customer = upsertCustomer(customers, { buyerName, buyerAddress, buyerNIC, buyerPhone }, saleDate);
+    saveCustomers(customers);
+
+    const saleId = generateId('sale');
+
+    // Take the trade-in into stock and count its allowance as a payment
+    let tradeInWheelId = null;
+    if (tradeIn) {
+        const wheels = loadWheels();
+        const tradeInWheel = createTradeInWheel(tradeIn, saleId, { buyerName, buyerAddress, buyerNIC, buyerPhone }, saleDate);
+        wheels.push(tradeInWheel);
+        saveWheels(wheels);
+        tradeInWheelId = tradeInWheel.id;
+
+        payments.unshift(createPayment({
+            date: saleDate,
+            amount: tradeIn.value,
+            method: 'Trade-in',
+            reference: tradeIn.vehicleNumber
+        }));
+    }
+
+    // Create sale record
+    const newSale = {
+        id: saleId,
+        wheelId,
+        customerId: customer.id,
+        saleDate,
+        sellingPrice,
+        paymentMethod,
+        buyerName,
+        buyerAddress,
+        buyerNIC,
+        buyerPhone,
+        saleNotes,
+        finance,
+        payments,
+        balanceDueDate: initialPayment < remainingPayable ? balanceDueDate : '',
+        tradeInWheelId,
+        soldByUserId: currentUser.id,
+        soldByName: currentUser.name,
+        priceApproval,
+        invoiceNumber: getNextInvoiceNumber(sales),
+        taxLines: getSettings().taxLines.map(line => ({ ...line })),
+        transfer: { status: 'pending', completedDate: '', reference: '', recordedBy: '' },
+        reversal: null,
+        deletedAt: null,
+        deletedBy: ''
+    };
+
+    sales.push(newSale);
+    saveSales(sales);
+
+    // Store current sale for bill generation
+    saveCurrentSale(newSale);
+    
+    showAlert('Sale recorded successfully');
+    
+    // Reset form
+    document.getElementById('saleForm').reset();
+    clearWheelPicker();
+    document.getElementById('saleDate').value = getTodayDate();
+    toggleFinanceFields();
+    toggleTradeInFields();
+    fillCatalogueSelects('tradeIn');
+    renderSalePricing();
+    
+    // Show bill section
+    document.getElementById('billSection').style.display = 'block';
+    
+    renderSales();
+    renderWheels();
+    updateWheelSelect();
+    renderCustomers();
+    updateCustomerOptions();
+    renderReport();
+    updateNextInvoiceNumber();
+}
+
+// ==================== FINANCE (LEASING) ====================
+
+const FINANCE_PAYMENT_METHOD = 'Finance (Leasing)';
+
+let currentFinanceSaleId = null;
+
+/**
+ * Show or hide the finance fields depending on the selected payment method
+ */
+function toggleFinanceFields() {
+    const isFinanceSale = document.getElementById('paymentMethod').value === FINANCE_PAYMENT_METHOD;
+    document.getElementById('financeFields').style.display = isFinanceSale ? 'block' : 'none';
+    updateAmountFinanced();
+}
+
+/**
+ * Recalculate the amount financed from the selling price and down payment
+ */
+function updateAmountFinanced() {
+    const sellingPrice = parseFloat(document.getElementById('sellingPrice').value) || 0;
+    const downPayment = parseFloat(document.getElementById('downPayment').value) || 0;
+    const amountFinanced = roundCurrency(sellingPrice - downPayment);
+    document.getElementById('amountFinanced').value = amountFinanced > 0 ? amountFinanced : '';
+}
+
+/**
+ * Read finance details from the sale form
+ * @returns {Object} Raw finance input {company, downPayment, termMonths, annualRate, agreementNumber}
+ */
+function readFinanceForm() {
+    return {
+        company: document.getElementById('financeCompany').value.trim(),
+        downPayment: parseFloat(document.getElementById('downPayment').value),
+        termMonths: parseInt(document.getElementById('financeTerm').value),
+        annualRate: parseFloat(document.getElementById('financeRate').value),
+        agreementNumber: document.getElementById('agreementNumber').value.trim()
+    };
+}
+
+/**
+ * Validate finance input against the selling price
+ * @param {Object} input - Raw finance input
+ * @param {number} sellingPrice - Selling price of the sale
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateFinanceInput(input, sellingPrice) {
+    if (!input.company) {
+        return 'Finance company is required';
+    }
+
+    if (isNaN(input.downPayment) || input.downPayment < 0) {
+        return 'Down payment must be 0 or more';
+    }
+
+    if (input.downPayment >= sellingPrice) {
+        return 'Down payment must be less than the selling price';
+    }
+
+    if (isNaN(input.termMonths) || input.termMonths < 1) {
+        return 'Finance term must be at least 1 month';
+    }
+
+    if (isNaN(input.annualRate) || input.annualRate < 0) {
+        return 'Interest rate must be 0 or more';
+    }
+
+    return null;
+}
+
+/**
+ * Build the finance object stored on a sale
+ * @param {Object} input - Validated finance input
+ * @param {number} sellingPrice - Selling price of the sale
+ * @param {string} saleDate - Sale date in YYYY-MM-DD format
+ * @returns {Object} Finance details including the installment schedule
+ */
+function buildFinanceDetails(input, sellingPrice, saleDate) {
+    const amountFinanced = roundCurrency(sellingPrice - input.downPayment);
+    return {
+        company: input.company,
+        downPayment: input.downPayment,
+        amountFinanced,
+        termMonths: input.termMonths,
+        annualRate: input.annualRate,
+        agreementNumber: input.agreementNumber || '',
+        schedule: generateInstallmentSchedule(amountFinanced, input.annualRate, input.termMonths, saleDate),
+        settlement: null
+    };
+}
+
+/**
+ * Generate a monthly installment schedule (reducing balance)
+ * The last installment absorbs rounding so the balance ends at zero.
+ * @param {number} principal - Amount financed
+ * @param {number} annualRate - Interest rate in percent per annum
+ * @param {number} termMonths - Number of monthly installments
+ * @param {string} startDate - Sale date; the first installment is due one month later
+ * @returns {Array} Array of {installmentNumber, dueDate, amount, principal, interest, balance}
+ */
+function generateInstallmentSchedule(principal, annualRate, termMonths, startDate) {
+    const monthlyRate = annualRate / 12 / 100;
+    const installment = monthlyRate === 0
+        ? principal / termMonths
+        : principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+
+    const schedule = [];
+    let balance = principal;
+
+    for (let i = 1; i <= termMonths; i++) {
+        const interest = roundCurrency(balance * monthlyRate);
+        let principalPart = roundCurrency(installment - interest);
+        if (i === termMonths) {
+            principalPart = roundCurrency(balance);
+        }
+        balance = roundCurrency(balance - principalPart);
+
+        schedule.push({
+            installmentNumber: i,
+            dueDate: addMonths(startDate, i),
+            amount: roundCurrency(principalPart + interest),
+            principal: principalPart,
+            interest,
+            balance
+        });
+    }
+
+    return schedule;
+}
+
+/**
+ * Get the amount still owed to us by the finance company for a sale
+ * @param {Object} sale - Sale object
+ * @returns {number} Outstanding amount (0 for cash or settled sales)
+ */
+function getFinanceOutstanding(sale) {
+    if (!sale.finance) return 0;
+    const received = sale.finance.settlement ? sale.finance.settlement.amount : 0;
+    return Math.max(0, roundCurrency(sale.finance.amountFinanced - received));
+}
+
+/**
+ * Show the finance schedule and settlement form for a sale
+ * @param {string} saleId - Sale ID
+ */
+function viewFinanceSchedule(saleId) {
+    const sale = loadSales().find(s => s.id === saleId);
+
+    if (!sale || !sale.finance) {
+        showAlert('Finance details not found for this sale');
+        return;
+    }
+
+    currentFinanceSaleId = saleId;
+    renderFinanceSchedule(sale);
+
+    const section = document.getElementById('financeSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render finance summary, schedule and settlement state
+ * @param {Object} sale - Sale object with finance details
+ */
+function renderFinanceSchedule(sale) {
+    const finance = sale.finance;
+    const totalPayable = finance.schedule.reduce((sum, row) => sum + row.amount, 0);
+
+    document.getElementById('financeSummary').innerHTML = `
+        <div><strong>${sale.buyerName}</strong> | ${finance.company}${finance.agreementNumber ? ` | Agreement: ${finance.agreementNumber}` : ''}</div>
+        <div>Selling Price: ${formatCurrency(sale.sellingPrice)} | Down Payment: ${formatCurrency(finance.downPayment)} | Financed: ${formatCurrency(finance.amountFinanced)}</div>
+        <div>Term: ${finance.termMonths} months @ ${finance.annualRate}% p.a. | Total Payable by Buyer: ${formatCurrency(roundCurrency(totalPayable))}</div>
+        <div>Settlement from ${finance.company}: ${finance.settlement
+            ? `${formatCurrency(finance.settlement.amount)} received on ${formatDate(finance.settlement.date)}`
+            : `Pending (${formatCurrency(getFinanceOutstanding(sale))} outstanding)`}</div>
+    `;
+
+    document.getElementById('financeScheduleBody').innerHTML = finance.schedule.map(row => `
+        <tr>
+            <td>${row.installmentNumber}</td>
+            <td>${formatDate(row.dueDate)}</td>
+            <td>${formatCurrency(row.amount)}</td>
+            <td>${formatCurrency(row.principal)}</td>
+            <td>${formatCurrency(row.interest)}</td>
+            <td>${formatCurrency(row.balance)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('settlementDate').value = finance.settlement ? finance.settlement.date : getTodayDate();
+    document.getElementById('settlementAmount').value = finance.settlement ? finance.settlement.amount : finance.amountFinanced;
+}
+
+/**
+ * Record that the finance company has paid us the financed balance
+ */
+function recordFinanceSettlement() {
+    if (!currentFinanceSaleId) {
+        showAlert('No finance sale selected');
+        return;
+    }
+
+    const date = document.getElementById('settlementDate').value;
+    const amount = parseFloat(document.getElementById('settlementAmount').value);
+
+    if (!date) {
+        showAlert('Settlement date is required');
+        return;
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        showAlert('Settlement amount must be greater than 0');
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, currentFinanceSaleId);
+
+    if (!sale || !sale.finance) {
+        showAlert('Finance details not found for this sale');
+        return;
+    }
+
+    if (amount < sale.finance.amountFinanced &&
+        !confirmAction(`Amount received is less than the financed amount of ${formatCurrency(sale.finance.amountFinanced)}. Record anyway?`)) {
+        return;
+    }
+
+    sale.finance.settlement = { date, amount };
+    saveSales(sales);
+
+    showAlert('Settlement recorded successfully');
+
+    renderFinanceSchedule(sale);
+    renderSales();
+    renderReport();
+}
+
+/**
+ * Render outstanding finance receivables as at the report "To Date"
+ * @param {Array} sales - All sale objects
+ * @param {string} toDate - Report end date (YYYY-MM-DD), or empty for all
+ */
+function renderReceivables(sales, toDate) {
+    const receivables = sales
+        .filter(sale => sale.finance && isActiveSale(sale) && (!toDate || sale.saleDate <= toDate))
+        .map(sale => ({ sale, outstanding: getFinanceOutstanding(sale) }))
+        .filter(item => item.outstanding > 0)
+        .sort((a, b) => a.sale.saleDate.localeCompare(b.sale.saleDate));
+
+    const tbody = document.getElementById('receivablesTableBody');
+    const tfoot = document.getElementById('receivablesTableFooter');
+
+    if (receivables.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 20px; color: #999;">No outstanding finance receivables</td></tr>';
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    tbody.innerHTML = receivables.map(({ sale, outstanding }) => `
+        <tr>
+            <td>${formatDate(sale.saleDate)}</td>
+            <td>${sale.buyerName}</td>
+            <td>${sale.finance.company}</td>
+            <td>${sale.finance.agreementNumber || 'N/A'}</td>
+            <td>${formatCurrency(outstanding)}</td>
+        </tr>
+    `).join('');
+
+    const totalOutstanding = receivables.reduce((sum, item) => sum + item.outstanding, 0);
+    tfoot.innerHTML = `
+        <tr>
+            <td colspan="4"><strong>Total Outstanding (${receivables.length})</strong></td>
+            <td><strong>${formatCurrency(totalOutstanding)}</strong></td>
+        </tr>
+    `;
+}
+
+// ==================== PAYMENTS & CREDIT LEDGER ====================
+
+let currentLedgerSaleId = null;
+
+/**
+ * Create a payment record
+ * @param {Object} details - {date, amount, method, reference}
+ * @returns {Object} Payment object
+ */
+function createPayment({ date, amount, method, reference }) {
+    return {
+        id: generateId('payment'),
+        date,
+        amount,
+        method,
+        reference: reference || ''
+    };
+}
+
+/**
+ * Get the amount the buyer pays us directly for a sale
+ * For finance sales this is the down payment; the finance company pays the rest.
+ * @param {Object} sale - Sale object
+ * @returns {number} Amount payable by the buyer
+ */
+function getBuyerPayable(sale) {
+    return sale.finance ? sale.finance.downPayment : sale.sellingPrice;
+}
+
+/**
+ * Get the total the buyer has paid so far
+ * @param {Object} sale - Sale object
+ * @returns {number} Total of all payments
+ */
+function getTotalPaid(sale) {
+    return roundCurrency((sale.payments || []).reduce((sum, payment) => sum + payment.amount, 0));
+}
+
+/**
+ * Get the buyer's remaining balance for a sale
+ * @param {Object} sale - Sale object
+ * @returns {number} Balance still owed by the buyer (never negative)
+ */
+function getSaleBalance(sale) {
+    // Nothing more is owed on a voided or returned sale
+    if (!isActiveSale(sale)) return 0;
+    return Math.max(0, roundCurrency(getBuyerPayable(sale) - getTotalPaid(sale)));
+}
+
+/**
+ * Check whether a sale has an unpaid balance past its due date
+ * @param {Object} sale - Sale object
+ * @returns {boolean} True if overdue
+ */
+function isSaleOverdue(sale) {
+    return getSaleBalance(sale) > 0 && !!sale.balanceDueDate && sale.balanceDueDate < getTodayDate();
+}
+
+/**
+ * Show the payment ledger for a sale
+ * @param {string} saleId - Sale ID
+ */
+function viewPaymentLedger(saleId) {
+    const sale = loadSales().find(s => s.id === saleId);
+
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+
+    currentLedgerSaleId = saleId;
+    renderPaymentLedger(sale);
+
+    const section = document.getElementById('ledgerSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render the ledger summary and payment rows with a running balance
+ * @param {Object} sale - Sale object
+ */
+function renderPaymentLedger(sale) {
+    const payable = getBuyerPayable(sale);
+    const balance = getSaleBalance(sale);
+
+    document.getElementById('ledgerSummary').innerHTML = `
+        <div><strong>${sale.buyerName}</strong> | ${sale.buyerPhone || 'N/A'} | Sale Date: ${formatDate(sale.saleDate)}</div>
+        <div>${sale.finance ? 'Down Payment Due' : 'Selling Price'}: ${formatCurrency(payable)} | Paid: ${formatCurrency(getTotalPaid(sale))} | Balance: ${formatCurrency(balance)}</div>
+        ${balance > 0 && sale.balanceDueDate ? `<div>Balance Due: ${formatDate(sale.balanceDueDate)}${isSaleOverdue(sale) ? ' <span class="overdue-flag">OVERDUE</span>' : ''}</div>` : ''}
+    `;
+
+    const tbody = document.getElementById('ledgerTableBody');
+    const payments = [...sale.payments].sort((a, b) => a.date.localeCompare(b.date));
+
+    if (payments.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px; color: #999;">No payments recorded</td></tr>';
+    } else {
+        let runningBalance = payable;
+        tbody.innerHTML = payments.map(payment => {
+            runningBalance = roundCurrency(runningBalance - payment.amount);
+            return `
+                <tr>
+                    <td>${formatDate(payment.date)}</td>
+                    <td>${payment.method}</td>
+                    <td>${payment.reference || '-'}</td>
+                    <td>${formatCurrency(payment.amount)}</td>
+                    <td>${formatCurrency(Math.max(0, runningBalance))}</td>
+                    <td>
+                        <button onclick="downloadPaymentReceipt('${sale.id}', '${payment.id}')" class="bill-btn">Receipt</button>
+                        <button onclick="deletePayment('${sale.id}', '${payment.id}')" class="danger">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    document.getElementById('paymentForm').reset();
+    document.getElementById('paymentDate').value = getTodayDate();
+    document.getElementById('paymentAmount').value = balance > 0 ? balance : '';
+}
+
+/**
+ * Handle payment form submission
+ */
+function handlePaymentSubmit(e) {
+    e.preventDefault();
+
+    if (!currentLedgerSaleId) {
+        showAlert('No sale selected');
+        return;
+    }
+
+    const date = document.getElementById('paymentDate').value;
+    const amount = parseFloat(document.getElementById('paymentAmount').value);
+    const method = document.getElementById('paymentType').value;
+    const reference = document.getElementById('paymentReference').value.trim();
+
+    if (!date) {
+        showAlert('Payment date is required');
+        return;
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        showAlert('Payment amount must be greater than 0');
+        return;
+    }
+
+    if (method === 'Cheque' && !reference) {
+        showAlert('Cheque number is required for cheque payments');
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, currentLedgerSaleId);
+
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+
+    if (!isActiveSale(sale)) {
+        showAlert('Payments cannot be added to a voided, returned or deleted sale');
+        return;
+    }
+
+    const balance = getSaleBalance(sale);
+    if (amount > balance &&
+        !confirmAction(`Payment exceeds the balance of ${formatCurrency(balance)}. Record anyway?`)) {
+        return;
+    }
+
+    sale.payments.push(createPayment({ date, amount, method, reference }));
+    saveSales(sales);
+
+    showAlert('Payment recorded successfully');
+
+    renderPaymentLedger(sale);
+    renderSales();
+    renderCustomers();
+    renderReport();
+}
+
+/**
+ * Delete a payment from a sale's ledger
+ * @param {string} saleId - Sale ID
+ * @param {string} paymentId - Payment ID
+ */
+function deletePayment(saleId, paymentId) {
+    if (!confirmAction('Are you sure you want to delete this payment?')) {
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, saleId);
+
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+
+    sale.payments = sale.payments.filter(p => p.id !== paymentId);
+    saveSales(sales);
+
+    renderPaymentLedger(sale);
+    renderSales();
+    renderCustomers();
+    renderReport();
+}
+
+/**
+ * Download a PDF receipt for a single payment
+ * @param {string} saleId - Sale ID
+ * @param {string} paymentId - Payment ID
+ */
+function downloadPaymentReceipt(saleId, paymentId) {
+    const sale = loadSales().find(s => s.id === saleId);
+    const payment = sale ? sale.payments.find(p => p.id === paymentId) : null;
+
+    if (!payment) {
+        showAlert('Payment not found');
+        return;
+    }
+
+    const wheel = loadWheels().find(w => w.id === sale.wheelId);
+
+    // Check if jsPDF is available
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
+    }
+
+    // Balance immediately after this payment
+    const orderedPayments = [...sale.payments].sort((a, b) => a.date.localeCompare(b.date));
+    const paidToDate = orderedPayments
+        .slice(0, orderedPayments.indexOf(payment) + 1)
+        .reduce((sum, p) => sum + p.amount, 0);
+    const balanceAfter = Math.max(0, roundCurrency(getBuyerPayable(sale) - paidToDate));
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const storeName = getSettings().businessName;
+
+    // Header
+    doc.setFontSize(20);
+    doc.setFont(undefined, 'bold');
+    doc.text(storeName, 105, 20, { align: 'center' });
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'normal');
+    doc.text('Payment Receipt', 105, 28, { align: 'center' });
+
+    doc.line(20, 33, 190, 33);
+
+    let yPos = 45;
+    doc.setFontSize(11);
+    doc.text(`Receipt No: ${payment.id}`, 20, yPos);
+    yPos += 7;
+    doc.text(`Date: ${formatDate(payment.date)}`, 20, yPos);
+    yPos += 12;
+
+    doc.text(`Received from: ${sale.buyerName}`, 20, yPos);
+    yPos += 7;
+    if (sale.invoiceNumber) {
+        doc.text(`Invoice No: ${sale.invoiceNumber}`, 20, yPos);
+        yPos += 7;
+    }
+    doc.text(`NIC Number: ${sale.buyerNIC || 'N/A'}`, 20, yPos);
+    yPos += 7;
+    if (wheel) {
+        doc.text(`Vehicle: ${wheel.model} (${wheel.year}) - ${wheel.vehicleNumber || 'N/A'}`, 20, yPos);
+        yPos += 7;
+    }
+    doc.text(`Payment Method: ${payment.method}${payment.reference ? ` (${payment.reference})` : ''}`, 20, yPos);
+    yPos += 12;
+
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text(`Amount Received: ${formatCurrency(payment.amount)}`, 20, yPos);
+    yPos += 10;
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'normal');
+    doc.text(`Total Payable: ${formatCurrency(getBuyerPayable(sale))}`, 20, yPos);
+    yPos += 7;
+    doc.text(`Paid to Date: ${formatCurrency(roundCurrency(paidToDate))}`, 20, yPos);
+    yPos += 7;
+    doc.text(`Balance Remaining: ${formatCurrency(balanceAfter)}`, 20, yPos);
+
+    // Footer
+    yPos = 270;
+    doc.line(20, yPos, 190, yPos);
+    yPos += 10;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'italic');
+    doc.text('Thank you for your payment!', 105, yPos, { align: 'center' });
+    doc.text(`Generated on: ${formatDate(getTodayDate())}`, 105, yPos + 7, { align: 'center' });
+
+    const fileName = `Receipt_${sale.buyerName.replace(/\s+/g, '_')}_${payment.date}.pdf`;
+    doc.save(fileName);
+
+    showAlert('Receipt downloaded successfully');
+}
+
+/**
+ * Render buyers with outstanding balances as at the report "To Date"
+ * @param {Array} sales - All sale objects
+ * @param {string} toDate - Report end date (YYYY-MM-DD), or empty for all
+ */
+function renderCustomerBalances(sales, toDate) {
+    const balances = sales
+        .filter(sale => !toDate || sale.saleDate <= toDate)
+        .map(sale => ({ sale, balance: getSaleBalance(sale) }))
+        .filter(item => item.balance > 0)
+        .sort((a, b) => (a.sale.balanceDueDate || '').localeCompare(b.sale.balanceDueDate || ''));
+
+    const tbody = document.getElementById('customerBalancesBody');
+    const tfoot = document.getElementById('customerBalancesFooter');
+
+    if (balances.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px; color: #999;">No outstanding customer balances</td></tr>';
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    tbody.innerHTML = balances.map(({ sale, balance }) => `
+        <tr>
+            <td>${formatDate(sale.saleDate)}</td>
+            <td>${sale.buyerName}</td>
+            <td>${sale.buyerPhone || 'N/A'}</td>
+            <td>${sale.balanceDueDate ? formatDate(sale.balanceDueDate) : 'N/A'}${isSaleOverdue(sale) ? ' <span class="overdue-flag">OVERDUE</span>' : ''}</td>
+            <td>${formatCurrency(getTotalPaid(sale))}</td>
+            <td>${formatCurrency(balance)}</td>
+        </tr>
+    `).join('');
+
+    const totalBalance = balances.reduce((sum, item) => sum + item.balance, 0);
+    const overdueCount = balances.filter(item => isSaleOverdue(item.sale)).length;
+    tfoot.innerHTML = `
+        <tr>
+            <td colspan="5"><strong>Total Outstanding (${balances.length}, ${overdueCount} overdue)</strong></td>
+            <td><strong>${formatCurrency(totalBalance)}</strong></td>
+        </tr>
+    `;
+}
+
+// ==================== CUSTOMERS ====================
+
+/**
+ * Normalise a NIC number for use as a lookup key
+ * @param {string} nic - NIC number as typed
+ * @returns {string} Uppercase NIC without spaces or hyphens
+ */
+function normalizeNIC(nic) {
+    return (nic || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Find a customer by NIC, including NICs of records merged into it
+ * @param {Array} customers - Array of customer objects
+ * @param {string} nic - NIC number in any format
+ * @returns {Object|undefined} Matching customer
+ */
+function findCustomerByNIC(customers, nic) {
+    const key = normalizeNIC(nic);
+    if (!key) return undefined;
+    return customers.find(c => c.nicKey === key || (c.mergedNICs || []).includes(key));
+}
+
+/**
+ * Find a stored customer by NIC through the in-memory indexes, including NICs of records merged into it
+ * @param {string} nic - NIC number in any format
+ * @returns {Object|undefined} Matching customer
+ */
+function findStoredCustomerByNIC(nic) {
+    const key = normalizeNIC(nic);
+    return findIndexedRecords('customers', 'nicKey', key)[0] || findIndexedRecords('customers', 'mergedNICs', key)[0];
+}
+
+/**
+ * Create or update the customer for a set of buyer details
+ * The latest name, address and phone win so the directory stays current.
+ * @param {Array} customers - Array of customer objects (modified in place)
+ * @param {Object} buyer - {buyerName, buyerAddress, buyerNIC, buyerPhone}
+ * @param {string} date - Date the customer was seen (YYYY-MM-DD)
+ * @returns {Object} The created or updated customer
+ */
+function upsertCustomer(customers, buyer, date) {
+    let customer = findCustomerByNIC(customers, buyer.buyerNIC);
+
+    if (customer) {
+        // Only overwrite with newer details, so migrating old sales out of order keeps the latest
+        if (!customer.lastSeenDate || date >= customer.lastSeenDate) {
+            customer = editRecord(customers, customer.id);
+            customer.name = buyer.buyerName;
+            customer.address = buyer.buyerAddress;
+            customer.phone = buyer.buyerPhone;
+            customer.lastSeenDate = date;
+        }
+        return customer;
+    }
+
+    customer = {
+        id: generateId('customer'),
+        nic: buyer.buyerNIC,
+        nicKey: normalizeNIC(buyer.buyerNIC),
+        name: buyer.buyerName,
+        address: buyer.buyerAddress,
+        phone: buyer.buyerPhone,
+        mergedNICs: [],
+        createdDate: date,
+        lastSeenDate: date
+    };
+    customers.push(customer);
+    return customer;
+}
+
+/**
+ * Get all sales for a customer
+ * @param {string} customerId - Customer ID
+ * @param {Array} [sales] - Sales to search (defaults to all stored sales, found through the customerId index)
+ * @returns {Array} Sales linked to the customer and not in the recycle bin, newest first
+ */
+function getCustomerSales(customerId, sales = findIndexedRecords('sales', 'customerId', customerId)) {
+    return sales
+        .filter(sale => sale.customerId === customerId && !sale.deletedAt)
+        .sort((a, b) => b.saleDate.localeCompare(a.saleDate));
+}
+
+/**
+ * Refresh the NIC autocomplete list on the sale form
+ */
+function updateCustomerOptions() {
+    const datalist = document.getElementById('customerOptions');
+    datalist.innerHTML = loadCustomers().map(customer =>
+        `<option value="${customer.nic}">${customer.name} - ${customer.phone || 'N/A'}</option>`
+    ).join('');
+}
+
+/**
+ * Fill buyer details on the sale form when the NIC matches a known customer
+ */
+function handleBuyerNICLookup() {
+    const customer = findStoredCustomerByNIC(document.getElementById('buyerNIC').value);
+    if (!customer) return;
+
+    document.getElementById('buyerNIC').value = customer.nic;
+    document.getElementById('buyerName').value = customer.name;
+    document.getElementById('buyerAddress').value = customer.address;
+    document.getElementById('buyerPhone').value = customer.phone;
+}
+
+/**
+ * Render customer directory
+ */
+function renderCustomers() {
+    const customers = loadCustomers();
+    const sales = loadSales();
+    const container = document.getElementById('customersContainer');
+    const query = document.getElementById('customerSearch').value.trim().toLowerCase();
+    const queryNIC = normalizeNIC(query);
+
+    const filtered = customers
+        .filter(customer => !query ||
+            customer.name.toLowerCase().includes(query) ||
+            (queryNIC && customer.nicKey.includes(queryNIC)) ||
+            (customer.phone || '').includes(query))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    updateMergeSelects(customers);
+
+    if (filtered.length === 0) {
+        container.innerHTML = `<div class="empty-state">${customers.length === 0 ? 'No customers yet' : 'No customers match your search'}</div>`;
+        return;
+    }
+
+    container.innerHTML = filtered.map(customer => {
+        const customerSales = getCustomerSales(customer.id, sales);
+        const totalSpent = customerSales.reduce((sum, sale) => sum + sale.sellingPrice, 0);
+        const balance = customerSales.reduce((sum, sale) => sum + getSaleBalance(sale), 0);
+        return `
+            <div class="customer-item">
+                <div class="customer-info">
+                    <strong>${customer.name}</strong>
+                    <div>NIC: ${customer.nic} | Phone: ${customer.phone || 'N/A'}</div>
+                    <div>Purchases: ${customerSales.length} | Total: ${formatCurrency(totalSpent)}${balance > 0 ? ` | <span class="overdue-flag">Balance: ${formatCurrency(balance)}</span>` : ''}</div>
+                </div>
+                <div class="customer-actions">
+                    <button onclick="viewCustomer('${customer.id}')">View Profile</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Populate the merge dropdowns with all customers
+ * @param {Array} customers - Array of customer objects
+ */
+function updateMergeSelects(customers) {
+    const options = '<option value="">-- Select a customer --</option>' + [...customers]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(customer => `<option value="${customer.id}">${customer.name} (${customer.nic})</option>`)
+        .join('');
+
+    ['mergeSourceCustomer', 'mergeTargetCustomer'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = options;
+        select.value = selected;
+    });
+}
+
+/**
+ * Show a customer's profile with purchases and payments
+ * @param {string} customerId - Customer ID
+ */
+function viewCustomer(customerId) {
+    const customer = loadCustomers().find(c => c.id === customerId);
+
+    if (!customer) {
+        showAlert('Customer not found');
+        return;
+    }
+
+    document.getElementById('customerId').value = customer.id;
+    document.getElementById('customerNIC').value = customer.nic;
+    document.getElementById('customerName').value = customer.name;
+    document.getElementById('customerAddress').value = customer.address;
+    document.getElementById('customerPhone').value = customer.phone;
+
+    renderCustomerHistory(customer);
+
+    const profile = document.getElementById('customerProfile');
+    profile.style.display = 'block';
+    profile.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render purchases and payments for a customer profile
+ * @param {Object} customer - Customer object
+ */
+function renderCustomerHistory(customer) {
+    const wheels = loadWheels();
+    const customerSales = getCustomerSales(customer.id);
+    const container = document.getElementById('customerHistory');
+
+    if (customerSales.length === 0) {
+        container.innerHTML = '<div class="empty-state">No purchases recorded</div>';
+        return;
+    }
+
+    const payments = customerSales
+        .flatMap(sale => sale.payments.map(payment => ({ ...payment, sale })))
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    container.innerHTML = `
+        <h3>Purchases</h3>
+        ${customerSales.map(sale => {
+            const wheel = wheels.find(w => w.id === sale.wheelId);
+            const balance = getSaleBalance(sale);
+            return `
+                <div class="sale-item ${isSaleOverdue(sale) ? 'overdue' : ''}">
+                    <div class="sale-info">
+                        <strong>${wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel'}</strong>
+                        <div>Vehicle No: ${wheel ? wheel.vehicleNumber || 'N/A' : 'N/A'} | Sale Date: ${formatDate(sale.saleDate)} | Payment: ${sale.paymentMethod}</div>
+                        <div>Price: ${formatCurrency(sale.sellingPrice)} | Paid: ${formatCurrency(getTotalPaid(sale))} | Balance: ${formatCurrency(balance)}</div>
+                        ${sale.reversal ? `<div class="reversal-flag">${getReversalLabel(sale)}</div>` : ''}
+                    </div>
+                    <div class="sale-actions">
+                        <button onclick="generateBill('${sale.id}')" class="bill-btn">Bill</button>
+                        <button onclick="viewPaymentLedger('${sale.id}')">Payments</button>
+                    </div>
+                </div>
+            `;
+        }).join('')}
+        <h3>Payments</h3>
+        <div class="report-table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Vehicle</th>
+                        <th>Method</th>
+                        <th>Amount</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${payments.length === 0
+                        ? '<tr><td colspan="4" style="text-align: center; padding: 20px; color: #999;">No payments recorded</td></tr>'
+                        : payments.map(payment => {
+                            const wheel = wheels.find(w => w.id === payment.sale.wheelId);
+                            return `
+                                <tr>
+                                    <td>${formatDate(payment.date)}</td>
+                                    <td>${wheel ? wheel.vehicleNumber || wheel.model : 'Unknown'}</td>
+                                    <td>${payment.method}${payment.reference ? ` (${payment.reference})` : ''}</td>
+                                    <td>${formatCurrency(payment.amount)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Close the customer profile panel
+ */
+function closeCustomerProfile() {
+    document.getElementById('customerForm').reset();
+    document.getElementById('customerId').value = '';
+    document.getElementById('customerProfile').style.display = 'none';
+}
+
+/**
+ * Handle customer form submission
+ */
+function handleCustomerSubmit(e) {
+    e.preventDefault();
+
+    const customerId = document.getElementById('customerId').value;
+    const name = document.getElementById('customerName').value.trim();
+    const address = document.getElementById('customerAddress').value.trim();
+    const phone = document.getElementById('customerPhone').value.trim();
+
+    if (!name) {
+        showAlert('Customer name is required');
+        return;
+    }
+
+    if (!address) {
+        showAlert('Customer address is required');
+        return;
+    }
+
+    if (!phone) {
+        showAlert('Customer phone number is required');
+        return;
+    }
+
+    const customers = loadCustomers();
+    const customer = editRecord(customers, customerId);
+
+    if (!customer) {
+        showAlert('Customer not found');
+        return;
+    }
+
+    customer.name = name;
+    customer.address = address;
+    customer.phone = phone;
+    saveCustomers(customers);
+
+    showAlert('Customer updated successfully');
+
+    renderCustomers();
+    updateCustomerOptions();
+}
+
+/**
+ * Merge a duplicate customer into another, moving all their sales across
+ */
+function mergeCustomers() {
+    const sourceId = document.getElementById('mergeSourceCustomer').value;
+    const targetId = document.getElementById('mergeTargetCustomer').value;
+
+    if (!sourceId || !targetId) {
+        showAlert('Please select both customers to merge');
+        return;
+    }
+
+    if (sourceId === targetId) {
+        showAlert('Please select two different customers');
+        return;
+    }
+
+    const customers = loadCustomers();
+    const source = customers.find(c => c.id === sourceId);
+    const target = editRecord(customers, targetId);
+
+    if (!source || !target) {
+        showAlert('Customer not found');
+        return;
+    }
+
+    if (!confirmAction(`Merge ${source.name} (${source.nic}) into ${target.name} (${target.nic})? The duplicate record will be removed.`)) {
+        return;
+    }
+
+    // Keep the duplicate's NICs so future lookups still find the merged record
+    target.mergedNICs = [...new Set([...(target.mergedNICs || []), source.nicKey, ...(source.mergedNICs || [])])]
+        .filter(nic => nic !== target.nicKey);
+
+    const sales = loadSales();
+    sales.filter(sale => sale.customerId === sourceId).forEach(sale => {
+        editRecord(sales, sale.id).customerId = targetId;
+    });
+
+    saveSales(sales);
+    saveCustomers(customers.filter(c => c.id !== sourceId));
+
+    document.getElementById('mergeSourceCustomer').value = '';
+    document.getElementById('mergeTargetCustomer').value = '';
+
+    showAlert('Customers merged successfully');
+
+    if (document.getElementById('customerId').value === sourceId) {
+        closeCustomerProfile();
+    }
+    renderCustomers();
+    updateCustomerOptions();
+}
+
+// ==================== VOIDS, RETURNS & RECYCLE BIN ====================
+
+const REVERSAL_TYPES = {
+    void: 'Voided',
+    return: 'Returned',
+    'buy-back': 'Bought back'
+};
+
+let currentReversalSaleId = null;
+
+/**
+ * Check whether a sale still counts: not voided, returned or in the recycle bin
+ * @param {Object} sale - Sale object
+ * @returns {boolean} True if the sale is active
+ */
+function isActiveSale(sale) {
+    return !sale.deletedAt && !sale.reversal;
+}
+
+/**
+ * Revenue a sale brings in after any refund
+ * A voided sale earns nothing; a returned or bought-back sale keeps only what was not refunded.
+ * @param {Object} sale - Sale object
+ * @returns {number} Net revenue
+ */
+function getSaleNetRevenue(sale) {
+    if (!sale.reversal) return sale.sellingPrice;
+    if (sale.reversal.type === 'void') return 0;
+    return roundCurrency(sale.sellingPrice - sale.reversal.refundAmount);
+}
+
+/**
+ * Describe how a sale was reversed, for lists and reports
+ * @param {Object} sale - Sale object with a reversal
+ * @returns {string} Description
+ */
+function getReversalLabel(sale) {
+    const reversal = sale.reversal;
+    const refund = reversal.type === 'void' ? '' : ` | Refund: ${formatCurrency(reversal.refundAmount)}`;
+    return `${REVERSAL_TYPES[reversal.type]} on ${formatDate(reversal.date)}${refund} | Reason: ${reversal.reason}${reversal.recordedBy ? ` | By: ${reversal.recordedBy}` : ''}`;
+}
+
+/**
+ * Show the void/return form for a sale
+ * @param {string} saleId - Sale ID
+ */
+function viewSaleReversal(saleId) {
+    if (!requirePermission('reverseSales')) {
+        return;
+    }
+
+    const sale = loadSales().find(s => s.id === saleId);
+    if (!sale || !isActiveSale(sale)) {
+        showAlert('Only active sales can be voided or returned');
+        return;
+    }
+
+    currentReversalSaleId = saleId;
+    const wheel = loadWheels().find(w => w.id === sale.wheelId);
+    document.getElementById('reversalSummary').innerHTML = `
+        <div><strong>${wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel'}</strong> | ${wheel ? wheel.vehicleNumber || 'N/A' : 'N/A'}</div>
+        <div>Buyer: ${sale.buyerName} | Sale Date: ${formatDate(sale.saleDate)} | Price: ${formatCurrency(sale.sellingPrice)} | Paid by buyer: ${formatCurrency(getTotalPaid(sale))}</div>
+    `;
+    document.getElementById('reversalForm').reset();
+    document.getElementById('reversalDate').value = getTodayDate();
+    toggleRefundField();
+
+    const section = document.getElementById('reversalSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Hide the void/return form
+ */
+function closeSaleReversal() {
+    currentReversalSaleId = null;
+    document.getElementById('reversalSection').style.display = 'none';
+}
+
+/**
+ * Show the refund amount only for returns and buy-backs
+ */
+function toggleRefundField() {
+    const isVoid = document.getElementById('reversalType').value === 'void';
+    document.getElementById('refundAmountGroup').style.display = isVoid ? 'none' : '';
+}
+
+/**
+ * Handle void/return form submission
+ * The wheel goes back into stock. Voiding also drops a trade-in taken on the sale, since the deal never happened.
+ * @param {Event} e - Form submit event
+ */
+function handleReversalSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('reverseSales')) {
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, currentReversalSaleId);
+    if (!sale || !isActiveSale(sale)) {
+        showAlert('No active sale selected');
+        return;
+    }
+
+    const type = document.getElementById('reversalType').value;
+    const date = document.getElementById('reversalDate').value;
+    const reason = document.getElementById('reversalReason').value.trim();
+    const refundAmount = type === 'void' ? 0 : parseFloat(document.getElementById('refundAmount').value);
+
+    if (!REVERSAL_TYPES[type]) {
+        showAlert('Please select what happened to the sale');
+        return;
+    }
+
+    if (!date || date < sale.saleDate) {
+        showAlert('The date cannot be before the sale date');
+        return;
+    }
+
+    if (!reason) {
+        showAlert('Please enter a reason');
+        return;
+    }
+
+    if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > sale.sellingPrice) {
+        showAlert(`Refund must be between 0 and the selling price (${formatCurrency(sale.sellingPrice)})`);
+        return;
+    }
+
+    const wheels = loadWheels();
+    const tradeInWheel = type === 'void' && sale.tradeInWheelId ? editRecord(wheels, sale.tradeInWheelId) : null;
+    if (tradeInWheel && !tradeInWheel.deletedAt && getSoldWheelIds().has(tradeInWheel.id)) {
+        showAlert('The trade-in taken on this sale has already been resold, so the sale cannot be voided. Record a return instead.');
+        return;
+    }
+
+    const paid = getTotalPaid(sale);
+    const message = type === 'void'
+        ? `Void this sale? The wheel goes back into stock${tradeInWheel ? ' and the trade-in is moved to the recycle bin' : ''}.${paid > 0 ? ` ${formatCurrency(paid)} was paid by the buyer and must be refunded separately.` : ''}`
+        : `Record this ${type === 'return' ? 'return' : 'buy-back'} with a refund of ${formatCurrency(refundAmount)}? The wheel goes back into stock.`;
+    if (!confirmAction(message)) {
+        return;
+    }
+
+    sale.reversal = {
+        type,
+        date,
+        refundAmount,
+        reason,
+        recordedBy: currentUser ? currentUser.name : ''
+    };
+    saveSales(sales);
+
+    if (tradeInWheel && !tradeInWheel.deletedAt) {
+        tradeInWheel.deletedAt = new Date().toISOString();
+        tradeInWheel.deletedBy = currentUser ? currentUser.name : '';
+        saveWheels(wheels);
+    }
+
+    closeSaleReversal();
+    showAlert(`Sale ${REVERSAL_TYPES[type].toLowerCase()} successfully`);
+
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    renderReport();
+    renderRecycleBin();
+}
+
+/**
+ * Move a sale to the recycle bin; its wheel goes back into stock
+ * @param {string} saleId - Sale ID
+ */
+function deleteSale(saleId) {
+    if (!requirePermission('deleteSales')) {
+        return;
+    }
+
+    if (!confirmAction('Move this sale to the recycle bin? The wheel will be back in stock until the sale is restored.')) {
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, saleId);
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+
+    sale.deletedAt = new Date().toISOString();
+    sale.deletedBy = currentUser ? currentUser.name : '';
+    saveSales(sales);
+
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    renderReport();
+    renderRecycleBin();
+    showAlert('Sale moved to the recycle bin');
+}
+
+/**
+ * Take a wheel out of the recycle bin
+ * @param {string} wheelId - Wheel ID
+ */
+function restoreWheel(wheelId) {
+    if (!requirePermission('deleteWheels')) {
+        return;
+    }
+
+    const wheels = loadWheels();
+    const wheel = editRecord(wheels, wheelId);
+    if (!wheel) {
+        showAlert('Wheel not found');
+        return;
+    }
+
+    wheel.deletedAt = null;
+    wheel.deletedBy = '';
+    saveWheels(wheels);
+
+    renderWheels();
+    updateWheelSelect();
+    renderRecycleBin();
+    showAlert('Wheel restored');
+}
+
+/**
+ * Take a sale out of the recycle bin
+ * Not possible while its wheel is deleted or has been sold again.
+ * @param {string} saleId - Sale ID
+ */
+function restoreSale(saleId) {
+    if (!requirePermission('deleteSales')) {
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, saleId);
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+
+    const wheel = loadWheels().find(w => w.id === sale.wheelId);
+    if (!wheel || wheel.deletedAt) {
+        showAlert('Restore the wheel first');
+        return;
+    }
+
+    if (!sale.reversal && getSoldWheelIds().has(sale.wheelId)) {
+        showAlert('This wheel has been sold again since, so the sale cannot be restored');
+        return;
+    }
+
+    sale.deletedAt = null;
+    sale.deletedBy = '';
+    saveSales(sales);
+
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    renderReport();
+    renderRecycleBin();
+    showAlert('Sale restored');
+}
+
+/**
+ * Permanently remove a wheel from the recycle bin, together with any of its sales in the bin
+ * @param {string} wheelId - Wheel ID
+ */
+function purgeWheel(wheelId) {
+    if (!requirePermission('deleteWheels')) {
+        return;
+    }
+
+    const wheelSales = findIndexedRecords('sales', 'wheelId', wheelId);
+    if (wheelSales.some(sale => !sale.deletedAt)) {
+        showAlert('This wheel still has sales on record. Move them to the recycle bin first.');
+        return;
+    }
+
+    if (wheelSales.some(sale => sale.invoiceNumber)) {
+        showAlert('This wheel was invoiced. Invoiced sales are kept so the invoice series has no gaps.');
+        return;
+    }
+
+    if (!confirmAction(`Permanently delete this wheel${wheelSales.length > 0 ? ` and its ${wheelSales.length} deleted sale(s)` : ''}? This cannot be undone.`)) {
+        return;
+    }
+
+    if (wheelSales.length > 0) {
+        saveSales(loadSales().filter(sale => sale.wheelId !== wheelId));
+    }
+    saveWheels(loadWheels().filter(w => w.id !== wheelId));
+    const purgedIds = new Set([wheelId, ...wheelSales.map(sale => sale.id)]);
+    saveAttachments([], loadAttachments().filter(attachment => purgedIds.has(attachment.ownerId)).map(attachment => attachment.id));
+
+    renderRecycleBin();
+    showAlert('Wheel permanently deleted');
+}
+
+/**
+ * Permanently remove a sale from the recycle bin
+ * @param {string} saleId - Sale ID
+ */
+function purgeSale(saleId) {
+    if (!requirePermission('deleteSales')) {
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = sales.find(s => s.id === saleId);
+    if (sale && sale.invoiceNumber) {
+        showAlert(`Invoice ${sale.invoiceNumber} is kept so the invoice series has no gaps. It stays in the recycle bin.`);
+        return;
+    }
+
+    if (!confirmAction('Permanently delete this sale? This cannot be undone.')) {
+        return;
+    }
+
+    saveSales(sales.filter(s => s.id !== saleId));
+    saveAttachments([], getAttachments('sale', saleId).map(attachment => attachment.id));
+
+    renderCustomers();
+    renderRecycleBin();
+    showAlert('Sale permanently deleted');
+}
+
+/**
+ * Render deleted wheels and sales with restore options
+ */
+function renderRecycleBin() {
+    const container = document.getElementById('recycleBinContainer');
+    if (!hasPermission('deleteWheels')) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const wheels = loadWheels();
+    const deletedWheels = wheels.filter(wheel => wheel.deletedAt);
+    const deletedSales = loadSales().filter(sale => sale.deletedAt);
+
+    if (deletedWheels.length === 0 && deletedSales.length === 0) {
+        container.innerHTML = '<div class="empty-state">The recycle bin is empty</div>';
+        return;
+    }
+
+    const deletedOn = record => `Deleted ${new Date(record.deletedAt).toLocaleString()}${record.deletedBy ? ` by ${record.deletedBy}` : ''}`;
+
+    container.innerHTML = `
+        ${deletedWheels.map(wheel => `
+            <div class="wheel-item sold">
+                <div class="wheel-info">
+                    <strong>${wheel.model} (${wheel.year})</strong>
+                    <div>Vehicle No: ${wheel.vehicleNumber || 'N/A'} | Chassis: ${wheel.chassisNumber || 'N/A'}</div>
+                    <div>${deletedOn(wheel)}</div>
+                </div>
+                <div class="wheel-actions">
+                    <button onclick="restoreWheel('${wheel.id}')">Restore</button>
+                    <button onclick="purgeWheel('${wheel.id}')" class="danger">Delete Forever</button>
+                </div>
+            </div>
+        `).join('')}
+        ${deletedSales.map(sale => {
+            const wheel = wheels.find(w => w.id === sale.wheelId);
+            return `
+                <div class="sale-item">
+                    <div class="sale-info">
+                        <strong>Sale: ${wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel'}</strong>
+                        <div>Buyer: ${sale.buyerName} | Sale Date: ${formatDate(sale.saleDate)} | Price: ${formatCurrency(sale.sellingPrice)}</div>
+                        <div>${deletedOn(sale)}</div>
+                    </div>
+                    <div class="sale-actions">
+                        <button onclick="restoreSale('${sale.id}')">Restore</button>
+                        ${sale.invoiceNumber ? '' : `<button onclick="purgeSale('${sale.id}')" class="danger">Delete Forever</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+// ==================== REPORTS ====================
+
+let currentReportData = [];
+// Filters the report was last rendered with, so exports describe what is on screen rather than unapplied edits
+let currentReportFilters = { fromDate: '', toDate: '', makeId: '' };
+
+/**
+ * Check whether a sale counts in the reports
+ * Deleted and voided sales never happened; returned sales count only what was kept after the refund.
+ * @param {Object} sale - Sale object
+ * @returns {boolean} True if the sale is reported
+ */
+function isReportableSale(sale) {
+    return !sale.deletedAt && !(sale.reversal && sale.reversal.type === 'void');
+}
+
+/**
+ * Enrich a sale with the wheel data, revenue, cost and profit the reports use
+ * @param {Object} sale - Sale object
+ * @param {Array} wheels - All wheel objects
+ * @returns {Object} Report row
+ */
+function buildReportRow(sale, wheels) {
+    const wheel = wheels.find(w => w.id === sale.wheelId);
+    // A returned wheel is back in stock, so its cost is not used up by this sale
+    const costWheel = sale.reversal ? null : wheel;
+    const revenue = getSaleNetRevenue(sale);
+    return {
+        ...sale,
+        wheel: wheel || null,
+        model: wheel ? wheel.model : 'Unknown',
+        description: wheel ? getWheelDescription(wheel) : 'Unknown',
+        status: sale.reversal ? REVERSAL_TYPES[sale.reversal.type] : 'Sold',
+        revenue,
+        purchasePrice: costWheel ? costWheel.purchasePrice : 0,
+        expenses: costWheel ? getTotalExpenses(costWheel) : 0,
+        landedCost: costWheel ? getLandedCost(costWheel) : 0,
+        profit: costWheel ? roundCurrency(revenue - getLandedCost(costWheel)) : revenue
+    };
+}
+
+/**
+ * Render sales report
+ */
+function renderReport() {
+    const sales = loadSales();
+    const wheels = loadWheels();
+    const fromDate = document.getElementById('reportFromDate').value;
+    const toDate = document.getElementById('reportToDate').value;
+    const makeId = document.getElementById('reportMake').value;
+    const showPurchasePrice = hasPermission('viewCosts');
+
+    let filteredSales = sales.filter(isReportableSale);
+    
+    // Filter sales by date range
+    if (fromDate) {
+        filteredSales = filteredSales.filter(sale => sale.saleDate >= fromDate);
+    }
+    
+    if (toDate) {
+        filteredSales = filteredSales.filter(sale => sale.saleDate <= toDate);
+    }
+
+    if (makeId) {
+        filteredSales = filteredSales.filter(sale => wheels.some(w => w.id === sale.wheelId && w.makeId === makeId));
+    }
+
+    // Enrich sales with wheel data
+    currentReportData = filteredSales.map(sale => buildReportRow(sale, wheels));
+    currentReportFilters = { fromDate, toDate, makeId };
+
+    // Render table
+    const tbody = document.getElementById('reportTableBody');
+    const tfoot = document.getElementById('reportTableFooter');
+    // Cost and profit columns are only shown to roles that may see purchase prices
+    document.querySelectorAll('.purchase-price-col, .profit-col').forEach(col => {
+        col.style.display = showPurchasePrice ? '' : 'none';
+    });
+
+    renderCustomerBalances(sales, toDate);
+    renderReceivables(sales, toDate);
+    renderPendingTransfers(sales, wheels, toDate);
+    renderModelSummary(currentReportData, showPurchasePrice);
+    renderExpiringDocuments(wheels, makeId);
+    renderDashboard(currentReportData, sales, wheels, { fromDate, toDate, makeId }, showPurchasePrice);
+    renderInventoryAging(wheels, sales, { fromDate, toDate, makeId }, showPurchasePrice);
+    renderAccountingSummary(showPurchasePrice);
+
+    if (currentReportData.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${showPurchasePrice ? '4' : '2'}" style="text-align: center; padding: 20px; color: #999;">No sales found for the selected filters</td></tr>`;
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    // Render table rows
+    tbody.innerHTML = currentReportData.map(item => {
+        return `
+            <tr>
+                <td>${item.description}${item.reversal ? ` <em>(${item.status}, refund ${formatCurrency(item.reversal.refundAmount)})</em>` : ''}</td>
+                <td>${formatCurrency(item.revenue)}</td>
+                ${showPurchasePrice ? `
+                    <td>${formatCurrency(item.landedCost)}</td>
+                    <td style="color: ${item.profit >= 0 ? '#27ae60' : '#e74c3c'}; font-weight: 600;">
+                        ${formatCurrency(item.profit)}
+                    </td>
+                ` : ''}
+            </tr>
+        `;
+    }).join('');
+
+    // Calculate summary totals
+    const count = currentReportData.length;
+    const totalRevenue = currentReportData.reduce((sum, item) => sum + item.revenue, 0);
+    const totalCost = currentReportData.reduce((sum, item) => sum + item.landedCost, 0);
+    const totalProfit = totalRevenue - totalCost;
+
+    // Render summary footer
+    tfoot.innerHTML = `
+        <tr>
+            <td><strong>Summary</strong></td>
+            <td><strong>${formatCurrency(totalRevenue)}</strong></td>
+            ${showPurchasePrice ? `
+                <td><strong>${formatCurrency(totalCost)}</strong></td>
+                <td style="color: ${totalProfit >= 0 ? '#27ae60' : '#e74c3c'};">
+                    <strong>${formatCurrency(totalProfit)}</strong>
+                </td>
+            ` : ''}
+        </tr>
+        <tr>
+            <td><strong>Count: ${count}</strong></td>
+            <td colspan="${showPurchasePrice ? '3' : '1'}"></td>
+        </tr>
+    `;
+}
+
+/**
+ * Render report sales grouped by catalogue model
+ * Wheels not linked to the catalogue are grouped by their model name.
+ * @param {Array} reportData - Rows of the sales report
+ * @param {boolean} showPurchasePrice - Whether cost and profit columns are shown
+ */
+function renderModelSummary(reportData, showPurchasePrice) {
+    const tbody = document.getElementById('modelSummaryBody');
+    const groups = groupReportRows(reportData, getReportModelGroup);
+
+    if (groups.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${showPurchasePrice ? '5' : '3'}" style="text-align: center; padding: 20px; color: #999;">No sales found for the selected filters</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = groups.map(group => `
+            <tr>
+                <td>${group.label}</td>
+                <td>${group.count}</td>
+                <td>${formatCurrency(group.revenue)}</td>
+                ${showPurchasePrice ? `
+                    <td>${formatCurrency(group.landedCost)}</td>
+                    <td style="color: ${group.profit >= 0 ? '#27ae60' : '#e74c3c'}; font-weight: 600;">
+                        ${formatCurrency(group.profit)}
+                    </td>
+                ` : ''}
+            </tr>
+        `).join('');
+}
+
+/**
+ * Get the model group of a report row
+ * Wheels linked to the catalogue are grouped by model id, others by their model name.
+ * @param {Object} item - Report row
+ * @returns {Object} {key, label}
+ */
+function getReportModelGroup(item) {
+    return { key: item.wheel && item.wheel.modelId ? item.wheel.modelId : item.model, label: item.model };
+}
+
+/**
+ * Add up report rows by group, largest revenue first
+ * @param {Array} reportData - Rows of the sales report
+ * @param {Function} getGroup - Returns {key, label} for a row
+ * @returns {Array} Groups: {key, label, count, revenue, landedCost, profit}
+ */
+function groupReportRows(reportData, getGroup) {
+    const groups = new Map();
+    reportData.forEach(item => {
+        const { key, label } = getGroup(item);
+        const group = groups.get(key) || { key, label, count: 0, revenue: 0, landedCost: 0, profit: 0 };
+        group.count += 1;
+        group.revenue += item.revenue;
+        group.landedCost += item.landedCost;
+        group.profit += item.profit;
+        groups.set(key, group);
+    });
+
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            revenue: roundCurrency(group.revenue),
+            landedCost: roundCurrency(group.landedCost),
+            profit: roundCurrency(group.profit)
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * Render wheels in stock whose registration or insurance has run out or runs out within EXPIRY_WARNING_DAYS
+ * @param {Array} wheels - All wheel objects
+ * @param {string} makeId - Catalogue make to limit the list to, or '' for all
+ */
+function renderExpiringDocuments(wheels, makeId) {
+    const tbody = document.getElementById('expiringDocumentsBody');
+    const soldIds = getSoldWheelIds();
+    const expiring = wheels
+        .filter(wheel => !wheel.deletedAt && !soldIds.has(wheel.id) && (!makeId || wheel.makeId === makeId))
+        .filter(wheel => getExpiryStatus(wheel.registrationExpiry) || getExpiryStatus(wheel.insuranceExpiry))
+        .sort((a, b) => {
+            const earliest = wheel => [wheel.registrationExpiry, wheel.insuranceExpiry].filter(Boolean).sort()[0];
+            return earliest(a).localeCompare(earliest(b));
+        });
+
+    if (expiring.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="4" style="text-align: center; padding: 20px; color: #999;">No registration or insurance due within ${EXPIRY_WARNING_DAYS} days</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = expiring.map(wheel => `
+        <tr>
+            <td>${getWheelDescription(wheel)} (${wheel.year})</td>
+            <td>${wheel.vehicleNumber || 'N/A'}</td>
+            <td>${renderExpiryDate(wheel.registrationExpiry)}</td>
+            <td>${renderExpiryDate(wheel.insuranceExpiry)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Filter report by date range
+ */
+function filterReport() {
+    renderReport();
+}
+
+/**
+ * Export report to CSV
+ */
+function exportToCSV() {
+    if (currentReportData.length === 0) {
+        showAlert('No data to export');
+        return;
+    }
+
+    const showPurchasePrice = hasPermission('viewCosts');
+    
+    // CSV headers
+    let headers = ['Model', 'Variant', 'Fuel Type', 'Mileage (km)', 'Condition', 'Status', 'Selling Price', 'Net Revenue', 'Sale Date'];
+    if (showPurchasePrice) {
+        headers.splice(8, 0, 'Purchase Price', 'Expenses', 'Landed Cost');
+        headers.push('Profit');
+    }
+
+    const rows = [headers];
+    currentReportData.forEach(item => {
+        const wheel = item.wheel || {};
+        let row = [
+            item.model,
+            wheel.variant || '',
+            FUEL_TYPES[wheel.fuelType] || '',
+            typeof wheel.mileage === 'number' ? wheel.mileage : '',
+            wheel.conditionGrade || '',
+            item.status,
+            item.sellingPrice,
+            item.revenue,
+            item.saleDate
+        ];
+        
+        if (showPurchasePrice) {
+            row.splice(8, 0, item.purchasePrice, item.expenses, item.landedCost);
+            row.push(item.profit);
+        }
+        rows.push(row);
+    });
+
+    // Add summary rows
+    const count = currentReportData.length;
+    const totalRevenue = roundCurrency(currentReportData.reduce((sum, item) => sum + item.revenue, 0));
+    const totalCost = roundCurrency(currentReportData.reduce((sum, item) => sum + item.landedCost, 0));
+    const totalProfit = roundCurrency(totalRevenue - totalCost);
+
+    rows.push([], ['Summary'], ['Count', count], ['Total Revenue', totalRevenue]);
+    if (showPurchasePrice) {
+        rows.push(['Total Landed Cost', totalCost], ['Total Profit', totalProfit]);
+    }
+
+    downloadFile(buildCSV(rows), `sales-report-${getTodayDate()}.csv`, 'text/csv;charset=utf-8;');
+    showAlert('Report exported to CSV successfully');
+}
+
+/**
+ * Describe a report date range for export headings
+ * @param {string} fromDate - From Date filter, or ''
+ * @param {string} toDate - To Date filter, or ''
+ * @returns {string} e.g. "1 Mar 2024 to 31 Mar 2024" or "All dates"
+ */
+function describeReportDates(fromDate, toDate) {
+    if (fromDate && toDate) return `${formatDate(fromDate)} to ${formatDate(toDate)}`;
+    if (fromDate) return `From ${formatDate(fromDate)}`;
+    if (toDate) return `Up to ${formatDate(toDate)}`;
+    return 'All dates';
+}
+
+/**
+ * Export the filtered sales report to a paginated PDF
+ * Cost and profit columns are included only for roles that may see purchase prices, and only when ticked.
+ */
+function exportReportPDF() {
+    if (currentReportData.length === 0) {
+        showAlert('No data to export');
+        return;
+    }
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
+    }
+
+    const showCosts = hasPermission('viewCosts') && document.getElementById('reportPdfCosts').checked;
+    const { fromDate, toDate, makeId } = currentReportFilters;
+    const make = getCatalogue().find(m => m.id === makeId);
+    const summary = summarizeReportRows(currentReportData);
+    const costColumns = showCosts ? [{ label: 'Landed Cost', width: 28, align: 'right' }, { label: 'Profit', width: 28, align: 'right' }] : [];
+    const costs = (landedCost, profit) => (showCosts ? [formatCurrency(landedCost), formatCurrency(profit)] : []);
+    const rows = [...currentReportData].sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+
+    const doc = renderReportPDF({
+        title: 'Sales Report',
+        subtitle: [
+            `Period: ${describeReportDates(fromDate, toDate)}${make ? ` | Make: ${make.name}` : ''}`,
+            `Prepared by: ${currentUser ? currentUser.name : ''}`
+        ],
+        tables: [
+            {
+                heading: 'Sales',
+                columns: [
+                    { label: 'Date', width: 22 },
+                    { label: 'Invoice', width: 22 },
+                    { label: 'Vehicle', width: 55 },
+                    { label: 'Vehicle No.', width: 24 },
+                    { label: 'Buyer', width: 35 },
+                    { label: 'Payment', width: 26 },
+                    { label: 'Selling Price', width: 28, align: 'right' },
+                    { label: 'Net Revenue', width: 28, align: 'right' },
+                    ...costColumns
+                ],
+                rows: rows.map(item => [
+                    formatDate(item.saleDate),
+                    item.invoiceNumber || '',
+                    `${item.description}${item.reversal ? ` (${item.status})` : ''}`,
+                    item.wheel ? item.wheel.vehicleNumber : '',
+                    item.buyerName,
+                    item.paymentMethod,
+                    formatCurrency(item.sellingPrice),
+                    formatCurrency(item.revenue),
+                    ...costs(item.landedCost, item.profit)
+                ]),
+                footer: [[
+                    'Total', '', `${summary.count} sale(s)`, '', '', '',
+                    formatCurrency(roundCurrency(rows.reduce((sum, item) => sum + item.sellingPrice, 0))),
+                    formatCurrency(summary.revenue),
+                    ...costs(summary.landedCost, summary.profit)
+                ]]
+            },
+            {
+                heading: 'Sales by Make & Model',
+                columns: [
+                    { label: 'Make & Model', width: 80 },
+                    { label: 'Sold', width: 20, align: 'right' },
+                    { label: 'Net Revenue', width: 30, align: 'right' },
+                    ...costColumns
+                ],
+                rows: groupReportRows(currentReportData, getReportModelGroup).map(group => [
+                    group.label,
+                    group.count,
+                    formatCurrency(group.revenue),
+                    ...costs(group.landedCost, group.profit)
+                ]),
+                footer: []
+            }
+        ]
+    });
+    doc.save(`sales-report-${getTodayDate()}.pdf`);
+    showAlert('Report downloaded successfully');
+}
+
+// ==================== DASHBOARD ====================
+
+// Longest run of months the monthly trend chart shows
+const DASHBOARD_TREND_MONTHS = 24;
+
+/**
+ * Get the month a date falls in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Month in YYYY-MM format
+ */
+function getMonthKey(date) {
+    return date.slice(0, 7);
+}
+
+/**
+ * Move a month forwards or backwards
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} months - Number of months to add, negative to go back
+ * @returns {string} Resulting month in YYYY-MM format
+ */
+function addMonthsToMonth(month, months) {
+    return getMonthKey(addMonths(`${month}-01`, months));
+}
+
+/**
+ * Format a month for display, e.g. "Mar 2024"
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Month name and year
+ */
+function formatMonth(month) {
+    return formatDate(`${month}-01`, 'MMM YYYY');
+}
+
+/**
+ * Add up report rows into the figures the dashboard shows
+ * @param {Array} reportData - Rows of the sales report
+ * @returns {Object} {count, revenue, landedCost, profit, margin, averageDaysInStock}
+ *   margin is profit as a percentage of revenue and averageDaysInStock is days from added to sold;
+ *   both are null when there is nothing to average
+ */
+function summarizeReportRows(reportData) {
+    const revenue = roundCurrency(reportData.reduce((sum, item) => sum + item.revenue, 0));
+    const landedCost = roundCurrency(reportData.reduce((sum, item) => sum + item.landedCost, 0));
+    const profit = roundCurrency(reportData.reduce((sum, item) => sum + item.profit, 0));
+    const stockDays = reportData
+        .filter(item => item.wheel && item.wheel.addedDate)
+        .map(item => Math.max(0, daysBetween(item.wheel.addedDate, item.saleDate)));
+
+    return {
+        count: reportData.length,
+        revenue,
+        landedCost,
+        profit,
+        margin: revenue > 0 ? profit / revenue * 100 : null,
+        averageDaysInStock: stockDays.length > 0 ? stockDays.reduce((sum, days) => sum + days, 0) / stockDays.length : null
+    };
+}
+
+/**
+ * Add up report rows by month, including months without sales
+ * The run starts at the From Date (or the first sale) and ends at the To Date (or the last sale),
+ * keeping only the latest DASHBOARD_TREND_MONTHS months.
+ * @param {Array} reportData - Rows of the sales report
+ * @param {string} fromDate - From Date filter, or ''
+ * @param {string} toDate - To Date filter, or ''
+ * @returns {Array} Months in order: {month, revenue, profit, count}
+ */
+function getMonthlyTotals(reportData, fromDate, toDate) {
+    if (reportData.length === 0) {
+        return [];
+    }
+
+    const saleMonths = reportData.map(item => getMonthKey(item.saleDate)).sort();
+    const lastMonth = toDate ? getMonthKey(toDate) : saleMonths[saleMonths.length - 1];
+    let month = fromDate ? getMonthKey(fromDate) : saleMonths[0];
+    const earliestShown = addMonthsToMonth(lastMonth, 1 - DASHBOARD_TREND_MONTHS);
+    if (month < earliestShown) {
+        month = earliestShown;
+    }
+
+    const totals = [];
+    for (; month <= lastMonth; month = addMonthsToMonth(month, 1)) {
+        const summary = summarizeReportRows(reportData.filter(item => getMonthKey(item.saleDate) === month));
+        totals.push({ month, revenue: summary.revenue, profit: summary.profit, count: summary.count });
+    }
+    return totals;
+}
+
+/**
+ * Describe the change from one figure to another as a percentage
+ * @param {number} current - Figure for the period being looked at
+ * @param {number} previous - Figure for the period compared with
+ * @returns {string} HTML, e.g. "+12.5%" in green, or "-" when there is nothing to compare with
+ */
+function renderChange(current, previous) {
+    if (previous === 0) {
+        return current === 0 ? '-' : '<span class="change-up">New</span>';
+    }
+    const change = (current - previous) / Math.abs(previous) * 100;
+    return `<span class="${change >= 0 ? 'change-up' : 'change-down'}">${change >= 0 ? '+' : ''}${change.toFixed(1)}%</span>`;
+}
+
+/**
+ * Draw a horizontal bar chart
+ * Bars are scaled against the largest value in the chart; negative values are drawn in red.
+ * @param {string} containerId - Element to draw into
+ * @param {Array} rows - Chart rows: {label, bars: [{value, text, className}]}
+ * @param {string} emptyText - Text shown when there are no rows
+ */
+function renderBarChart(containerId, rows, emptyText) {
+    const container = document.getElementById(containerId);
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="chart-empty">${emptyText}</p>`;
+        return;
+    }
+
+    const largest = Math.max(...rows.map(row => Math.max(...row.bars.map(bar => Math.abs(bar.value)))));
+    container.innerHTML = rows.map(row => `
+        <div class="chart-row">
+            <div class="chart-label">${row.label}</div>
+            <div class="chart-bars">
+                ${row.bars.map(bar => `
+                    <div class="chart-bar-line">
+                        <div class="chart-bar ${bar.className}${bar.value < 0 ? ' chart-bar-negative' : ''}" style="width: ${largest > 0 ? Math.abs(bar.value) / largest * 100 : 0}%;"></div>
+                        <span class="chart-value">${bar.text}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render the dashboard above the sales report
+ * Totals and charts use the filtered report rows. The period comparison looks at the month of the
+ * To Date (or this month) and the stock figures at the wheels in stock now, both limited to the chosen make.
+ * @param {Array} reportData - Rows of the sales report
+ * @param {Array} sales - All sale objects
+ * @param {Array} wheels - All wheel objects
+ * @param {Object} filters - {fromDate, toDate, makeId} from the report filters
+ * @param {boolean} showPurchasePrice - Whether costs, profit and margin are shown
+ */
+function renderDashboard(reportData, sales, wheels, filters, showPurchasePrice) {
+    const summary = summarizeReportRows(reportData);
+    const soldIds = getSoldWheelIds();
+    const stock = wheels.filter(wheel => !wheel.deletedAt && !soldIds.has(wheel.id) && (!filters.makeId || wheel.makeId === filters.makeId));
+    const stockValue = roundCurrency(stock.reduce((sum, wheel) => sum + getLandedCost(wheel), 0));
+
+    const cards = [
+        { label: 'Sales', value: summary.count },
+        { label: 'Revenue', value: formatCurrency(summary.revenue) },
+        { label: 'Profit', value: formatCurrency(summary.profit), costs: true },
+        { label: 'Average Margin', value: summary.margin === null ? '-' : `${summary.margin.toFixed(1)}%`, costs: true },
+        { label: 'Average Days in Stock', value: summary.averageDaysInStock === null ? '-' : Math.round(summary.averageDaysInStock) },
+        { label: 'Wheels in Stock', value: stock.length },
+        { label: 'Stock Value at Cost', value: formatCurrency(stockValue), costs: true }
+    ];
+    document.getElementById('dashboardCards').innerHTML = cards
+        .filter(card => showPurchasePrice || !card.costs)
+        .map(card => `
+            <div class="dashboard-card">
+                <div class="dashboard-card-label">${card.label}</div>
+                <div class="dashboard-card-value">${card.value}</div>
+            </div>
+        `).join('');
+
+    const moneyBars = group => [
+        { value: group.revenue, text: formatCurrency(group.revenue), className: 'chart-revenue' },
+        ...(showPurchasePrice ? [{ value: group.profit, text: formatCurrency(group.profit), className: 'chart-profit' }] : [])
+    ];
+    const emptyText = 'No sales found for the selected filters';
+
+    renderBarChart('monthlyTrendChart', getMonthlyTotals(reportData, filters.fromDate, filters.toDate).map(total => ({
+        label: `${formatMonth(total.month)} (${total.count})`,
+        bars: moneyBars(total)
+    })), emptyText);
+
+    renderBarChart('modelChart', groupReportRows(reportData, getReportModelGroup).map(group => ({
+        label: `${group.label} (${group.count})`,
+        bars: moneyBars(group)
+    })), emptyText);
+
+    renderBarChart('paymentMethodChart', groupReportRows(reportData, item => ({ key: item.paymentMethod, label: item.paymentMethod })).map(group => ({
+        label: `${group.label} (${group.count})`,
+        bars: moneyBars(group)
+    })), emptyText);
+
+    renderPeriodComparison(sales, wheels, filters, showPurchasePrice);
+}
+
+/**
+ * Render month-over-month and year-over-year figures for the month of the To Date, or this month
+ * @param {Array} sales - All sale objects
+ * @param {Array} wheels - All wheel objects
+ * @param {Object} filters - {fromDate, toDate, makeId} from the report filters
+ * @param {boolean} showPurchasePrice - Whether profit and margin are shown
+ */
+function renderPeriodComparison(sales, wheels, filters, showPurchasePrice) {
+    const month = getMonthKey(filters.toDate || getTodayDate());
+    const previousMonth = addMonthsToMonth(month, -1);
+    const lastYear = addMonthsToMonth(month, -12);
+    const rows = sales
+        .filter(isReportableSale)
+        .map(sale => buildReportRow(sale, wheels))
+        .filter(item => !filters.makeId || (item.wheel && item.wheel.makeId === filters.makeId));
+    const summarizeMonth = key => summarizeReportRows(rows.filter(item => getMonthKey(item.saleDate) === key));
+    const current = summarizeMonth(month);
+    const previous = summarizeMonth(previousMonth);
+    const yearAgo = summarizeMonth(lastYear);
+
+    document.getElementById('periodComparisonNote').textContent =
+        `${formatMonth(month)} compared with ${formatMonth(previousMonth)} (month over month) and ${formatMonth(lastYear)} (year over year)`;
+
+    const measures = [
+        { label: 'Sales', get: figures => figures.count, format: value => value },
+        { label: 'Revenue', get: figures => figures.revenue, format: formatCurrency },
+        ...(showPurchasePrice ? [{ label: 'Profit', get: figures => figures.profit, format: formatCurrency }] : [])
+    ];
+    document.getElementById('periodComparisonBody').innerHTML = measures.map(measure => `
+        <tr>
+            <td><strong>${measure.label}</strong></td>
+            <td>${measure.format(measure.get(current))}</td>
+            <td>${measure.format(measure.get(previous))}</td>
+            <td>${renderChange(measure.get(current), measure.get(previous))}</td>
+            <td>${measure.format(measure.get(yearAgo))}</td>
+            <td>${renderChange(measure.get(current), measure.get(yearAgo))}</td>
+        </tr>
+    `).join('');
+}
+
+// ==================== INVENTORY AGING ====================
+
+// Age bands for wheels in stock, in days since they were added
+const AGING_BUCKETS = [
+    { label: '0-30 days', min: 0, max: 30 },
+    { label: '31-60 days', min: 31, max: 60 },
+    { label: '61-90 days', min: 61, max: 90 },
+    { label: '90+ days', min: 91, max: Infinity }
+];
+
+// Aging report shown in the Reports section, kept for the CSV and PDF exports
+let currentAgingReport = null;
+
+/**
+ * Build the inventory aging report
+ * Ages are counted to today. Sell-through is wheels sold in the report dates as a share of those
+ * sold plus those still in stock, so it shows how much of each model's stock is moving.
+ * @param {Array} wheels - All wheel objects
+ * @param {Array} sales - All sale objects
+ * @param {Object} filters - {fromDate, toDate, makeId} from the report filters
+ * @returns {Object} {asOf, filters, items, buckets, totalCapital, slowMovingCount, slowMovingDays, models}
+ *   items: wheels in stock, oldest first: {wheel, description, age, bucket, landedCost, slowMoving}
+ *   buckets: {label, count, capital} for each of AGING_BUCKETS
+ *   models: {label, sold, inStock, sellThrough (percentage), capital}
+ */
+function buildAgingReport(wheels, sales, filters) {
+    const asOf = getTodayDate();
+    const slowMovingDays = getSettings().slowMovingDays;
+    const soldIds = getSoldWheelIds();
+    const inMake = wheel => !filters.makeId || (wheel && wheel.makeId === filters.makeId);
+
+    const items = wheels
+        .filter(wheel => !wheel.deletedAt && !soldIds.has(wheel.id) && inMake(wheel))
+        .map(wheel => {
+            const age = Math.max(0, daysBetween(wheel.addedDate, asOf));
+            return {
+                wheel,
+                description: getWheelDescription(wheel),
+                age,
+                bucket: AGING_BUCKETS.findIndex(bucket => age >= bucket.min && age <= bucket.max),
+                landedCost: getLandedCost(wheel),
+                slowMoving: age > slowMovingDays
+            };
+        })
+        .sort((a, b) => b.age - a.age);
+
+    const buckets = AGING_BUCKETS.map((bucket, index) => {
+        const bucketItems = items.filter(item => item.bucket === index);
+        return {
+            label: bucket.label,
+            count: bucketItems.length,
+            capital: roundCurrency(bucketItems.reduce((sum, item) => sum + item.landedCost, 0))
+        };
+    });
+
+    // Returned wheels are back in stock, so only sales that were kept count as sold
+    const soldRows = sales
+        .filter(sale => isActiveSale(sale))
+        .filter(sale => (!filters.fromDate || sale.saleDate >= filters.fromDate) && (!filters.toDate || sale.saleDate <= filters.toDate))
+        .map(sale => buildReportRow(sale, wheels))
+        .filter(item => inMake(item.wheel));
+    const models = new Map();
+    const getModel = (key, label) => {
+        if (!models.has(key)) {
+            models.set(key, { label, sold: 0, inStock: 0, capital: 0 });
+        }
+        return models.get(key);
+    };
+    soldRows.forEach(item => {
+        const { key, label } = getReportModelGroup(item);
+        getModel(key, label).sold += 1;
+    });
+    items.forEach(item => {
+        const model = getModel(item.wheel.modelId || item.wheel.model, item.wheel.model);
+        model.inStock += 1;
+        model.capital += item.landedCost;
+    });
+
+    return {
+        asOf,
+        filters,
+        items,
+        buckets,
+        totalCapital: roundCurrency(items.reduce((sum, item) => sum + item.landedCost, 0)),
+        slowMovingCount: items.filter(item => item.slowMoving).length,
+        slowMovingDays,
+        models: [...models.values()]
+            .map(model => ({
+                ...model,
+                capital: roundCurrency(model.capital),
+                sellThrough: model.sold / (model.sold + model.inStock) * 100
+            }))
+            .sort((a, b) => a.sellThrough - b.sellThrough || b.inStock - a.inStock)
+    };
+}
+
+/**
+ * Render the inventory aging report
+ * @param {Array} wheels - All wheel objects
+ * @param {Array} sales - All sale objects
+ * @param {Object} filters - {fromDate, toDate, makeId} from the report filters
+ * @param {boolean} showPurchasePrice - Whether capital and cost columns are shown
+ */
+function renderInventoryAging(wheels, sales, filters, showPurchasePrice) {
+    const report = buildAgingReport(wheels, sales, filters);
+    currentAgingReport = report;
+
+    document.getElementById('agingSummary').textContent = [
+        `${report.items.length} wheel(s) in stock as of ${formatDate(report.asOf)}`,
+        showPurchasePrice ? `${formatCurrency(report.totalCapital)} tied up at cost` : '',
+        `${report.slowMovingCount} slow-moving (over ${report.slowMovingDays} days)`
+    ].filter(Boolean).join(' | ');
+
+    document.getElementById('agingBucketsBody').innerHTML = report.buckets.map(bucket => `
+        <tr>
+            <td>${bucket.label}</td>
+            <td>${bucket.count}</td>
+            ${showPurchasePrice ? `<td>${formatCurrency(bucket.capital)}</td>` : ''}
+        </tr>
+    `).join('');
+    document.getElementById('agingBucketsFooter').innerHTML = `
+        <tr>
+            <td><strong>Total</strong></td>
+            <td><strong>${report.items.length}</strong></td>
+            ${showPurchasePrice ? `<td><strong>${formatCurrency(report.totalCapital)}</strong></td>` : ''}
+        </tr>
+    `;
+
+    const stockBody = document.getElementById('agingStockBody');
+    if (report.items.length === 0) {
+        stockBody.innerHTML = `<tr><td colspan="${showPurchasePrice ? '6' : '5'}" style="text-align: center; padding: 20px; color: #999;">No wheels in stock</td></tr>`;
+    } else {
+        stockBody.innerHTML = report.items.map(item => `
+            <tr>
+                <td>${item.description} (${item.wheel.year})</td>
+                <td>${item.wheel.vehicleNumber || 'N/A'}</td>
+                <td>${formatDate(item.wheel.addedDate)}</td>
+                <td>${item.age}</td>
+                ${showPurchasePrice ? `<td>${formatCurrency(item.landedCost)}</td>` : ''}
+                <td>${item.slowMoving ? '<span class="slow-moving">Slow-moving</span>' : ''}</td>
+            </tr>
+        `).join('');
+    }
+
+    const modelsBody = document.getElementById('sellThroughBody');
+    if (report.models.length === 0) {
+        modelsBody.innerHTML = `<tr><td colspan="${showPurchasePrice ? '5' : '4'}" style="text-align: center; padding: 20px; color: #999;">No wheels sold or in stock for the selected filters</td></tr>`;
+        return;
+    }
+    modelsBody.innerHTML = report.models.map(model => `
+        <tr>
+            <td>${model.label}</td>
+            <td>${model.sold}</td>
+            <td>${model.inStock}</td>
+            <td>${model.sellThrough.toFixed(1)}%</td>
+            ${showPurchasePrice ? `<td>${formatCurrency(model.capital)}</td>` : ''}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Get the tables of the aging report for the CSV and PDF exports
+ * @param {Object} report - Report from buildAgingReport()
+ * @param {boolean} showPurchasePrice - Whether capital and cost columns are included
+ * @param {Object} formats - {amount, date} functions that turn amounts and dates into cell values
+ * @returns {Array} Tables: {heading, columns: [{label, width, align}], rows, footer}
+ */
+function getAgingReportTables(report, showPurchasePrice, formats) {
+    const costColumn = label => (showPurchasePrice ? [{ label, width: 30, align: 'right' }] : []);
+    const cost = amount => (showPurchasePrice ? [formats.amount(amount)] : []);
+
+    return [
+        {
+            heading: 'Stock by Age',
+            columns: [{ label: 'Age', width: 40 }, { label: 'Wheels', width: 20, align: 'right' }, ...costColumn('Capital Tied Up')],
+            rows: report.buckets.map(bucket => [bucket.label, bucket.count, ...cost(bucket.capital)]),
+            footer: [['Total', report.items.length, ...cost(report.totalCapital)]]
+        },
+        {
+            heading: 'Wheels in Stock',
+            columns: [
+                { label: 'Vehicle', width: 70 },
+                { label: 'Year', width: 15 },
+                { label: 'Vehicle No.', width: 30 },
+                { label: 'Added', width: 30 },
+                { label: 'Days in Stock', width: 25, align: 'right' },
+                { label: 'Age', width: 25 },
+                ...costColumn('Landed Cost'),
+                { label: 'Slow-Moving', width: 25 }
+            ],
+            rows: report.items.map(item => [
+                item.description,
+                item.wheel.year,
+                item.wheel.vehicleNumber || '',
+                formats.date(item.wheel.addedDate),
+                item.age,
+                AGING_BUCKETS[item.bucket].label,
+                ...cost(item.landedCost),
+                item.slowMoving ? 'Yes' : ''
+            ]),
+            footer: []
+        },
+        {
+            heading: 'Sell-Through by Model',
+            columns: [
+                { label: 'Model', width: 70 },
+                { label: 'Sold', width: 20, align: 'right' },
+                { label: 'In Stock', width: 20, align: 'right' },
+                { label: 'Sell-Through', width: 25, align: 'right' },
+                ...costColumn('Capital Tied Up')
+            ],
+            rows: report.models.map(model => [model.label, model.sold, model.inStock, `${model.sellThrough.toFixed(1)}%`, ...cost(model.capital)]),
+            footer: []
+        }
+    ];
+}
+
+/**
+ * Get the heading lines of the aging report exports
+ * @param {Object} report - Report from buildAgingReport()
+ * @returns {Array} Lines of text
+ */
+function getAgingReportSubtitle(report) {
+    const { fromDate, toDate, makeId } = report.filters;
+    const make = getCatalogue().find(m => m.id === makeId);
+    return [
+        `Stock as of ${formatDate(report.asOf)}${make ? ` | Make: ${make.name}` : ''}`,
+        `Sell-through for sales ${fromDate ? `from ${formatDate(fromDate)}` : 'from the start'} ${toDate ? `to ${formatDate(toDate)}` : 'to date'}`,
+        `Slow-moving: over ${report.slowMovingDays} days in stock (${report.slowMovingCount} wheel(s))`
+    ];
+}
+
+/**
+ * Export the inventory aging report to CSV
+ */
+function exportAgingCSV() {
+    if (!currentAgingReport) {
+        showAlert('No data to export');
+        return;
+    }
+
+    const rows = [['Inventory Aging Report'], ...getAgingReportSubtitle(currentAgingReport).map(line => [line])];
+    // Plain numbers and ISO dates so spreadsheets can calculate with them
+    const formats = { amount: amount => amount, date: date => date };
+    getAgingReportTables(currentAgingReport, hasPermission('viewCosts'), formats).forEach(table => {
+        rows.push([], [table.heading], table.columns.map(column => column.label), ...table.rows, ...table.footer);
+    });
+
+    downloadFile(buildCSV(rows), `inventory-aging-${getTodayDate()}.csv`, 'text/csv;charset=utf-8;');
+    showAlert('Inventory aging report exported to CSV successfully');
+}
+
+/**
+ * Export the inventory aging report to PDF
+ */
+function exportAgingPDF() {
+    if (!currentAgingReport) {
+        showAlert('No data to export');
+        return;
+    }
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
+    }
+
+    const doc = renderReportPDF({
+        title: 'Inventory Aging Report',
+        subtitle: getAgingReportSubtitle(currentAgingReport),
+        tables: getAgingReportTables(currentAgingReport, hasPermission('viewCosts'), { amount: formatCurrency, date: formatDate })
+    });
+    doc.save(`inventory-aging-${getTodayDate()}.pdf`);
+    showAlert('Inventory aging report downloaded successfully');
+}
+
+// ==================== DAILY CLOSING ====================
+
+/**
+ * Gather one day's sales and the money that came in or went out that day
+ * Payments are counted on the day they were received, whatever day the sale was made, and stay there
+ * if the sale is reversed later, so a closed day always matches its till count. The money handed back
+ * for a reversal is a refund on the reversal date; for a void that is everything taken on the sale.
+ * Trade-in allowances are listed but are not money received.
+ * @param {string} date - Day to close (YYYY-MM-DD)
+ * @param {Array} sales - All sale objects
+ * @param {Array} wheels - All wheel objects
+ * @returns {Object} {date, sales, payments, settlements, refunds, byMethod, totalReceived, tradeInTotal, refundTotal, netReceived}
+ *   sales: report rows of sales made that day; payments: {sale, payment}; settlements: {sale, amount}; refunds: {sale, amount}
+ *   byMethod: Array of {method, count, amount} for the money received
+ */
+function buildDailyClosing(date, sales, wheels) {
+    const liveSales = sales.filter(sale => !sale.deletedAt);
+    const daySales = liveSales
+        .filter(sale => sale.saleDate === date && isReportableSale(sale))
+        .map(sale => buildReportRow(sale, wheels));
+    const payments = liveSales.flatMap(sale => (sale.payments || [])
+        .filter(payment => payment.date === date)
+        .map(payment => ({ sale, payment })));
+    const settlements = liveSales
+        .filter(sale => sale.finance && sale.finance.settlement && sale.finance.settlement.date === date)
+        .map(sale => ({ sale, amount: sale.finance.settlement.amount }));
+    const moneyTaken = sale => roundCurrency((sale.payments || [])
+        .filter(payment => payment.method !== 'Trade-in')
+        .reduce((sum, payment) => sum + payment.amount, sale.finance && sale.finance.settlement ? sale.finance.settlement.amount : 0));
+    const refunds = liveSales
+        .filter(sale => sale.reversal && sale.reversal.date === date)
+        .map(sale => ({ sale, amount: sale.reversal.type === 'void' ? moneyTaken(sale) : sale.reversal.refundAmount }))
+        .filter(refund => refund.amount > 0);
+
+    const byMethod = new Map();
+    const addReceived = (method, amount) => {
+        const entry = byMethod.get(method) || { method, count: 0, amount: 0 };
+        entry.count += 1;
+        entry.amount = roundCurrency(entry.amount + amount);
+        byMethod.set(method, entry);
+    };
+    payments
+        .filter(({ payment }) => payment.method !== 'Trade-in')
+        .forEach(({ payment }) => addReceived(payment.method, payment.amount));
+    settlements.forEach(({ amount }) => addReceived('Finance company settlement', amount));
+
+    const totalReceived = roundCurrency([...byMethod.values()].reduce((sum, entry) => sum + entry.amount, 0));
+    const refundTotal = roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+    return {
+        date,
+        sales: daySales,
+        payments,
+        settlements,
+        refunds,
+        byMethod: [...byMethod.values()],
+        totalReceived,
+        tradeInTotal: roundCurrency(payments
+            .filter(({ payment }) => payment.method === 'Trade-in')
+            .reduce((sum, { payment }) => sum + payment.amount, 0)),
+        refundTotal,
+        netReceived: roundCurrency(totalReceived - refundTotal)
+    };
+}
+
+/**
+ * Download the daily closing report for the chosen day as a PDF
+ */
+function exportDailyClosingPDF() {
+    const date = document.getElementById('closingDate').value;
+    if (!date) {
+        showAlert('Please choose the day to close');
+        return;
+    }
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
+    }
+
+    const showCosts = hasPermission('viewCosts') && document.getElementById('reportPdfCosts').checked;
+    const closing = buildDailyClosing(date, loadSales(), loadWheels());
+    const summary = summarizeReportRows(closing.sales);
+    const costColumns = showCosts ? [{ label: 'Landed Cost', width: 28, align: 'right' }, { label: 'Profit', width: 28, align: 'right' }] : [];
+    const costs = (landedCost, profit) => (showCosts ? [formatCurrency(landedCost), formatCurrency(profit)] : []);
+    const saleLabel = sale => [sale.invoiceNumber, sale.buyerName].filter(Boolean).join(' - ');
+
+    const doc = renderReportPDF({
+        title: 'Daily Closing Report',
+        subtitle: [
+            `Day: ${formatDate(date)}`,
+            `Prepared by: ${currentUser ? currentUser.name : ''}`
+        ],
+        tables: [
+            {
+                heading: 'Sales Made',
+                columns: [
+                    { label: 'Invoice', width: 24 },
+                    { label: 'Vehicle', width: 60 },
+                    { label: 'Buyer', width: 40 },
+                    { label: 'Payment', width: 30 },
+                    { label: 'Net Revenue', width: 28, align: 'right' },
+                    ...costColumns
+                ],
+                rows: closing.sales.map(item => [
+                    item.invoiceNumber || '',
+                    `${item.description}${item.wheel ? ` - ${item.wheel.vehicleNumber}` : ''}${item.reversal ? ` (${item.status})` : ''}`,
+                    item.buyerName,
+                    item.paymentMethod,
+                    formatCurrency(item.revenue),
+                    ...costs(item.landedCost, item.profit)
+                ]),
+                footer: closing.sales.length > 0
+                    ? [[`${summary.count} sale(s)`, '', '', '', formatCurrency(summary.revenue), ...costs(summary.landedCost, summary.profit)]]
+                    : []
+            },
+            {
+                heading: 'Money Received',
+                columns: [
+                    { label: 'Sale', width: 60 },
+                    { label: 'Method', width: 35 },
+                    { label: 'Reference', width: 40 },
+                    { label: 'Amount', width: 28, align: 'right' }
+                ],
+                rows: [
+                    ...closing.payments.map(({ sale, payment }) => [
+                        saleLabel(sale),
+                        payment.method,
+                        payment.reference || '',
+                        formatCurrency(payment.amount)
+                    ]),
+                    ...closing.settlements.map(({ sale, amount }) => [
+                        saleLabel(sale),
+                        'Finance company settlement',
+                        [sale.finance.company, sale.finance.agreementNumber].filter(Boolean).join(' '),
+                        formatCurrency(amount)
+                    ])
+                ],
+                footer: []
+            },
+            {
+                heading: 'Refunds Paid',
+                columns: [
+                    { label: 'Sale', width: 60 },
+                    { label: 'Reason', width: 75 },
+                    { label: 'Amount', width: 28, align: 'right' }
+                ],
+                rows: closing.refunds.map(({ sale, amount }) => [
+                    saleLabel(sale),
+                    `${REVERSAL_TYPES[sale.reversal.type]}${sale.reversal.reason ? `: ${sale.reversal.reason}` : ''}`,
+                    formatCurrency(amount)
+                ]),
+                footer: []
+            },
+            {
+                heading: 'Closing Summary',
+                columns: [{ label: '', width: 100 }, { label: 'Amount', width: 40, align: 'right' }],
+                rows: [
+                    ...closing.byMethod.map(entry => [`Received by ${entry.method} (${entry.count})`, formatCurrency(entry.amount)]),
+                    ['Total received', formatCurrency(closing.totalReceived)],
+                    ['Less refunds paid', formatCurrency(closing.refundTotal)],
+                    ...(closing.tradeInTotal > 0 ? [['Trade-in allowances (not money received)', formatCurrency(closing.tradeInTotal)]] : [])
+                ],
+                footer: [['Net received', formatCurrency(closing.netReceived)]]
+            }
+        ]
+    });
+    doc.save(`daily-closing-${date}.pdf`);
+    showAlert('Daily closing report downloaded successfully');
+}
+
+// ==================== ACCOUNTING ====================
+
+// Ledger accounts the journal posts to; codes are a starting point for the accountant's chart of accounts
+const ACCOUNTING_ACCOUNTS = {
+    cash: { code: '1000', name: 'Cash in Hand' },
+    bank: { code: '1010', name: 'Bank' },
+    buyerReceivable: { code: '1100', name: 'Receivable from Buyers' },
+    financeReceivable: { code: '1150', name: 'Receivable from Finance Companies' },
+    inventory: { code: '1200', name: 'Vehicle Inventory' },
+    taxPayable: { code: '2200', name: 'Sales Tax Payable' },
+    sales: { code: '4000', name: 'Vehicle Sales' },
+    salesReturns: { code: '4100', name: 'Sales Returns' },
+    costOfSales: { code: '5000', name: 'Cost of Vehicles Sold' },
+    financeCharges: { code: '5300', name: 'Finance Company Charges' }
+};
+
+// Account each buyer payment method is received into
+const PAYMENT_METHOD_ACCOUNTS = {
+    Cash: 'cash',
+    'Bank Transfer': 'bank',
+    Cheque: 'bank',
+    'Trade-in': 'inventory'
+};
+
+// Accounts that make up the cash book
+const CASH_BOOK_ACCOUNTS = ['cash', 'bank'];
+
+/**
+ * Create a journal entry, dropping zero lines
+ * @param {string} date - Entry date (YYYY-MM-DD)
+ * @param {string} reference - Invoice or vehicle number the entry belongs to
+ * @param {string} description - What the entry is for
+ * @param {Array} lines - Array of {account, debit, credit} where account is a key of ACCOUNTING_ACCOUNTS
+ * @returns {Object} {date, reference, description, lines}
+ */
+function createJournalEntry(date, reference, description, lines) {
+    return {
+        date,
+        reference,
+        description,
+        lines: lines
+            .map(line => ({ account: line.account, debit: roundCurrency(line.debit || 0), credit: roundCurrency(line.credit || 0) }))
+            .filter(line => line.debit !== 0 || line.credit !== 0)
+    };
+}
+
+/**
+ * Build the general-ledger journal for every wheel and sale
+ * Vehicle expenses are added to inventory, as the reports count them in the landed cost,
+ * and cost of sales is the landed cost the sales report uses. Suppliers, expenses and refunds
+ * are posted as paid in cash because the app does not record how they were paid.
+ * Voided and deleted sales never happened, so they are left out. A trade-in moved to the
+ * recycle bin while its sale stands left the stock, so it is taken out of inventory at cost.
+ * @param {Array} wheels - All wheel objects
+ * @param {Array} sales - All sale objects
+ * @returns {Array} Journal entries in date order
+ */
+function buildAccountingJournal(wheels, sales) {
+    const entries = [];
+    const reportableSaleIds = new Set(sales.filter(isReportableSale).map(sale => sale.id));
+
+    // A trade-in was really taken in while its sale stands, so its expenses count even from the recycle bin
+    wheels.filter(wheel => !wheel.deletedAt || reportableSaleIds.has(wheel.tradeInSaleId)).forEach(wheel => {
+        const vehicle = `${wheel.model} ${wheel.vehicleNumber}`;
+        // Trade-ins are posted with the payment they were taken as
+        if (wheel.acquisitionType !== 'Trade-in') {
+            const supplier = wheel.supplier && wheel.supplier.name ? ` from ${wheel.supplier.name}` : '';
+            entries.push(createJournalEntry(wheel.addedDate, wheel.vehicleNumber, `Purchase of ${vehicle}${supplier}`, [
+                { account: 'inventory', debit: wheel.purchasePrice },
+                { account: 'cash', credit: wheel.purchasePrice }
+            ]));
+        }
+        (wheel.expenses || []).forEach(expense => {
+            entries.push(createJournalEntry(expense.date, wheel.vehicleNumber, `${expense.category}${expense.description ? ` - ${expense.description}` : ''} for ${vehicle}`, [
+                { account: 'inventory', debit: expense.amount },
+                { account: 'cash', credit: expense.amount }
+            ]));
+        });
+    });
+
+    sales.filter(isReportableSale).forEach(sale => {
+        const row = buildReportRow(sale, wheels);
+        const reference = sale.invoiceNumber || (row.wheel ? row.wheel.vehicleNumber : '');
+        const saleLabel = `${row.description} to ${sale.buyerName}`;
+        const tax = calculateIncludedTax(sale.sellingPrice, sale.taxLines || []);
+        const financed = sale.finance ? sale.finance.amountFinanced : 0;
+
+        entries.push(createJournalEntry(sale.saleDate, reference, `Sale of ${saleLabel}`, [
+            { account: 'buyerReceivable', debit: sale.sellingPrice - financed },
+            { account: 'financeReceivable', debit: financed },
+            { account: 'sales', credit: tax.netAmount },
+            ...tax.lines.map(line => ({ account: 'taxPayable', credit: line.amount }))
+        ]));
+
+        const cost = row.wheel ? getLandedCost(row.wheel) : 0;
+        entries.push(createJournalEntry(sale.saleDate, reference, `Cost of ${saleLabel}`, [
+            { account: 'costOfSales', debit: cost },
+            { account: 'inventory', credit: cost }
+        ]));
+
+        (sale.payments || []).forEach(payment => {
+            entries.push(createJournalEntry(payment.date, reference, `${payment.method} from ${sale.buyerName}${payment.reference ? ` (${payment.reference})` : ''}`, [
+                { account: PAYMENT_METHOD_ACCOUNTS[payment.method] || 'cash', debit: payment.amount },
+                { account: 'buyerReceivable', credit: payment.amount }
+            ]));
+        });
+
+        if (sale.finance && sale.finance.settlement) {
+            const settlement = sale.finance.settlement;
+            entries.push(createJournalEntry(settlement.date, reference, `Settlement from ${sale.finance.company}${sale.finance.agreementNumber ? ` (${sale.finance.agreementNumber})` : ''}`, [
+                { account: 'bank', debit: settlement.amount },
+                { account: 'financeCharges', debit: Math.max(financed - settlement.amount, 0), credit: Math.max(settlement.amount - financed, 0) },
+                { account: 'financeReceivable', credit: financed }
+            ]));
+        }
+
+        const tradeInWheel = sale.tradeInWheelId ? wheels.find(w => w.id === sale.tradeInWheelId) : null;
+        // Its allowance stays paid on the sale, so the vehicle itself is what leaves the books
+        const tradeInCost = tradeInWheel && tradeInWheel.deletedAt ? getLandedCost(tradeInWheel) : 0;
+
+        if (sale.reversal) {
+            const refund = calculateIncludedTax(sale.reversal.refundAmount, sale.taxLines || []);
+            entries.push(createJournalEntry(sale.reversal.date, reference, `${REVERSAL_TYPES[sale.reversal.type]}: ${saleLabel}`, [
+                { account: 'salesReturns', debit: refund.netAmount },
+                ...refund.lines.map(line => ({ account: 'taxPayable', debit: line.amount })),
+                { account: 'cash', credit: sale.reversal.refundAmount },
+                { account: 'inventory', debit: cost },
+                { account: 'costOfSales', credit: cost },
+                { account: 'costOfSales', debit: tradeInCost },
+                { account: 'inventory', credit: tradeInCost }
+            ]));
+        } else if (tradeInCost) {
+            entries.push(createJournalEntry(tradeInWheel.deletedAt.slice(0, 10), reference, `Trade-in ${tradeInWheel.model} ${tradeInWheel.vehicleNumber} removed from stock`, [
+                { account: 'costOfSales', debit: tradeInCost },
+                { account: 'inventory', credit: tradeInCost }
+            ]));
+        }
+    });
+
+    return entries
+        .filter(entry => entry.lines.length > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Check whether a date falls in the chosen period
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} fromDate - First day, or '' for no limit
+ * @param {string} toDate - Last day, or '' for no limit
+ * @returns {boolean} True if the date is in the period
+ */
+function isInAccountingPeriod(date, fromDate, toDate) {
+    return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+}
+
+/**
+ * Build the cash book: every receipt and payment through cash and bank, with running balances
+ * Balances start from everything recorded before the period, not from a counted opening balance.
+ * @param {Array} journal - Entries from buildAccountingJournal
+ * @param {string} fromDate - First day, or '' for no limit
+ * @param {string} toDate - Last day, or '' for no limit
+ * @returns {Array} One {account, openingBalance, closingBalance, rows} per cash book account,
+ *   rows being {date, reference, description, contraAccounts, receipt, payment, balance}
+ */
+function buildCashBook(journal, fromDate, toDate) {
+    return CASH_BOOK_ACCOUNTS.map(account => {
+        const movements = journal.flatMap(entry => entry.lines
+            .filter(line => line.account === account)
+            .map(line => ({ entry, receipt: line.debit, payment: line.credit })));
+        const openingBalance = roundCurrency(movements
+            .filter(({ entry }) => fromDate && entry.date < fromDate)
+            .reduce((sum, movement) => sum + movement.receipt - movement.payment, 0));
+
+        let balance = openingBalance;
+        const rows = movements
+            .filter(({ entry }) => isInAccountingPeriod(entry.date, fromDate, toDate))
+            .map(({ entry, receipt, payment }) => {
+                balance = roundCurrency(balance + receipt - payment);
+                return {
+                    date: entry.date,
+                    reference: entry.reference,
+                    description: entry.description,
+                    contraAccounts: [...new Set(entry.lines
+                        .filter(line => line.account !== account)
+                        .map(line => ACCOUNTING_ACCOUNTS[line.account].name))].join('; '),
+                    receipt,
+                    payment,
+                    balance
+                };
+            });
+        return { account, openingBalance, closingBalance: balance, rows };
+    });
+}
+
+/**
+ * Add up the journal lines of a period for each account
+ * @param {Array} entries - Journal entries of the period
+ * @returns {Array} Array of {account, debit, credit} in chart-of-accounts order, leaving out unused accounts
+ */
+function getAccountTotals(entries) {
+    return Object.keys(ACCOUNTING_ACCOUNTS)
+        .map(account => {
+            const lines = entries.flatMap(entry => entry.lines.filter(line => line.account === account));
+            return {
+                account,
+                debit: roundCurrency(lines.reduce((sum, line) => sum + line.debit, 0)),
+                credit: roundCurrency(lines.reduce((sum, line) => sum + line.credit, 0))
+            };
+        })
+        .filter(total => total.debit !== 0 || total.credit !== 0);
+}
+
+/**
+ * Compare the inventory account with the landed cost of the wheels in stock
+ * The two differ only when the records disagree, e.g. a trade-in still in stock after its sale was deleted.
+ * @param {Array} journal - Entries from buildAccountingJournal
+ * @returns {Object} {ledger, stock, matches}
+ */
+function checkInventoryBalance(journal) {
+    const ledger = roundCurrency(journal.reduce((sum, entry) => sum + entry.lines
+        .filter(line => line.account === 'inventory')
+        .reduce((total, line) => total + line.debit - line.credit, 0), 0));
+    const stock = roundCurrency(getAvailableWheels().reduce((sum, wheel) => sum + getLandedCost(wheel), 0));
+    return { ledger, stock, matches: ledger === stock };
+}
+
+/**
+ * Get the period the report was last rendered with and the journal entries that fall in it
+ * @returns {Object} {fromDate, toDate, journal (all entries), entries (entries in the period)}
+ */
+function getAccountingPeriodJournal() {
+    const { fromDate, toDate } = currentReportFilters;
+    const journal = buildAccountingJournal(loadWheels(), loadSales());
+    return {
+        fromDate,
+        toDate,
+        journal,
+        entries: journal.filter(entry => isInAccountingPeriod(entry.date, fromDate, toDate))
+    };
+}
+
+/**
+ * Render the account totals for the report period
+ * @param {boolean} showPurchasePrice - Whether the user may see costs; the accounts include them
+ */
+function renderAccountingSummary(showPurchasePrice) {
+    const tbody = document.getElementById('accountingSummaryBody');
+    const tfoot = document.getElementById('accountingSummaryFooter');
+    if (!showPurchasePrice) {
+        tbody.innerHTML = '';
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    const { fromDate, toDate, journal, entries } = getAccountingPeriodJournal();
+    const totals = getAccountTotals(entries);
+    const inventory = checkInventoryBalance(journal);
+    document.getElementById('accountingSummaryNote').innerHTML =
+        `${describeReportDates(fromDate, toDate)} | ${entries.length} journal entries | the Make filter does not apply` +
+        (inventory.matches ? '' : ` | <span class="overdue-flag">Vehicle Inventory (${formatCurrency(inventory.ledger)}) does not match the landed cost of wheels in stock (${formatCurrency(inventory.stock)})</span>`);
+
+    if (totals.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; padding: 20px; color: #999;">No transactions in this period</td></tr>';
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    tbody.innerHTML = totals.map(total => `
+        <tr>
+            <td>${ACCOUNTING_ACCOUNTS[total.account].code}</td>
+            <td>${ACCOUNTING_ACCOUNTS[total.account].name}</td>
+            <td>${total.debit ? formatCurrency(total.debit) : ''}</td>
+            <td>${total.credit ? formatCurrency(total.credit) : ''}</td>
+        </tr>
+    `).join('');
+    tfoot.innerHTML = `
+        <tr>
+            <td colspan="2"><strong>Total</strong></td>
+            <td><strong>${formatCurrency(roundCurrency(totals.reduce((sum, total) => sum + total.debit, 0)))}</strong></td>
+            <td><strong>${formatCurrency(roundCurrency(totals.reduce((sum, total) => sum + total.credit, 0)))}</strong></td>
+        </tr>
+    `;
+}
+
+/**
+ * Export the journal entries of the report period to CSV, one row per debit or credit line
+ * Entries sharing a Journal No belong together, the layout accounting packages import journals in.
+ */
+function exportJournalCSV() {
+    if (!requirePermission('viewCosts')) {
+        return;
+    }
+
+    const { entries } = getAccountingPeriodJournal();
+    if (entries.length === 0) {
+        showAlert('No transactions in this period');
+        return;
+    }
+
+    const rows = [['Journal No', 'Date', 'Reference', 'Account Code', 'Account Name', 'Description', 'Debit', 'Credit']];
+    entries.forEach((entry, index) => {
+        entry.lines.forEach(line => {
+            rows.push([
+                index + 1,
+                entry.date,
+                entry.reference,
+                ACCOUNTING_ACCOUNTS[line.account].code,
+                ACCOUNTING_ACCOUNTS[line.account].name,
+                entry.description,
+                line.debit || '',
+                line.credit || ''
+            ]);
+        });
+    });
+
+    downloadFile(buildCSV(rows), `journal-${getTodayDate()}.csv`, 'text/csv;charset=utf-8;');
+    showAlert('Journal exported to CSV successfully');
+}
+
+/**
+ * Export the cash book of the report period to CSV, cash then bank, each with its running balance
+ */
+function exportCashBookCSV() {
+    if (!requirePermission('viewCosts')) {
+        return;
+    }
+
+    const { fromDate, toDate, journal } = getAccountingPeriodJournal();
+    const cashBook = buildCashBook(journal, fromDate, toDate);
+    if (cashBook.every(book => book.rows.length === 0)) {
+        showAlert('No receipts or payments in this period');
+        return;
+    }
+
+    const rows = [['Account', 'Date', 'Reference', 'Description', 'Contra Account', 'Receipt', 'Payment', 'Balance']];
+    cashBook.forEach(book => {
+        const accountName = ACCOUNTING_ACCOUNTS[book.account].name;
+        if (fromDate) {
+            rows.push([accountName, fromDate, '', 'Opening balance', '', '', '', book.openingBalance]);
+        }
+        book.rows.forEach(row => {
+            rows.push([accountName, row.date, row.reference, row.description, row.contraAccounts, row.receipt || '', row.payment || '', row.balance]);
+        });
+    });
+
+    downloadFile(buildCSV(rows), `cash-book-${getTodayDate()}.csv`, 'text/csv;charset=utf-8;');
+    showAlert('Cash book exported to CSV successfully');
+}
+
+// ==================== REPORT EXPORTS ====================
+
+// A4 landscape layout for table reports in millimetres; rows stop at bottom, the page footer sits below it
+const REPORT_PAGE = { top: 15, bottom: 190, footer: 200, left: 12, right: 285, center: 148.5, lineHeight: 5 };
+
+// Text starting with one of these is run as a formula when a spreadsheet program opens the file
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Stop text such as a buyer name being run as a formula when a CSV export is opened in a spreadsheet program
+ * The text gets a leading apostrophe; numbers are left alone so they stay numbers.
+ * Excel exports need no escaping, as their text goes into string cells that are never read as formulas.
+ * @param {*} value - Cell value
+ * @returns {*} Value safe to write
+ */
+function escapeSpreadsheetText(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Undo escapeSpreadsheetText on a cell read back from a CSV file
+ * @param {string} text - Cell text
+ * @returns {string} Original text
+ */
+function unescapeSpreadsheetText(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Quote a value for a CSV file as RFC 4180 asks
+ * Values with commas, quotes or line breaks are wrapped in quotes, and quotes inside are doubled.
+ * @param {*} value - Value to write
+ * @returns {string} CSV field
+ */
+function toCSVField(value) {
+    const text = value === null || value === undefined ? '' : String(escapeSpreadsheetText(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text with CRLF line endings
+ * @param {Array} rows - Rows, each an Array of values
+ * @returns {string} CSV text
+ */
+function buildCSV(rows) {
+    return rows.map(row => row.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download content as a file
+ * @param {string|ArrayBuffer|Blob} content - File content
+ * @param {string} fileName - Name to save the file as
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Draw a table report into a paginated PDF
+ * Column widths are relative and stretched to the page. A table that runs onto a new page repeats
+ * its column headings, and every page gets the page number and the date it was generated.
+ * @param {Object} report - {title, subtitle: Array of lines, tables: [{heading, columns: [{label, width, align}], rows, footer}]}
+ * @returns {Object} jsPDF document
+ */
+function renderReportPDF(report) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const { top, bottom, footer, left, right, center, lineHeight } = REPORT_PAGE;
+    let yPos = top;
+
+    const setStyle = (size, style) => {
+        doc.setFontSize(size);
+        doc.setFont(undefined, style);
+    };
+    const drawRow = (cells, columns, style) => {
+        setStyle(9, style);
+        const lines = cells.map((cell, index) => doc.splitTextToSize(String(cell), columns[index].width - 2));
+        let x = left;
+        lines.forEach((cellLines, index) => {
+            const column = columns[index];
+            if (column.align === 'right') {
+                doc.text(cellLines, x + column.width - 1, yPos, { align: 'right' });
+            } else {
+                doc.text(cellLines, x + 1, yPos);
+            }
+            x += column.width;
+        });
+        yPos += Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight;
+    };
+    const drawHeadings = columns => {
+        doc.setFillColor(235, 235, 235);
+        doc.rect(left, yPos - 4, right - left, lineHeight + 1.5, 'F');
+        drawRow(columns.map(column => column.label), columns, 'bold');
+        yPos += 1.5;
+    };
+
+    const settings = getSettings();
+    setStyle(16, 'bold');
+    doc.text(settings.businessName, center, yPos, { align: 'center' });
+    yPos += 6;
+    setStyle(10, 'normal');
+    const contact = [settings.businessAddress.replace(/\s*\n\s*/g, ', '), settings.businessPhone ? `Phone: ${settings.businessPhone}` : '']
+        .filter(Boolean)
+        .join(' | ');
+    if (contact) {
+        doc.text(contact, center, yPos, { align: 'center' });
+        yPos += 5;
+    }
+    yPos += 2;
+    setStyle(13, 'bold');
+    doc.text(report.title, center, yPos, { align: 'center' });
+    yPos += 6;
+    setStyle(10, 'normal');
+    report.subtitle.forEach(line => {
+        doc.text(line, center, yPos, { align: 'center' });
+        yPos += 5;
+    });
+    doc.line(left, yPos, right, yPos);
+    yPos += 8;
+
+    report.tables.forEach(table => {
+        const scale = (right - left) / table.columns.reduce((sum, column) => sum + column.width, 0);
+        const columns = table.columns.map(column => ({ ...column, width: column.width * scale }));
+
+        // Keep a heading with its column headings and first row
+        if (yPos + 20 > bottom) {
+            doc.addPage();
+            yPos = top;
+        }
+        if (table.heading) {
+            setStyle(12, 'bold');
+            doc.text(table.heading, left, yPos);
+            yPos += 7;
+        }
+        drawHeadings(columns);
+
+        if (table.rows.length === 0) {
+            setStyle(9, 'italic');
+            doc.text('No rows', left + 1, yPos);
+            yPos += lineHeight;
+        }
+        [...table.rows.map(row => ({ row, style: 'normal' })), ...table.footer.map(row => ({ row, style: 'bold' }))].forEach(({ row, style }) => {
+            if (yPos + lineHeight > bottom) {
+                doc.addPage();
+                yPos = top;
+                drawHeadings(columns);
+            }
+            drawRow(row, columns, style);
+        });
+        yPos += 8;
+    });
+
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.line(left, footer - 5, right, footer - 5);
+        setStyle(9, 'italic');
+        doc.text(`Generated on: ${formatDate(getTodayDate())}`, left, footer);
+        doc.text(`Page ${page} of ${pageCount}`, right, footer, { align: 'right' });
+    }
+
+    return doc;
+}
+
+// ==================== SPREADSHEETS ====================
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Columns of the full wheel, sale and customer exports
+ * get(record, context) returns the cell value; context is {catalogue, soldIds, wheelsById, sales}.
+ * A column with a permission is left out for roles without it.
+ */
+const SPREADSHEET_TABLES = {
+    wheels: {
+        label: 'Wheels',
+        columns: [
+            { key: 'id', label: 'ID', get: wheel => wheel.id },
+            {
+                key: 'make',
+                label: 'Make',
+                get: (wheel, context) => {
+                    const match = findCatalogueModel(context.catalogue, wheel.modelId);
+                    return match ? match.make.name : '';
+                }
+            },
+            { key: 'model', label: 'Model', get: wheel => wheel.model },
+            { key: 'variant', label: 'Variant', get: wheel => wheel.variant },
+            { key: 'fuelType', label: 'Fuel Type', get: wheel => FUEL_TYPES[wheel.fuelType] || '' },
+            { key: 'year', label: 'Year', get: wheel => wheel.year },
+            { key: 'vehicleNumber', label: 'Vehicle Number', get: wheel => wheel.vehicleNumber },
+            { key: 'color', label: 'Color', get: wheel => wheel.color },
+            { key: 'chassisNumber', label: 'Chassis Number', get: wheel => wheel.chassisNumber },
+            { key: 'engineNumber', label: 'Engine Number', get: wheel => wheel.engineNumber },
+            { key: 'mileage', label: 'Mileage (km)', get: wheel => wheel.mileage },
+            { key: 'conditionGrade', label: 'Condition', get: wheel => CONDITION_GRADES[wheel.conditionGrade] || '' },
+            { key: 'ownerCount', label: 'Previous Owners', get: wheel => wheel.ownerCount },
+            { key: 'registrationExpiry', label: 'Registration Expiry', get: wheel => wheel.registrationExpiry },
+            { key: 'insuranceExpiry', label: 'Insurance Expiry', get: wheel => wheel.insuranceExpiry },
+            { key: 'status', label: 'Status', get: (wheel, context) => (context.soldIds.has(wheel.id) ? 'Sold' : 'In Stock') },
+            { key: 'purchasePrice', label: 'Purchase Price', permission: 'viewCosts', get: wheel => wheel.purchasePrice },
+            { key: 'expenses', label: 'Expenses', permission: 'viewCosts', get: wheel => getTotalExpenses(wheel) },
+            { key: 'landedCost', label: 'Landed Cost', permission: 'viewCosts', get: wheel => getLandedCost(wheel) },
+            { key: 'askingPrice', label: 'Asking Price', get: wheel => wheel.askingPrice },
+            { key: 'floorPrice', label: 'Floor Price', permission: 'approvePrices', get: wheel => wheel.floorPrice },
+            { key: 'addedDate', label: 'Added Date', get: wheel => wheel.addedDate },
+            { key: 'acquisitionType', label: 'Acquisition', get: wheel => wheel.acquisitionType || 'Purchase' },
+            { key: 'supplierName', label: 'Supplier Name', get: wheel => (wheel.supplier ? wheel.supplier.name : '') },
+            { key: 'supplierPhone', label: 'Supplier Phone', get: wheel => (wheel.supplier ? wheel.supplier.phone : '') },
+            { key: 'supplierNIC', label: 'Supplier NIC', get: wheel => (wheel.supplier ? wheel.supplier.nic : '') },
+            { key: 'supplierAddress', label: 'Supplier Address', get: wheel => (wheel.supplier ? wheel.supplier.address : '') },
+            { key: 'notes', label: 'Notes', get: wheel => wheel.notes }
+        ]
+    },
+    sales: {
+        label: 'Sales',
+        columns: [
+            { key: 'id', label: 'ID', get: sale => sale.id },
+            { key: 'invoiceNumber', label: 'Invoice Number', get: sale => sale.invoiceNumber },
+            { key: 'saleDate', label: 'Sale Date', get: sale => sale.saleDate },
+            { key: 'status', label: 'Status', get: sale => (sale.reversal ? REVERSAL_TYPES[sale.reversal.type] : 'Sold') },
+            {
+                key: 'vehicle',
+                label: 'Vehicle',
+                get: (sale, context) => {
+                    const wheel = context.wheelsById.get(sale.wheelId);
+                    return wheel ? `${getWheelDescription(wheel)} (${wheel.year})` : 'Unknown';
+                }
+            },
+            {
+                key: 'vehicleNumber',
+                label: 'Vehicle Number',
+                get: (sale, context) => {
+                    const wheel = context.wheelsById.get(sale.wheelId);
+                    return wheel ? wheel.vehicleNumber : '';
+                }
+            },
+            { key: 'buyerName', label: 'Buyer Name', get: sale => sale.buyerName },
+            { key: 'buyerNIC', label: 'Buyer NIC', get: sale => sale.buyerNIC },
+            { key: 'buyerAddress', label: 'Buyer Address', get: sale => sale.buyerAddress },
+            { key: 'buyerPhone', label: 'Buyer Phone', get: sale => sale.buyerPhone },
+            { key: 'paymentMethod', label: 'Payment Method', get: sale => sale.paymentMethod },
+            { key: 'sellingPrice', label: 'Selling Price', get: sale => sale.sellingPrice },
+            { key: 'netRevenue', label: 'Net Revenue', get: sale => getSaleNetRevenue(sale) },
+            { key: 'paid', label: 'Paid by Buyer', get: sale => getTotalPaid(sale) },
+            { key: 'balance', label: 'Balance', get: sale => getSaleBalance(sale) },
+            { key: 'balanceDueDate', label: 'Balance Due Date', get: sale => sale.balanceDueDate },
+            { key: 'financeCompany', label: 'Finance Company', get: sale => (sale.finance ? sale.finance.company : '') },
+            { key: 'agreementNumber', label: 'Agreement Number', get: sale => (sale.finance ? sale.finance.agreementNumber : '') },
+            { key: 'downPayment', label: 'Down Payment', get: sale => (sale.finance ? sale.finance.downPayment : '') },
+            { key: 'amountFinanced', label: 'Amount Financed', get: sale => (sale.finance ? sale.finance.amountFinanced : '') },
+            { key: 'termMonths', label: 'Finance Term (months)', get: sale => (sale.finance ? sale.finance.termMonths : '') },
+            { key: 'annualRate', label: 'Finance Rate (%)', get: sale => (sale.finance ? sale.finance.annualRate : '') },
+            {
+                key: 'financeSettled',
+                label: 'Finance Settled',
+                get: sale => (sale.finance && sale.finance.settlement ? sale.finance.settlement.date : '')
+            },
+            {
+                key: 'tradeIn',
+                label: 'Trade-in',
+                get: (sale, context) => (sale.tradeInWheelId ? getTradeInLabel(sale, [...context.wheelsById.values()]) : '')
+            },
+            { key: 'transfer', label: 'Ownership Transfer', get: sale => (sale.transfer ? sale.transfer.status : '') },
+            { key: 'soldBy', label: 'Sold By', get: sale => sale.soldByName },
+            { key: 'priceApproval', label: 'Price Approval', get: sale => (sale.priceApproval ? getPriceApprovalLabel(sale) : '') },
+            {
+                key: 'landedCost',
+                label: 'Landed Cost',
+                permission: 'viewCosts',
+                get: (sale, context) => buildReportRow(sale, [...context.wheelsById.values()]).landedCost
+            },
+            {
+                key: 'profit',
+                label: 'Profit',
+                permission: 'viewCosts',
+                get: (sale, context) => buildReportRow(sale, [...context.wheelsById.values()]).profit
+            },
+            { key: 'notes', label: 'Notes', get: sale => sale.saleNotes }
+        ]
+    },
+    customers: {
+        label: 'Customers',
+        columns: [
+            { key: 'id', label: 'ID', get: customer => customer.id },
+            { key: 'name', label: 'Name', get: customer => customer.name },
+            { key: 'nic', label: 'NIC', get: customer => customer.nic },
+            { key: 'phone', label: 'Phone', get: customer => customer.phone },
+            { key: 'address', label: 'Address', get: customer => customer.address },
+            { key: 'purchases', label: 'Purchases', get: (customer, context) => getCustomerSales(customer.id, context.sales).length },
+            {
+                key: 'totalSpent',
+                label: 'Total Spent',
+                get: (customer, context) => roundCurrency(getCustomerSales(customer.id, context.sales).reduce((sum, sale) => sum + sale.sellingPrice, 0))
+            },
+            {
+                key: 'balance',
+                label: 'Balance',
+                get: (customer, context) => roundCurrency(getCustomerSales(customer.id, context.sales).reduce((sum, sale) => sum + getSaleBalance(sale), 0))
+            },
+            { key: 'createdDate', label: 'Customer Since', get: customer => customer.createdDate },
+            { key: 'lastSeenDate', label: 'Last Seen', get: customer => customer.lastSeenDate }
+        ]
+    }
+};
+
+/**
+ * Wheel fields a column of an inventory spreadsheet can be imported into
+ * Columns are matched to fields by heading, so a file exported from the Wheels table imports as it is.
+ */
+const INVENTORY_IMPORT_FIELDS = {
+    make: { label: 'Make' },
+    model: { label: 'Model', required: true },
+    variant: { label: 'Variant' },
+    fuelType: { label: 'Fuel Type' },
+    year: { label: 'Year', required: true },
+    vehicleNumber: { label: 'Vehicle Number', required: true },
+    color: { label: 'Color', required: true },
+    chassisNumber: { label: 'Chassis Number', required: true },
+    engineNumber: { label: 'Engine Number', required: true },
+    mileage: { label: 'Mileage (km)' },
+    conditionGrade: { label: 'Condition' },
+    ownerCount: { label: 'Previous Owners' },
+    registrationExpiry: { label: 'Registration Expiry' },
+    insuranceExpiry: { label: 'Insurance Expiry' },
+    purchasePrice: { label: 'Purchase Price', required: true },
+    askingPrice: { label: 'Asking Price', permission: 'setPrices' },
+    floorPrice: { label: 'Floor Price', permission: 'setPrices' },
+    addedDate: { label: 'Added Date' },
+    supplierName: { label: 'Supplier Name' },
+    supplierPhone: { label: 'Supplier Phone' },
+    notes: { label: 'Notes' }
+};
+
+// Inventory spreadsheet being imported: {fileName, headings, rows, mapping, results}; results is null until checked
+let pendingInventoryImport = null;
+
+/**
+ * Get the export columns of a table the logged-in user may see
+ * @param {string} tableKey - Key of SPREADSHEET_TABLES
+ * @returns {Array} Column definitions
+ */
+function getSpreadsheetColumns(tableKey) {
+    return SPREADSHEET_TABLES[tableKey].columns.filter(column => !column.permission || hasPermission(column.permission));
+}
+
+/**
+ * Show a checkbox for each column of the table chosen for export
+ */
+function renderSpreadsheetColumns() {
+    const tableKey = document.getElementById('spreadsheetTable').value;
+    document.getElementById('spreadsheetColumns').innerHTML = getSpreadsheetColumns(tableKey).map(column => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${column.key}" checked>
+            ${column.label}
+        </label>
+    `).join('');
+}
+
+/**
+ * Tick or clear every column of the spreadsheet export
+ * @param {boolean} checked - True to tick all
+ */
+function setAllSpreadsheetColumns(checked) {
+    document.querySelectorAll('#spreadsheetColumns input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+}
+
+/**
+ * Build the rows of a full table export; records in the recycle bin are left out
+ * @param {string} tableKey - Key of SPREADSHEET_TABLES
+ * @param {Array} columnKeys - Keys of the columns to include, in table order
+ * @returns {Array} Heading row followed by one row per record
+ */
+function buildSpreadsheetRows(tableKey, columnKeys) {
+    const wheels = loadWheels();
+    const sales = loadSales();
+    const context = {
+        catalogue: getCatalogue(),
+        soldIds: getSoldWheelIds(),
+        wheelsById: new Map(wheels.map(wheel => [wheel.id, wheel])),
+        sales
+    };
+    const tableRecords = { wheels, sales, customers: loadCustomers() };
+    const records = tableRecords[tableKey].filter(record => !record.deletedAt);
+    const columns = getSpreadsheetColumns(tableKey).filter(column => columnKeys.includes(column.key));
+
+    return [
+        columns.map(column => column.label),
+        ...records.map(record => columns.map(column => {
+            const value = column.get(record, context);
+            return value === null || value === undefined ? '' : value;
+        }))
+    ];
+}
+
+/**
+ * Build an Excel workbook with a single sheet
+ * @param {Array} rows - Rows, each an Array of values
+ * @param {string} sheetName - Name of the sheet
+ * @returns {ArrayBuffer} XLSX file content
+ */
+function buildXLSX(rows, sheetName) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+/**
+ * Export the chosen table and columns as CSV or Excel
+ */
+function exportSpreadsheet() {
+    if (!requirePermission('manageData')) {
+        return;
+    }
+
+    const tableKey = document.getElementById('spreadsheetTable').value;
+    const format = document.getElementById('spreadsheetFormat').value;
+    const columnKeys = [...document.querySelectorAll('#spreadsheetColumns input[type="checkbox"]:checked')].map(checkbox => checkbox.value);
+
+    if (columnKeys.length === 0) {
+        showAlert('Please choose at least one column to export');
+        return;
+    }
+    if (format === 'xlsx' && typeof window.XLSX === 'undefined') {
+        showAlert('Spreadsheet library not loaded. Please refresh the page.');
+        return;
+    }
+
+    const rows = buildSpreadsheetRows(tableKey, columnKeys);
+    const fileName = `${tableKey}-${getTodayDate()}.${format}`;
+    if (format === 'xlsx') {
+        downloadFile(buildXLSX(rows, SPREADSHEET_TABLES[tableKey].label), fileName, XLSX_MIME_TYPE);
+    } else {
+        downloadFile(buildCSV(rows), fileName, 'text/csv;charset=utf-8;');
+    }
+
+    showAlert(`${SPREADSHEET_TABLES[tableKey].label} exported successfully (${rows.length - 1} row(s))`);
+}
+
+/**
+ * Parse CSV text as RFC 4180 describes it
+ * Quoted fields may hold commas, doubled quotes and line breaks; LF line endings are accepted too.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an Array of strings
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.map(cells => cells.map(unescapeSpreadsheetText));
+}
+
+/**
+ * Read the first sheet of an Excel file as rows of text
+ * Date cells become YYYY-MM-DD so they import like dates typed into a CSV file.
+ * @param {ArrayBuffer} data - XLSX file content
+ * @returns {Array} Rows, each an Array of strings
+ */
+function parseXLSX(data) {
+    const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }).map(row => row.map(cell => {
+        if (cell instanceof Date) {
+            return `${cell.getFullYear()}-${String(cell.getMonth() + 1).padStart(2, '0')}-${String(cell.getDate()).padStart(2, '0')}`;
+        }
+        return String(cell);
+    }));
+}
+
+/**
+ * Open the file picker for an inventory spreadsheet
+ */
+function chooseInventoryImportFile() {
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+    document.getElementById('inventoryImportFile').click();
+}
+
+/**
+ * Read a chosen inventory spreadsheet and show the column mapping
+ * Nothing is imported here; the rows are checked and imported from the mapping panel.
+ * @param {Event} e - File input change event
+ */
+function handleInventoryImportFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const isExcel = /\.xlsx$/i.test(file.name);
+    if (isExcel && typeof window.XLSX === 'undefined') {
+        showAlert('Spreadsheet library not loaded. Please refresh the page.');
+        e.target.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        try {
+            const rows = (isExcel ? parseXLSX(event.target.result) : parseCSV(event.target.result))
+                .filter(row => row.some(cell => cell.trim() !== ''));
+            if (rows.length < 2) {
+                showAlert('The file has no rows to import. The first row must hold the column headings.');
+                return;
+            }
+            const headings = rows[0].map(heading => heading.trim());
+            pendingInventoryImport = {
+                fileName: file.name,
+                headings,
+                rows: rows.slice(1),
+                mapping: guessInventoryImportMapping(headings),
+                results: null
+            };
+            renderInventoryImport();
+        } catch (error) {
+            showAlert('Error reading file. Please check the file format.');
+            console.error('Inventory import error:', error);
+        }
+    };
+    if (isExcel) {
+        reader.readAsArrayBuffer(file);
+    } else {
+        reader.readAsText(file);
+    }
+
+    // Reset input
+    e.target.value = '';
+}
+
+/**
+ * Get the import fields the logged-in user may fill
+ * @returns {Array} [key, field] pairs of INVENTORY_IMPORT_FIELDS
+ */
+function getInventoryImportFields() {
+    return Object.entries(INVENTORY_IMPORT_FIELDS).filter(([, field]) => !field.permission || hasPermission(field.permission));
+}
+
+/**
+ * Match the file's column headings to import fields by name
+ * @param {Array} headings - Column headings from the first row
+ * @returns {Object} Map of field key to column index, -1 when no column matches
+ */
+function guessInventoryImportMapping(headings) {
+    const keys = headings.map(normalizeSearchText);
+    const mapping = {};
+    Object.entries(INVENTORY_IMPORT_FIELDS).forEach(([key, field]) => {
+        const byLabel = keys.indexOf(normalizeSearchText(field.label));
+        mapping[key] = byLabel !== -1 ? byLabel : keys.indexOf(normalizeSearchText(key));
+    });
+    return mapping;
+}
+
+/**
+ * Read the column chosen for each import field
+ * @returns {Object} Map of field key to column index, -1 for fields left out
+ */
+function readInventoryImportMapping() {
+    const mapping = {};
+    Object.keys(INVENTORY_IMPORT_FIELDS).forEach(key => {
+        const select = document.getElementById(`importColumn_${key}`);
+        mapping[key] = select ? parseInt(select.value, 10) : -1;
+    });
+    return mapping;
+}
+
+/**
+ * Render the column mapping and, once checked, the result of the dry run
+ */
+function renderInventoryImport() {
+    const panel = document.getElementById('inventoryImportPanel');
+    if (!pendingInventoryImport) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const { fileName, headings, rows, mapping, results } = pendingInventoryImport;
+    const columnOptions = selected => `<option value="-1">-- Not imported --</option>` + headings.map((heading, index) => `
+        <option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHTML(heading || `Column ${index + 1}`)}</option>
+    `).join('');
+
+    document.getElementById('inventoryImportMapping').innerHTML = `
+        <p class="audit-count">${escapeHTML(fileName)}: ${rows.length} row(s). Choose the column for each field, then check the rows.</p>
+        <div class="import-mapping">
+            ${getInventoryImportFields().map(([key, field]) => `
+                <div class="form-group">
+                    <label for="importColumn_${key}">${field.label}${field.required ? ' *' : ''}</label>
+                    <select id="importColumn_${key}">${columnOptions(mapping[key])}</select>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const preview = document.getElementById('inventoryImportPreview');
+    const ready = results ? results.filter(result => result.errors.length === 0) : [];
+    document.getElementById('applyInventoryImportBtn').disabled = ready.length === 0;
+
+    if (!results) {
+        preview.innerHTML = '';
+    } else {
+        const problems = results.filter(result => result.errors.length > 0 || result.warnings.length > 0);
+        preview.innerHTML = `
+            <div class="import-block">
+                <strong>${ready.length} row(s) ready to import, ${results.length - ready.length} row(s) with errors will be skipped</strong>
+            </div>
+            ${problems.length > 0 ? `
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Vehicle</th>
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${problems.map(result => `
+                            <tr>
+                                <td>${result.rowNumber}</td>
+                                <td>${escapeHTML(result.label)}</td>
+                                <td>
+                                    ${result.errors.map(error => `<div class="import-errors">${escapeHTML(error)}</div>`).join('')}
+                                    ${result.warnings.map(warning => `<div class="import-warnings">${escapeHTML(warning)}</div>`).join('')}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    panel.style.display = 'block';
+}
+
+/**
+ * Read a number from a spreadsheet cell, ignoring thousands separators and the currency symbol
+ * @param {string} text - Cell text
+ * @returns {number|null} The number, null for an empty cell or NaN if it is not a number
+ */
+function parseImportNumber(text) {
+    const symbol = getSettings().currencySymbol;
+    const cleaned = (symbol ? text.split(symbol).join('') : text).replace(/[,\s]/g, '');
+    return cleaned === '' ? null : Number(cleaned);
+}
+
+/**
+ * Find the key of a list entry from its key or label, ignoring case
+ * @param {Object} options - Map of key to label, e.g. FUEL_TYPES
+ * @param {string} text - Cell text
+ * @returns {string|null} Key, '' for an empty cell or null if nothing matches
+ */
+function matchImportOption(options, text) {
+    if (!text) return '';
+    const wanted = text.toLowerCase();
+    const match = Object.entries(options).find(([key, label]) => key.toLowerCase() === wanted || label.toLowerCase() === wanted);
+    return match ? match[0] : null;
+}
+
+/**
+ * Turn spreadsheet rows into new wheels, checking each row as the wheel form would
+ * @param {Array} rows - Data rows, each an Array of cell text
+ * @param {Object} mapping - Map of field key to column index, -1 for fields left out
+ * @returns {Array} One result per row: {rowNumber, label, wheel, errors, warnings}; wheel is null when there are errors
+ */
+function buildInventoryImport(rows, mapping) {
+    const catalogue = getCatalogue();
+    const today = getTodayDate();
+    const seen = {};
+    Object.keys(WHEEL_IDENTIFIER_FIELDS).forEach(field => {
+        seen[field] = new Map();
+    });
+
+    return rows.map((row, index) => {
+        // Row 1 holds the headings
+        const rowNumber = index + 2;
+        const value = key => (mapping[key] >= 0 && row[mapping[key]] !== undefined ? String(row[mapping[key]]).trim() : '');
+        const errors = [];
+        const warnings = [];
+
+        const make = value('make');
+        const modelText = value('model');
+        const match = matchCatalogueModel(catalogue, make && !modelText.toLowerCase().startsWith(make.toLowerCase()) ? `${make} ${modelText}` : modelText);
+        let variant = '';
+        let fuelType = '';
+        if (!modelText) {
+            errors.push('Model is required');
+        } else if (!match) {
+            errors.push(`${make ? `${make} ` : ''}${modelText} is not in the vehicle catalogue`);
+        } else {
+            const variantText = value('variant');
+            variant = variantText ? match.model.variants.find(v => v.toLowerCase() === variantText.toLowerCase()) : match.variant;
+            if (variant === undefined) {
+                errors.push(`Variant ${variantText} is not in the catalogue for ${getCatalogueModelName(match.make, match.model)}`);
+            }
+            fuelType = matchImportOption(FUEL_TYPES, value('fuelType'));
+            if (fuelType === '') {
+                fuelType = match.model.fuelTypes[0];
+            } else if (fuelType === null || !match.model.fuelTypes.includes(fuelType)) {
+                errors.push(`Fuel type ${value('fuelType')} is not offered for ${getCatalogueModelName(match.make, match.model)}`);
+            }
+        }
+
+        const year = Number(value('year'));
+        if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+            errors.push('Please enter a valid year');
+        }
+
+        ['vehicleNumber', 'color', 'chassisNumber', 'engineNumber'].forEach(key => {
+            if (!value(key)) errors.push(`${INVENTORY_IMPORT_FIELDS[key].label} is required`);
+        });
+
+        const mileage = parseImportNumber(value('mileage'));
+        if (mileage !== null && (!Number.isInteger(mileage) || mileage < 0)) {
+            errors.push('Mileage must be a whole number of kilometres');
+        }
+        const ownerCount = parseImportNumber(value('ownerCount'));
+        if (ownerCount !== null && (!Number.isInteger(ownerCount) || ownerCount < 0)) {
+            errors.push('Previous owners must be a whole number');
+        }
+        const conditionGrade = matchImportOption(CONDITION_GRADES, value('conditionGrade'));
+        if (conditionGrade === null) {
+            errors.push(`Condition ${value('conditionGrade')} is not one of ${Object.keys(CONDITION_GRADES).join(', ')}`);
+        }
+
+        const dates = {};
+        ['registrationExpiry', 'insuranceExpiry', 'addedDate'].forEach(key => {
+            dates[key] = value(key);
+            if (dates[key] && !isValidDateString(dates[key])) {
+                errors.push(`${INVENTORY_IMPORT_FIELDS[key].label} must be a date in YYYY-MM-DD format`);
+            }
+        });
+        if (isValidDateString(dates.addedDate) && dates.addedDate > today) {
+            errors.push('Added date cannot be in the future');
+        }
+
+        const purchasePrice = parseImportNumber(value('purchasePrice'));
+        if (purchasePrice === null || isNaN(purchasePrice) || purchasePrice <= 0) {
+            errors.push('Purchase price must be greater than 0');
+        }
+        const askingPrice = parseImportNumber(value('askingPrice'));
+        const floorPrice = parseImportNumber(value('floorPrice'));
+        if ((askingPrice !== null && !(askingPrice > 0)) || (floorPrice !== null && !(floorPrice > 0))) {
+            errors.push('Asking and floor prices must be greater than 0');
+        } else if (askingPrice !== null && floorPrice !== null && floorPrice > askingPrice) {
+            errors.push('Floor price cannot be above the asking price');
+        }
+
+        let identifiers = null;
+        if (value('vehicleNumber') && value('chassisNumber') && value('engineNumber')) {
+            const checked = checkWheelIdentifiers({
+                vehicleNumber: value('vehicleNumber'),
+                chassisNumber: value('chassisNumber'),
+                engineNumber: value('engineNumber')
+            }, null);
+            identifiers = checked.values;
+            if (checked.error) {
+                errors.push(checked.error);
+            }
+            // Sold or deleted wheels with the same number are most likely the vehicle coming back
+            warnings.push(...checked.duplicates);
+
+            Object.entries(WHEEL_IDENTIFIER_FIELDS).forEach(([field, label]) => {
+                const key = getIdentifierKey(identifiers[field]);
+                if (!key) return;
+                if (seen[field].has(key)) {
+                    errors.push(`${label} ${identifiers[field]} is also on row ${seen[field].get(key)}`);
+                } else {
+                    seen[field].set(key, rowNumber);
+                }
+            });
+        }
+
+        const label = [modelText, value('year'), value('vehicleNumber')].filter(Boolean).join(' ') || '(empty row)';
+        if (errors.length > 0) {
+            return { rowNumber, label, wheel: null, errors, warnings };
+        }
+
+        return {
+            rowNumber,
+            label,
+            wheel: {
+                id: generateId('wheel'),
+                makeId: match.make.id,
+                modelId: match.model.id,
+                model: getCatalogueModelName(match.make, match.model),
+                variant,
+                fuelType,
+                year,
+                vehicleNumber: identifiers.vehicleNumber,
+                color: value('color'),
+                chassisNumber: identifiers.chassisNumber,
+                engineNumber: identifiers.engineNumber,
+                mileage,
+                conditionGrade,
+                ownerCount,
+                registrationExpiry: dates.registrationExpiry,
+                insuranceExpiry: dates.insuranceExpiry,
+                notes: value('notes'),
+                purchasePrice,
+                askingPrice,
+                floorPrice,
+                addedDate: dates.addedDate || today,
+                acquisitionType: 'Purchase',
+                supplier: { name: value('supplierName'), phone: value('supplierPhone'), nic: '', address: '' },
+                tradeInSaleId: null,
+                expenses: [],
+                deletedAt: null,
+                deletedBy: ''
+            },
+            errors,
+            warnings
+        };
+    });
+}
+
+/**
+ * Check every row of the inventory spreadsheet without importing anything (dry run)
+ */
+function checkInventoryImport() {
+    if (!pendingInventoryImport) {
+        return;
+    }
+
+    const mapping = readInventoryImportMapping();
+    const missing = getInventoryImportFields().find(([key, field]) => field.required && mapping[key] < 0);
+    if (missing) {
+        showAlert(`Please choose the column for ${missing[1].label}`);
+        return;
+    }
+
+    pendingInventoryImport.mapping = mapping;
+    pendingInventoryImport.results = buildInventoryImport(pendingInventoryImport.rows, mapping);
+    renderInventoryImport();
+}
+
+/**
+ * Import the rows that passed the check; rows with errors are skipped
+ * The rows are checked again first, in case the inventory changed since the dry run.
+ */
+function applyInventoryImport() {
+    if (!requirePermission('editWheels')) {
+        return;
+    }
+
+    if (!pendingInventoryImport || !pendingInventoryImport.results) {
+        showAlert('Please check the rows before importing');
+        return;
+    }
+
+    const results = buildInventoryImport(pendingInventoryImport.rows, pendingInventoryImport.mapping);
+    const newWheels = results.filter(result => result.wheel).map(result => result.wheel);
+    if (newWheels.length === 0) {
+        pendingInventoryImport.results = results;
+        renderInventoryImport();
+        showAlert('No rows are ready to import');
+        return;
+    }
+
+    const skipped = results.length - newWheels.length;
+    if (!confirmAction(`Import ${newWheels.length} wheel(s)?${skipped > 0 ? ` ${skipped} row(s) with errors will be skipped.` : ''}`)) {
+        return;
+    }
+
+    runWithoutRecordAudit(() => {
+        saveWheels([...loadWheels(), ...newWheels]);
+    });
+    logAuditEvent(
+        'import',
+        `Imported ${newWheels.length} wheel(s) from ${pendingInventoryImport.fileName}`,
+        `${newWheels.map(wheel => `${wheel.model} ${wheel.vehicleNumber}`).join('; ')}${skipped > 0 ? ` (${skipped} row(s) with errors skipped)` : ''}`
+    );
+
+    cancelInventoryImport();
+    showAlert(`${newWheels.length} wheel(s) imported successfully`);
+
+    renderWheels();
+    updateWheelSelect();
+    renderReport();
+}
+
+/**
+ * Close the inventory import without importing anything
+ */
+function cancelInventoryImport() {
+    pendingInventoryImport = null;
+    renderInventoryImport();
+}
+
+// ==================== USERS & PERMISSIONS ====================
+
+/**
+ * Roles and what they may do
+ * Anyone logged in can record sales, take payments and manage customers.
+ */
+const ROLES = {
+    owner: { label: 'Owner', permissions: ['viewCosts', 'editWheels', 'setPrices', 'approvePrices', 'deleteWheels', 'deleteSales', 'reverseSales', 'manageData', 'resetData', 'manageUsers', 'manageSettings'] },
+    manager: { label: 'Manager', permissions: ['viewCosts', 'editWheels', 'approvePrices', 'deleteWheels', 'deleteSales', 'reverseSales', 'manageData'] },
+    salesperson: { label: 'Salesperson', permissions: [] }
+};
+
+// Finishes the sentence "Your account is not allowed to ..."
+const PERMISSION_DESCRIPTIONS = {
+    viewCosts: 'see purchase prices and profit',
+    editWheels: 'add or edit wheels',
+    setPrices: 'set asking and floor prices',
+    approvePrices: 'approve sales below the floor price or at a loss',
+    deleteWheels: 'delete wheels',
+    deleteSales: 'delete sales',
+    reverseSales: 'void sales or record returns',
+    manageData: 'export, import or sync data',
+    resetData: 'reset the demo data',
+    manageUsers: 'manage user accounts',
+    manageSettings: 'change shop settings'
+};
+
+const CREDENTIAL_HASH_ITERATIONS = 100000;
+
+// Logged-in user id, kept only until the browser tab is closed
+const SESSION_USER_KEY = 'threeWheel_sessionUserId';
+
+let currentUser = null;
+let editingUserId = null;
+
+/**
+ * Check whether the logged-in user may do something
+ * @param {string} permission - Permission name from ROLES
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(permission) {
+    return currentUser !== null && ROLES[currentUser.role].permissions.includes(permission);
+}
+
+/**
+ * Check a permission and tell the user if it is missing
+ * @param {string} permission - Permission name from ROLES
+ * @returns {boolean} True if allowed
+ */
+function requirePermission(permission) {
+    if (hasPermission(permission)) {
+        return true;
+    }
+    const role = currentUser ? ROLES[currentUser.role].label : 'Not logged in';
+    showAlert(`Your account (${role}) is not allowed to ${PERMISSION_DESCRIPTIONS[permission]}.`);
+    return false;
+}
+
+/**
+ * Create a random salt for hashing a PIN or password
+ * @returns {string} Hex salt
+ */
+function generateSalt() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a PIN or password with PBKDF2 so it is never stored as typed
+ * @param {string} secret - PIN or password
+ * @param {string} salt - Hex salt
+ * @returns {Promise<string>} Hex hash
+ */
+async function hashCredential(secret, salt) {
+    if (!window.crypto || !crypto.subtle) {
+        throw new Error('Logging in needs the app to be opened over https, on localhost or as a local file.');
+    }
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: CREDENTIAL_HASH_ITERATIONS },
+        key,
+        256
+    );
+    return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a new PIN or password
+ * @param {string} credentialType - 'pin' or 'password'
+ * @param {string} secret - PIN or password
+ * @returns {string|null} Problem description, or null if acceptable
+ */
+function validateCredential(credentialType, secret) {
+    if (credentialType === 'pin') {
+        return /^\d{4,8}$/.test(secret) ? null : 'PIN must be 4 to 8 digits';
+    }
+    return secret.length >= 6 ? null : 'Password must be at least 6 characters';
+}
+
+/**
+ * Find a user by username, ignoring case
+ * @param {Array} users - Array of user objects
+ * @param {string} username - Username to look for
+ * @returns {Object|undefined} User
+ */
+function findUserByUsername(users, username) {
+    const key = username.trim().toLowerCase();
+    return users.find(user => user.username.toLowerCase() === key);
+}
+
+/**
+ * Restore the logged-in user for this tab, or show the login screen
+ */
+function initUsers() {
+    // The old "Show purchase prices" checkbox is replaced by roles
+    if (loadMeta('adminToggle') !== undefined) {
+        saveMeta('adminToggle', undefined);
+    }
+
+    const userId = sessionStorage.getItem(SESSION_USER_KEY);
+    const user = loadUsers().find(u => u.id === userId && u.active);
+    currentUser = user || null;
+
+    if (!currentUser) {
+        showLoginScreen();
+    }
+    applyRolePermissions();
+}
+
+/**
+ * Show the login form, or the owner setup form if no accounts exist yet
+ */
+function showLoginScreen() {
+    const isSetup = loadUsers().length === 0;
+    document.getElementById('loginForm').reset();
+    document.getElementById('setupForm').reset();
+    document.getElementById('loginForm').style.display = isSetup ? 'none' : 'block';
+    document.getElementById('setupForm').style.display = isSetup ? 'block' : 'none';
+    document.getElementById('loginScreen').style.display = 'flex';
+}
+
+/**
+ * Make a user the logged-in user for this tab
+ * @param {Object} user - User object
+ */
+function startSession(user) {
+    currentUser = user;
+    sessionStorage.setItem(SESSION_USER_KEY, user.id);
+    document.getElementById('loginScreen').style.display = 'none';
+    applyRolePermissions();
+
+    // Costs and actions depend on the role
+    renderWheels();
+    renderSales();
+    renderReport();
+    renderRecycleBin();
+    renderUsers();
+    renderAuditLog();
+    renderSpreadsheetColumns();
+}
+
+/**
+ * Handle login form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleLoginSubmit(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('loginUsername').value;
+    const secret = document.getElementById('loginSecret').value;
+    const user = findUserByUsername(loadUsers(), username);
+
+    try {
+        if (!user || !user.active || await hashCredential(secret, user.salt) !== user.credentialHash) {
+            showAlert('Incorrect username, PIN or password');
+            document.getElementById('loginSecret').value = '';
+            return;
+        }
+    } catch (error) {
+        showAlert(error.message);
+        return;
+    }
+
+    startSession(user);
+}
+
+/**
+ * Handle the first-run form that creates the owner account
+ * @param {Event} e - Form submit event
+ */
+async function handleSetupSubmit(e) {
+    e.preventDefault();
+
+    if (loadUsers().length > 0) {
+        showLoginScreen();
+        return;
+    }
+
+    const name = document.getElementById('setupName').value.trim();
+    const username = document.getElementById('setupUsername').value.trim();
+    const credentialType = document.getElementById('setupCredentialType').value;
+    const secret = document.getElementById('setupSecret').value;
+    const confirmSecret = document.getElementById('setupSecretConfirm').value;
+
+    if (!name || !username) {
+        showAlert('Name and username are required');
+        return;
+    }
+
+    const problem = validateCredential(credentialType, secret);
+    if (problem) {
+        showAlert(problem);
+        return;
+    }
+
+    if (secret !== confirmSecret) {
+        showAlert('The two entries do not match');
+        return;
+    }
+
+    let user;
+    try {
+        user = await buildUser({ name, username, role: 'owner', credentialType, secret });
+    } catch (error) {
+        showAlert(error.message);
+        return;
+    }
+
+    saveUsers([user]);
+    startSession(user);
+    showAlert('Owner account created');
+}
+
+/**
+ * Create a user object with a hashed PIN or password
+ * @param {Object} details - {name, username, role, credentialType, secret}
+ * @returns {Promise<Object>} User object
+ */
+async function buildUser(details) {
+    const salt = generateSalt();
+    return {
+        id: generateId('user'),
+        name: details.name,
+        username: details.username,
+        role: details.role,
+        credentialType: details.credentialType,
+        salt,
+        credentialHash: await hashCredential(details.secret, salt),
+        active: true,
+        createdDate: getTodayDate()
+    };
+}
+
+/**
+ * Log out and return to the login screen
+ */
+function logout() {
+    currentUser = null;
+    sessionStorage.removeItem(SESSION_USER_KEY);
+    resetUserForm();
+    showLoginScreen();
+    applyRolePermissions();
+
+    renderWheels();
+    renderSales();
+    renderReport();
+    renderRecycleBin();
+    renderUsers();
+    renderAuditLog();
+}
+
+/**
+ * Show or hide controls for the logged-in user's role
+ * Elements with a data-permission attribute are only shown to users with that permission.
+ */
+function applyRolePermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.style.display = hasPermission(element.dataset.permission) ? '' : 'none';
+    });
+
+    document.getElementById('currentUserLabel').textContent = currentUser
+        ? `${currentUser.name} (${ROLES[currentUser.role].label})`
+        : '';
+    document.getElementById('navUser').style.display = currentUser ? '' : 'none';
+
+    // Panels that show costs or allow edits are closed when the user changes
+    if (!hasPermission('viewCosts')) {
+        document.getElementById('costLedgerSection').style.display = 'none';
+    }
+    if (!hasPermission('editWheels')) {
+        resetWheelForm();
+    }
+    if (!hasPermission('reverseSales')) {
+        closeSaleReversal();
+    }
+    closeAttachments();
+    cancelInventoryImport();
+}
+
+/**
+ * Render the user accounts list (owners only)
+ */
+function renderUsers() {
+    const container = document.getElementById('usersContainer');
+    if (!hasPermission('manageUsers')) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const users = loadUsers();
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Username</th>
+                    <th>Role</th>
+                    <th>Login</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${users.map(user => `
+                    <tr>
+                        <td>${user.name}${user.id === currentUser.id ? ' (you)' : ''}</td>
+                        <td>${user.username}</td>
+                        <td>${ROLES[user.role].label}</td>
+                        <td>${user.credentialType === 'pin' ? 'PIN' : 'Password'}</td>
+                        <td>${user.active ? 'Active' : 'Disabled'}</td>
+                        <td>
+                            <button onclick="editUser('${user.id}')" class="secondary">Edit</button>
+                            ${user.id !== currentUser.id ? `<button onclick="toggleUserActive('${user.id}')" class="${user.active ? 'danger' : ''}">${user.active ? 'Disable' : 'Enable'}</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Check that a change to the users list leaves at least one active owner
+ * @param {Array} users - Users after the change
+ * @returns {boolean} True if an active owner remains
+ */
+function hasActiveOwner(users) {
+    return users.some(user => user.role === 'owner' && user.active);
+}
+
+/**
+ * Reset the user form
+ */
+function resetUserForm() {
+    document.getElementById('userForm').reset();
+    document.getElementById('saveUserBtn').textContent = 'Add User';
+    document.getElementById('cancelUserBtn').style.display = 'none';
+    document.getElementById('userSecret').placeholder = '';
+    document.getElementById('userUsername').disabled = false;
+    editingUserId = null;
+}
+
+/**
+ * Load a user into the form for editing
+ * @param {string} userId - User ID
+ */
+function editUser(userId) {
+    if (!requirePermission('manageUsers')) {
+        return;
+    }
+
+    const user = loadUsers().find(u => u.id === userId);
+    if (!user) {
+        showAlert('User not found');
+        return;
+    }
+
+    editingUserId = userId;
+    document.getElementById('userName').value = user.name;
+    document.getElementById('userUsername').value = user.username;
+    document.getElementById('userUsername').disabled = true;
+    document.getElementById('userRole').value = user.role;
+    document.getElementById('userCredentialType').value = user.credentialType;
+    document.getElementById('userSecret').value = '';
+    document.getElementById('userSecret').placeholder = 'Leave blank to keep the current one';
+    document.getElementById('saveUserBtn').textContent = 'Update User';
+    document.getElementById('cancelUserBtn').style.display = 'inline-block';
+}
+
+/**
+ * Handle user form submission (add or update)
+ * @param {Event} e - Form submit event
+ */
+async function handleUserSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('manageUsers')) {
+        return;
+    }
+
+    const name = document.getElementById('userName').value.trim();
+    const username = document.getElementById('userUsername').value.trim();
+    const role = document.getElementById('userRole').value;
+    const credentialType = document.getElementById('userCredentialType').value;
+    const secret = document.getElementById('userSecret').value;
+    const users = loadUsers();
+    const existing = editingUserId ? users.find(u => u.id === editingUserId) : null;
+
+    if (!name || !username) {
+        showAlert('Name and username are required');
+        return;
+    }
+
+    if (!ROLES[role]) {
+        showAlert('Please select a role');
+        return;
+    }
+
+    const duplicate = findUserByUsername(users, username);
+    if (duplicate && duplicate.id !== editingUserId) {
+        showAlert(`The username "${username}" is already taken`);
+        return;
+    }
+
+    // A new account, or a change between PIN and password, needs a new secret
+    const needsSecret = !existing || existing.credentialType !== credentialType;
+    if (secret || needsSecret) {
+        const problem = validateCredential(credentialType, secret);
+        if (problem) {
+            showAlert(problem);
+            return;
+        }
+    }
+
+    try {
+        if (existing) {
+            const updated = { ...existing, name, role, credentialType };
+            if (secret) {
+                updated.salt = generateSalt();
+                updated.credentialHash = await hashCredential(secret, updated.salt);
+            }
+            const nextUsers = users.map(u => (u.id === existing.id ? updated : u));
+            if (!hasActiveOwner(nextUsers)) {
+                showAlert('There must always be at least one active owner');
+                return;
+            }
+            saveUsers(nextUsers);
+            if (updated.id === currentUser.id) {
+                startSession(updated);
+            }
+            showAlert('User updated successfully');
+        } else {
+            users.push(await buildUser({ name, username, role, credentialType, secret }));
+            saveUsers(users);
+            showAlert('User added successfully');
+        }
+    } catch (error) {
+        showAlert(error.message);
+        return;
+    }
+
+    resetUserForm();
+    applyRolePermissions();
+    renderUsers();
+}
+
+/**
+ * Disable or re-enable a user account
+ * @param {string} userId - User ID
+ */
+function toggleUserActive(userId) {
+    if (!requirePermission('manageUsers')) {
+        return;
+    }
+
+    if (userId === currentUser.id) {
+        showAlert('You cannot disable your own account');
+        return;
+    }
+
+    const users = loadUsers().map(user => (user.id === userId ? { ...user, active: !user.active } : user));
+    if (!hasActiveOwner(users)) {
+        showAlert('There must always be at least one active owner');
+        return;
+    }
+
+    saveUsers(users);
+    renderUsers();
+}
+
+// ==================== AUDIT LOG ====================
+
+// Collections whose record changes are audited, and the name of one record
+const AUDITED_COLLECTIONS = { wheels: 'wheel', sales: 'sale', customers: 'customer' };
+
+const AUDIT_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    import: 'Imported',
+    merge: 'Merged',
+    reset: 'Reset',
+    migrate: 'Migrated',
+    sync: 'Synced',
+    settings: 'Settings changed'
+};
+
+// Number of matching entries shown in the viewer
+const AUDIT_VIEW_LIMIT = 200;
+
+// Set while a bulk change (import, reset, migration) saves data; it logs one summary entry instead
+let suppressRecordAudit = false;
+
+/**
+ * Build an audit entry attributed to the logged-in user
+ * @param {Object} fields - {action, entityType, entityId, label, before, after, details}
+ * @returns {Object} Audit entry
+ */
+function buildAuditEntry(fields) {
+    return {
+        id: generateId('audit'),
+        timestamp: new Date().toISOString(),
+        userId: currentUser ? currentUser.id : null,
+        userName: currentUser ? currentUser.name : 'System',
+        action: fields.action,
+        entityType: fields.entityType,
+        entityId: fields.entityId || null,
+        label: fields.label,
+        before: fields.before || null,
+        after: fields.after || null,
+        details: fields.details || ''
+    };
+}
+
+/**
+ * Log the records a save is about to create, change or remove
+ * Called by saveCollection before the change is written. updatedAt alone is not a change worth logging.
+ * @param {string} storeName - Collection name
+ * @param {Array} records - Records being saved that may have changed
+ * @param {Set} keptIds - IDs of every record in the saved collection; stored records missing from it are removed
+ */
+function recordAuditChanges(storeName, records, keptIds) {
+    const entityType = AUDITED_COLLECTIONS[storeName];
+    if (!entityType || suppressRecordAudit || applyingRemoteChanges) {
+        return;
+    }
+
+    const previous = persistedRecords[storeName];
+    const entries = [];
+
+    records.forEach(record => {
+        const previousJson = previous.get(record.id);
+        const label = getImportRecordLabel(storeName, record);
+
+        if (previousJson === undefined) {
+            entries.push(buildAuditEntry({ action: 'create', entityType, entityId: record.id, label, after: JSON.parse(JSON.stringify(record)) }));
+            return;
+        }
+
+        if (previousJson === JSON.stringify(record)) {
+            return;
+        }
+
+        const oldRecord = JSON.parse(previousJson);
+        const before = {};
+        const after = {};
+        new Set([...Object.keys(oldRecord), ...Object.keys(record)]).forEach(field => {
+            if (field !== 'updatedAt' && JSON.stringify(oldRecord[field]) !== JSON.stringify(record[field])) {
+                before[field] = oldRecord[field] === undefined ? null : oldRecord[field];
+                after[field] = record[field] === undefined ? null : JSON.parse(JSON.stringify(record[field]));
+            }
+        });
+        if (Object.keys(before).length > 0) {
+            entries.push(buildAuditEntry({ action: 'update', entityType, entityId: record.id, label, before, after }));
+        }
+    });
+
+    previous.forEach((json, id) => {
+        if (!keptIds.has(id)) {
+            const oldRecord = JSON.parse(json);
+            entries.push(buildAuditEntry({ action: 'delete', entityType, entityId: id, label: getImportRecordLabel(storeName, oldRecord), before: oldRecord }));
+        }
+    });
+
+    if (entries.length > 0) {
+        appendAuditEntries(entries);
+        renderAuditLog();
+    }
+}
+
+/**
+ * Log a bulk change as a single entry
+ * @param {string} action - 'import', 'merge', 'reset', 'migrate', 'sync' or 'settings'
+ * @param {string} label - What was changed
+ * @param {string} details - Summary of the change
+ */
+function logAuditEvent(action, label, details) {
+    appendAuditEntries([buildAuditEntry({ action, entityType: 'data', label, details })]);
+    renderAuditLog();
+}
+
+/**
+ * Run a bulk change without logging every record it touches
+ * @param {Function} work - Saves the data
+ */
+function runWithoutRecordAudit(work) {
+    suppressRecordAudit = true;
+    try {
+        work();
+    } finally {
+        suppressRecordAudit = false;
+    }
+}
+
+/**
+ * Describe a value from a record for the audit viewer
+ * @param {*} value - Field value
+ * @returns {string} Short text
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Fill the user filter with everyone who appears in the log
+ * @param {Array} log - Audit entries
+ */
+function updateAuditUserFilter(log) {
+    const select = document.getElementById('auditUserFilter');
+    const selected = select.value;
+    const names = [...new Set(log.map(entry => entry.userName))].sort();
+
+    select.innerHTML = '<option value="">All users</option>' +
+        names.map(name => `<option value="${name}">${name}</option>`).join('');
+    select.value = names.includes(selected) ? selected : '';
+}
+
+/**
+ * Render the audit log viewer with the selected filters, newest first
+ */
+function renderAuditLog() {
+    const container = document.getElementById('auditLogContainer');
+    if (!hasPermission('manageData')) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const log = loadAuditLog();
+    updateAuditUserFilter(log);
+
+    const entityType = document.getElementById('auditEntityFilter').value;
+    const action = document.getElementById('auditActionFilter').value;
+    const userName = document.getElementById('auditUserFilter').value;
+    const fromDate = document.getElementById('auditFromDate').value;
+    const toDate = document.getElementById('auditToDate').value;
+    const search = document.getElementById('auditSearch').value.trim().toLowerCase();
+
+    const matches = log
+        .filter(entry => !entityType || entry.entityType === entityType)
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !userName || entry.userName === userName)
+        .filter(entry => !fromDate || entry.timestamp.slice(0, 10) >= fromDate)
+        .filter(entry => !toDate || entry.timestamp.slice(0, 10) <= toDate)
+        .filter(entry => !search || `${entry.label} ${entry.details}`.toLowerCase().includes(search))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    if (matches.length === 0) {
+        container.innerHTML = `<div class="empty-state">${log.length === 0 ? 'No changes recorded yet' : 'No entries match the filters'}</div>`;
+        return;
+    }
+
+    const describeChanges = entry => {
+        if (entry.action === 'update') {
+            return `<ul>${Object.keys(entry.after).map(field => `<li><strong>${field}:</strong> ${formatAuditValue(entry.before[field])} &rarr; ${formatAuditValue(entry.after[field])}</li>`).join('')}</ul>`;
+        }
+        const record = entry.after || entry.before;
+        if (record) {
+            return `<details><summary>View record</summary><pre>${JSON.stringify(record, null, 2)}</pre></details>`;
+        }
+        return entry.details;
+    };
+
+    container.innerHTML = `
+        <div class="audit-count">Showing ${Math.min(matches.length, AUDIT_VIEW_LIMIT)} of ${matches.length} matching entries</div>
+        <table>
+            <thead>
+                <tr>
+                    <th>When</th>
+                    <th>User</th>
+                    <th>Action</th>
+                    <th>Record</th>
+                    <th>Changes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${matches.slice(0, AUDIT_VIEW_LIMIT).map(entry => `
+                    <tr>
+                        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                        <td>${entry.userName}</td>
+                        <td>${AUDIT_ACTION_LABELS[entry.action] || entry.action}${entry.entityType !== 'data' ? ` ${entry.entityType}` : ''}</td>
+                        <td>${entry.label}</td>
+                        <td>${describeChanges(entry)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// ==================== SCHEMA & MIGRATIONS ====================
+
+/**
+ * Current data schema version, written to backups and to the 'schemaVersion' meta key
+ * 1: wheels and sales only (original format, also assumed for backups without a version)
+ * 2: finance details, payment ledger and balance due date on sales
+ * 3: customer directory, customerId on sales
+ * 4: acquisition details and cost ledger on wheels, trade-ins on sales
+ * 5: updatedAt timestamp on wheels, sales and customers
+ * 6: user who recorded each sale
+ * 7: recycle bin markers on wheels and sales, voids and returns on sales
+ * 8: invoice number and tax lines on sales
+ * 9: ownership transfer status on sales
+ * 10: vehicle, chassis, engine and NIC numbers stored in standard form
+ * 11: catalogue make and model, variant, fuel type, mileage, condition, owners and expiry dates on wheels
+ * 12: asking and floor prices on wheels, price approval on sales
+ */
+const SCHEMA_VERSION = 12;
+
+/**
+ * Migrations in order; each upgrades {wheels, sales, customers} in place to its version.
+ * They only fill in what is missing, so running one on already upgraded data is harmless.
+ */
+const DATA_MIGRATIONS = [
+    { version: 2, description: 'Add finance details and payment ledger to sales', migrate: migrateToV2 },
+    { version: 3, description: 'Build customer directory from sales', migrate: migrateToV3 },
+    { version: 4, description: 'Add acquisition details and cost ledger to wheels', migrate: migrateToV4 },
+    { version: 5, description: 'Add updated timestamps to all records', migrate: migrateToV5 },
+    { version: 6, description: 'Record who made each sale', migrate: migrateToV6 },
+    { version: 7, description: 'Add recycle bin and sale reversals', migrate: migrateToV7 },
+    { version: 8, description: 'Add invoice numbers and tax lines to sales', migrate: migrateToV8 },
+    { version: 9, description: 'Track ownership transfers on sales', migrate: migrateToV9 },
+    { version: 10, description: 'Store vehicle and NIC numbers in standard form', migrate: migrateToV10 },
+    { version: 11, description: 'Link wheels to the vehicle catalogue and add condition details', migrate: migrateToV11 },
+    { version: 12, description: 'Add asking and floor prices to wheels', migrate: migrateToV12 }
+];
+
+/**
+ * Version 2: sales recorded before the payment ledger get a single full payment on the sale date,
+ * matching the old assumption that every sale was paid in full
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV2(data) {
+    data.sales.forEach(sale => {
+        if (sale.finance === undefined) {
+            sale.finance = null;
+        }
+        if (!Array.isArray(sale.payments)) {
+            sale.payments = [createPayment({
+                date: sale.saleDate,
+                amount: getBuyerPayable(sale),
+                method: 'Cash',
+                reference: ''
+            })];
+            sale.balanceDueDate = '';
+        }
+        if (sale.balanceDueDate === undefined) {
+            sale.balanceDueDate = '';
+        }
+    });
+}
+
+/**
+ * Version 3: link every sale to a customer, creating customers from buyer details
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV3(data) {
+    data.sales
+        .filter(sale => !sale.customerId || !data.customers.some(c => c.id === sale.customerId))
+        .sort((a, b) => a.saleDate.localeCompare(b.saleDate))
+        .forEach(sale => {
+            if (!normalizeNIC(sale.buyerNIC)) return;
+            sale.customerId = upsertCustomer(data.customers, sale, sale.saleDate).id;
+        });
+}
+
+/**
+ * Version 4: wheels get acquisition details and an empty cost ledger; sales get tradeInWheelId
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV4(data) {
+    data.wheels.forEach(wheel => {
+        wheel.acquisitionType = wheel.acquisitionType || 'Purchase';
+        wheel.supplier = wheel.supplier || { name: '', phone: '', nic: '', address: '' };
+        wheel.tradeInSaleId = wheel.tradeInSaleId || null;
+        wheel.expenses = Array.isArray(wheel.expenses) ? wheel.expenses : [];
+    });
+    data.sales.forEach(sale => {
+        sale.tradeInWheelId = sale.tradeInWheelId || null;
+    });
+}
+
+/**
+ * Version 5: records get updatedAt, taken from the date they were created since the real time is unknown
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV5(data) {
+    const toTimestamp = date => (isValidDateString(date) ? date : '1970-01-01') + 'T00:00:00.000Z';
+    data.wheels.forEach(wheel => {
+        wheel.updatedAt = wheel.updatedAt || toTimestamp(wheel.addedDate);
+    });
+    data.sales.forEach(sale => {
+        sale.updatedAt = sale.updatedAt || toTimestamp(sale.saleDate);
+    });
+    data.customers.forEach(customer => {
+        customer.updatedAt = customer.updatedAt || toTimestamp(customer.lastSeenDate);
+    });
+}
+
+/**
+ * Version 6: sales record the user who entered them; older sales have no known user
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV6(data) {
+    data.sales.forEach(sale => {
+        sale.soldByUserId = sale.soldByUserId || null;
+        sale.soldByName = sale.soldByName || '';
+    });
+}
+
+/**
+ * Version 7: wheels and sales can sit in the recycle bin, sales can be voided or returned
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV7(data) {
+    data.wheels.forEach(wheel => {
+        wheel.deletedAt = wheel.deletedAt || null;
+        wheel.deletedBy = wheel.deletedBy || '';
+    });
+    data.sales.forEach(sale => {
+        sale.reversal = sale.reversal || null;
+        sale.deletedAt = sale.deletedAt || null;
+        sale.deletedBy = sale.deletedBy || '';
+    });
+}
+
+/**
+ * Version 8: sales get an invoice number and tax lines; older sales were never invoiced and stay unnumbered
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV8(data) {
+    data.sales.forEach(sale => {
+        sale.invoiceNumber = sale.invoiceNumber || '';
+        sale.taxLines = Array.isArray(sale.taxLines) ? sale.taxLines : [];
+    });
+}
+
+/**
+ * Version 9: sales get a transfer status; whether older sales were transferred is unknown, so they are not tracked
+ * rather than filling the pending transfers list with old sales
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV9(data) {
+    data.sales.forEach(sale => {
+        sale.transfer = sale.transfer || { status: 'untracked', completedDate: '', reference: '', recordedBy: '' };
+    });
+}
+
+/**
+ * Version 10: vehicle, chassis, engine and NIC numbers are tidied to uppercase with no stray spaces or separators.
+ * Format rules are not applied here; the data quality check lists numbers that break them.
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV10(data) {
+    data.wheels.forEach(wheel => {
+        Object.keys(WHEEL_IDENTIFIER_FIELDS).forEach(field => {
+            wheel[field] = normalizeIdentifier(wheel[field]);
+        });
+        if (wheel.supplier) {
+            wheel.supplier.nic = normalizeIdentifier(wheel.supplier.nic);
+        }
+    });
+    data.sales.forEach(sale => {
+        sale.buyerNIC = normalizeIdentifier(sale.buyerNIC);
+    });
+    data.customers.forEach(customer => {
+        customer.nic = normalizeIdentifier(customer.nic);
+    });
+}
+
+/**
+ * Version 11: wheels are linked to the catalogue model their name starts with (e.g. "TVS King" to TVS / King);
+ * names that match nothing stay unlinked and are listed by the data quality check. Condition details start unknown.
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV11(data) {
+    const catalogue = getCatalogue();
+    data.wheels.forEach(wheel => {
+        if (wheel.modelId === undefined) {
+            const match = matchCatalogueModel(catalogue, wheel.model);
+            wheel.makeId = match ? match.make.id : '';
+            wheel.modelId = match ? match.model.id : '';
+            wheel.variant = match ? match.variant : '';
+            if (match) {
+                wheel.model = getCatalogueModelName(match.make, match.model);
+            }
+        }
+        wheel.fuelType = wheel.fuelType || '';
+        wheel.mileage = wheel.mileage === undefined ? null : wheel.mileage;
+        wheel.conditionGrade = wheel.conditionGrade || '';
+        wheel.ownerCount = wheel.ownerCount === undefined ? null : wheel.ownerCount;
+        wheel.registrationExpiry = wheel.registrationExpiry || '';
+        wheel.insuranceExpiry = wheel.insuranceExpiry || '';
+    });
+}
+
+/**
+ * Version 12: wheels start without asking or floor prices, and past sales needed no price approval
+ * @param {Object} data - {wheels, sales, customers}
+ */
+function migrateToV12(data) {
+    data.wheels.forEach(wheel => {
+        wheel.askingPrice = wheel.askingPrice === undefined ? null : wheel.askingPrice;
+        wheel.floorPrice = wheel.floorPrice === undefined ? null : wheel.floorPrice;
+    });
+    data.sales.forEach(sale => {
+        sale.priceApproval = sale.priceApproval || null;
+    });
+}
+
+/**
+ * Upgrade a data set from an older schema version to the current one
+ * @param {Object} data - {wheels, sales, customers}, modified in place
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Array} Descriptions of the migrations that ran
+ */
+function migrateData(data, fromVersion) {
+    const applied = DATA_MIGRATIONS.filter(migration => migration.version > fromVersion);
+    applied.forEach(migration => migration.migrate(data));
+    return applied.map(migration => `v${migration.version}: ${migration.description}`);
+}
+
+/**
+ * Bring the stored data up to the current schema version at start-up
+ */
+function runStoredDataMigrations() {
+    const storedVersion = loadMeta('schemaVersion') || 1;
+
+    if (storedVersion > SCHEMA_VERSION) {
+        showAlert('Your data was saved by a newer version of this app. Please update the app before making changes.');
+        return;
+    }
+
+    if (storedVersion < SCHEMA_VERSION) {
+        // Migrations change records in place, so they work on copies of the frozen cache
+        const data = JSON.parse(JSON.stringify({ wheels: loadWheels(), sales: loadSales(), customers: loadCustomers() }));
+        const applied = migrateData(data, storedVersion);
+        runWithoutRecordAudit(() => {
+            saveWheels(data.wheels);
+            saveSales(data.sales);
+            saveCustomers(data.customers);
+        });
+        saveMeta('schemaVersion', SCHEMA_VERSION);
+        logAuditEvent('migrate', `Upgraded stored data from schema v${storedVersion} to v${SCHEMA_VERSION}`, applied.join('; '));
+    }
+}
+
+/**
+ * Check that a value is a YYYY-MM-DD date string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value + 'T00:00:00'));
+}
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check that a value is a finite number greater than zero
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Validate a wheel record against the current schema
+ * @param {Object} wheel - Wheel object
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateWheelRecord(wheel) {
+    const errors = [];
+
+    if (!isNonEmptyString(wheel.id)) errors.push('missing id');
+    if (!isNonEmptyString(wheel.model)) errors.push('missing model');
+    ['makeId', 'modelId', 'variant'].forEach(field => {
+        if (typeof wheel[field] !== 'string') errors.push(`invalid ${field}`);
+    });
+    if (wheel.fuelType !== '' && !FUEL_TYPES[wheel.fuelType]) errors.push('invalid fuel type');
+    if (wheel.conditionGrade !== '' && !CONDITION_GRADES[wheel.conditionGrade]) errors.push('invalid condition grade');
+    if (wheel.mileage !== null && !(typeof wheel.mileage === 'number' && wheel.mileage >= 0)) errors.push('invalid mileage');
+    if (wheel.ownerCount !== null && !(Number.isInteger(wheel.ownerCount) && wheel.ownerCount >= 0)) errors.push('invalid number of owners');
+    ['registrationExpiry', 'insuranceExpiry'].forEach(field => {
+        if (wheel[field] !== '' && !isValidDateString(wheel[field])) errors.push(`invalid ${field}`);
+    });
+    if (!Number.isInteger(wheel.year) || wheel.year < 1900 || wheel.year > 2100) errors.push('invalid year');
+    ['vehicleNumber', 'chassisNumber', 'engineNumber', 'color'].forEach(field => {
+        if (typeof wheel[field] !== 'string') errors.push(`invalid ${field}`);
+    });
+    if (!isPositiveNumber(wheel.purchasePrice)) errors.push('purchase price must be greater than 0');
+    ['askingPrice', 'floorPrice'].forEach(field => {
+        if (wheel[field] !== null && !isPositiveNumber(wheel[field])) errors.push(`${field} must be greater than 0`);
+    });
+    if (isPositiveNumber(wheel.askingPrice) && isPositiveNumber(wheel.floorPrice) && wheel.floorPrice > wheel.askingPrice) {
+        errors.push('floor price is above the asking price');
+    }
+    if (!isValidDateString(wheel.addedDate)) errors.push('invalid added date');
+    if (!['Purchase', 'Trade-in'].includes(wheel.acquisitionType)) errors.push('invalid acquisition type');
+    if (!isNonEmptyString(wheel.updatedAt)) errors.push('missing updated timestamp');
+    if (wheel.deletedAt !== null && !isNonEmptyString(wheel.deletedAt)) errors.push('invalid deleted timestamp');
+
+    if (!Array.isArray(wheel.expenses)) {
+        errors.push('expenses must be a list');
+    } else {
+        wheel.expenses.forEach((expense, i) => {
+            if (!isNonEmptyString(expense.id) || !isValidDateString(expense.date) ||
+                !isNonEmptyString(expense.category) || !isPositiveNumber(expense.amount)) {
+                errors.push(`invalid expense line ${i + 1}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a sale record against the current schema
+ * @param {Object} sale - Sale object
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateSaleRecord(sale) {
+    const errors = [];
+
+    if (!isNonEmptyString(sale.id)) errors.push('missing id');
+    if (!isNonEmptyString(sale.wheelId)) errors.push('missing wheelId');
+    if (!isValidDateString(sale.saleDate)) errors.push('invalid sale date');
+    if (!isPositiveNumber(sale.sellingPrice)) errors.push('selling price must be greater than 0');
+    if (!isNonEmptyString(sale.paymentMethod)) errors.push('missing payment method');
+    if (!isNonEmptyString(sale.buyerName)) errors.push('missing buyer name');
+    if (sale.balanceDueDate && !isValidDateString(sale.balanceDueDate)) errors.push('invalid balance due date');
+    if (!isNonEmptyString(sale.updatedAt)) errors.push('missing updated timestamp');
+    if (typeof sale.soldByName !== 'string') errors.push('soldByName must be text');
+    if (sale.deletedAt !== null && !isNonEmptyString(sale.deletedAt)) errors.push('invalid deleted timestamp');
+    if (typeof sale.invoiceNumber !== 'string') errors.push('invoiceNumber must be text');
+    if (sale.priceApproval !== null) {
+        const approval = sale.priceApproval || {};
+        if (!Array.isArray(approval.reasons) || approval.reasons.length === 0 || !approval.reasons.every(reason => PRICE_APPROVAL_REASONS[reason])) {
+            errors.push('priceApproval: invalid reasons');
+        }
+        if (!isNonEmptyString(approval.approvedByName) || !isNonEmptyString(approval.approvedAt)) errors.push('priceApproval: missing approver');
+    }
+
+    if (!Array.isArray(sale.taxLines)) {
+        errors.push('taxLines must be a list');
+    } else {
+        sale.taxLines.forEach((line, i) => {
+            if (!isNonEmptyString(line.label) || !isPositiveNumber(line.rate)) {
+                errors.push(`invalid tax line ${i + 1}`);
+            }
+        });
+    }
+
+    const transfer = sale.transfer || {};
+    if (!['pending', 'completed', 'untracked'].includes(transfer.status)) errors.push('transfer: invalid status');
+    if (transfer.status === 'completed' && !isValidDateString(transfer.completedDate)) errors.push('transfer: invalid completed date');
+    if (typeof transfer.reference !== 'string' || typeof transfer.recordedBy !== 'string') errors.push('transfer: reference and recordedBy must be text');
+
+    if (sale.reversal !== null) {
+        const reversal = sale.reversal || {};
+        if (!REVERSAL_TYPES[reversal.type]) errors.push('reversal: invalid type');
+        if (!isValidDateString(reversal.date)) errors.push('reversal: invalid date');
+        if (!isNonEmptyString(reversal.reason)) errors.push('reversal: missing reason');
+        if (typeof reversal.refundAmount !== 'number' || reversal.refundAmount < 0 || reversal.refundAmount > sale.sellingPrice) {
+            errors.push('reversal: invalid refund amount');
+        }
+    }
+
+    if (sale.finance !== null) {
+        const finance = sale.finance || {};
+        if (!isNonEmptyString(finance.company)) errors.push('finance: missing company');
+        if (typeof finance.downPayment !== 'number' || finance.downPayment < 0) errors.push('finance: invalid down payment');
+        if (!isPositiveNumber(finance.amountFinanced)) errors.push('finance: invalid amount financed');
+        if (!Array.isArray(finance.schedule)) errors.push('finance: schedule must be a list');
+        if (finance.settlement && (!isValidDateString(finance.settlement.date) || !isPositiveNumber(finance.settlement.amount))) {
+            errors.push('finance: invalid settlement');
+        }
+    }
+
+    if (!Array.isArray(sale.payments)) {
+        errors.push('payments must be a list');
+    } else {
+        sale.payments.forEach((payment, i) => {
+            if (!isNonEmptyString(payment.id) || !isValidDateString(payment.date) ||
+                !isPositiveNumber(payment.amount) || !isNonEmptyString(payment.method)) {
+                errors.push(`invalid payment ${i + 1}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a customer record against the current schema
+ * @param {Object} customer - Customer object
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateCustomerRecord(customer) {
+    const errors = [];
+
+    if (!isNonEmptyString(customer.id)) errors.push('missing id');
+    if (!isNonEmptyString(customer.nicKey)) errors.push('missing NIC');
+    if (!isNonEmptyString(customer.name)) errors.push('missing name');
+    if (!Array.isArray(customer.mergedNICs)) errors.push('mergedNICs must be a list');
+    if (!isNonEmptyString(customer.updatedAt)) errors.push('missing updated timestamp');
+
+    return errors;
+}
+
+/**
+ * Validate a full data set: every record, duplicate ids and references between records
+ * @param {Object} data - {wheels, sales, customers} at the current schema version
+ * @returns {Object} {errors, warnings} as arrays of messages; errors block an import
+ */
+function validateDataSet(data) {
+    const errors = [];
+    const warnings = [];
+
+    const collections = [
+        { name: 'Wheel', records: data.wheels, validate: validateWheelRecord, label: w => w.vehicleNumber || w.model },
+        { name: 'Sale', records: data.sales, validate: validateSaleRecord, label: s => `${s.buyerName || 'unknown buyer'}, ${s.saleDate}` },
+        { name: 'Customer', records: data.customers, validate: validateCustomerRecord, label: c => c.name || c.nic }
+    ];
+
+    collections.forEach(({ name, records, validate, label }) => {
+        const seenIds = new Set();
+        records.forEach((record, i) => {
+            if (!record || typeof record !== 'object') {
+                errors.push(`${name} #${i + 1}: not a valid record`);
+                return;
+            }
+            validate(record).forEach(message => {
+                errors.push(`${name} #${i + 1} (${label(record)}): ${message}`);
+            });
+            if (seenIds.has(record.id)) {
+                errors.push(`${name} #${i + 1} (${label(record)}): duplicate id ${record.id}`);
+            }
+            seenIds.add(record.id);
+        });
+    });
+
+    // Referential integrity
+    const wheelIds = new Set(data.wheels.map(w => w && w.id));
+    const saleIds = new Set(data.sales.map(s => s && s.id));
+    const customerIds = new Set(data.customers.map(c => c && c.id));
+    const soldWheelIds = new Set();
+    const invoiceNumbers = new Set();
+
+    data.sales.forEach((sale, i) => {
+        if (!sale || typeof sale !== 'object') return;
+        const label = `Sale #${i + 1} (${sale.buyerName || 'unknown buyer'}, ${sale.saleDate})`;
+        // Two devices working offline can issue the same number; flag it rather than block the data
+        if (sale.invoiceNumber && invoiceNumbers.has(sale.invoiceNumber)) {
+            warnings.push(`${label}: invoice number ${sale.invoiceNumber} is used by another sale`);
+        }
+        invoiceNumbers.add(sale.invoiceNumber);
+        if (!wheelIds.has(sale.wheelId)) {
+            errors.push(`${label}: wheel ${sale.wheelId} does not exist`);
+        }
+        // A wheel can be sold again after a void, return or deletion, but only one sale of it may be active
+        if (!sale.deletedAt && !sale.reversal) {
+            if (soldWheelIds.has(sale.wheelId)) {
+                errors.push(`${label}: wheel ${sale.wheelId} is already sold in another sale`);
+            }
+            soldWheelIds.add(sale.wheelId);
+        }
+        if (sale.customerId && !customerIds.has(sale.customerId)) {
+            errors.push(`${label}: customer ${sale.customerId} does not exist`);
+        }
+        if (sale.tradeInWheelId && !wheelIds.has(sale.tradeInWheelId)) {
+            warnings.push(`${label}: trade-in wheel ${sale.tradeInWheelId} is not in inventory`);
+        }
+    });
+
+    data.wheels.forEach((wheel, i) => {
+        if (wheel && wheel.tradeInSaleId && !saleIds.has(wheel.tradeInSaleId)) {
+            warnings.push(`Wheel #${i + 1} (${wheel.vehicleNumber || wheel.model}): trade-in sale ${wheel.tradeInSaleId} does not exist`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+// ==================== BACKUP & RESTORE ====================
+
+/**
+ * Export all data to JSON
+ */
+function exportToJSON() {
+    if (!requirePermission('manageData')) {
+        return;
+    }
+
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        wheels: loadWheels(),
+        sales: loadSales(),
+        customers: loadCustomers(),
+        attachments: loadAttachments(),
+        auditLog: loadAuditLog(),
+        settings: getSettings(),
+        catalogue: getCatalogue(),
+        exportDate: new Date().toISOString()
+    };
+
+    const jsonString = JSON.stringify(data, null, 2);
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `three-wheeler-backup-${getTodayDate()}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    showAlert('Data exported to JSON successfully');
+}
+
+// How the next chosen backup file is imported: 'replace' or 'merge'
+let importMode = 'replace';
+
+/**
+ * Import data from JSON
+ * @param {string} mode - 'replace' to overwrite all data, 'merge' to combine it with the current data
+ */
+function importFromJSON(mode) {
+    if (!requirePermission('manageData')) {
+        return;
+    }
+
+    importMode = mode;
+    const input = document.getElementById('importFileInput');
+    input.click();
+}
+
+// Backup that has been checked and is waiting for the user to apply it
+let pendingImport = null;
+
+/**
+ * Handle file import
+ * Nothing is overwritten here: the backup is migrated, validated and shown as a preview first.
+ */
+function handleFileImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        try {
+            const data = JSON.parse(event.target.result);
+            pendingImport = prepareImport(data, file.name, importMode);
+            renderImportPreview(pendingImport);
+        } catch (error) {
+            showAlert('Error importing file. Please check the file format.');
+            console.error('Import error:', error);
+        }
+    };
+    reader.readAsText(file);
+    
+    // Reset input
+    e.target.value = '';
+}
+
+/**
+ * Migrate and validate a parsed backup, and compare it with the current data
+ * @param {Object} raw - Parsed backup file
+ * @param {string} fileName - Name of the backup file
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Object} {fileName, mode, fromVersion, migrations, data, settings, catalogue, errors, warnings, diff, merge}
+ *   data.attachments is null for backups made before attachments existed
+ */
+function prepareImport(raw, fileName, mode = 'replace') {
+    const result = { fileName, mode, fromVersion: null, migrations: [], data: null, settings: null, catalogue: null, errors: [], warnings: [], diff: null, merge: null };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        result.errors.push('The file is not a backup created by this app');
+        return result;
+    }
+
+    const fromVersion = raw.schemaVersion === undefined ? 1 : raw.schemaVersion;
+    result.fromVersion = fromVersion;
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        result.errors.push(`Unknown schema version: ${raw.schemaVersion}`);
+        return result;
+    }
+
+    if (fromVersion > SCHEMA_VERSION) {
+        result.errors.push(`This backup was made by a newer version of the app (schema v${fromVersion}, this app supports up to v${SCHEMA_VERSION})`);
+        return result;
+    }
+
+    ['wheels', 'sales'].forEach(key => {
+        if (!Array.isArray(raw[key])) {
+            result.errors.push(`The backup has no "${key}" list`);
+        }
+    });
+    if (raw.customers !== undefined && !Array.isArray(raw.customers)) {
+        result.errors.push('"customers" must be a list');
+    }
+    if (raw.auditLog !== undefined && !Array.isArray(raw.auditLog)) {
+        result.errors.push('"auditLog" must be a list');
+    }
+    if (raw.attachments !== undefined && !Array.isArray(raw.attachments)) {
+        result.errors.push('"attachments" must be a list');
+    }
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    // Work on a copy so the parsed file is left as it was
+    const data = JSON.parse(JSON.stringify({
+        wheels: raw.wheels,
+        sales: raw.sales,
+        customers: raw.customers || []
+    }));
+    const auditLog = raw.auditLog || [];
+
+    // Records must be objects before migrations can touch them
+    ['wheels', 'sales', 'customers'].forEach(key => {
+        data[key].forEach((record, i) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                result.errors.push(`${key} #${i + 1}: not a valid record`);
+            }
+        });
+    });
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    try {
+        result.migrations = migrateData(data, fromVersion);
+    } catch (error) {
+        console.error('Migration error:', error);
+        result.errors.push(`Could not upgrade the backup from schema v${fromVersion}: ${error.message}`);
+        return result;
+    }
+
+    const { errors, warnings } = validateDataSet(data);
+    result.errors.push(...errors);
+    result.warnings.push(...warnings);
+
+    // A damaged history should not block restoring the data itself
+    data.auditLog = auditLog.filter(isValidAuditEntry);
+    if (data.auditLog.length < auditLog.length) {
+        result.warnings.push(`${auditLog.length - data.auditLog.length} audit log entries are damaged and will be skipped`);
+    }
+
+    // Photos and documents are checked the same way; one damaged file should not block the records
+    if (raw.attachments) {
+        const attachments = raw.attachments.filter(isValidAttachment);
+        if (attachments.length < raw.attachments.length) {
+            result.warnings.push(`${raw.attachments.length - attachments.length} photo(s) or document(s) are damaged and will be skipped`);
+        }
+        data.attachments = keepOwnedAttachments(attachments, data);
+        if (data.attachments.length < attachments.length) {
+            result.warnings.push(`${attachments.length - data.attachments.length} photo(s) or document(s) belong to records not in the backup and will be skipped`);
+        }
+    } else {
+        data.attachments = null;
+    }
+    result.data = data;
+
+    // Backups made before shop settings existed have none; damaged settings should not block the data either
+    if (raw.settings !== undefined) {
+        const settings = raw.settings && typeof raw.settings === 'object' && !Array.isArray(raw.settings)
+            ? { ...DEFAULT_SETTINGS, ...JSON.parse(JSON.stringify(raw.settings)) }
+            : null;
+        const problems = settings ? validateSettings(settings) : ['not a valid settings object'];
+        if (problems.length > 0) {
+            result.warnings.push(`The shop settings in the backup are damaged and will be skipped: ${problems[0]}`);
+        } else {
+            result.settings = settings;
+        }
+    }
+
+    // Backups made before the vehicle catalogue existed have none; their wheels were linked to this machine's catalogue
+    if (raw.catalogue !== undefined) {
+        if (isValidCatalogue(raw.catalogue)) {
+            result.catalogue = JSON.parse(JSON.stringify(raw.catalogue));
+        } else {
+            result.warnings.push('The vehicle catalogue in the backup is damaged and will be skipped');
+        }
+    }
+
+    if (mode === 'merge') {
+        if (result.errors.length > 0) {
+            return result;
+        }
+        result.merge = buildMergePlan(data);
+
+        // Check the result with the default choices so problems such as a wheel sold on both machines show up now
+        const merged = validateDataSet(resolveMergePlan(result.merge, {}));
+        result.errors.push(...merged.errors.map(message => `After merging: ${message}`));
+        return result;
+    }
+
+    result.diff = {
+        wheels: diffCollection(loadWheels(), data.wheels),
+        sales: diffCollection(loadSales(), data.sales),
+        customers: diffCollection(loadCustomers(), data.customers)
+    };
+
+    return result;
+}
+
+/**
+ * Work out how a backup merges into the current data
+ * Records are matched by id, and customers also by NIC so one buyer entered on two machines stays one customer.
+ * A record changed on only one side since the last merge takes that side; changed on both sides it is a conflict.
+ * A side counts as unchanged when its updatedAt is one of the versions recorded at the record's last merge, so
+ * neither machine's clock is trusted. Records last merged before versions were recorded fall back to lastMergeAt.
+ * @param {Object} incoming - Migrated and validated backup data {wheels, sales, customers}
+ * @returns {Object} {base, wheels, sales, customers, conflicts}
+ */
+function buildMergePlan(incoming) {
+    const base = loadMeta('lastMergeAt') || null;
+    const mergeBase = loadMeta('mergeBase') || {};
+    const current = {
+        wheels: loadWheels(),
+        sales: loadSales(),
+        customers: loadCustomers()
+    };
+
+    // Point incoming customers and their sales at the local customer with the same NIC
+    const localIds = new Set(current.customers.map(c => c.id));
+    const customerIdMap = new Map();
+    incoming.customers.forEach(customer => {
+        if (localIds.has(customer.id)) return;
+        const match = findIndexedRecords('customers', 'nicKey', customer.nicKey)[0];
+        if (match) {
+            customerIdMap.set(customer.id, match.id);
+            customer.id = match.id;
+        }
+    });
+    incoming.sales.forEach(sale => {
+        if (customerIdMap.has(sale.customerId)) {
+            sale.customerId = customerIdMap.get(sale.customerId);
+        }
+    });
+
+    const plan = { base, conflicts: [] };
+    ['wheels', 'sales', 'customers'].forEach(collection => {
+        const currentById = new Map(current[collection].map(record => [record.id, record]));
+        const entry = { current: current[collection], added: [], updated: [], keptLocal: [], unchanged: [] };
+
+        incoming[collection].forEach(record => {
+            const local = currentById.get(record.id);
+            const mergedVersions = mergeBase[`${collection}:${record.id}`];
+            const isUnchanged = version => (mergedVersions ? mergedVersions.includes(version) : Boolean(base) && version <= base);
+            if (!local) {
+                entry.added.push(record);
+            } else if (JSON.stringify(local) === JSON.stringify(record)) {
+                entry.unchanged.push(record);
+            } else if (isUnchanged(record.updatedAt)) {
+                entry.keptLocal.push(local);
+            } else if (isUnchanged(local.updatedAt)) {
+                entry.updated.push(record);
+            } else {
+                plan.conflicts.push({
+                    collection,
+                    id: record.id,
+                    local,
+                    incoming: record,
+                    choice: record.updatedAt > local.updatedAt ? 'incoming' : 'local'
+                });
+            }
+        });
+
+        plan[collection] = entry;
+    });
+
+    return plan;
+}
+
+/**
+ * Build the merged data set from a merge plan
+ * Records that exist only locally are always kept; merging never deletes.
+ * @param {Object} plan - Result of buildMergePlan
+ * @param {Object} choices - Map of conflict index to 'local' or 'incoming'; missing entries use the plan's default
+ * @returns {Object} {wheels, sales, customers}
+ */
+function resolveMergePlan(plan, choices) {
+    const replacements = { wheels: new Map(), sales: new Map(), customers: new Map() };
+
+    ['wheels', 'sales', 'customers'].forEach(collection => {
+        plan[collection].updated.forEach(record => replacements[collection].set(record.id, record));
+    });
+    plan.conflicts.forEach((conflict, i) => {
+        if ((choices[i] || conflict.choice) === 'incoming') {
+            replacements[conflict.collection].set(conflict.id, conflict.incoming);
+        }
+    });
+
+    const merged = {};
+    ['wheels', 'sales', 'customers'].forEach(collection => {
+        const entry = plan[collection];
+        merged[collection] = entry.current
+            .map(record => replacements[collection].get(record.id) || record)
+            .concat(entry.added);
+    });
+
+    return merged;
+}
+
+/**
+ * Check that an audit entry from a backup has the fields the viewer relies on
+ * @param {Object} entry - Audit entry
+ * @returns {boolean} True if usable
+ */
+function isValidAuditEntry(entry) {
+    return Boolean(entry) && typeof entry === 'object' &&
+        isNonEmptyString(entry.id) &&
+        isNonEmptyString(entry.timestamp) &&
+        isNonEmptyString(entry.action) &&
+        isNonEmptyString(entry.entityType) &&
+        typeof entry.label === 'string' &&
+        typeof entry.userName === 'string';
+}
+
+/**
+ * Add audit entries from a backup that this log does not have yet
+ * The log is append-only, so an import never replaces or removes history.
+ * @param {Array} entries - Audit entries from the backup
+ */
+function importAuditEntries(entries) {
+    const knownIds = new Set(loadAuditLog().map(entry => entry.id));
+    const newEntries = entries.filter(entry => !knownIds.has(entry.id));
+    if (newEntries.length > 0) {
+        appendAuditEntries(newEntries);
+    }
+}
+
+/**
+ * Short description of a record for the import preview and log
+ * @param {string} collection - 'wheels', 'sales' or 'customers'
+ * @param {Object} record - Record to describe
+ * @returns {string} Label
+ */
+function getImportRecordLabel(collection, record) {
+    if (collection === 'wheels') return `${record.model} (${record.vehicleNumber || 'N/A'})`;
+    if (collection === 'sales') return `${record.buyerName} - ${formatDate(record.saleDate)}`;
+    return `${record.name} (${record.nic})`;
+}
+
+/**
+ * Compare two versions of a collection by record id
+ * @param {Array} current - Records currently stored
+ * @param {Array} incoming - Records from the backup
+ * @returns {Object} {added, changed, removed, unchanged} arrays of records
+ */
+function diffCollection(current, incoming) {
+    const currentById = new Map(current.map(record => [record.id, record]));
+    const incomingIds = new Set(incoming.map(record => record.id));
+    const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+    incoming.forEach(record => {
+        const existing = currentById.get(record.id);
+        if (!existing) {
+            diff.added.push(record);
+        } else if (JSON.stringify(existing) !== JSON.stringify(record)) {
+            diff.changed.push(record);
+        } else {
+            diff.unchanged.push(record);
+        }
+    });
+    diff.removed = current.filter(record => !incomingIds.has(record.id));
+
+    return diff;
+}
+
+/**
+ * Render the import preview with migrations, changes and validation problems
+ * @param {Object} importResult - Result of prepareImport
+ */
+function renderImportPreview(importResult) {
+    const content = document.getElementById('importPreviewContent');
+    const applyBtn = document.getElementById('applyImportBtn');
+    const hasErrors = importResult.errors.length > 0;
+    const isMerge = importResult.mode === 'merge';
+
+    const listRecords = (records, collection) => {
+        if (records.length === 0) return '';
+        const shown = records.slice(0, 10).map(record => `<li>${getImportRecordLabel(collection, record)}</li>`).join('');
+        return `<ul>${shown}${records.length > 10 ? `<li>...and ${records.length - 10} more</li>` : ''}</ul>`;
+    };
+
+    content.innerHTML = `
+        <div><strong>Mode:</strong> ${isMerge ? 'Merge with current data' : 'Replace all data'}</div>
+        <div><strong>File:</strong> ${importResult.fileName}${importResult.fromVersion ? ` | <strong>Schema:</strong> v${importResult.fromVersion}` : ''}</div>
+        ${importResult.migrations.length > 0 ? `
+            <div class="import-block">
+                <strong>Migrations applied to v${SCHEMA_VERSION}:</strong>
+                <ul>${importResult.migrations.map(m => `<li>${m}</li>`).join('')}</ul>
+            </div>
+        ` : ''}
+        ${hasErrors ? `
+            <div class="import-block import-errors">
+                <strong>${importResult.errors.length} error(s) - nothing will be imported until these are fixed:</strong>
+                <ul>${importResult.errors.map(m => `<li>${m}</li>`).join('')}</ul>
+            </div>
+        ` : ''}
+        ${importResult.warnings.length > 0 ? `
+            <div class="import-block import-warnings">
+                <strong>${importResult.warnings.length} warning(s):</strong>
+                <ul>${importResult.warnings.map(m => `<li>${m}</li>`).join('')}</ul>
+            </div>
+        ` : ''}
+        ${importResult.diff ? `
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>New</th>
+                        <th>Changed</th>
+                        <th>Removed</th>
+                        <th>Unchanged</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(importResult.diff).map(([name, diff]) => `
+                        <tr>
+                            <td><strong>${name.charAt(0).toUpperCase() + name.slice(1)}</strong></td>
+                            <td>${diff.added.length}</td>
+                            <td>${diff.changed.length}</td>
+                            <td>${diff.removed.length}</td>
+                            <td>${diff.unchanged.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${Object.entries(importResult.diff).map(([name, diff]) => {
+                const details = [
+                    diff.added.length ? `<div><em>New ${name}:</em>${listRecords(diff.added, name)}</div>` : '',
+                    diff.changed.length ? `<div><em>Changed ${name}:</em>${listRecords(diff.changed, name)}</div>` : '',
+                    diff.removed.length ? `<div><em>Removed ${name}:</em>${listRecords(diff.removed, name)}</div>` : ''
+                ].join('');
+                return details ? `<div class="import-block">${details}</div>` : '';
+            }).join('')}
+        ` : ''}
+        ${importResult.merge ? renderMergePlan(importResult.merge, listRecords) : ''}
+        ${importResult.data ? `
+            <div class="import-block">
+                <strong>Photos &amp; documents:</strong> ${renderImportAttachmentSummary(importResult)}
+            </div>
+        ` : ''}
+        ${importResult.settings ? `
+            <div class="import-block">
+                <strong>Shop settings:</strong> ${isMerge
+                    ? 'the settings on this machine are kept'
+                    : `will be replaced (business name: ${escapeHTML(importResult.settings.businessName)})`}
+            </div>
+        ` : ''}
+        ${importResult.catalogue ? `
+            <div class="import-block">
+                <strong>Vehicle catalogue:</strong> ${isMerge
+                    ? 'makes and models missing on this machine will be added'
+                    : `will be replaced (${importResult.catalogue.reduce((count, make) => count + make.models.length, 0)} models)`}
+            </div>
+        ` : ''}
+    `;
+
+    applyBtn.disabled = hasErrors;
+    applyBtn.style.display = hasErrors ? 'none' : '';
+    applyBtn.textContent = isMerge ? 'Apply Merge' : 'Apply Import';
+
+    const preview = document.getElementById('importPreview');
+    preview.style.display = 'block';
+    preview.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Describe what an import does to the photos and documents on this machine
+ * @param {Object} importResult - Result of prepareImport
+ * @returns {string} Sentence for the preview
+ */
+function renderImportAttachmentSummary(importResult) {
+    const incoming = importResult.data.attachments;
+    if (importResult.mode === 'merge') {
+        return `${getNewAttachments(incoming).length} new file(s) will be added`;
+    }
+    if (!incoming) {
+        return 'the backup has none, so the files of records that are restored are kept';
+    }
+    return `${incoming.length} file(s) will replace the ${loadAttachments().length} on this machine`;
+}
+
+/**
+ * Get the attachments in a backup that this machine does not have yet
+ * Attachments are never edited after they are added, so matching ids are the same file.
+ * @param {Array|null} incoming - Attachments from the backup
+ * @returns {Array} New attachments
+ */
+function getNewAttachments(incoming) {
+    const knownIds = new Set(loadAttachments().map(attachment => attachment.id));
+    return (incoming || []).filter(attachment => !knownIds.has(attachment.id));
+}
+
+/**
+ * Render the merge summary and the conflicts the user has to decide
+ * @param {Object} plan - Result of buildMergePlan
+ * @param {Function} listRecords - Formats a list of records from a collection
+ * @returns {string} HTML
+ */
+function renderMergePlan(plan, listRecords) {
+    const collections = ['wheels', 'sales', 'customers'];
+
+    return `
+        <div class="import-block">
+            ${plan.base
+                ? `<strong>Last merge on this machine:</strong> ${new Date(plan.base).toLocaleString()}. Records changed on only one machine since then are taken automatically.`
+                : '<strong>No earlier merge on this machine</strong> - every record that differs is listed as a conflict.'}
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>New</th>
+                    <th>Updated</th>
+                    <th>Kept Local</th>
+                    <th>Conflicts</th>
+                    <th>Unchanged</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${collections.map(name => `
+                    <tr>
+                        <td><strong>${name.charAt(0).toUpperCase() + name.slice(1)}</strong></td>
+                        <td>${plan[name].added.length}</td>
+                        <td>${plan[name].updated.length}</td>
+                        <td>${plan[name].keptLocal.length}</td>
+                        <td>${plan.conflicts.filter(c => c.collection === name).length}</td>
+                        <td>${plan[name].unchanged.length}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${collections.map(name => {
+            const entry = plan[name];
+            const details = [
+                entry.added.length ? `<div><em>New ${name}:</em>${listRecords(entry.added, name)}</div>` : '',
+                entry.updated.length ? `<div><em>Updated ${name}:</em>${listRecords(entry.updated, name)}</div>` : ''
+            ].join('');
+            return details ? `<div class="import-block">${details}</div>` : '';
+        }).join('')}
+        ${plan.conflicts.length > 0 ? `
+            <div class="import-block import-conflicts">
+                <strong>${plan.conflicts.length} conflict(s) - choose which version to keep (the newer one is selected):</strong>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Record</th>
+                            <th>This Machine</th>
+                            <th>Backup</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${plan.conflicts.map((conflict, i) => `
+                            <tr>
+                                <td>${getImportRecordLabel(conflict.collection, conflict.local)}</td>
+                                <td>
+                                    <label><input type="radio" name="mergeConflict${i}" value="local" ${conflict.choice === 'local' ? 'checked' : ''}>
+                                    ${new Date(conflict.local.updatedAt).toLocaleString()}</label>
+                                </td>
+                                <td>
+                                    <label><input type="radio" name="mergeConflict${i}" value="incoming" ${conflict.choice === 'incoming' ? 'checked' : ''}>
+                                    ${new Date(conflict.incoming.updatedAt).toLocaleString()}</label>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Read the versions chosen in the conflict table
+ * @param {Object} plan - Result of buildMergePlan
+ * @returns {Object} Map of conflict index to 'local' or 'incoming'
+ */
+function getMergeChoices(plan) {
+    const choices = {};
+    plan.conflicts.forEach((conflict, i) => {
+        const checked = document.querySelector(`input[name="mergeConflict${i}"]:checked`);
+        choices[i] = checked ? checked.value : conflict.choice;
+    });
+    return choices;
+}
+
+/**
+ * Apply the previewed backup, replacing or merging as chosen
+ */
+function applyImport() {
+    if (!requirePermission('manageData')) {
+        return;
+    }
+
+    if (!pendingImport || !pendingImport.data || pendingImport.errors.length > 0) {
+        showAlert('No valid backup to import');
+        return;
+    }
+
+    if (pendingImport.mode === 'merge') {
+        applyMerge(pendingImport);
+        return;
+    }
+
+    if (!confirmAction('This will replace all current data. Are you sure?')) {
+        return;
+    }
+
+    const attachments = pendingImport.data.attachments || keepOwnedAttachments(loadAttachments(), pendingImport.data);
+    runWithoutRecordAudit(() => {
+        saveWheels(pendingImport.data.wheels);
+        saveSales(pendingImport.data.sales);
+        saveCustomers(pendingImport.data.customers);
+    });
+    replaceAttachments(attachments);
+    saveMeta('schemaVersion', SCHEMA_VERSION);
+    if (pendingImport.settings) {
+        saveSettings(pendingImport.settings);
+    }
+    if (pendingImport.catalogue) {
+        saveCatalogue(pendingImport.catalogue);
+    }
+
+    const diff = pendingImport.diff;
+    const summary = ['wheels', 'sales', 'customers']
+        .map(name => `${name}: ${diff[name].added.length} new, ${diff[name].changed.length} changed, ${diff[name].removed.length} removed`)
+        .concat([`${attachments.length} photo(s) and document(s)`])
+        .concat(pendingImport.settings ? ['shop settings replaced'] : [])
+        .concat(pendingImport.catalogue ? ['vehicle catalogue replaced'] : [])
+        .join('; ');
+    logImport({ fileName: pendingImport.fileName, mode: 'replace', summary, conflicts: [] });
+    importAuditEntries(pendingImport.data.auditLog);
+    logAuditEvent('import', `Replaced all data from ${pendingImport.fileName}`, summary);
+
+    cancelImport();
+    showAlert('Data imported successfully');
+
+    // Refresh all displays
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    updateCustomerOptions();
+    renderReport();
+    renderRecycleBin();
+    renderSettings();
+    renderCatalogue();
+    renderCatalogueChoices();
+}
+
+/**
+ * Merge the previewed backup into the current data using the chosen conflict versions
+ * @param {Object} importResult - Result of prepareImport in merge mode
+ */
+function applyMerge(importResult) {
+    const plan = importResult.merge;
+    const choices = getMergeChoices(plan);
+    const merged = resolveMergePlan(plan, choices);
+
+    const { errors } = validateDataSet(merged);
+    if (errors.length > 0) {
+        showAlert(`The merge cannot be applied with these choices:\n${errors.slice(0, 5).join('\n')}`);
+        return;
+    }
+
+    if (!confirmAction(`Merge ${importResult.fileName} into the current data?`)) {
+        return;
+    }
+
+    const newAttachments = getNewAttachments(importResult.data.attachments);
+    runWithoutRecordAudit(() => {
+        saveWheels(merged.wheels);
+        saveSales(merged.sales);
+        saveCustomers(merged.customers);
+    });
+    replaceAttachments(keepOwnedAttachments([...loadAttachments(), ...newAttachments], merged));
+    saveMeta('schemaVersion', SCHEMA_VERSION);
+    if (importResult.catalogue) {
+        saveCatalogue(mergeCatalogues(getCatalogue(), importResult.catalogue));
+    }
+    // Remember the versions each side had, so the next merge can tell which side changed without comparing clocks
+    const mergeBase = { ...(loadMeta('mergeBase') || {}) };
+    ['wheels', 'sales', 'customers'].forEach(name => {
+        const mergedById = new Map(merged[name].map(record => [record.id, record]));
+        const localById = new Map(plan[name].current.map(record => [record.id, record]));
+        importResult.data[name].forEach(record => {
+            const versions = [record.updatedAt, mergedById.get(record.id).updatedAt];
+            if (localById.has(record.id)) {
+                versions.push(localById.get(record.id).updatedAt);
+            }
+            mergeBase[`${name}:${record.id}`] = [...new Set(versions)];
+        });
+    });
+    saveMeta('mergeBase', mergeBase);
+    saveMeta('lastMergeAt', new Date().toISOString());
+
+    const summary = ['wheels', 'sales', 'customers']
+        .map(name => `${name}: ${plan[name].added.length} new, ${plan[name].updated.length} updated, ${plan[name].keptLocal.length} kept local`)
+        .concat([`${newAttachments.length} new photo(s) and document(s)`])
+        .join('; ');
+    logImport({
+        fileName: importResult.fileName,
+        mode: 'merge',
+        summary,
+        conflicts: plan.conflicts.map((conflict, i) => ({
+            collection: conflict.collection,
+            id: conflict.id,
+            label: getImportRecordLabel(conflict.collection, conflict.local),
+            kept: choices[i]
+        }))
+    });
+    importAuditEntries(importResult.data.auditLog);
+    logAuditEvent('merge', `Merged ${importResult.fileName}`, `${summary}; ${plan.conflicts.length} conflict(s) resolved`);
+
+    cancelImport();
+    showAlert('Backup merged successfully');
+
+    // Refresh all displays
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    updateCustomerOptions();
+    renderReport();
+    renderRecycleBin();
+    updateNextInvoiceNumber();
+    renderCatalogue();
+    renderCatalogueChoices();
+}
+
+// Number of import log entries kept
+const IMPORT_LOG_LIMIT = 50;
+
+/**
+ * Add an entry to the import log
+ * @param {Object} entry - {fileName, mode, summary, conflicts}
+ */
+function logImport(entry) {
+    const log = loadMeta('importLog') || [];
+    log.unshift({ date: new Date().toISOString(), ...entry });
+    saveMeta('importLog', log.slice(0, IMPORT_LOG_LIMIT));
+    renderImportLog();
+}
+
+/**
+ * Render the import history in the Data Management section
+ */
+function renderImportLog() {
+    const container = document.getElementById('importLogContainer');
+    const log = loadMeta('importLog') || [];
+
+    if (log.length === 0) {
+        container.innerHTML = '<div class="empty-state">No imports yet</div>';
+        return;
+    }
+
+    container.innerHTML = log.map(entry => `
+        <div class="import-log-entry">
+            <div><strong>${new Date(entry.date).toLocaleString()}</strong> - ${entry.mode === 'merge' ? 'Merged' : 'Replaced with'} ${entry.fileName}</div>
+            <div>${entry.summary}</div>
+            ${entry.conflicts.length > 0 ? `
+                <ul>
+                    ${entry.conflicts.map(c => `<li>${c.label}: kept ${c.kept === 'incoming' ? 'backup' : 'this machine\'s'} version</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Discard the previewed backup
+ */
+function cancelImport() {
+    pendingImport = null;
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('importPreviewContent').innerHTML = '';
+}
+
+/**
+ * Reset to demo data
+ */
+function resetDemoData() {
+    if (!requirePermission('resetData')) {
+        return;
+    }
+
+    if (!confirmAction('This will delete all current data and restore demo data. Are you sure?')) {
+        return;
+    }
+
+    const removed = `${loadWheels().length} wheels, ${loadSales().length} sales, ${loadCustomers().length} customers and ${loadAttachments().length} attachments removed`;
+    runWithoutRecordAudit(() => {
+        saveWheels([]);
+        saveSales([]);
+        saveCustomers([]);
+        seedDemoData();
+    });
+    replaceAttachments([]);
+    saveCurrentSale(undefined);
+    logAuditEvent('reset', 'Reset to demo data', removed);
+    
+    showAlert('Demo data restored successfully');
+    
+    // Refresh all displays
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    updateCustomerOptions();
+    renderReport();
+    renderRecycleBin();
+    updateNextInvoiceNumber();
+}
+
+// ==================== SYNC ====================
+
+// Collections pushed to and pulled from the sync server
+const SYNC_COLLECTIONS = ['wheels', 'sales', 'customers'];
+const SYNC_INTERVAL_MS = 60000;
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_TIMEOUT_MS = 15000;
+
+// 'off', 'synced', 'syncing', 'offline' or 'error'
+let syncState = 'off';
+let syncStateMessage = '';
+let syncInProgress = false;
+let syncRequestedAgain = false;
+let syncTimer = null;
+let syncDebounceTimer = null;
+
+// Set while records pulled from the server are saved, so they are not queued to be pushed back
+let applyingRemoteChanges = false;
+
+/**
+ * Get the sync settings
+ * @returns {Object} {enabled, url, token}
+ */
+function getSyncConfig() {
+    return loadMeta('syncConfig') || { enabled: false, url: '', token: '' };
+}
+
+/**
+ * Get this browser's sync device id, creating it the first time
+ * @returns {string} Device id
+ */
+function getSyncDeviceId() {
+    let deviceId = loadMeta('syncDeviceId');
+    if (!deviceId) {
+        deviceId = generateId('device');
+        saveMeta('syncDeviceId', deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Queue the records a save is about to change so they are pushed on the next sync
+ * Called by saveCollection before the change is written.
+ * @param {string} storeName - Collection name
+ * @param {Array} records - Records being saved that may have changed
+ * @param {Set} keptIds - IDs of every record in the saved collection; stored records missing from it are removed
+ */
+function queueSyncChanges(storeName, records, keptIds) {
+    if (applyingRemoteChanges || !SYNC_COLLECTIONS.includes(storeName) || !getSyncConfig().enabled) {
+        return;
+    }
+
+    const previous = persistedRecords[storeName];
+    const now = new Date().toISOString();
+    const entries = [];
+
+    records.forEach(record => {
+        if (previous.get(record.id) !== JSON.stringify(record)) {
+            entries.push({ collection: storeName, id: record.id, deleted: false, queuedAt: now });
+        }
+    });
+    previous.forEach((json, id) => {
+        if (!keptIds.has(id)) {
+            entries.push({ collection: storeName, id, deleted: true, queuedAt: now });
+        }
+    });
+
+    if (entries.length > 0) {
+        addToSyncQueue(entries);
+        scheduleSync();
+    }
+}
+
+/**
+ * Add entries to the sync queue, replacing any older entry for the same record
+ * @param {Array} entries - {collection, id, deleted, queuedAt}
+ */
+function addToSyncQueue(entries) {
+    const keys = new Set(entries.map(entry => `${entry.collection}:${entry.id}`));
+    const queue = (loadMeta('syncQueue') || []).filter(entry => !keys.has(`${entry.collection}:${entry.id}`));
+    saveMeta('syncQueue', queue.concat(entries));
+    updateSyncIndicator();
+}
+
+/**
+ * Run a sync shortly after local changes, so several quick edits go in one request
+ */
+function scheduleSync() {
+    clearTimeout(syncDebounceTimer);
+    syncDebounceTimer = setTimeout(runSync, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Call the sync server
+ * @param {Object} config - Sync settings
+ * @param {string} method - 'GET' or 'POST'
+ * @param {string} path - API path
+ * @param {Object} body - Request body for POST
+ * @returns {Promise<Object>} Parsed response
+ */
+async function syncRequest(config, method, path, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SYNC_TIMEOUT_MS);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) {
+        headers.Authorization = `Bearer ${config.token}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(config.url.replace(/\/+$/, '') + path, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+    } catch (error) {
+        // Network failures and timeouts mean the server cannot be reached right now
+        error.offline = true;
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Server responded with ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Push queued local changes to the server
+ * Each change carries the server version it was made from, so the server can tell when another device got there first.
+ * @param {Object} config - Sync settings
+ * @returns {Promise<Array>} Server copies of records that another device changed since this one last saw them
+ */
+async function pushSyncQueue(config) {
+    const queue = loadMeta('syncQueue') || [];
+    if (queue.length === 0) {
+        return [];
+    }
+
+    const baseVersions = loadMeta('syncVersions') || {};
+    const changes = queue.map(entry => {
+        const baseSeq = baseVersions[`${entry.collection}:${entry.id}`] || 0;
+        const record = entry.deleted ? null : dataCache[entry.collection].find(r => r.id === entry.id);
+        if (!record) {
+            return { collection: entry.collection, id: entry.id, baseSeq, deleted: true, updatedAt: entry.queuedAt, record: null };
+        }
+        return { collection: entry.collection, id: entry.id, baseSeq, deleted: false, updatedAt: record.updatedAt, record };
+    });
+
+    const response = await syncRequest(config, 'POST', '/api/changes', { deviceId: getSyncDeviceId(), changes });
+
+    // Entries queued again while the request was in flight stay for the next sync
+    const sent = new Map(queue.map(entry => [`${entry.collection}:${entry.id}`, entry.queuedAt]));
+    const remaining = (loadMeta('syncQueue') || []).filter(entry => sent.get(`${entry.collection}:${entry.id}`) !== entry.queuedAt);
+    saveMeta('syncQueue', remaining);
+
+    const versions = loadMeta('syncVersions') || {};
+    response.results.filter(result => result.status === 'accepted').forEach(result => {
+        versions[`${result.collection}:${result.id}`] = result.seq;
+    });
+    saveMeta('syncVersions', versions);
+
+    response.results.filter(result => result.status === 'rejected').forEach(result => {
+        console.error(`Sync server rejected ${result.collection} ${result.id}: ${result.error}`);
+    });
+
+    const conflicts = response.results.filter(result => result.status === 'conflict');
+    if (conflicts.length > 0) {
+        const labels = conflicts.map(result => {
+            const record = dataCache[result.collection].find(r => r.id === result.id) || result.current.record;
+            return record ? getImportRecordLabel(result.collection, record) : `${result.collection} ${result.id}`;
+        }).join('; ');
+        logAuditEvent('sync', 'Sync conflicts', `Changed on another device since this one last synced; that device's version was kept: ${labels}`);
+        showAlert(`${conflicts.length} record(s) were also changed on another device since the last sync, so the changes made here were replaced by that device's: ${labels}`);
+    }
+
+    return conflicts.map(result => result.current);
+}
+
+/**
+ * Fetch changes made on other devices since the last sync
+ * @param {Object} config - Sync settings
+ * @returns {Promise<Object>} {seq, changes}
+ */
+function pullSyncChanges(config) {
+    const since = loadMeta('syncCursor') || 0;
+    return syncRequest(config, 'GET', `/api/changes?since=${since}`);
+}
+
+/**
+ * Apply server changes to the local data
+ * Versions this device has already seen, by server sequence number, are skipped; records with local edits
+ * still waiting to be pushed are left alone, and the push reports a conflict for them.
+ * @param {Array} changes - Server entries {collection, id, updatedAt, deleted, record, seq}
+ * @returns {boolean} True if any local data changed
+ */
+function applyRemoteChanges(changes) {
+    const pending = new Set((loadMeta('syncQueue') || []).map(entry => `${entry.collection}:${entry.id}`));
+    const versions = loadMeta('syncVersions') || {};
+    const collections = {
+        wheels: loadWheels(),
+        sales: loadSales(),
+        customers: loadCustomers()
+    };
+    const touched = new Set();
+    let seen = false;
+
+    changes.forEach(change => {
+        const key = `${change.collection}:${change.id}`;
+        if (!SYNC_COLLECTIONS.includes(change.collection) || pending.has(key) || change.seq <= (versions[key] || 0)) {
+            return;
+        }
+        versions[key] = change.seq;
+        seen = true;
+
+        const records = collections[change.collection];
+        const index = records.findIndex(record => record.id === change.id);
+
+        if (change.deleted) {
+            if (index >= 0) {
+                records.splice(index, 1);
+                touched.add(change.collection);
+            }
+        } else if (index < 0) {
+            records.push(change.record);
+            touched.add(change.collection);
+        } else if (JSON.stringify(records[index]) !== JSON.stringify(change.record)) {
+            records[index] = change.record;
+            touched.add(change.collection);
+        }
+    });
+    if (seen) {
+        saveMeta('syncVersions', versions);
+    }
+
+    if (touched.size === 0) {
+        return false;
+    }
+
+    // Numbers issued twice before this pull were reported then; only new ones are reported now
+    const knownDuplicates = new Set(findDuplicateInvoiceNumbers(loadSales()).map(duplicate => duplicate.invoiceNumber));
+    const newDuplicates = touched.has('sales')
+        ? findDuplicateInvoiceNumbers(collections.sales).filter(duplicate => !knownDuplicates.has(duplicate.invoiceNumber))
+        : [];
+
+    applyingRemoteChanges = true;
+    try {
+        if (touched.has('wheels')) saveWheels(collections.wheels);
+        if (touched.has('sales')) saveSales(collections.sales);
+        if (touched.has('customers')) saveCustomers(collections.customers);
+    } finally {
+        applyingRemoteChanges = false;
+    }
+    logAuditEvent('sync', 'Changes from other devices', `Updated ${[...touched].join(', ')} from the sync server`);
+
+    if (newDuplicates.length > 0) {
+        const details = newDuplicates.map(({ invoiceNumber, sales }) =>
+            `${invoiceNumber} (${sales.map(sale => `${sale.buyerName}, ${formatDate(sale.saleDate)}`).join(' and ')})`
+        ).join('; ');
+        logAuditEvent('sync', 'Duplicate invoice numbers', details);
+        showAlert(`Another device issued the same invoice number: ${details}. Give each device its own invoice prefix in Shop Settings.`);
+    }
+
+    return true;
+}
+
+/**
+ * Push local changes, then pull other devices' changes
+ * Safe to call at any time; does nothing when sync is off and queues a second run if one is in progress.
+ */
+async function runSync() {
+    const config = getSyncConfig();
+    if (!config.enabled || !config.url) {
+        setSyncState('off');
+        return;
+    }
+
+    if (syncInProgress) {
+        syncRequestedAgain = true;
+        return;
+    }
+
+    syncInProgress = true;
+    setSyncState('syncing');
+
+    try {
+        const conflicts = await pushSyncQueue(config);
+        const pulled = await pullSyncChanges(config);
+        const changed = applyRemoteChanges(conflicts.concat(pulled.changes));
+        saveMeta('syncCursor', pulled.seq);
+        saveMeta('lastSyncAt', new Date().toISOString());
+        setSyncState('synced');
+
+        if (changed) {
+            // Refresh all displays
+            renderWheels();
+            renderSales();
+            updateWheelSelect();
+            renderCustomers();
+            updateCustomerOptions();
+            renderReport();
+            renderRecycleBin();
+            updateNextInvoiceNumber();
+        }
+    } catch (error) {
+        console.error('Sync error:', error);
+        setSyncState(error.offline ? 'offline' : 'error', error.offline ? '' : error.message);
+    } finally {
+        syncInProgress = false;
+    }
+
+    if (syncRequestedAgain) {
+        syncRequestedAgain = false;
+        runSync();
+    }
+}
+
+/**
+ * Record the sync state and update the navbar indicator
+ * @param {string} state - 'off', 'synced', 'syncing', 'offline' or 'error'
+ * @param {string} message - Error details, if any
+ */
+function setSyncState(state, message = '') {
+    syncState = state;
+    syncStateMessage = message;
+    updateSyncIndicator();
+}
+
+/**
+ * Show the sync state and number of waiting changes in the navbar and Data Management section
+ */
+function updateSyncIndicator() {
+    const indicator = document.getElementById('syncStatus');
+    const pending = (loadMeta('syncQueue') || []).length;
+    const lastSyncAt = loadMeta('lastSyncAt');
+    const labels = {
+        off: 'Sync off',
+        synced: 'Synced',
+        syncing: 'Syncing...',
+        offline: 'Offline',
+        error: 'Sync error'
+    };
+
+    indicator.className = `sync-status sync-${syncState}`;
+    indicator.textContent = pending > 0 && syncState !== 'off' ? `${labels[syncState]} (${pending} pending)` : labels[syncState];
+    indicator.title = [
+        lastSyncAt ? `Last synced ${new Date(lastSyncAt).toLocaleString()}` : 'Never synced',
+        syncStateMessage
+    ].filter(Boolean).join(' - ');
+
+    document.getElementById('syncDetails').textContent = syncState === 'off'
+        ? 'Sync is turned off. All data stays in this browser.'
+        : `${indicator.title}. ${pending} change(s) waiting to be sent.`;
+}
+
+/**
+ * Start or stop the periodic sync to match the settings
+ */
+function startSyncTimer() {
+    clearInterval(syncTimer);
+    syncTimer = null;
+    if (getSyncConfig().enabled) {
+        syncTimer = setInterval(runSync, SYNC_INTERVAL_MS);
+    }
+}
+
+/**
+ * Fill the sync settings form
+ */
+function renderSyncSettings() {
+    const config = getSyncConfig();
+    document.getElementById('syncUrl').value = config.url;
+    document.getElementById('syncToken').value = config.token;
+    document.getElementById('syncEnabled').checked = config.enabled;
+    updateSyncIndicator();
+}
+
+/**
+ * Save the sync settings
+ * Turning sync on queues every local record so the server gets a full copy, then pulls everything from the start.
+ * @param {Event} e - Form submit event
+ */
+function handleSyncSettingsSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('manageData')) {
+        return;
+    }
+
+    const url = document.getElementById('syncUrl').value.trim();
+    const token = document.getElementById('syncToken').value.trim();
+    const enabled = document.getElementById('syncEnabled').checked;
+
+    if (enabled && !/^https?:\/\/\S+$/.test(url)) {
+        showAlert('Please enter the sync server address, e.g. http://192.168.1.10:3210');
+        return;
+    }
+
+    const previous = getSyncConfig();
+    const serverChanged = url !== previous.url;
+    saveMeta('syncConfig', { enabled, url, token });
+
+    if (enabled && (!previous.enabled || serverChanged)) {
+        const now = new Date().toISOString();
+        addToSyncQueue(SYNC_COLLECTIONS.flatMap(collection =>
+            dataCache[collection].map(record => ({ collection, id: record.id, deleted: false, queuedAt: now }))
+        ));
+        saveMeta('syncCursor', 0);
+        if (serverChanged) {
+            saveMeta('syncVersions', {});
+        }
+    }
+
+    startSyncTimer();
+    showAlert(enabled ? 'Sync settings saved' : 'Sync turned off');
+    if (enabled) {
+        runSync();
+    } else {
+        setSyncState('off');
+    }
+}
+
+// ==================== SETTINGS ====================
+
+/**
+ * Shop settings used until the owner changes them
+ * Business profile: businessName, businessAddress, businessPhone, registrationNumber, taxNumber,
+ *   logo (PNG or JPEG data URL, '' for none) with logoWidth/logoHeight in pixels
+ * Formats: currencySymbol, currencyName (for amounts in words), locale (number grouping and month names), dateFormat (one of DATE_FORMATS)
+ * Invoices: invoicePrefix, invoiceStartNumber, invoiceDigits, taxLines (Array of {label, rate} percentages included in the selling price)
+ * Bills: billHeaderText, billHiddenFields (keys of BILL_OPTIONAL_FIELDS), billTerms (default terms and conditions), billFooterText
+ * Number formats: vehicleNumberFormats, nicFormats (Arrays of masks for applyFormatMasks(); empty accepts any format)
+ * Pricing: priceCheck (key of PRICE_CHECK_MODES) for sales below a wheel's floor price or its landed cost
+ * Stock: slowMovingDays (wheels in stock longer than this are flagged as slow-moving in the aging report)
+ */
+const DEFAULT_SETTINGS = {
+    businessName: 'Afnan Motors',
+    businessAddress: '',
+    businessPhone: '',
+    registrationNumber: '',
+    taxNumber: '',
+    logo: '',
+    logoWidth: 0,
+    logoHeight: 0,
+    currencySymbol: 'Rs.',
+    currencyName: 'Rupees',
+    locale: 'en-IN',
+    dateFormat: 'D MMM YYYY',
+    invoicePrefix: 'INV-',
+    invoiceStartNumber: 1,
+    invoiceDigits: 5,
+    taxLines: [],
+    billHeaderText: 'Billing & Inventory Management',
+    billHiddenFields: [],
+    billTerms: '',
+    billFooterText: 'Thank you for your business!',
+    vehicleNumberFormats: [],
+    nicFormats: [],
+    priceCheck: 'approval',
+    slowMovingDays: 90
+};
+
+// D/DD: day, MM: month number, MMM/MMMM: short/long month name in the chosen locale, YYYY: year
+const DATE_FORMATS = ['D MMM YYYY', 'D MMMM YYYY', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD'];
+
+// Logos are stored with the settings and copied into every backup, so keep them small
+const LOGO_MAX_BYTES = 200 * 1024;
+
+// Logo picked in the settings form but not saved yet: {data, width, height}, or null for no logo
+let pendingLogo = null;
+
+/**
+ * Get the shop settings
+ * @returns {Object} Saved settings merged over the defaults
+ */
+function getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(loadMeta('settings') || {}) };
+}
+
+/**
+ * Check that the browser can format numbers and dates for a locale
+ * @param {string} locale - BCP 47 language tag, e.g. 'en-IN'
+ * @returns {boolean} True if supported
+ */
+function isSupportedLocale(locale) {
+    try {
+        return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        // Malformed tags throw a RangeError
+        return false;
+    }
+}
+
+/**
+ * Check a complete settings object
+ * @param {Object} settings - Settings merged over the defaults
+ * @returns {Array} Error messages (empty if valid)
+ */
+function validateSettings(settings) {
+    const errors = [];
+
+    ['businessAddress', 'businessPhone', 'registrationNumber', 'taxNumber', 'logo', 'currencySymbol',
+        'billHeaderText', 'billTerms', 'billFooterText', 'invoicePrefix'].forEach(key => {
+        if (typeof settings[key] !== 'string') errors.push(`${key} must be text`);
+    });
+    if (!isNonEmptyString(settings.businessName)) errors.push('Please enter the business name');
+    if (!isNonEmptyString(settings.currencyName)) errors.push('Please enter the currency name used for amounts in words');
+    if (settings.logo && !/^data:image\/(png|jpeg);base64,/.test(settings.logo)) errors.push('The logo must be a PNG or JPEG image');
+    if (settings.logo && (!isPositiveNumber(settings.logoWidth) || !isPositiveNumber(settings.logoHeight))) errors.push('The logo size is missing');
+    if (!DATE_FORMATS.includes(settings.dateFormat)) errors.push(`Unknown date format ${settings.dateFormat}`);
+    if (!isSupportedLocale(settings.locale)) errors.push(`Unsupported locale ${settings.locale}`);
+    if (typeof settings.invoicePrefix === 'string' && (/\s/.test(settings.invoicePrefix) || settings.invoicePrefix.length > 12)) {
+        errors.push('Invoice prefix must be at most 12 characters with no spaces');
+    }
+    if (!Number.isInteger(settings.invoiceStartNumber) || settings.invoiceStartNumber < 1) errors.push('Starting number must be 1 or more');
+    if (!Number.isInteger(settings.invoiceDigits) || settings.invoiceDigits < 1 || settings.invoiceDigits > 10) {
+        errors.push('Number of digits must be between 1 and 10');
+    }
+    if (!Array.isArray(settings.taxLines) || settings.taxLines.some(line => !line || !isNonEmptyString(line.label) || !isPositiveNumber(line.rate) || line.rate >= 100)) {
+        errors.push('Tax lines must each have a label and a rate between 0 and 100');
+    }
+    if (!Array.isArray(settings.vehicleNumberFormats) || !settings.vehicleNumberFormats.every(isValidFormatMask)) {
+        errors.push('Vehicle number formats may only use A for a letter, 9 for a digit, other capital letters and digits, spaces, - / and .');
+    }
+    if (!Array.isArray(settings.nicFormats) || !settings.nicFormats.every(isValidFormatMask)) {
+        errors.push('NIC formats may only use A for a letter, 9 for a digit, other capital letters and digits, spaces, - / and .');
+    }
+    if (!Array.isArray(settings.billHiddenFields) || settings.billHiddenFields.some(key => !BILL_OPTIONAL_FIELDS[key])) {
+        errors.push('Unknown bill field in the hidden fields');
+    }
+    if (!PRICE_CHECK_MODES[settings.priceCheck]) errors.push(`Unknown price check ${settings.priceCheck}`);
+    if (!Number.isInteger(settings.slowMovingDays) || settings.slowMovingDays < 1) errors.push('Slow-moving days must be 1 or more');
+
+    return errors;
+}
+
+/**
+ * Save the shop settings and show the new business name
+ * @param {Object} settings - Complete, valid settings
+ */
+function saveSettings(settings) {
+    saveMeta('settings', settings);
+    applyBusinessProfile();
+}
+
+/**
+ * Move settings saved under the older 'invoiceSettings' and 'billTemplate' meta keys into 'settings'
+ */
+function migrateLegacySettings() {
+    const invoice = loadMeta('invoiceSettings');
+    const template = loadMeta('billTemplate');
+    if (!invoice && !template) return;
+
+    const settings = getSettings();
+    if (invoice) {
+        Object.assign(settings, {
+            businessName: invoice.sellerName || settings.businessName,
+            businessAddress: invoice.sellerAddress || '',
+            businessPhone: invoice.sellerPhone || '',
+            registrationNumber: invoice.registrationNumber || '',
+            taxNumber: invoice.taxNumber || '',
+            invoicePrefix: invoice.prefix !== undefined ? invoice.prefix : settings.invoicePrefix,
+            invoiceStartNumber: invoice.startNumber || settings.invoiceStartNumber,
+            invoiceDigits: invoice.digits || settings.invoiceDigits,
+            taxLines: invoice.taxLines || []
+        });
+    }
+    if (template) {
+        Object.assign(settings, {
+            logo: template.logo || '',
+            logoWidth: template.logoWidth || 0,
+            logoHeight: template.logoHeight || 0,
+            billHeaderText: template.headerText !== undefined ? template.headerText : settings.billHeaderText,
+            billHiddenFields: template.hiddenFields || [],
+            billTerms: template.terms || '',
+            billFooterText: template.footerText !== undefined ? template.footerText : settings.billFooterText
+        });
+    }
+
+    saveMeta('settings', settings);
+    saveMeta('invoiceSettings', undefined);
+    saveMeta('billTemplate', undefined);
+}
+
+/**
+ * Show the business name and logo in the page title, login screen and header
+ */
+function applyBusinessProfile() {
+    const settings = getSettings();
+    document.title = `${settings.businessName} - Billing & Inventory`;
+    document.querySelectorAll('.business-name').forEach(element => {
+        element.textContent = settings.businessName;
+    });
+
+    const logo = document.getElementById('navLogoImage');
+    logo.src = settings.logo;
+    logo.style.display = settings.logo ? '' : 'none';
+}
+
+/**
+ * Fill the settings form with the saved settings
+ */
+function renderSettings() {
+    const settings = getSettings();
+    document.getElementById('businessName').value = settings.businessName;
+    document.getElementById('businessAddress').value = settings.businessAddress;
+    document.getElementById('businessPhone').value = settings.businessPhone;
+    document.getElementById('registrationNumber').value = settings.registrationNumber;
+    document.getElementById('taxNumber').value = settings.taxNumber;
+    document.getElementById('currencySymbol').value = settings.currencySymbol;
+    document.getElementById('currencyName').value = settings.currencyName;
+    document.getElementById('locale').value = settings.locale;
+    document.getElementById('dateFormat').innerHTML = DATE_FORMATS.map(format => `
+        <option value="${format}" ${format === settings.dateFormat ? 'selected' : ''}>${format} (${formatDate(getTodayDate(), format)})</option>
+    `).join('');
+    document.getElementById('invoicePrefix').value = settings.invoicePrefix;
+    document.getElementById('invoiceStartNumber').value = settings.invoiceStartNumber;
+    document.getElementById('invoiceDigits').value = settings.invoiceDigits;
+    document.getElementById('invoiceTaxLines').value = settings.taxLines.map(line => `${line.label}: ${line.rate}`).join('\n');
+    document.getElementById('billHeaderText').value = settings.billHeaderText;
+    document.getElementById('billTerms').value = settings.billTerms;
+    document.getElementById('billFooterText').value = settings.billFooterText;
+    document.getElementById('vehicleNumberFormats').value = settings.vehicleNumberFormats.join('\n');
+    document.getElementById('nicFormats').value = settings.nicFormats.join('\n');
+    document.getElementById('priceCheck').innerHTML = Object.entries(PRICE_CHECK_MODES).map(([key, label]) => `
+        <option value="${key}" ${key === settings.priceCheck ? 'selected' : ''}>${label}</option>
+    `).join('');
+    document.getElementById('slowMovingDays').value = settings.slowMovingDays;
+    document.getElementById('billFieldOptions').innerHTML = Object.entries(BILL_OPTIONAL_FIELDS).map(([key, label]) => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${key}" ${settings.billHiddenFields.includes(key) ? '' : 'checked'}>
+            ${label}
+        </label>
+    `).join('');
+
+    pendingLogo = settings.logo ? { data: settings.logo, width: settings.logoWidth, height: settings.logoHeight } : null;
+    updateLogoPreview();
+    updateNextInvoiceNumber();
+}
+
+/**
+ * Show the logo picked in the settings form
+ */
+function updateLogoPreview() {
+    const preview = document.getElementById('logoPreview');
+    preview.src = pendingLogo ? pendingLogo.data : '';
+    preview.style.display = pendingLogo ? '' : 'none';
+    document.getElementById('removeLogoBtn').style.display = pendingLogo ? '' : 'none';
+}
+
+/**
+ * Read a logo chosen in the settings form; it is saved with the rest of the settings
+ * @param {Event} e - File input change event
+ */
+function handleLogoChange(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+        showAlert('The logo must be a PNG or JPEG image');
+        return;
+    }
+
+    if (file.size > LOGO_MAX_BYTES) {
+        showAlert(`The logo must be smaller than ${LOGO_MAX_BYTES / 1024} KB`);
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        const image = new Image();
+        image.onload = () => {
+            pendingLogo = { data: event.target.result, width: image.naturalWidth, height: image.naturalHeight };
+            updateLogoPreview();
+        };
+        image.onerror = () => showAlert('Could not read the logo image');
+        image.src = event.target.result;
+    };
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Drop the logo from the settings form
+ */
+function removeLogo() {
+    pendingLogo = null;
+    updateLogoPreview();
+}
+
+/**
+ * Save the settings form
+ * Tax lines apply to sales recorded from now on; existing invoices keep the taxes they were issued with.
+ * @param {Event} e - Form submit event
+ */
+function handleSettingsSubmit(e) {
+    e.preventDefault();
+
+    if (!requirePermission('manageSettings')) {
+        return;
+    }
+
+    const { taxLines, error } = parseTaxLines(document.getElementById('invoiceTaxLines').value);
+    if (error) {
+        showAlert(error);
+        return;
+    }
+
+    const previous = getSettings();
+    const settings = {
+        businessName: document.getElementById('businessName').value.trim(),
+        businessAddress: document.getElementById('businessAddress').value.trim(),
+        businessPhone: document.getElementById('businessPhone').value.trim(),
+        registrationNumber: document.getElementById('registrationNumber').value.trim(),
+        taxNumber: document.getElementById('taxNumber').value.trim(),
+        logo: pendingLogo ? pendingLogo.data : '',
+        logoWidth: pendingLogo ? pendingLogo.width : 0,
+        logoHeight: pendingLogo ? pendingLogo.height : 0,
+        currencySymbol: document.getElementById('currencySymbol').value.trim(),
+        currencyName: document.getElementById('currencyName').value.trim(),
+        locale: document.getElementById('locale').value,
+        dateFormat: document.getElementById('dateFormat').value,
+        invoicePrefix: document.getElementById('invoicePrefix').value.trim(),
+        invoiceStartNumber: parseInt(document.getElementById('invoiceStartNumber').value, 10),
+        invoiceDigits: parseInt(document.getElementById('invoiceDigits').value, 10),
+        taxLines,
+        billHeaderText: document.getElementById('billHeaderText').value.trim(),
+        billHiddenFields: [...document.querySelectorAll('#billFieldOptions input[type="checkbox"]')]
+            .filter(checkbox => !checkbox.checked)
+            .map(checkbox => checkbox.value),
+        billTerms: document.getElementById('billTerms').value.trim(),
+        billFooterText: document.getElementById('billFooterText').value.trim(),
+        vehicleNumberFormats: parseFormatMasks(document.getElementById('vehicleNumberFormats').value),
+        nicFormats: parseFormatMasks(document.getElementById('nicFormats').value),
+        priceCheck: document.getElementById('priceCheck').value,
+        slowMovingDays: parseInt(document.getElementById('slowMovingDays').value, 10)
+    };
+
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        showAlert(errors[0]);
+        return;
+    }
+
+    saveSettings(settings);
+
+    const changes = Object.keys(settings)
+        .filter(key => !['logoWidth', 'logoHeight'].includes(key))
+        .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(previous[key]))
+        .map(key => key === 'logo'
+            ? (settings.logo ? 'logo replaced' : 'logo removed')
+            : `${key}: ${formatAuditValue(previous[key])} → ${formatAuditValue(settings[key])}`);
+    if (changes.length > 0) {
+        logAuditEvent('settings', 'Shop settings', changes.join('; '));
+    }
+
+    renderSettings();
+    showAlert('Settings saved');
+
+    // Amounts and dates everywhere follow the new formats
+    renderWheels();
+    renderSales();
+    updateWheelSelect();
+    renderCustomers();
+    renderReport();
+    renderRecycleBin();
+}
+
+// ==================== INVOICES ====================
+
+const NUMBER_WORDS = ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS_WORDS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Read the running number from an invoice number
+ * @param {string} invoiceNumber - Invoice number, e.g. 'INV-00042'
+ * @param {string} prefix - Prefix of the series
+ * @returns {number|null} Running number, or null if the invoice is not in the series
+ */
+function parseInvoiceSequence(invoiceNumber, prefix) {
+    if (!invoiceNumber || !invoiceNumber.startsWith(prefix)) return null;
+    const digits = invoiceNumber.slice(prefix.length);
+    return /^\d+$/.test(digits) ? Number(digits) : null;
+}
+
+/**
+ * Work out the invoice number for the next sale
+ * Numbering follows on from the highest number in the series, counting voided and deleted sales too,
+ * so no number is skipped or reused. The starting number only applies to a series with no invoices yet.
+ * @param {Array} sales - Array of sale objects
+ * @returns {string} Invoice number
+ */
+function getNextInvoiceNumber(sales) {
+    const settings = getSettings();
+    const highest = sales.reduce((max, sale) => {
+        const sequence = parseInvoiceSequence(sale.invoiceNumber, settings.invoicePrefix);
+        return sequence !== null && sequence > max ? sequence : max;
+    }, 0);
+    const next = highest > 0 ? highest + 1 : settings.invoiceStartNumber;
+    return settings.invoicePrefix + String(next).padStart(settings.invoiceDigits, '0');
+}
+
+/**
+ * Find invoice numbers carried by more than one sale
+ * Each device numbers from the sales it has, so synced devices sharing a prefix can issue the same number while apart.
+ * @param {Array} sales - Array of sale objects
+ * @returns {Array} {invoiceNumber, sales} for each number used more than once
+ */
+function findDuplicateInvoiceNumbers(sales) {
+    const byNumber = new Map();
+    sales.filter(sale => sale.invoiceNumber).forEach(sale => {
+        byNumber.set(sale.invoiceNumber, [...(byNumber.get(sale.invoiceNumber) || []), sale]);
+    });
+    return [...byNumber]
+        .filter(([, numbered]) => numbered.length > 1)
+        .map(([invoiceNumber, numbered]) => ({ invoiceNumber, sales: numbered }));
+}
+
+/**
+ * Split a tax-inclusive amount into the amount before tax and each tax it contains
+ * @param {number} total - Amount including tax
+ * @param {Array} taxLines - Array of {label, rate}
+ * @returns {Object} {netAmount, lines: [{label, rate, amount}]}
+ */
+function calculateIncludedTax(total, taxLines) {
+    const totalRate = taxLines.reduce((sum, line) => sum + line.rate, 0);
+    const base = total / (1 + totalRate / 100);
+    const lines = taxLines.map(line => ({ ...line, amount: roundCurrency(base * line.rate / 100) }));
+    const netAmount = roundCurrency(total - lines.reduce((sum, line) => sum + line.amount, 0));
+    return { netAmount, lines };
+}
+
+/**
+ * Spell out a whole number using lakhs and crores
+ * @param {number} number - Whole number, zero or more
+ * @returns {string} Number in words
+ */
+function wholeNumberToWords(number) {
+    if (number < 20) return NUMBER_WORDS[number];
+    if (number < 100) {
+        return TENS_WORDS[Math.floor(number / 10)] + (number % 10 ? ' ' + NUMBER_WORDS[number % 10] : '');
+    }
+    if (number < 1000) {
+        return NUMBER_WORDS[Math.floor(number / 100)] + ' Hundred' + (number % 100 ? ' ' + wholeNumberToWords(number % 100) : '');
+    }
+
+    const scales = [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']];
+    const [size, name] = scales.find(([scaleSize]) => number >= scaleSize);
+    const rest = number % size;
+    return wholeNumberToWords(Math.floor(number / size)) + ' ' + name + (rest ? ' ' + wholeNumberToWords(rest) : '');
+}
+
+/**
+ * Write an amount out in words for the bill
+ * @param {number} amount - Amount
+ * @returns {string} e.g. 'Rupees Ninety Five Thousand and Cents Fifty Only'
+ */
+function amountToWords(amount) {
+    const rounded = roundCurrency(amount);
+    const whole = Math.floor(rounded);
+    const cents = Math.round((rounded - whole) * 100);
+    return `${getSettings().currencyName} ${wholeNumberToWords(whole)}${cents ? ` and Cents ${wholeNumberToWords(cents)}` : ''} Only`;
+}
+
+/**
+ * Parse tax lines typed one per line as "Label: rate"
+ * @param {string} text - Text from the settings form
+ * @returns {Object} {taxLines, error}
+ */
+function parseTaxLines(text) {
+    const taxLines = [];
+    const rows = text.split('\n').map(row => row.trim()).filter(Boolean);
+
+    for (const row of rows) {
+        const match = row.match(/^(.+?)\s*[:=]\s*([\d.]+)\s*%?$/);
+        const rate = match ? parseFloat(match[2]) : NaN;
+        if (!match || isNaN(rate) || rate <= 0 || rate >= 100) {
+            return { taxLines: [], error: `Tax line "${row}" should look like "VAT: 15" with a rate between 0 and 100` };
+        }
+        taxLines.push({ label: match[1].trim(), rate });
+    }
+
+    return { taxLines, error: null };
+}
+
+/**
+ * Show the next invoice number under the invoice settings
+ */
+function updateNextInvoiceNumber() {
+    document.getElementById('nextInvoiceNumber').textContent = `Next invoice number: ${getNextInvoiceNumber(loadSales())}`;
+}
+
+/**
+ * Collect everything that can appear on a sale's bill
+ * Each row and amount has a key so the bill settings can leave it out.
+ * @param {Object} sale - Sale object
+ * @param {Array} wheels - Array of wheel objects
+ * @returns {Object} {title, invoiceNumber, invoiceDate, status, seller: {name, lines}, sections, amounts, amountInWords, notes}
+ *   sections: Array of {title, rows: [{key, label, value}], photo}; amounts: Array of {key, label, value, total}
+ *   photo: {data, width, height} of the vehicle photo chosen for the bill, on the vehicle section only
+ */
+function buildBillData(sale, wheels) {
+    const settings = getSettings();
+    const wheel = wheels.find(w => w.id === sale.wheelId);
+    const tax = calculateIncludedTax(sale.sellingPrice, sale.taxLines || []);
+
+    // Condition details are only printed when they were recorded
+    const vehicleRows = [
+        { key: 'model', label: 'Model', value: wheel.model },
+        wheel.variant ? { key: 'variant', label: 'Variant', value: wheel.variant } : null,
+        wheel.fuelType ? { key: 'fuelType', label: 'Fuel Type', value: FUEL_TYPES[wheel.fuelType] } : null,
+        { key: 'year', label: 'Year', value: wheel.year },
+        { key: 'color', label: 'Color', value: wheel.color || 'N/A' },
+        { key: 'vehicleNumber', label: 'Vehicle Number', value: wheel.vehicleNumber || 'N/A' },
+        { key: 'chassisNumber', label: 'Chassis Number', value: wheel.chassisNumber || 'N/A' },
+        { key: 'engineNumber', label: 'Engine Number', value: wheel.engineNumber || 'N/A' },
+        formatMileage(wheel.mileage) ? { key: 'mileage', label: 'Mileage', value: formatMileage(wheel.mileage) } : null,
+        wheel.conditionGrade ? { key: 'conditionGrade', label: 'Condition', value: CONDITION_GRADES[wheel.conditionGrade] } : null,
+        typeof wheel.ownerCount === 'number' ? { key: 'ownerCount', label: 'Previous Owners', value: wheel.ownerCount } : null,
+        wheel.registrationExpiry ? { key: 'registrationExpiry', label: 'Registration Expiry', value: formatDate(wheel.registrationExpiry) } : null,
+        wheel.insuranceExpiry ? { key: 'insuranceExpiry', label: 'Insurance Expiry', value: formatDate(wheel.insuranceExpiry) } : null
+    ].filter(Boolean);
+
+    const saleRows = [
+        { key: 'saleDate', label: 'Sale Date', value: formatDate(sale.saleDate) },
+        { key: 'paymentMethod', label: 'Payment Method', value: sale.paymentMethod || 'N/A' }
+    ];
+    if (sale.finance) {
+        saleRows.push({ key: 'finance', label: 'Finance Company', value: sale.finance.company });
+        if (sale.finance.agreementNumber) {
+            saleRows.push({ key: 'finance', label: 'Agreement Number', value: sale.finance.agreementNumber });
+        }
+        saleRows.push({ key: 'finance', label: 'Down Payment', value: formatCurrency(sale.finance.downPayment) });
+        saleRows.push({ key: 'finance', label: 'Amount Financed', value: `${formatCurrency(sale.finance.amountFinanced)} (${sale.finance.termMonths} months @ ${sale.finance.annualRate}% p.a.)` });
+    }
+
+    const amounts = [];
+    if (tax.lines.length > 0) {
+        amounts.push({ key: 'tax', label: 'Amount before tax', value: formatCurrency(tax.netAmount) });
+        tax.lines.forEach(line => {
+            amounts.push({ key: 'tax', label: `${line.label} (${line.rate}%)`, value: formatCurrency(line.amount) });
+        });
+    }
+    amounts.push({ key: 'sellingPrice', label: 'Selling Price', value: formatCurrency(sale.sellingPrice), total: true });
+    if (sale.tradeInWheelId) {
+        amounts.push({ key: 'tradeIn', label: 'Trade-in', value: getTradeInLabel(sale, wheels) });
+    }
+    amounts.push({ key: 'amountPaid', label: 'Amount Paid', value: formatCurrency(getTotalPaid(sale)) });
+    if (getSaleBalance(sale) > 0) {
+        amounts.push({ key: 'balanceDue', label: 'Balance Due', value: `${formatCurrency(getSaleBalance(sale))}${sale.balanceDueDate ? ` by ${formatDate(sale.balanceDueDate)}` : ''}` });
+    }
+
+    return {
+        // Sales recorded before invoice numbering get a plain receipt
+        title: !sale.invoiceNumber ? 'Sale Receipt' : tax.lines.length > 0 ? 'Tax Invoice' : 'Invoice',
+        invoiceNumber: sale.invoiceNumber || '',
+        invoiceDate: formatDate(sale.saleDate),
+        status: sale.reversal ? REVERSAL_TYPES[sale.reversal.type].toUpperCase() : '',
+        seller: {
+            name: settings.businessName,
+            lines: [
+                ...settings.businessAddress.split('\n').map(line => line.trim()).filter(Boolean),
+                settings.businessPhone ? `Phone: ${settings.businessPhone}` : '',
+                settings.registrationNumber ? `Business Reg. No: ${settings.registrationNumber}` : '',
+                settings.taxNumber ? `Tax No: ${settings.taxNumber}` : ''
+            ].filter(Boolean)
+        },
+        sections: [
+            {
+                title: 'Vehicle Information',
+                photo: getBillPhoto(wheel.id),
+                rows: vehicleRows
+            },
+            {
+                title: 'Buyer Information',
+                rows: [
+                    { key: 'buyerName', label: 'Name', value: sale.buyerName || 'N/A' },
+                    { key: 'buyerAddress', label: 'Address', value: sale.buyerAddress || 'N/A' },
+                    { key: 'buyerNIC', label: 'NIC Number', value: sale.buyerNIC || 'N/A' },
+                    { key: 'buyerPhone', label: 'Phone', value: sale.buyerPhone || 'N/A' }
+                ]
+            },
+            { title: 'Sale Information', rows: saleRows }
+        ],
+        amounts,
+        amountInWords: amountToWords(sale.sellingPrice),
+        notes: sale.saleNotes || ''
+    };
+}
+
+// ==================== PDF BILL GENERATION ====================
+
+// Parts of the bill the settings can leave out; everything else is needed on every invoice
+const BILL_OPTIONAL_FIELDS = {
+    variant: 'Variant',
+    fuelType: 'Fuel Type',
+    color: 'Color',
+    chassisNumber: 'Chassis Number',
+    engineNumber: 'Engine Number',
+    mileage: 'Mileage',
+    conditionGrade: 'Condition',
+    ownerCount: 'Previous Owners',
+    registrationExpiry: 'Registration Expiry',
+    insuranceExpiry: 'Insurance Expiry',
+    buyerAddress: 'Buyer Address',
+    buyerNIC: 'Buyer NIC',
+    buyerPhone: 'Buyer Phone',
+    paymentMethod: 'Payment Method',
+    finance: 'Finance Details',
+    tradeIn: 'Trade-in',
+    amountPaid: 'Amount Paid',
+    balanceDue: 'Balance Due',
+    amountInWords: 'Amount in Words',
+    notes: 'Notes',
+    signatures: 'Signature Blocks',
+    vehiclePhoto: 'Vehicle Photo'
+};
+
+// A4 layout for PDF bills in millimetres; content stops at bottom, the footer sits below it
+const BILL_PAGE = { top: 20, bottom: 265, footer: 272, left: 20, right: 190, center: 105, lineHeight: 6 };
+
+/**
+ * Lay out a bill as a list of blocks that both the PDF and the print renderer draw
+ * @param {Object} bill - Bill data from buildBillData()
+ * @param {Object} settings - Shop settings with the logo and bill layout
+ * @returns {Object} {title, blocks, footer}
+ *   blocks: Array of {type, ...} where type is 'header', 'title', 'meta', 'rule', 'heading', 'field', 'photo', 'amount', 'text' or 'signatures'
+ */
+function buildBillDocument(bill, settings) {
+    const shows = key => !settings.billHiddenFields.includes(key);
+
+    const blocks = [
+        {
+            type: 'header',
+            name: bill.seller.name,
+            lines: [...settings.billHeaderText.split('\n').map(line => line.trim()).filter(Boolean), ...bill.seller.lines],
+            logo: settings.logo ? { data: settings.logo, width: settings.logoWidth, height: settings.logoHeight } : null
+        },
+        { type: 'title', text: bill.title },
+        {
+            type: 'meta',
+            left: bill.invoiceNumber ? `Invoice No: ${bill.invoiceNumber}` : '',
+            center: bill.status,
+            right: `Date: ${bill.invoiceDate}`
+        },
+        { type: 'rule' }
+    ];
+
+    bill.sections.forEach(section => {
+        const rows = section.rows.filter(row => shows(row.key));
+        if (rows.length === 0) return;
+        blocks.push({ type: 'heading', text: section.title });
+        rows.forEach(row => blocks.push({ type: 'field', label: row.label, value: String(row.value) }));
+        if (section.photo && shows('vehiclePhoto')) {
+            blocks.push({ type: 'photo', ...section.photo });
+        }
+    });
+
+    blocks.push({ type: 'heading', text: 'Amount' });
+    bill.amounts.filter(amount => shows(amount.key)).forEach(amount => {
+        blocks.push({ type: 'amount', label: amount.label, value: amount.value, total: Boolean(amount.total) });
+    });
+    if (shows('amountInWords')) {
+        blocks.push({ type: 'text', style: 'italic', text: `Amount in words: ${bill.amountInWords}` });
+    }
+    if (bill.notes && shows('notes')) {
+        blocks.push({ type: 'text', style: 'normal', text: `Notes: ${bill.notes}` });
+    }
+
+    if (settings.billTerms.trim()) {
+        blocks.push({ type: 'heading', text: 'Terms & Conditions' });
+        blocks.push({ type: 'text', style: 'small', text: settings.billTerms.trim() });
+    }
+
+    if (shows('signatures')) {
+        blocks.push({ type: 'signatures', labels: ['Seller\'s Signature', 'Buyer\'s Signature'] });
+    }
+
+    return {
+        title: `${bill.title}${bill.invoiceNumber ? ` ${bill.invoiceNumber}` : ''} - ${bill.seller.name}`,
+        blocks,
+        footer: [settings.billFooterText, `Generated on: ${formatDate(getTodayDate())}`].filter(Boolean)
+    };
+}
+
+/**
+ * Draw a bill document into a PDF
+ * Long text wraps within the margins and a new page starts whenever a block would reach the footer.
+ * @param {Object} billDocument - Document from buildBillDocument()
+ * @returns {Object} jsPDF document
+ */
+function renderBillPDF(billDocument) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const { top, bottom, left, right, center, lineHeight } = BILL_PAGE;
+    const width = right - left;
+    let yPos = top;
+
+    const setStyle = (size, style) => {
+        doc.setFontSize(size);
+        doc.setFont(undefined, style);
+    };
+    const ensureSpace = height => {
+        if (yPos + height > bottom) {
+            doc.addPage();
+            yPos = top;
+        }
+    };
+
+    billDocument.blocks.forEach(block => {
+        switch (block.type) {
+            case 'header': {
+                // The logo sits on the left, so centred text is kept clear of it
+                const textWidth = block.logo ? width - 60 : width;
+                let logoBottom = yPos;
+                if (block.logo) {
+                    const scale = Math.min(30 / block.logo.width, 30 / block.logo.height);
+                    const format = block.logo.data.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+                    doc.addImage(block.logo.data, format, left, yPos - 7, block.logo.width * scale, block.logo.height * scale);
+                    logoBottom = yPos - 7 + block.logo.height * scale;
+                }
+                setStyle(20, 'bold');
+                const nameLines = doc.splitTextToSize(block.name, textWidth);
+                doc.text(nameLines, center, yPos, { align: 'center' });
+                yPos += nameLines.length * 8 - 1;
+                setStyle(10, 'normal');
+                block.lines.forEach(line => {
+                    doc.splitTextToSize(line, textWidth).forEach(part => {
+                        doc.text(part, center, yPos, { align: 'center' });
+                        yPos += 5;
+                    });
+                });
+                yPos = Math.max(yPos, logoBottom + 5) + 3;
+                break;
+            }
+            case 'title':
+                ensureSpace(10);
+                setStyle(14, 'bold');
+                doc.text(block.text, center, yPos, { align: 'center' });
+                yPos += 8;
+                break;
+            case 'meta':
+                ensureSpace(8);
+                setStyle(11, 'normal');
+                if (block.left) doc.text(block.left, left, yPos);
+                doc.text(block.right, right, yPos, { align: 'right' });
+                if (block.center) {
+                    setStyle(11, 'bold');
+                    doc.text(block.center, center, yPos, { align: 'center' });
+                }
+                yPos += 4;
+                break;
+            case 'rule':
+                doc.line(left, yPos, right, yPos);
+                yPos += 8;
+                break;
+            case 'heading':
+                // Keep a heading on the same page as at least its first line
+                ensureSpace(18);
+                yPos += 2;
+                setStyle(13, 'bold');
+                doc.text(block.text, left, yPos);
+                yPos += 7;
+                break;
+            case 'field': {
+                setStyle(11, 'normal');
+                const lines = doc.splitTextToSize(`${block.label}: ${block.value}`, width);
+                ensureSpace(lines.length * lineHeight);
+                doc.text(lines, left, yPos);
+                yPos += lines.length * lineHeight;
+                break;
+            }
+            case 'photo': {
+                // At most 80 x 60 mm, keeping the photo's shape
+                const scale = Math.min(80 / block.width, 60 / block.height);
+                ensureSpace(block.height * scale + 4);
+                doc.addImage(block.data, 'JPEG', left, yPos, block.width * scale, block.height * scale);
+                yPos += block.height * scale + 4;
+                break;
+            }
+            case 'amount': {
+                setStyle(block.total ? 12 : 11, block.total ? 'bold' : 'normal');
+                const labelLines = doc.splitTextToSize(block.label, width * 0.5);
+                const valueLines = doc.splitTextToSize(block.value, width * 0.5);
+                const height = Math.max(labelLines.length, valueLines.length) * lineHeight;
+                ensureSpace(height);
+                doc.text(labelLines, left, yPos);
+                doc.text(valueLines, right, yPos, { align: 'right' });
+                yPos += height + (block.total ? 2 : 0);
+                break;
+            }
+            case 'text': {
+                setStyle(block.style === 'small' ? 9 : 10, block.style === 'italic' ? 'italic' : 'normal');
+                const lines = block.text.split('\n').flatMap(paragraph => doc.splitTextToSize(paragraph, width));
+                // Line by line, so long terms carry on over the next page
+                lines.forEach(line => {
+                    ensureSpace(5);
+                    doc.text(line, left, yPos);
+                    yPos += 5;
+                });
+                yPos += 3;
+                break;
+            }
+            case 'signatures':
+                ensureSpace(32);
+                yPos += 22;
+                doc.line(left, yPos, left + 60, yPos);
+                doc.line(right - 60, yPos, right, yPos);
+                setStyle(10, 'normal');
+                doc.text(block.labels[0], left + 30, yPos + 5, { align: 'center' });
+                doc.text(block.labels[1], right - 30, yPos + 5, { align: 'center' });
+                yPos += 10;
+                break;
+        }
+    });
+
+    // Footer and page numbers on every page
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.line(left, BILL_PAGE.footer, right, BILL_PAGE.footer);
+        setStyle(9, 'italic');
+        const lines = billDocument.footer.flatMap(line => doc.splitTextToSize(line, width));
+        if (pageCount > 1) {
+            lines.push(`Page ${page} of ${pageCount}`);
+        }
+        lines.forEach((line, i) => {
+            doc.text(line, center, BILL_PAGE.footer + 6 + i * 4.5, { align: 'center' });
+        });
+    }
+
+    return doc;
+}
+
+/**
+ * Turn a bill document into a printable HTML page
+ * @param {Object} billDocument - Document from buildBillDocument()
+ * @returns {string} Complete HTML document
+ */
+function renderBillHTML(billDocument) {
+    const text = value => escapeHTML(value).replace(/\n/g, '<br>');
+
+    const body = billDocument.blocks.map(block => {
+        switch (block.type) {
+            case 'header':
+                return `
+            <div class="header">
+                ${block.logo ? `<img class="logo" src="${block.logo.data}" alt="">` : ''}
+                <h1>${text(block.name)}</h1>
+                ${block.lines.map(line => `<p class="seller-line">${text(line)}</p>`).join('')}
+            </div>`;
+            case 'title':
+                return `<h2 class="title">${text(block.text)}</h2>`;
+            case 'meta':
+                return `
+            <div class="invoice-meta">
+                <span>${text(block.left)}</span>
+                <span class="status">${text(block.center)}</span>
+                <span>${text(block.right)}</span>
+            </div>`;
+            case 'rule':
+                return '<hr>';
+            case 'heading':
+                return `<div class="section-title">${text(block.text)}</div>`;
+            case 'field':
+                return `<div class="info-row"><strong>${text(block.label)}:</strong> ${text(block.value)}</div>`;
+            case 'photo':
+                return `<div class="vehicle-photo"><img src="${block.data}" alt=""></div>`;
+            case 'amount':
+                return `<div class="amount-row${block.total ? ' price' : ''}"><span>${text(block.label)}</span><span>${text(block.value)}</span></div>`;
+            case 'text':
+                return `<div class="text ${block.style}">${text(block.text)}</div>`;
+            case 'signatures':
+                return `
+            <div class="signatures">
+                ${block.labels.map(label => `<div class="signature">${text(label)}</div>`).join('')}
+            </div>`;
+            default:
+                return '';
+        }
+    }).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>${text(billDocument.title)}</title>
+            <style>
+                body {
+                    font-family: Arial, sans-serif;
+                    padding: 40px;
+                    max-width: 800px;
+                    margin: 0 auto;
+                }
+                .header {
+                    text-align: center;
+                    position: relative;
+                    min-height: 60px;
+                }
+                .header .logo {
+                    position: absolute;
+                    left: 0;
+                    top: 0;
+                    max-width: 110px;
+                    max-height: 110px;
+                }
+                .header h1 {
+                    color: #1e3c72;
+                    margin: 0;
+                    font-size: 28px;
+                }
+                .seller-line {
+                    margin: 4px 0;
+                    font-size: 13px;
+                }
+                .title {
+                    text-align: center;
+                    margin: 15px 0 10px;
+                    font-size: 20px;
+                }
+                .invoice-meta {
+                    display: flex;
+                    justify-content: space-between;
+                    font-size: 14px;
+                }
+                .status {
+                    font-weight: bold;
+                    color: #c0392b;
+                }
+                hr {
+                    border: none;
+                    border-top: 3px solid #1e3c72;
+                    margin: 15px 0 20px;
+                }
+                .section-title {
+                    font-size: 16px;
+                    font-weight: bold;
+                    color: #1e3c72;
+                    margin: 20px 0 10px;
+                    border-bottom: 2px solid #2a5298;
+                    padding-bottom: 5px;
+                    page-break-after: avoid;
+                }
+                .info-row {
+                    margin: 8px 0;
+                    font-size: 14px;
+                }
+                .vehicle-photo img {
+                    max-width: 300px;
+                    max-height: 225px;
+                    margin: 8px 0;
+                }
+                .amount-row {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 20px;
+                    margin: 8px 0;
+                    font-size: 14px;
+                }
+                .amount-row span:last-child {
+                    text-align: right;
+                }
+                .price {
+                    font-size: 18px;
+                    font-weight: bold;
+                    color: #1e3c72;
+                }
+                .text {
+                    font-size: 14px;
+                    margin: 10px 0;
+                }
+                .text.italic {
+                    font-style: italic;
+                    font-size: 13px;
+                }
+                .text.small {
+                    font-size: 12px;
+                }
+                .signatures {
+                    display: flex;
+                    justify-content: space-between;
+                    margin-top: 70px;
+                    page-break-inside: avoid;
+                }
+                .signature {
+                    width: 40%;
+                    border-top: 1px solid #333;
+                    padding-top: 5px;
+                    text-align: center;
+                    font-size: 13px;
+                }
+                .footer {
+                    margin-top: 40px;
+                    padding-top: 20px;
+                    border-top: 2px solid #ccc;
+                    text-align: center;
+                    font-style: italic;
+                    color: #666;
+                }
+            </style>
+        </head>
+        <body>
+            ${body}
+            
+            <div class="footer">
+                ${billDocument.footer.map(line => `<p>${text(line)}</p>`).join('')}
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Generate bill for a sale
+ * @param {string} saleId - Sale ID to generate bill for
+ */
+function generateBill(saleId) {
+    const sales = loadSales();
+    const wheels = loadWheels();
+    const sale = sales.find(s => s.id === saleId);
+    
+    if (!sale) {
+        showAlert('Sale not found');
+        return;
+    }
+    
+    const wheel = wheels.find(w => w.id === sale.wheelId);
+    if (!wheel) {
+        showAlert('Wheel information not found');
+        return;
+    }
+    
+    // Store current sale for bill generation
+    saveCurrentSale(sale);
+    
+    // Show bill section
+    document.getElementById('billSection').style.display = 'block';
+    document.getElementById('billSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Download bill as PDF
+ */
+function downloadBillPDF() {
+    const selectedSale = loadCurrentSale();
+    if (!selectedSale) {
+        showAlert('No sale selected for bill generation');
+        return;
+    }
     
-    doc.setFontSize(11);
-    doc.setFont(undefined, 'normal');
-    doc.text(`Sale Date: ${formatDate(sale.saleDate)}`, 20, yPos);
-    yPos += 7;
-    doc.text(`Payment Method: ${sale.paymentMethod || 'N/A'}`, 20, yPos);
-    yPos += 7;
+    // Re-read the sale so payments recorded since it was selected are included
+    const sale = loadSales().find(s => s.id === selectedSale.id) || selectedSale;
+    const wheels = loadWheels();
+    const wheel = wheels.find(w => w.id === sale.wheelId);
     
-    // Selling Price (highlighted)
-    doc.setFontSize(14);
-    doc.setFont(undefined, 'bold');
-    doc.text(`Selling Price: ${formatCurrency(sale.sellingPrice)}`, 20, yPos);
-    yPos += 10;
+    if (!wheel) {
+        showAlert('Wheel information not found');
+        return;
+    }
     
-    // Notes
-    if (sale.saleNotes) {
-        doc.setFontSize(11);
-        doc.setFont(undefined, 'normal');
-        doc.text(`Notes: ${sale.saleNotes}`, 20, yPos);
-        yPos += 10;
+    // Check if jsPDF is available
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
     }
     
-    // Footer
-    yPos = 270;
-    doc.line(20, yPos, 190, yPos);
-    yPos += 10;
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'italic');
-    doc.text('Thank you for your business with Afnan Motors!', 105, yPos, { align: 'center' });
-    doc.text(`Generated on: ${formatDate(getTodayDate())}`, 105, yPos + 7, { align: 'center' });
+    const bill = buildBillData(sale, wheels);
+    const doc = renderBillPDF(buildBillDocument(bill, getSettings()));
     
     // Download PDF
-    const fileName = `Bill_${sale.buyerName.replace(/\s+/g, '_')}_${sale.saleDate}.pdf`;
+    const fileName = bill.invoiceNumber
+        ? `Invoice_${bill.invoiceNumber.replace(/[^\w-]+/g, '_')}_${sale.buyerName.replace(/\s+/g, '_')}.pdf`
+        : `Bill_${sale.buyerName.replace(/\s+/g, '_')}_${sale.saleDate}.pdf`;
     doc.save(fileName);
     
     showAlert('Bill downloaded successfully');
@@ -1021,13 +10881,14 @@ function downloadBillPDF() {
  * Print bill
  */
 function printBill() {
-    const saleData = localStorage.getItem('threeWheel_currentSale');
-    if (!saleData) {
+    const selectedSale = loadCurrentSale();
+    if (!selectedSale) {
         showAlert('No sale selected for bill generation');
         return;
     }
     
-    const sale = JSON.parse(saleData);
+    // Re-read the sale so payments recorded since it was selected are included
+    const sale = loadSales().find(s => s.id === selectedSale.id) || selectedSale;
     const wheels = loadWheels();
     const wheel = wheels.find(w => w.id === sale.wheelId);
     
@@ -1036,104 +10897,9 @@ function printBill() {
         return;
     }
     
-    // Create printable HTML
+    // Create printable HTML from the same layout as the PDF
     const printWindow = window.open('', '_blank');
-    const storeName = 'Afnan Motors';
-    
-    printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Bill - ${storeName}</title>
-            <style>
-                body {
-                    font-family: Arial, sans-serif;
-                    padding: 40px;
-                    max-width: 800px;
-                    margin: 0 auto;
-                }
-                .header {
-                    text-align: center;
-                    border-bottom: 3px solid #1e3c72;
-                    padding-bottom: 20px;
-                    margin-bottom: 30px;
-                }
-                .header h1 {
-                    color: #1e3c72;
-                    margin: 0;
-                    font-size: 28px;
-                }
-                .section {
-                    margin-bottom: 25px;
-                }
-                .section-title {
-                    font-size: 16px;
-                    font-weight: bold;
-                    color: #1e3c72;
-                    margin-bottom: 10px;
-                    border-bottom: 2px solid #2a5298;
-                    padding-bottom: 5px;
-                }
-                .info-row {
-                    margin: 8px 0;
-                    font-size: 14px;
-                }
-                .price {
-                    font-size: 18px;
-                    font-weight: bold;
-                    color: #1e3c72;
-                    margin-top: 10px;
-                }
-                .footer {
-                    margin-top: 40px;
-                    padding-top: 20px;
-                    border-top: 2px solid #ccc;
-                    text-align: center;
-                    font-style: italic;
-                    color: #666;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>${storeName}</h1>
-                <p>Billing & Inventory Management</p>
-                <p><strong>Sale Receipt</strong></p>
-            </div>
-            
-            <div class="section">
-                <div class="section-title">Vehicle Information</div>
-                <div class="info-row"><strong>Model:</strong> ${wheel.model}</div>
-                <div class="info-row"><strong>Year:</strong> ${wheel.year}</div>
-                <div class="info-row"><strong>Color:</strong> ${wheel.color || 'N/A'}</div>
-                <div class="info-row"><strong>Vehicle Number:</strong> ${wheel.vehicleNumber || 'N/A'}</div>
-                <div class="info-row"><strong>Chassis Number:</strong> ${wheel.chassisNumber || 'N/A'}</div>
-                <div class="info-row"><strong>Engine Number:</strong> ${wheel.engineNumber || 'N/A'}</div>
-            </div>
-            
-            <div class="section">
-                <div class="section-title">Buyer Information</div>
-                <div class="info-row"><strong>Name:</strong> ${sale.buyerName || 'N/A'}</div>
-                <div class="info-row"><strong>Address:</strong> ${sale.buyerAddress || 'N/A'}</div>
-                <div class="info-row"><strong>NIC Number:</strong> ${sale.buyerNIC || 'N/A'}</div>
-                <div class="info-row"><strong>Phone:</strong> ${sale.buyerPhone || 'N/A'}</div>
-            </div>
-            
-            <div class="section">
-                <div class="section-title">Sale Information</div>
-                <div class="info-row"><strong>Sale Date:</strong> ${formatDate(sale.saleDate)}</div>
-                <div class="info-row"><strong>Payment Method:</strong> ${sale.paymentMethod || 'N/A'}</div>
-                <div class="price">Selling Price: ${formatCurrency(sale.sellingPrice)}</div>
-                ${sale.saleNotes ? `<div class="info-row" style="margin-top: 10px;"><strong>Notes:</strong> ${sale.saleNotes}</div>` : ''}
-            </div>
-            
-            <div class="footer">
-                <p>Thank you for your business!</p>
-                <p>Generated on: ${formatDate(getTodayDate())}</p>
-            </div>
-        </body>
-        </html>
-    `);
+    printWindow.document.write(renderBillHTML(buildBillDocument(buildBillData(sale, wheels), getSettings())));
     
     printWindow.document.close();
     printWindow.focus();
@@ -1144,56 +10910,571 @@ function printBill() {
     }, 250);
 }
 
+// ==================== OWNERSHIP TRANSFER ====================
+
+// Documents in the transfer pack, in the order they are handed over
+const TRANSFER_DOCUMENTS = {
+    agreement: 'Sale Agreement',
+    delivery: 'Delivery Note',
+    transfer: 'Transfer of Ownership Letter'
+};
+
+let currentTransferSaleId = null;
+
+/**
+ * Check whether a sale still needs its registration transferred
+ * Voided, returned and deleted sales never need one, and sales from before transfers were tracked are not chased.
+ * @param {Object} sale - Sale object
+ * @param {string} [asOfDate] - Look at the transfer as it stood on this date (YYYY-MM-DD)
+ * @returns {boolean} True if the transfer is outstanding
+ */
+function isTransferPending(sale, asOfDate) {
+    if (!isActiveSale(sale) || sale.transfer.status === 'untracked') return false;
+    if (sale.transfer.status !== 'completed') return true;
+    return Boolean(asOfDate) && sale.transfer.completedDate > asOfDate;
+}
+
+/**
+ * Describe a sale's transfer for the sales list
+ * @param {Object} sale - Sale object
+ * @returns {string} e.g. "Completed 5 Mar 2024 (ref. MT-4411)", "Pending" or "Not tracked"
+ */
+function getTransferLabel(sale) {
+    const { status, completedDate, reference } = sale.transfer;
+    if (status === 'untracked') return 'Not tracked';
+    if (status !== 'completed') return 'Pending';
+    return `Completed ${formatDate(completedDate)}${reference ? ` (ref. ${reference})` : ''}`;
+}
+
+/**
+ * Show the transfer form for a sale
+ * @param {string} saleId - Sale ID
+ */
+function viewTransfer(saleId) {
+    const sale = loadSales().find(s => s.id === saleId);
+    if (!sale || !isActiveSale(sale)) {
+        showAlert('Transfers are only tracked for active sales');
+        return;
+    }
+
+    currentTransferSaleId = saleId;
+    const wheel = loadWheels().find(w => w.id === sale.wheelId);
+    document.getElementById('transferSummary').innerHTML = `
+        <div><strong>${wheel ? `${wheel.model} (${wheel.year})` : 'Unknown Wheel'}</strong> | ${wheel ? wheel.vehicleNumber || 'N/A' : 'N/A'}</div>
+        <div>Buyer: ${sale.buyerName} | NIC: ${sale.buyerNIC || 'N/A'} | Sale Date: ${formatDate(sale.saleDate)}</div>
+        <div>Transfer: ${getTransferLabel(sale)}${sale.transfer.recordedBy ? ` | Recorded by: ${sale.transfer.recordedBy}` : ''}</div>
+    `;
+    document.getElementById('transferDate').value = sale.transfer.completedDate || getTodayDate();
+    document.getElementById('transferReference').value = sale.transfer.reference;
+    document.getElementById('reopenTransferBtn').style.display = sale.transfer.status === 'completed' ? '' : 'none';
+
+    const section = document.getElementById('transferSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Hide the transfer form
+ */
+function closeTransfer() {
+    currentTransferSaleId = null;
+    document.getElementById('transferSection').style.display = 'none';
+}
+
+/**
+ * Record that the registration has been transferred to the buyer
+ * @param {Event} e - Form submit event
+ */
+function handleTransferSubmit(e) {
+    e.preventDefault();
+
+    if (!currentUser) {
+        showLoginScreen();
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, currentTransferSaleId);
+    if (!sale || !isActiveSale(sale)) {
+        showAlert('No active sale selected');
+        return;
+    }
+
+    const completedDate = document.getElementById('transferDate').value;
+    const reference = document.getElementById('transferReference').value.trim();
+
+    if (!completedDate || completedDate < sale.saleDate) {
+        showAlert('The transfer date cannot be before the sale date');
+        return;
+    }
+
+    if (completedDate > getTodayDate()) {
+        showAlert('The transfer date cannot be in the future');
+        return;
+    }
+
+    sale.transfer = { status: 'completed', completedDate, reference, recordedBy: currentUser.name };
+    saveSales(sales);
+
+    closeTransfer();
+    showAlert('Transfer recorded successfully');
+
+    renderSales();
+    renderReport();
+}
+
+/**
+ * Put a completed transfer back to pending, e.g. when it was marked on the wrong sale
+ */
+function reopenTransfer() {
+    if (!currentUser) {
+        showLoginScreen();
+        return;
+    }
+
+    const sales = loadSales();
+    const sale = editRecord(sales, currentTransferSaleId);
+    if (!sale || sale.transfer.status !== 'completed') {
+        showAlert('No completed transfer selected');
+        return;
+    }
+
+    if (!confirmAction('Mark this transfer as pending again?')) {
+        return;
+    }
+
+    sale.transfer = { status: 'pending', completedDate: '', reference: '', recordedBy: '' };
+    saveSales(sales);
+
+    closeTransfer();
+    showAlert('Transfer marked as pending');
+
+    renderSales();
+    renderReport();
+}
+
+/**
+ * Render sales whose registration had not been transferred as at the report "To Date"
+ * @param {Array} sales - All sale objects
+ * @param {Array} wheels - All wheel objects
+ * @param {string} toDate - Report end date (YYYY-MM-DD), or empty for today
+ */
+function renderPendingTransfers(sales, wheels, toDate) {
+    const asOfDate = toDate || getTodayDate();
+    const pending = sales
+        .filter(sale => sale.saleDate <= asOfDate && isTransferPending(sale, asOfDate))
+        .sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+
+    const tbody = document.getElementById('pendingTransfersBody');
+    const tfoot = document.getElementById('pendingTransfersFooter');
+
+    if (pending.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px; color: #999;">No pending ownership transfers</td></tr>';
+        tfoot.innerHTML = '';
+        return;
+    }
+
+    tbody.innerHTML = pending.map(sale => {
+        const wheel = wheels.find(w => w.id === sale.wheelId);
+        return `
+            <tr>
+                <td>${formatDate(sale.saleDate)}</td>
+                <td>${sale.invoiceNumber || 'N/A'}</td>
+                <td>${wheel ? wheel.vehicleNumber || 'N/A' : 'N/A'}</td>
+                <td>${sale.buyerName}</td>
+                <td>${sale.buyerPhone || 'N/A'}</td>
+                <td>${daysBetween(sale.saleDate, asOfDate)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    tfoot.innerHTML = `
+        <tr>
+            <td colspan="6"><strong>Pending Transfers (${pending.length})</strong></td>
+        </tr>
+    `;
+}
+
+/**
+ * Lay out one document of the transfer pack in the same block format as bills
+ * @param {string} type - Key of TRANSFER_DOCUMENTS
+ * @param {Object} sale - Sale object
+ * @param {Array} wheels - All wheel objects
+ * @param {Object} settings - Shop settings
+ * @returns {Object} {title, blocks, footer} for renderBillPDF()
+ */
+function buildTransferDocument(type, sale, wheels, settings) {
+    const bill = buildBillData(sale, wheels);
+    const wheel = wheels.find(w => w.id === sale.wheelId);
+    const title = TRANSFER_DOCUMENTS[type];
+    const vehicle = `${wheel.model} (${wheel.year}), vehicle number ${wheel.vehicleNumber || 'N/A'}, chassis number ${wheel.chassisNumber || 'N/A'}, engine number ${wheel.engineNumber || 'N/A'}`;
+    const [vehicleSection, buyerSection] = bill.sections;
+
+    const blocks = [
+        {
+            type: 'header',
+            name: bill.seller.name,
+            lines: bill.seller.lines,
+            logo: settings.logo ? { data: settings.logo, width: settings.logoWidth, height: settings.logoHeight } : null
+        },
+        { type: 'title', text: title },
+        {
+            type: 'meta',
+            left: sale.invoiceNumber ? `Invoice No: ${sale.invoiceNumber}` : '',
+            center: '',
+            right: `Date: ${formatDate(sale.saleDate)}`
+        },
+        { type: 'rule' }
+    ];
+    const addSection = section => {
+        blocks.push({ type: 'heading', text: section.title });
+        section.rows.forEach(row => blocks.push({ type: 'field', label: row.label, value: String(row.value) }));
+    };
+
+    if (type === 'agreement') {
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: `This agreement is made on ${formatDate(sale.saleDate)} between ${bill.seller.name} (the seller) and ${sale.buyerName}, NIC ${sale.buyerNIC || 'N/A'} (the buyer), for the sale of the vehicle described below.`
+        });
+        addSection(vehicleSection);
+        addSection(buyerSection);
+        blocks.push({ type: 'heading', text: 'Price and Payment' });
+        bill.amounts.forEach(amount => {
+            blocks.push({ type: 'amount', label: amount.label, value: amount.value, total: Boolean(amount.total) });
+        });
+        blocks.push({ type: 'field', label: 'Payment Method', value: sale.paymentMethod });
+        if (sale.finance) {
+            blocks.push({ type: 'field', label: 'Finance Company', value: `${sale.finance.company}${sale.finance.agreementNumber ? `, agreement ${sale.finance.agreementNumber}` : ''}` });
+        }
+        blocks.push({ type: 'text', style: 'italic', text: `Amount in words: ${bill.amountInWords}` });
+        blocks.push({ type: 'heading', text: 'Terms' });
+        blocks.push({
+            type: 'text',
+            style: 'small',
+            text: [
+                '1. The seller declares that it is entitled to sell the vehicle and that the chassis and engine numbers above match the registration documents.',
+                '2. The buyer has inspected the vehicle and accepts it in its present condition.',
+                '3. The seller will sign the documents needed to register the vehicle in the buyer\'s name.',
+                '4. From the date of delivery the buyer is responsible for the vehicle, its use and any fines incurred with it.',
+                settings.billTerms.trim()
+            ].filter(Boolean).join('\n')
+        });
+        blocks.push({ type: 'signatures', labels: ['Seller\'s Signature', 'Buyer\'s Signature'] });
+    } else if (type === 'delivery') {
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: `The vehicle below was delivered to ${sale.buyerName} on ${formatDate(sale.saleDate)}.`
+        });
+        addSection(vehicleSection);
+        addSection(buyerSection);
+        blocks.push({ type: 'heading', text: 'Received With the Vehicle' });
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: ['[  ] Keys', '[  ] Registration certificate', '[  ] Revenue licence', '[  ] Insurance certificate', '[  ] Tool kit'].join('\n')
+        });
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: 'The buyer confirms receiving the vehicle and the items ticked above in good order.'
+        });
+        blocks.push({ type: 'signatures', labels: ['Delivered By', 'Received By (Buyer)'] });
+    } else {
+        blocks.push({ type: 'field', label: 'To', value: 'The Registering Authority for Motor Vehicles' });
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: `We, ${bill.seller.name}, sold the vehicle ${vehicle} to ${sale.buyerName}, NIC ${sale.buyerNIC || 'N/A'}, of ${sale.buyerAddress || 'N/A'}, on ${formatDate(sale.saleDate)}.`
+        });
+        blocks.push({
+            type: 'text',
+            style: 'normal',
+            text: 'We request that the vehicle be registered in the name of the buyer and confirm that we have no further claim to it.'
+        });
+        addSection(vehicleSection);
+        addSection(buyerSection);
+        if (sale.finance) {
+            blocks.push({
+                type: 'text',
+                style: 'italic',
+                text: `The vehicle is financed by ${sale.finance.company}${sale.finance.agreementNumber ? ` under agreement ${sale.finance.agreementNumber}` : ''}, to be recorded as absolute owner where required.`
+            });
+        }
+        blocks.push({ type: 'signatures', labels: ['Seller (Transferor)', 'Buyer (Transferee)'] });
+    }
+
+    return {
+        title: `${title}${sale.invoiceNumber ? ` ${sale.invoiceNumber}` : ''} - ${bill.seller.name}`,
+        blocks,
+        footer: [`Generated on: ${formatDate(getTodayDate())}`]
+    };
+}
+
+/**
+ * Download transfer pack documents for the sale selected for bill generation
+ * @param {string} [type] - Key of TRANSFER_DOCUMENTS, or omitted for the whole pack
+ */
+function downloadTransferDocuments(type) {
+    const selectedSale = loadCurrentSale();
+    if (!selectedSale) {
+        showAlert('No sale selected for bill generation');
+        return;
+    }
+
+    const sale = loadSales().find(s => s.id === selectedSale.id) || selectedSale;
+    const wheels = loadWheels();
+    if (!wheels.some(w => w.id === sale.wheelId)) {
+        showAlert('Wheel information not found');
+        return;
+    }
+
+    if (typeof window.jspdf === 'undefined') {
+        showAlert('PDF library not loaded. Please refresh the page.');
+        return;
+    }
+
+    const settings = getSettings();
+    const types = type ? [type] : Object.keys(TRANSFER_DOCUMENTS);
+    const reference = (sale.invoiceNumber || sale.saleDate).replace(/[^\w-]+/g, '_');
+    types.forEach(documentType => {
+        const doc = renderBillPDF(buildTransferDocument(documentType, sale, wheels, settings));
+        doc.save(`${TRANSFER_DOCUMENTS[documentType].replace(/\s+/g, '_')}_${reference}_${sale.buyerName.replace(/\s+/g, '_')}.pdf`);
+    });
+
+    showAlert(types.length > 1 ? 'Transfer documents downloaded successfully' : `${TRANSFER_DOCUMENTS[type]} downloaded successfully`);
+}
+
 // ==================== INITIALIZATION ====================
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
+    // Load stored data into memory before anything renders
+    try {
+        await initStorage();
+    } catch (error) {
+        console.error('Storage initialization error:', error);
+        showAlert('Could not load saved data. Please refresh the page.');
+        return;
+    }
+
     // Check if data exists, if not seed demo data
     const wheels = loadWheels();
     if (wheels.length === 0) {
-        seedDemoData();
+        runWithoutRecordAudit(seedDemoData);
+        logAuditEvent('reset', 'Demo data loaded', 'No saved data was found, so the demo data was loaded');
     }
+    runStoredDataMigrations();
+    migrateLegacySettings();
+    applyBusinessProfile();
+
+    // Set up login and user accounts
+    document.getElementById('loginForm').addEventListener('submit', handleLoginSubmit);
+    document.getElementById('setupForm').addEventListener('submit', handleSetupSubmit);
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+    document.getElementById('userForm').addEventListener('submit', handleUserSubmit);
+    document.getElementById('cancelUserBtn').addEventListener('click', resetUserForm);
+
+    // Set up inventory and sales list filters
+    ['inventoryStatus', 'inventoryMake', 'inventoryYearFrom', 'inventoryYearTo', 'inventoryMinCost', 'inventoryMaxCost', 'inventorySort', 'inventoryPageSize'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => goToListPage('inventory', 1));
+    });
+    document.getElementById('inventorySearch').addEventListener('input', () => goToListPage('inventory', 1));
+    ['salesStatus', 'salesPaymentMethod', 'salesYearFrom', 'salesYearTo', 'salesMinPrice', 'salesMaxPrice', 'salesSort', 'salesPageSize'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => goToListPage('sales', 1));
+    });
+    document.getElementById('salesSearch').addEventListener('input', () => goToListPage('sales', 1));
+
+    // Set up audit log filters
+    ['auditEntityFilter', 'auditActionFilter', 'auditUserFilter', 'auditFromDate', 'auditToDate'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderAuditLog);
+    });
+    document.getElementById('auditSearch').addEventListener('input', renderAuditLog);
 
-    // Set up admin toggle
-    const adminToggle = document.getElementById('adminToggle');
-    adminToggle.checked = getAdminToggle();
-    adminToggle.addEventListener('change', handleAdminToggle);
+    // Set up data quality check
+    document.getElementById('runDataQualityBtn').addEventListener('click', renderDataQualityReport);
 
     // Set up wheel form
     document.getElementById('wheelForm').addEventListener('submit', handleWheelSubmit);
     document.getElementById('cancelWheelBtn').addEventListener('click', resetWheelForm);
+    ['wheel', 'tradeIn'].forEach(prefix => {
+        document.getElementById(`${prefix}Make`).addEventListener('change', () => updateCatalogueModelOptions(prefix));
+        document.getElementById(`${prefix}Model`).addEventListener('change', () => updateCatalogueVariantOptions(prefix));
+    });
+    document.getElementById('wheelMake').addEventListener('change', updateWheelPriceSuggestion);
+    document.getElementById('wheelModel').addEventListener('change', updateWheelPriceSuggestion);
+    document.getElementById('year').addEventListener('input', updateWheelPriceSuggestion);
+
+    document.getElementById('expenseForm').addEventListener('submit', handleExpenseSubmit);
+
+    // Set up photo and document attachments
+    document.getElementById('attachmentForm').addEventListener('submit', handleAttachmentSubmit);
+    document.getElementById('closeAttachmentsBtn').addEventListener('click', closeAttachments);
+    document.getElementById('closeAttachmentViewerBtn').addEventListener('click', closeAttachmentViewer);
 
     // Set up sale form
     document.getElementById('saleForm').addEventListener('submit', handleSaleSubmit);
     document.getElementById('saleDate').value = getTodayDate();
+    document.getElementById('paymentMethod').addEventListener('change', toggleFinanceFields);
+    document.getElementById('sellingPrice').addEventListener('input', updateAmountFinanced);
+    document.getElementById('sellingPrice').addEventListener('input', renderSalePricing);
+    document.getElementById('downPayment').addEventListener('input', updateAmountFinanced);
+    document.getElementById('tradeInToggle').addEventListener('change', toggleTradeInFields);
+
+    // Set up wheel picker
+    const wheelSearch = document.getElementById('wheelSearch');
+    wheelSearch.addEventListener('input', () => {
+        // Typing replaces any earlier choice
+        document.getElementById('wheelSelect').value = '';
+        renderWheelPickerResults();
+    });
+    wheelSearch.addEventListener('focus', renderWheelPickerResults);
+    wheelSearch.addEventListener('keydown', handleWheelPickerKeydown);
+    wheelSearch.addEventListener('blur', () => {
+        document.getElementById('wheelPickerResults').style.display = 'none';
+    });
+    document.getElementById('wheelPickerResults').addEventListener('mousedown', e => {
+        // mousedown rather than click, so the search box keeps focus until the choice is made
+        e.preventDefault();
+        const option = e.target.closest('.wheel-picker-option');
+        if (option) selectPickerWheel(option.dataset.wheelId);
+    });
+
+    document.getElementById('buyerNIC').addEventListener('change', handleBuyerNICLookup);
+
+    // Set up customers
+    document.getElementById('customerSearch').addEventListener('input', renderCustomers);
+    document.getElementById('customerForm').addEventListener('submit', handleCustomerSubmit);
+    document.getElementById('closeCustomerBtn').addEventListener('click', closeCustomerProfile);
+    document.getElementById('mergeCustomersBtn').addEventListener('click', mergeCustomers);
+
+    // Set up payment ledger
+    document.getElementById('paymentForm').addEventListener('submit', handlePaymentSubmit);
+
+    // Set up finance settlement
+    document.getElementById('recordSettlementBtn').addEventListener('click', recordFinanceSettlement);
+
+    // Set up voids and returns
+    document.getElementById('reversalForm').addEventListener('submit', handleReversalSubmit);
+    document.getElementById('reversalType').addEventListener('change', toggleRefundField);
+    document.getElementById('cancelReversalBtn').addEventListener('click', closeSaleReversal);
 
     // Set up report filters
     document.getElementById('filterReportBtn').addEventListener('click', filterReport);
     document.getElementById('exportCSVBtn').addEventListener('click', exportToCSV);
+    document.getElementById('exportPDFBtn').addEventListener('click', exportReportPDF);
+    document.getElementById('closingReportBtn').addEventListener('click', exportDailyClosingPDF);
+    document.getElementById('closingDate').value = getTodayDate();
+    document.getElementById('exportAgingCSVBtn').addEventListener('click', exportAgingCSV);
+    document.getElementById('exportAgingPDFBtn').addEventListener('click', exportAgingPDF);
+    document.getElementById('exportJournalBtn').addEventListener('click', exportJournalCSV);
+    document.getElementById('exportCashBookBtn').addEventListener('click', exportCashBookCSV);
 
     // Set up backup/restore
     document.getElementById('exportJSONBtn').addEventListener('click', exportToJSON);
-    document.getElementById('importJSONBtn').addEventListener('click', importFromJSON);
+    document.getElementById('importJSONBtn').addEventListener('click', () => importFromJSON('replace'));
+    document.getElementById('mergeJSONBtn').addEventListener('click', () => importFromJSON('merge'));
     document.getElementById('importFileInput').addEventListener('change', handleFileImport);
+    document.getElementById('applyImportBtn').addEventListener('click', applyImport);
+    document.getElementById('cancelImportBtn').addEventListener('click', cancelImport);
     document.getElementById('resetDemoBtn').addEventListener('click', resetDemoData);
 
+    // Set up spreadsheet export and inventory import
+    document.getElementById('spreadsheetTable').addEventListener('change', renderSpreadsheetColumns);
+    document.getElementById('exportSpreadsheetBtn').addEventListener('click', exportSpreadsheet);
+    document.getElementById('selectAllColumnsBtn').addEventListener('click', () => setAllSpreadsheetColumns(true));
+    document.getElementById('clearColumnsBtn').addEventListener('click', () => setAllSpreadsheetColumns(false));
+    document.getElementById('importInventoryBtn').addEventListener('click', chooseInventoryImportFile);
+    document.getElementById('inventoryImportFile').addEventListener('change', handleInventoryImportFile);
+    document.getElementById('checkInventoryImportBtn').addEventListener('click', checkInventoryImport);
+    document.getElementById('applyInventoryImportBtn').addEventListener('click', applyInventoryImport);
+    document.getElementById('cancelInventoryImportBtn').addEventListener('click', cancelInventoryImport);
+
+    // Set up server sync
+    document.getElementById('syncSettingsForm').addEventListener('submit', handleSyncSettingsSubmit);
+    document.getElementById('syncNowBtn').addEventListener('click', runSync);
+    window.addEventListener('online', runSync);
+    window.addEventListener('offline', () => {
+        if (getSyncConfig().enabled) setSyncState('offline');
+    });
+
+    // Set up shop settings
+    document.getElementById('settingsForm').addEventListener('submit', handleSettingsSubmit);
+    document.getElementById('logoInput').addEventListener('change', handleLogoChange);
+    document.getElementById('removeLogoBtn').addEventListener('click', removeLogo);
+
+    // Set up vehicle catalogue
+    document.getElementById('catalogueForm').addEventListener('submit', handleCatalogueSubmit);
+    document.getElementById('cancelCatalogueBtn').addEventListener('click', resetCatalogueForm);
+
     // Set up PDF bill generation
     document.getElementById('downloadBillBtn').addEventListener('click', downloadBillPDF);
     document.getElementById('printBillBtn').addEventListener('click', printBill);
 
+    // Set up ownership transfers
+    document.getElementById('downloadAgreementBtn').addEventListener('click', () => downloadTransferDocuments('agreement'));
+    document.getElementById('downloadDeliveryNoteBtn').addEventListener('click', () => downloadTransferDocuments('delivery'));
+    document.getElementById('downloadTransferLetterBtn').addEventListener('click', () => downloadTransferDocuments('transfer'));
+    document.getElementById('downloadTransferPackBtn').addEventListener('click', () => downloadTransferDocuments());
+    document.getElementById('transferForm').addEventListener('submit', handleTransferSubmit);
+    document.getElementById('reopenTransferBtn').addEventListener('click', reopenTransfer);
+    document.getElementById('cancelTransferBtn').addEventListener('click', closeTransfer);
+
+    initUsers();
+
     // Initial render
+    renderCatalogueChoices();
+    updateWheelPriceSuggestion();
     renderWheels();
     renderSales();
     updateWheelSelect();
+    renderCustomers();
+    updateCustomerOptions();
     renderReport();
+    renderRecycleBin();
+    renderImportLog();
+    renderSpreadsheetColumns();
+    renderSyncSettings();
+    renderSettings();
+    renderCatalogue();
+    renderUsers();
+    renderAuditLog();
+
+    // Sync in the background; the app keeps working from local data
+    startSyncTimer();
+    runSync();
 }
 
 // Make functions globally available for onclick handlers
 window.editWheel = editWheel;
 window.deleteWheel = deleteWheel;
 window.generateBill = generateBill;
+window.goToListPage = goToListPage;
+window.viewTransfer = viewTransfer;
+window.viewFinanceSchedule = viewFinanceSchedule;
+window.viewPaymentLedger = viewPaymentLedger;
+window.deletePayment = deletePayment;
+window.downloadPaymentReceipt = downloadPaymentReceipt;
+window.viewCustomer = viewCustomer;
+window.viewCostLedger = viewCostLedger;
+window.deleteExpense = deleteExpense;
+window.viewSaleReversal = viewSaleReversal;
+window.deleteSale = deleteSale;
+window.restoreWheel = restoreWheel;
+window.restoreSale = restoreSale;
+window.purgeWheel = purgeWheel;
+window.purgeSale = purgeSale;
+window.editUser = editUser;
+window.toggleUserActive = toggleUserActive;
+window.viewAttachments = viewAttachments;
+window.viewAttachmentFile = viewAttachmentFile;
+window.toggleBillPhoto = toggleBillPhoto;
+window.deleteAttachment = deleteAttachment;
+window.editCatalogueModel = editCatalogueModel;
+window.removeCatalogueModel = removeCatalogueModel;
 
 // ==================== NAVIGATION MENU ====================
 
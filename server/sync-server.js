@@ -0,0 +1,241 @@
+// Three-Wheeler Shop Sync Server - Node.js, no dependencies
+
+/**
+ * Small REST server the app can sync wheels, sales and customers with.
+ *
+ * Usage: node server/sync-server.js
+ * Environment:
+ * - PORT: port to listen on (default 3210)
+ * - DATA_FILE: JSON file the records are kept in (default server/sync-data.json)
+ * - SYNC_TOKEN: when set, clients must send "Authorization: Bearer <token>"
+ *
+ * API:
+ * - GET  /api/health               -> {ok, seq}
+ * - GET  /api/changes?since=<seq>  -> {seq, changes} every change newer than seq
+ * - POST /api/changes              <- {deviceId, changes: [{collection, id, baseSeq, updatedAt, deleted, record}]}
+ *                                  -> {seq, results: [{collection, id, status, seq, current}]}
+ *
+ * baseSeq is the seq of the server version the client last saw of the record (0 if it has seen none).
+ * A pushed change is 'accepted' and given a new seq while that is still the latest version. If another
+ * device has changed the record since, it is a 'conflict': nothing is stored and the server's copy is
+ * returned as current. Clients' clocks are never compared. A change identical to the server's copy is
+ * accepted as it is. Deletions are kept as tombstones so other devices learn about them.
+ *
+ * DATA FILE STRUCTURE:
+ * {seq, entries: {"<collection>:<id>": {collection, id, updatedAt, deleted, record, seq, deviceId}}}
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3210;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+
+const SYNC_COLLECTIONS = ['wheels', 'sales', 'customers'];
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// ==================== STORE ====================
+
+/**
+ * Read the data file, or start empty if there is none yet
+ * @returns {Object} {seq, entries}
+ */
+function loadStore() {
+    if (!fs.existsSync(DATA_FILE)) {
+        return { seq: 0, entries: {} };
+    }
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+/**
+ * Write the data file through a temporary file so a crash never leaves it half written
+ * @param {Object} store - {seq, entries}
+ */
+function saveStore(store) {
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+const store = loadStore();
+
+/**
+ * Get every change recorded after a sequence number
+ * @param {number} since - Last sequence number the client has seen
+ * @returns {Array} Entries in sequence order
+ */
+function getChangesSince(since) {
+    return Object.values(store.entries)
+        .filter(entry => entry.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Check a pushed change before it is stored
+ * @param {Object} change - {collection, id, baseSeq, updatedAt, deleted, record}
+ * @returns {string|null} Problem description, or null if the change is usable
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return 'not a valid change';
+    if (!SYNC_COLLECTIONS.includes(change.collection)) return `unknown collection ${change.collection}`;
+    if (typeof change.id !== 'string' || change.id === '') return 'missing id';
+    if (!Number.isInteger(change.baseSeq) || change.baseSeq < 0) return 'missing baseSeq';
+    if (typeof change.updatedAt !== 'string' || change.updatedAt === '') return 'missing updatedAt';
+    if (!change.deleted && (!change.record || change.record.id !== change.id)) return 'record does not match id';
+    return null;
+}
+
+/**
+ * Store pushed changes made from the latest version of each record
+ * @param {string} deviceId - Device that sent the changes
+ * @param {Array} changes - Changes from the client
+ * @returns {Array} One result per change: {collection, id, status, seq, current, error}
+ */
+function applyChanges(deviceId, changes) {
+    const results = changes.map(change => {
+        const problem = validateChange(change);
+        if (problem) {
+            return { collection: change && change.collection, id: change && change.id, status: 'rejected', error: problem };
+        }
+
+        const key = `${change.collection}:${change.id}`;
+        const existing = store.entries[key];
+        const deleted = Boolean(change.deleted);
+        const record = deleted ? null : change.record;
+        if (existing && existing.seq > change.baseSeq) {
+            // Nothing to resolve when both devices hold the same copy, e.g. after restoring one backup on each
+            if (existing.deleted === deleted && JSON.stringify(existing.record) === JSON.stringify(record)) {
+                return { collection: change.collection, id: change.id, status: 'accepted', seq: existing.seq };
+            }
+            return { collection: change.collection, id: change.id, status: 'conflict', current: existing };
+        }
+
+        store.seq += 1;
+        store.entries[key] = {
+            collection: change.collection,
+            id: change.id,
+            updatedAt: change.updatedAt,
+            deleted,
+            record,
+            seq: store.seq,
+            deviceId
+        };
+        return { collection: change.collection, id: change.id, status: 'accepted', seq: store.seq };
+    });
+
+    saveStore(store);
+    return results;
+}
+
+// ==================== HTTP ====================
+
+/**
+ * Send a JSON response with the CORS headers the browser app needs
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Route a request to the matching API handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        sendJSON(res, 204);
+        return;
+    }
+
+    if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+        sendJSON(res, 401, { error: 'Invalid or missing access token' });
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/api/health') {
+        sendJSON(res, 200, { ok: true, seq: store.seq });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/changes') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        sendJSON(res, 200, { seq: store.seq, changes: getChangesSince(since) });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/changes') {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            sendJSON(res, 400, { error: error.message });
+            return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            sendJSON(res, 400, { error: 'Request body must be a JSON object' });
+            return;
+        }
+        if (!Array.isArray(body.changes)) {
+            sendJSON(res, 400, { error: '"changes" must be a list' });
+            return;
+        }
+        const results = applyChanges(String(body.deviceId || 'unknown'), body.changes);
+        sendJSON(res, 200, { seq: store.seq, results });
+        return;
+    }
+
+    sendJSON(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        console.error('Request failed:', error);
+        sendJSON(res, 500, { error: 'Internal server error' });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Sync server listening on http://localhost:${PORT} (data file: ${DATA_FILE})`);
+});